@@ -5,6 +5,22 @@ import Login from "./pages/Login";
 import EmailVerify from "./pages/EmailVerify";
 import ResetPassword from "./pages/ResetPassword";
 import Home from "./pages/Home";
+import TwoFactorChallenge from "./pages/TwoFactorChallenge";
+import TwoFactorSetup from "./pages/TwoFactorSetup";
+import LinkedAccounts from "./pages/LinkedAccounts";
+import Consent from "./pages/Consent";
+import Passkeys from "./pages/Passkeys";
+import AccessTokens from "./pages/AccessTokens";
+import Organizations from "./pages/Organizations";
+import Invitation from "./pages/Invitation";
+import MagicLink from "./pages/MagicLink";
+import Admin from "./pages/Admin";
+import AdminUser from "./pages/AdminUser";
+import AdminAudit from "./pages/AdminAudit";
+import AdminInvites from "./pages/AdminInvites";
+import Activity from "./pages/Activity";
+import AccountSettings from "./pages/AccountSettings";
+import EmailChangeUndo from "./pages/EmailChangeUndo";
 import { ToastContainer, toast } from "react-toastify";
 
 const App = () => {
@@ -16,6 +32,22 @@ const App = () => {
         <Route path="/login" element={<Login />} />
         <Route path="/email-verify" element={<EmailVerify />} />
         <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/two-factor-challenge" element={<TwoFactorChallenge />} />
+        <Route path="/two-factor" element={<TwoFactorSetup />} />
+        <Route path="/linked-accounts" element={<LinkedAccounts />} />
+        <Route path="/consent" element={<Consent />} />
+        <Route path="/passkeys" element={<Passkeys />} />
+        <Route path="/access-tokens" element={<AccessTokens />} />
+        <Route path="/organizations" element={<Organizations />} />
+        <Route path="/invitation" element={<Invitation />} />
+        <Route path="/magic-link" element={<MagicLink />} />
+        <Route path="/admin" element={<Admin />} />
+        <Route path="/admin/users/:id" element={<AdminUser />} />
+        <Route path="/admin/audit" element={<AdminAudit />} />
+        <Route path="/admin/invites" element={<AdminInvites />} />
+        <Route path="/activity" element={<Activity />} />
+        <Route path="/account" element={<AccountSettings />} />
+        <Route path="/email-change/undo" element={<EmailChangeUndo />} />
       </Routes>
     </div>
   );
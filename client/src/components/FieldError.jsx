@@ -0,0 +1,10 @@
+import React from "react";
+
+// The server's message for an invalid form field, shown under its input
+const FieldError = ({ message, className = "-mt-3 mb-4 ml-5" }) => {
+  if (!message) return null;
+
+  return <p className={`text-xs text-red-400 ${className}`}>{message}</p>;
+};
+
+export default FieldError;
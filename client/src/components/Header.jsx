@@ -4,28 +4,27 @@ import { assets } from "../assets/assets";
 import { AppContext } from "../context/AppContext";
 
 const Header = () => {
-  const { userData } = useContext(AppContext);
+  const { userData, t } = useContext(AppContext);
 
   return (
     <div className="flex flex-col items-center mt-20 px-4 text-center text-gray-800">
       <img
-        src={assets.header_img}
+        src={userData?.avatarUrl || assets.header_img}
         alt=""
         className="w-36 h-36 rounded-full mb-6"
       />
       <h1 className="flex items-center gap-2 text-xl sm:text-3xl font-medium mb-2">
-        Hey {userData ? userData.name : "Developer"}
+        {t("header.greeting", {
+          name: userData ? userData.name : t("header.developer"),
+        })}
         <img src={assets.hand_wave} alt="" className="w-8 aspect-square" />
       </h1>
       <h2 className="text-3xl sm:text-5xl font-semibold mb-4">
-        Welcome to our app
+        {t("header.welcome")}
       </h2>
-      <p className="mb-8 max-w-md">
-        Let's start with quick product tour and we will have you pop up and
-        running in no time
-      </p>
+      <p className="mb-8 max-w-md">{t("header.intro")}</p>
       <button className="border border-gray-500 rounded-full px-8 py-2.5 hover:bg-gray-100 transition-all">
-        Get Started
+        {t("header.get_started")}
       </button>
     </div>
   );
@@ -0,0 +1,25 @@
+import React, { useContext } from "react";
+import { AppContext } from "../context/AppContext.jsx";
+import { LOCALES } from "../i18n/index.js";
+
+// Language picker, saved on the account when the user is logged in
+const LanguageSwitcher = ({ className = "" }) => {
+  const { locale, setLocale, t } = useContext(AppContext);
+
+  return (
+    <select
+      aria-label={t("language.label")}
+      className={`bg-transparent outline-none cursor-pointer ${className}`}
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+    >
+      {LOCALES.map(({ code, name }) => (
+        <option key={code} value={code} className="text-black">
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default LanguageSwitcher;
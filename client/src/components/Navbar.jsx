@@ -1,15 +1,24 @@
 /* eslint-disable no-unused-vars */
-import React, { useContext } from "react";
+import React, { useContext, useState } from "react";
 import { assets } from "../assets/assets.js";
 import { useNavigate } from "react-router-dom";
 import { AppContext } from "../context/AppContext.jsx";
 import axios from "axios";
 import { toast } from "react-toastify";
+import SessionsPanel from "./SessionsPanel.jsx";
+import LanguageSwitcher from "./LanguageSwitcher.jsx";
 
 const Navbar = () => {
   const navigate = useNavigate();
-  const { userData, backend_url, setUserData, setIsLoggedIn } =
-    useContext(AppContext);
+  const {
+    userData,
+    backend_url,
+    setUserData,
+    setIsLoggedIn,
+    hasPermission,
+    t,
+  } = useContext(AppContext);
+  const [showSessions, setShowSessions] = useState(false);
 
   const sendVerificationOtp = async () => {
     try {
@@ -17,12 +26,8 @@ const Navbar = () => {
       const { data } = await axios.post(
         backend_url + "/api/auth/send-verify-otp"
       );
-      if (data.success) {
-        navigate("/email-verify");
-        toast.success(data.message);
-      } else {
-        toast.error(data.message);
-      }
+      navigate("/email-verify");
+      toast.success(data.message);
     } catch (error) {
       toast.error(error.message);
     }
@@ -31,9 +36,10 @@ const Navbar = () => {
   const logout = async () => {
     try {
       axios.defaults.withCredentials = true;
-      const { data } = await axios.post(backend_url + "/api/auth/logout");
-      data.success && setIsLoggedIn(false);
-      data.success && setUserData(false);
+      await axios.post(backend_url + "/api/auth/logout");
+      setIsLoggedIn(false);
+      setUserData(false);
+      setShowSessions(false);
       navigate("/");
     } catch (error) {
       toast.error(error.message);
@@ -43,36 +49,106 @@ const Navbar = () => {
   return (
     <div className="w-full flex justify-between items-center p-4 sm:p-6 sm:px-24 absolute top-0">
       <img src={assets.logo} alt="" className="w-28 sm:w-32" />
-      {userData ? (
-        <div className="w-8 h-8 flex justify-center items-center rounded-full bg-black text-white relative group">
-          {userData.name[0].toUpperCase()}
-          <div className="absolute hidden group-hover:block top-0 right-0 z-10 text-black rounded pt-10">
-            <ul className="list-none m-0 p-2 bg-gray-100 text-sm">
-              {!userData.isAccountVerified && (
+      <div className="flex items-center gap-4">
+        <LanguageSwitcher className="text-gray-800" />
+        {userData ? (
+          <div className="w-8 h-8 flex justify-center items-center rounded-full bg-black text-white relative group">
+            {userData.avatarThumbnailUrl ? (
+              <img
+                src={userData.avatarThumbnailUrl}
+                alt=""
+                className="w-8 h-8 rounded-full"
+              />
+            ) : (
+              userData.name[0].toUpperCase()
+            )}
+            <div className="absolute hidden group-hover:block top-0 right-0 z-10 text-black rounded pt-10">
+              <ul className="list-none m-0 p-2 bg-gray-100 text-sm">
+                {!userData.isAccountVerified && (
+                  <li
+                    className="py-1 px-2 hover:bg-gray-200 cursor-pointer"
+                    onClick={sendVerificationOtp}
+                  >
+                    {t("nav.verify_email")}
+                  </li>
+                )}
                 <li
-                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer"
-                  onClick={sendVerificationOtp}
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => navigate("/account")}
                 >
-                  Verify Email
+                  {t("nav.account_settings")}
                 </li>
-              )}
-              <li
-                className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
-                onClick={logout}
-              >
-                Logout
-              </li>
-            </ul>
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => navigate("/two-factor")}
+                >
+                  {t("nav.two_factor")}
+                </li>
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => navigate("/passkeys")}
+                >
+                  {t("nav.passkeys")}
+                </li>
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => navigate("/access-tokens")}
+                >
+                  {t("nav.access_tokens")}
+                </li>
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => navigate("/organizations")}
+                >
+                  {t("nav.organizations")}
+                </li>
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => navigate("/linked-accounts")}
+                >
+                  {t("nav.linked_accounts")}
+                </li>
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => setShowSessions(true)}
+                >
+                  {t("nav.sessions")}
+                </li>
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={() => navigate("/activity")}
+                >
+                  {t("nav.activity")}
+                </li>
+                {hasPermission("users:read") && (
+                  <li
+                    className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                    onClick={() => navigate("/admin")}
+                  >
+                    {t("nav.admin")}
+                  </li>
+                )}
+                <li
+                  className="py-1 px-2 hover:bg-gray-200 cursor-pointer pr-10"
+                  onClick={logout}
+                >
+                  {t("nav.logout")}
+                </li>
+              </ul>
+            </div>
           </div>
-        </div>
-      ) : (
-        <button
-          className="flex items-center gap-2 border border-gray-300 rounded-full px-6 py-2 text-gray-800 hover:bg-gray-100 transition-all focus:outline-none"
-          onClick={() => navigate("/login")}
-        >
-          Login
-          <img src={assets.arrow_icon} alt="" />
-        </button>
+        ) : (
+          <button
+            className="flex items-center gap-2 border border-gray-300 rounded-full px-6 py-2 text-gray-800 hover:bg-gray-100 transition-all focus:outline-none"
+            onClick={() => navigate("/login")}
+          >
+            {t("nav.login")}
+            <img src={assets.arrow_icon} alt="" />
+          </button>
+        )}
+      </div>
+      {userData && showSessions && (
+        <SessionsPanel onClose={() => setShowSessions(false)} />
       )}
     </div>
   );
@@ -0,0 +1,78 @@
+import React, { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { AppContext } from "../context/AppContext.jsx";
+
+const STRENGTH_LABELS = [
+  "password_strength.very_weak",
+  "password_strength.weak",
+  "password_strength.fair",
+  "password_strength.strong",
+  "password_strength.very_strong",
+];
+const STRENGTH_COLORS = [
+  "bg-red-500",
+  "bg-orange-500",
+  "bg-yellow-500",
+  "bg-lime-500",
+  "bg-green-500",
+];
+
+// Wait for the user to stop typing before asking the server
+const CHECK_DELAY_MS = 300;
+
+// Live strength meter and policy violations for a new password
+const PasswordStrength = ({ password, name, email }) => {
+  const { backend_url, locale, t } = useContext(AppContext);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!password) {
+      setResult(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await axios.post(
+          backend_url + "/api/auth/password-check",
+          { password, name, email }
+        );
+        if (!cancelled) setResult(data);
+      } catch {
+        // The server checks the password again on submit
+      }
+    }, CHECK_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // The violations come back in the current language
+  }, [backend_url, locale, password, name, email]);
+
+  if (!password || !result) return null;
+
+  return (
+    <div className="mb-4 px-2 text-xs">
+      <div className="flex gap-1 mb-1">
+        {STRENGTH_LABELS.slice(1).map((label, index) => (
+          <div
+            key={label}
+            className={`h-1 flex-1 rounded-full ${
+              index < result.strength
+                ? STRENGTH_COLORS[result.strength]
+                : "bg-[#333A5C]"
+            }`}
+          />
+        ))}
+      </div>
+      <p className="text-gray-400">{t(STRENGTH_LABELS[result.strength])}</p>
+      {result.violations.map((violation) => (
+        <p key={violation.code + (violation.characterClass || "")}>
+          <span className="text-red-400">✗</span> {violation.message}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default PasswordStrength;
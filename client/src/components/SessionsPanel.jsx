@@ -0,0 +1,106 @@
+import React, { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { AppContext } from "../context/AppContext.jsx";
+
+// Turn a user agent string into a short "Browser on OS" label
+const describeDevice = (t, userAgent) => {
+  if (!userAgent) return t("sessions.unknown_device");
+  const browser =
+    ["Edg", "OPR", "Firefox", "Chrome", "Safari"].find((name) =>
+      userAgent.includes(name)
+    ) || t("sessions.browser");
+  const os =
+    ["Windows", "Android", "iPhone", "iPad", "Mac OS", "Linux"].find((name) =>
+      userAgent.includes(name)
+    ) || t("sessions.unknown_os");
+  return t("sessions.device", {
+    browser: browser === "Edg" ? "Edge" : browser === "OPR" ? "Opera" : browser,
+    os,
+  });
+};
+
+const SessionsPanel = ({ onClose }) => {
+  const { backend_url, locale, t } = useContext(AppContext);
+  const [sessions, setSessions] = useState([]);
+
+  const getSessions = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/user/sessions");
+      setSessions(data.sessions);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const revoke = async (id) => {
+    try {
+      const { data } = await axios.delete(
+        backend_url + "/api/user/sessions" + (id ? "/" + id : "")
+      );
+      toast.success(data.message);
+      getSessions();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    getSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <div className="absolute top-16 right-4 sm:right-24 z-20 w-80 bg-white text-gray-800 rounded-lg shadow-lg p-4 text-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold text-base">{t("sessions.title")}</h3>
+        <button className="cursor-pointer text-gray-500" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+      <ul className="max-h-80 overflow-y-auto">
+        {sessions.map((session) => (
+          <li
+            key={session.id}
+            className="flex justify-between items-start gap-2 py-2 border-b border-gray-200"
+          >
+            <div>
+              <p className="font-medium" title={session.userAgent}>
+                {describeDevice(t, session.userAgent)}
+                {session.current && (
+                  <span className="ml-2 text-xs text-green-600">
+                    {t("sessions.this_device")}
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500">{session.ip}</p>
+              <p className="text-xs text-gray-500">
+                {t("sessions.last_active", {
+                  date: new Date(session.lastSeenAt).toLocaleString(locale),
+                })}
+              </p>
+            </div>
+            {!session.current && (
+              <button
+                className="text-xs text-red-600 cursor-pointer hover:underline"
+                onClick={() => revoke(session.id)}
+              >
+                {t("sessions.revoke")}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {sessions.length > 1 && (
+        <button
+          className="w-full mt-3 py-2 border border-gray-300 rounded-full hover:bg-gray-100 cursor-pointer"
+          onClick={() => revoke()}
+        >
+          {t("sessions.revoke_others")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
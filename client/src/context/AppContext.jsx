@@ -3,36 +3,104 @@
 import axios from "axios";
 import { createContext, useEffect, useState } from "react";
 import { toast } from "react-toastify";
+import { detectLocale, saveLocale, translate } from "../i18n/index.js";
+import { toApiError } from "../utils/apiError.js";
 
 export const AppContext = createContext();
 
+// Shared between concurrent requests so an expired access token is only
+// refreshed once, no matter how many requests failed because of it
+let refreshRequest = null;
+
+// The one place failed requests are handled. An expired access token is
+// quietly refreshed and the original request retried once. Every other
+// failure is rejected as an ApiError, whose message is the server's
+// localized text, so callers only need `catch (error)` and `error.message`
+axios.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  if (response?.data?.tokenExpired && config && !config._retried) {
+    refreshRequest =
+      refreshRequest ||
+      axios
+        .post(import.meta.env.VITE_BACKEND_URL + "/api/auth/refresh")
+        .finally(() => (refreshRequest = null));
+    try {
+      await refreshRequest;
+    } catch {
+      // The session is gone, report the original failure
+      throw toApiError(error);
+    }
+    return axios({ ...config, _retried: true });
+  }
+  throw toApiError(error);
+});
+
+// Tell the server which language to answer in
+const applyLocale = (locale) => {
+  axios.defaults.headers.common["Accept-Language"] = locale;
+  document.documentElement.lang = locale;
+};
+
+const initialLocale = detectLocale();
+applyLocale(initialLocale);
+
 export const AppContextProvider = (props) => {
   axios.defaults.withCredentials = true;
 
   const backend_url = import.meta.env.VITE_BACKEND_URL;
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [userData, setUserData] = useState(false);
-  const getAuthState = async () => {
+  const [locale, setLocaleState] = useState(initialLocale);
+
+  const switchLocale = (newLocale) => {
+    saveLocale(newLocale);
+    applyLocale(newLocale);
+    setLocaleState(newLocale);
+  };
+
+  // Switch the language, and remember it on the account when logged in so
+  // emails and other devices use it too
+  const setLocale = async (newLocale) => {
+    switchLocale(newLocale);
+    if (!userData) return;
     try {
-      const { data } = await axios.get(backend_url + "/api/auth/is-auth");
-      if (data.success) {
-        setIsLoggedIn(true);
-        getUserData();
-      }
+      await axios.patch(backend_url + "/api/user/profile", {
+        locale: newLocale,
+      });
+      setUserData({ ...userData, locale: newLocale });
     } catch (error) {
       toast.error(error.message);
     }
   };
+
+  const t = (key, params) => translate(locale, key, params);
+  const getAuthState = async () => {
+    try {
+      await axios.get(backend_url + "/api/auth/is-auth");
+      setIsLoggedIn(true);
+      getUserData();
+    } catch (error) {
+      // Not being logged in is not an error here
+      error.status !== 401 && toast.error(error.message);
+    }
+  };
   //   console.log(backend_url + " appcontext");
 
   const getUserData = async () => {
     try {
       const { data } = await axios.get(backend_url + "/api/user/data");
-      data.success ? setUserData(data.userData) : toast.error(data.message);
+      setUserData(data.userData);
+      // The language saved on the account wins over the detected one
+      data.userData.locale && switchLocale(data.userData.locale);
     } catch (error) {
       toast.error(error.message);
     }
   };
+
+  // Only used to hide UI the user cannot use, the server checks permissions
+  const hasPermission = (permission) =>
+    Boolean(userData && userData.permissions?.includes(permission));
+
   useEffect(() => {
     getAuthState();
   }, []);
@@ -44,6 +112,10 @@ export const AppContextProvider = (props) => {
     userData,
     setUserData,
     getUserData,
+    hasPermission,
+    locale,
+    setLocale,
+    t,
   };
   return (
     <AppContext.Provider value={value}>{props.children}</AppContext.Provider>
@@ -0,0 +1,354 @@
+/**
+ * English texts of the client, the catalog every other language falls back
+ * to. Placeholders use the `{{name}}` syntax. Messages coming from the server
+ * are already translated there.
+ */
+export default {
+  // Shared
+  "common.email": "Email",
+  "common.password": "Password",
+  "common.full_name": "Full Name",
+  "common.current_password": "Current Password",
+  "common.new_password": "New Password",
+  "common.cancel": "Cancel",
+  "common.submit": "Submit",
+  "common.search": "Search",
+  "common.or": "or",
+  "language.label": "Language",
+  "pagination.page": "Page {{page}} of {{pages}}",
+  "pagination.previous": "Previous",
+  "pagination.next": "Next",
+  "pagination.newer": "Newer",
+  "pagination.older": "Older",
+
+  // Home
+  "nav.login": "Login",
+  "nav.verify_email": "Verify Email",
+  "nav.account_settings": "Account Settings",
+  "nav.two_factor": "Two-Factor Auth",
+  "nav.passkeys": "Passkeys",
+  "nav.access_tokens": "Access Tokens",
+  "nav.organizations": "Organizations",
+  "nav.linked_accounts": "Linked Accounts",
+  "nav.sessions": "Sessions",
+  "nav.activity": "Activity",
+  "nav.admin": "Admin",
+  "nav.logout": "Logout",
+  "header.greeting": "Hey {{name}}",
+  "header.developer": "Developer",
+  "header.welcome": "Welcome to our app",
+  "header.intro":
+    "Let's start with quick product tour and we will have you pop up and running in no time",
+  "header.get_started": "Get Started",
+  "sessions.title": "Active Sessions",
+  "sessions.this_device": "This device",
+  "sessions.last_active": "Last active {{date}}",
+  "sessions.revoke": "Revoke",
+  "sessions.revoke_others": "Log out other devices",
+  "sessions.device": "{{browser}} on {{os}}",
+  "sessions.browser": "Browser",
+  "sessions.unknown_os": "unknown OS",
+  "sessions.unknown_device": "Unknown device",
+
+  // Sign in
+  "login.login": "Login",
+  "login.login_subtitle": "Login to you account",
+  "login.create_account": "Create account",
+  "login.create_account_subtitle": "Create your account",
+  "login.sign_in_link": "Sign-in link",
+  "login.magic_link_subtitle": "We will email you a link and a code to sign in",
+  "login.forgot_password": "Forgot Password",
+  "login.code_placeholder": "6 digits code from the email",
+  "login.sign_up": "Sign Up",
+  "login.sign_in": "Sign In",
+  "login.email_me_link": "Email me a sign-in link",
+  "login.passkey": "Sign in with a passkey",
+  "login.invite_code": "Invite code",
+  "login.invite_code_hint":
+    "Sign up is by invitation. Enter your invite code, or open the link in an organization invitation email.",
+  "login.invitation_signup":
+    "Sign up with the email address your organization invitation was sent to.",
+  "login.allowed_domains": "Sign up is open to addresses at {{domains}}.",
+  "login.sign_in_with": "Sign in with {{provider}}",
+  "login.back_to_login": "Back to Login",
+  "login.have_account": "Already have an account?",
+  "login.no_account": "Don't have an account?",
+  "magic_link.title": "Signing you in...",
+  "magic_link.checking": "Please wait while we check your sign-in link.",
+  "two_factor.title": "Two-Factor Authentication",
+  "two_factor.enter_app_code":
+    "Enter the 6 digits code from your authenticator app.",
+  "two_factor.enter_backup_code": "Enter one of your backup codes.",
+  "two_factor.use_app": "Use authenticator app",
+  "two_factor.use_backup_code": "Use a backup code",
+  "two_factor.verify": "Verify",
+  "consent.title": "Authorize {{client}}",
+  "consent.intro":
+    "{{client}} wants to use your account to sign you in. It will be able to:",
+  "consent.scope.openid": "Know who you are",
+  "consent.scope.profile": "See your name",
+  "consent.scope.email": "See your email address and whether it is verified",
+  "consent.allow": "Allow",
+  "consent.deny": "Deny",
+  "consent.invalid_redirect": "The application returned an invalid address",
+
+  // Email verification and password reset
+  "email_verify.title": "Email Verify OTP",
+  "email_verify.intro": "Enter the 6 digits code sent to your email.",
+  "email_verify.submit": "Verify Email",
+  "reset_password.title": "Reset Password",
+  "reset_password.enter_email": "Enter your email address.",
+  "reset_password.email_placeholder": "Your Email",
+  "reset_password.otp_title": "Reset Password OTP",
+  "reset_password.enter_new_password": "Enter your new password bellow.",
+  "reset_password.new_password_placeholder": "Your New Password",
+  "password_strength.very_weak": "Very weak",
+  "password_strength.weak": "Weak",
+  "password_strength.fair": "Fair",
+  "password_strength.strong": "Strong",
+  "password_strength.very_strong": "Very strong",
+
+  // Account
+  "account_settings.title": "Account Settings",
+  "account_settings.login_required": "Login to manage your account.",
+  "account_settings.profile": "Profile",
+  "account_settings.upload_avatar": "Upload new avatar",
+  "account_settings.remove_avatar": "Remove avatar",
+  "account_settings.save_profile": "Save Profile",
+  "account_settings.change_email": "Change Email",
+  "account_settings.enter_code_sent_to": "Enter the code we sent to",
+  "account_settings.confirmation_code": "Confirmation code",
+  "account_settings.confirm_new_email": "Confirm New Email",
+  "account_settings.new_email": "New Email",
+  "account_settings.send_confirmation_code": "Send Confirmation Code",
+  "account_settings.change_password": "Change Password",
+  "account_settings.set_a_password": "Set a Password",
+  "account_settings.set_password": "Set Password",
+  "account_settings.other_devices_logged_out":
+    "Your other devices will be logged out.",
+  "account_settings.danger_zone": "Danger zone",
+  "account_settings.export_description":
+    "Download a copy of everything we hold about you.",
+  "account_settings.export": "Download My Data",
+  "account_settings.delete_description":
+    "Deleting your account logs you out everywhere. Your data is removed after a grace period, log in again before then to cancel.",
+  "account_settings.delete": "Delete My Account",
+  "account_settings.delete_confirm": "Delete your account and all of its data?",
+  "email_change_undo.title": "Undo Email Change",
+  "email_change_undo.intro":
+    "If you did not change the email address of your account, undo the change to get your previous address back.",
+  "email_change_undo.undo": "This wasn't me, undo the change",
+  "email_change_undo.done":
+    "Your previous email address is back and every device has been logged out. Reset your password to secure your account.",
+  "email_change_undo.reset_password": "Reset Password",
+  "two_factor.login_required": "Login to manage two-factor settings.",
+  "two_factor.intro": "Protect your account with an authenticator app.",
+  "two_factor.enable": "Enable Two-Factor",
+  "two_factor.scan_qr_code":
+    "Scan this QR code with your authenticator app, then enter the code it shows.",
+  "two_factor.qr_code": "Two-factor QR code",
+  "two_factor.confirm": "Confirm",
+  "two_factor.code_placeholder": "Authenticator or backup code",
+  "two_factor.enabled":
+    "Two-factor authentication is enabled. Enter a code to change it.",
+  "two_factor.new_backup_codes": "New Backup Codes",
+  "two_factor.disable": "Disable Two-Factor",
+  "two_factor.save_backup_codes":
+    "Save these backup codes somewhere safe. Each one can be used once if you lose access to your authenticator app.",
+  "passkeys.title": "Passkeys",
+  "passkeys.login_required": "Login to manage your passkeys.",
+  "passkeys.empty": "No passkeys yet.",
+  "passkeys.last_used": "Last used {{date}}",
+  "passkeys.never_used": "Never used",
+  "passkeys.remove": "Remove",
+  "passkeys.name_placeholder": "Passkey name, e.g. My Laptop",
+  "passkeys.add": "Add Passkey",
+  "access_tokens.title": "Access Tokens",
+  "access_tokens.login_required": "Login to manage your access tokens.",
+  "access_tokens.intro":
+    "Tokens let scripts and other apps use the API as you. Send one in an Authorization: Bearer header.",
+  "access_tokens.empty": "No access tokens yet.",
+  "access_tokens.last_used": "Last used {{date}} from {{ip}}",
+  "access_tokens.never_used": "Never used",
+  "access_tokens.expires": "Expires {{date}}",
+  "access_tokens.expired": "Expired",
+  "access_tokens.revoke": "Revoke",
+  "access_tokens.revoke_confirm":
+    "Revoke this token? Anything using it will stop working.",
+  "access_tokens.new": "New Token",
+  "access_tokens.name_placeholder": "Token name, e.g. Backup script",
+  "access_tokens.scopes": "Scopes",
+  "access_tokens.expiry": "Expires after",
+  "access_tokens.days": "{{count}} days",
+  "access_tokens.create": "Create Token",
+  "access_tokens.copy_now":
+    "Copy your new token now, it will not be shown again.",
+  "access_tokens.copy": "Copy",
+  "access_tokens.copied": "Token copied",
+  "access_tokens.done": "Done",
+  "access_tokens.scope.profile:read": "Read your profile and export your data",
+  "access_tokens.scope.profile:write": "Update your profile and avatar",
+  "access_tokens.scope.activity:read": "Read your account activity",
+  "access_tokens.scope.sessions:read": "List your sessions",
+  "access_tokens.scope.sessions:write": "Sign out your sessions",
+  "access_tokens.scope.admin:read":
+    "Read users and the audit log, if you are an admin",
+  "access_tokens.scope.admin:write": "Manage users, if you are an admin",
+  "orgs.title": "Organizations",
+  "orgs.login_required": "Login to manage your organizations.",
+  "orgs.empty": "You don't belong to any organization yet.",
+  "orgs.active": "Active",
+  "orgs.switch": "Switch",
+  "orgs.personal": "Work outside of any organization",
+  "orgs.name_placeholder": "Organization name",
+  "orgs.create": "Create",
+  "orgs.rename": "Rename",
+  "orgs.members": "Members ({{count}})",
+  "orgs.you": "(you)",
+  "orgs.remove": "Remove",
+  "orgs.remove_confirm": "Remove {{name}} from the organization?",
+  "orgs.invitations": "Pending Invitations",
+  "orgs.no_invitations": "No pending invitations.",
+  "orgs.invitation_expires": "expires {{date}}",
+  "orgs.revoke": "Revoke",
+  "orgs.invite_placeholder": "Email to invite",
+  "orgs.invite": "Invite",
+  "orgs.leave": "Leave Organization",
+  "orgs.leave_confirm": "Leave this organization?",
+  "orgs.delete": "Delete Organization",
+  "orgs.delete_confirm":
+    "Delete this organization for all of its members? This cannot be undone.",
+  "orgs.role.owner": "Owner",
+  "orgs.role.admin": "Admin",
+  "orgs.role.member": "Member",
+  "invitation.title": "Invitation",
+  "invitation.intro":
+    "{{inviter}} invited you to join {{organization}} as {{role}}.",
+  "invitation.for": "For {{email}}, valid until {{date}}.",
+  "invitation.accept": "Accept Invitation",
+  "invitation.login_required":
+    "Login or sign up with the invited address to accept.",
+  "invitation.login": "Login or Sign Up",
+  "linked_accounts.title": "Linked Accounts",
+  "linked_accounts.login_required": "Login to manage linked accounts.",
+  "linked_accounts.no_providers": "No social login providers available.",
+  "linked_accounts.link": "Link",
+  "linked_accounts.unlink": "Unlink",
+  "linked_accounts.linked": "Provider linked",
+  "activity.title": "Account Activity",
+  "activity.login_required": "Login to see your account activity.",
+  "activity.empty": "No activity yet.",
+
+  // Admin console
+  "admin.title": "Users",
+  "admin.no_access": "You do not have access to the admin console.",
+  "admin.search_placeholder": "Search name or email",
+  "admin.any_email": "Any email",
+  "admin.verified": "Verified",
+  "admin.not_verified": "Not verified",
+  "admin.any_status": "Any status",
+  "admin.active": "Active",
+  "admin.disabled": "Disabled",
+  "admin.created_from": "Created from",
+  "admin.created_to": "Created to",
+  "admin.user_count": "{{count}} users",
+  "admin.audit_log": "Audit log",
+  "admin.empty": "No users found.",
+  "admin.status": "Status",
+  "admin.created": "Created",
+  "admin.sign_in_methods": "Sign-in methods",
+  "admin.passkey_count": "{{count}} passkey(s)",
+  "admin.none": "None",
+  "admin.two_factor": "Two-factor",
+  "admin.on": "On",
+  "admin.off": "Off",
+  "admin.active_sessions": "Active sessions",
+  "admin.roles": "Roles",
+  "admin.mark_verified": "Mark email as verified",
+  "admin.send_password_reset": "Send password reset email",
+  "admin.enable_account": "Enable account",
+  "admin.disable_account": "Disable account",
+  "admin.delete_user": "Delete user",
+  "admin.delete_confirm": "Delete {{email}} and all of their data?",
+  "admin.view_activity": "View activity",
+  "admin.back_to_users": "Back to users",
+  "admin.invite_codes": "Invite codes",
+  "admin_invites.title": "Invite Codes",
+  "admin_invites.not_required":
+    "Registration is not invite-only right now, so sign-ups do not need a code.",
+  "admin_invites.note_placeholder": "Note, e.g. who the code is for",
+  "admin_invites.max_uses": "Max uses",
+  "admin_invites.expires_in_days": "Days valid",
+  "admin_invites.create": "Create Code",
+  "admin_invites.copy_now":
+    "Copy the new invite code now, it will not be shown again.",
+  "admin_invites.copy": "Copy",
+  "admin_invites.copied": "Invite code copied",
+  "admin_invites.done": "Done",
+  "admin_invites.empty": "No invite codes yet.",
+  "admin_invites.uses": "Used {{uses}} time(s)",
+  "admin_invites.uses_of": "Used {{uses}} of {{max}}",
+  "admin_invites.expires": "expires {{date}}",
+  "admin_invites.no_expiry": "never expires",
+  "admin_invites.revoke": "Revoke",
+  "admin_invites.revoke_confirm": "Revoke this invite code?",
+  "admin_invites.status.revoked": "Revoked",
+  "admin_invites.status.expired": "Expired",
+  "admin_invites.status.used_up": "Used up",
+  "admin_audit.title": "Audit Log",
+  "admin_audit.no_access": "You do not have access to the audit log.",
+  "admin_audit.any_event": "Any event",
+  "admin_audit.any_outcome": "Any outcome",
+  "admin_audit.empty": "No events found.",
+  "admin_audit.unknown_user": "Unknown user",
+
+  // Audit events, see utils/auditEvents.js
+  "audit.succeeded": "Succeeded",
+  "audit.failed": "Failed",
+  "audit.register": "Account created",
+  "audit.login": "Sign in",
+  "audit.logout": "Sign out",
+  "audit.token.refresh": "Session refreshed",
+  "audit.otp.send": "Code sent",
+  "audit.email.verify": "Email verification",
+  "audit.password.reset": "Password reset",
+  "audit.password.change": "Password changed",
+  "audit.profile.update": "Profile updated",
+  "audit.avatar.update": "Avatar changed",
+  "audit.avatar.remove": "Avatar removed",
+  "audit.email.change.request": "Email change requested",
+  "audit.email.change": "Email changed",
+  "audit.email.change.undo": "Email change undone",
+  "audit.account.export": "Data exported",
+  "audit.account.delete": "Account deletion requested",
+  "audit.account.delete.cancel": "Account deletion cancelled",
+  "audit.account.purge": "Account purged",
+  "audit.2fa.enable": "Two-factor enabled",
+  "audit.2fa.disable": "Two-factor disabled",
+  "audit.2fa.backup-codes": "Backup codes regenerated",
+  "audit.session.revoke": "Session revoked",
+  "audit.session.revoke-others": "Other sessions revoked",
+  "audit.account.link": "Account linked",
+  "audit.account.unlink": "Account unlinked",
+  "audit.passkey.add": "Passkey added",
+  "audit.passkey.remove": "Passkey removed",
+  "audit.access-token.create": "Access token created",
+  "audit.access-token.revoke": "Access token revoked",
+  "audit.org.create": "Organization created",
+  "audit.org.update": "Organization renamed",
+  "audit.org.delete": "Organization deleted",
+  "audit.org.invite": "Member invited",
+  "audit.org.invite.revoke": "Invitation revoked",
+  "audit.org.invite.accept": "Invitation accepted",
+  "audit.org.member.role": "Organization role changed",
+  "audit.org.member.remove": "Removed from an organization",
+  "audit.org.leave": "Left an organization",
+  "audit.admin.user.disable": "Account disabled by an admin",
+  "audit.admin.user.enable": "Account enabled by an admin",
+  "audit.admin.user.verify": "Email verified by an admin",
+  "audit.admin.user.reset-password": "Password reset sent by an admin",
+  "audit.admin.user.roles": "Roles changed by an admin",
+  "audit.admin.user.delete": "Account deleted by an admin",
+  "audit.admin.invite-code.create": "Invite code created",
+  "audit.admin.invite-code.revoke": "Invite code revoked",
+};
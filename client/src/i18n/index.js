@@ -0,0 +1,42 @@
+import en from "./en.js";
+import vi from "./vi.js";
+
+// Languages the user can pick, the server ships the same set
+export const LOCALES = [
+  { code: "en", name: "English" },
+  { code: "vi", name: "Tiếng Việt" },
+];
+
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGS = { en, vi };
+
+// Where the language picked on this device is remembered
+const STORAGE_KEY = "locale";
+
+// Reduce e.g. "vi-VN" to "vi", or null when the language is not supported
+export const normalizeLocale = (locale) => {
+  const language = String(locale || "")
+    .toLowerCase()
+    .split("-")[0];
+  return CATALOGS[language] ? language : null;
+};
+
+// The saved choice, else the first supported browser language
+export const detectLocale = () => {
+  const saved = normalizeLocale(localStorage.getItem(STORAGE_KEY));
+  if (saved) return saved;
+  const browserLocales = navigator.languages || [navigator.language];
+  return browserLocales.map(normalizeLocale).find(Boolean) || DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => localStorage.setItem(STORAGE_KEY, locale);
+
+// Look up a key, falling back to English and then to the key itself, and
+// fill in `{{name}}` placeholders from `params`
+export const translate = (locale, key, params = {}) => {
+  const text = CATALOGS[locale]?.[key] ?? en[key] ?? key;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    params[name] === undefined ? "" : String(params[name])
+  );
+};
@@ -0,0 +1,356 @@
+/**
+ * Vietnamese texts of the client, keys missing here fall back to en.js.
+ */
+export default {
+  // Shared
+  "common.email": "Email",
+  "common.password": "Mật khẩu",
+  "common.full_name": "Họ và tên",
+  "common.current_password": "Mật khẩu hiện tại",
+  "common.new_password": "Mật khẩu mới",
+  "common.cancel": "Hủy",
+  "common.submit": "Gửi",
+  "common.search": "Tìm kiếm",
+  "common.or": "hoặc",
+  "language.label": "Ngôn ngữ",
+  "pagination.page": "Trang {{page}} / {{pages}}",
+  "pagination.previous": "Trước",
+  "pagination.next": "Tiếp",
+  "pagination.newer": "Mới hơn",
+  "pagination.older": "Cũ hơn",
+
+  // Home
+  "nav.login": "Đăng nhập",
+  "nav.verify_email": "Xác minh email",
+  "nav.account_settings": "Cài đặt tài khoản",
+  "nav.two_factor": "Xác thực hai lớp",
+  "nav.passkeys": "Khóa truy cập",
+  "nav.access_tokens": "Mã truy cập",
+  "nav.organizations": "Tổ chức",
+  "nav.linked_accounts": "Tài khoản liên kết",
+  "nav.sessions": "Phiên đăng nhập",
+  "nav.activity": "Hoạt động",
+  "nav.admin": "Quản trị",
+  "nav.logout": "Đăng xuất",
+  "header.greeting": "Xin chào {{name}}",
+  "header.developer": "Nhà phát triển",
+  "header.welcome": "Chào mừng đến với ứng dụng",
+  "header.intro":
+    "Hãy bắt đầu với một chuyến tham quan nhanh, bạn sẽ sẵn sàng sử dụng ngay thôi",
+  "header.get_started": "Bắt đầu",
+  "sessions.title": "Phiên đang hoạt động",
+  "sessions.this_device": "Thiết bị này",
+  "sessions.last_active": "Hoạt động lần cuối {{date}}",
+  "sessions.revoke": "Thu hồi",
+  "sessions.revoke_others": "Đăng xuất các thiết bị khác",
+  "sessions.device": "{{browser}} trên {{os}}",
+  "sessions.browser": "Trình duyệt",
+  "sessions.unknown_os": "hệ điều hành không rõ",
+  "sessions.unknown_device": "Thiết bị không rõ",
+
+  // Sign in
+  "login.login": "Đăng nhập",
+  "login.login_subtitle": "Đăng nhập vào tài khoản của bạn",
+  "login.create_account": "Tạo tài khoản",
+  "login.create_account_subtitle": "Tạo tài khoản của bạn",
+  "login.sign_in_link": "Liên kết đăng nhập",
+  "login.magic_link_subtitle":
+    "Chúng tôi sẽ gửi cho bạn một liên kết và một mã để đăng nhập",
+  "login.forgot_password": "Quên mật khẩu",
+  "login.code_placeholder": "Mã 6 chữ số trong email",
+  "login.sign_up": "Đăng ký",
+  "login.sign_in": "Đăng nhập",
+  "login.email_me_link": "Gửi cho tôi liên kết đăng nhập",
+  "login.invite_code": "Mã mời",
+  "login.invite_code_hint":
+    "Chỉ đăng ký được khi có lời mời. Nhập mã mời, hoặc mở liên kết trong email lời mời của một tổ chức.",
+  "login.invitation_signup":
+    "Hãy đăng ký bằng địa chỉ email đã nhận lời mời của tổ chức.",
+  "login.allowed_domains": "Chỉ địa chỉ thuộc {{domains}} mới được đăng ký.",
+  "login.passkey": "Đăng nhập bằng khóa truy cập",
+  "login.sign_in_with": "Đăng nhập bằng {{provider}}",
+  "login.back_to_login": "Quay lại đăng nhập",
+  "login.have_account": "Đã có tài khoản?",
+  "login.no_account": "Chưa có tài khoản?",
+  "magic_link.title": "Đang đăng nhập...",
+  "magic_link.checking":
+    "Vui lòng chờ trong khi chúng tôi kiểm tra liên kết đăng nhập.",
+  "two_factor.title": "Xác thực hai lớp",
+  "two_factor.enter_app_code": "Nhập mã 6 chữ số từ ứng dụng xác thực.",
+  "two_factor.enter_backup_code": "Nhập một trong các mã dự phòng của bạn.",
+  "two_factor.use_app": "Dùng ứng dụng xác thực",
+  "two_factor.use_backup_code": "Dùng mã dự phòng",
+  "two_factor.verify": "Xác minh",
+  "consent.title": "Cấp quyền cho {{client}}",
+  "consent.intro":
+    "{{client}} muốn dùng tài khoản của bạn để đăng nhập. Ứng dụng sẽ có thể:",
+  "consent.scope.openid": "Biết bạn là ai",
+  "consent.scope.profile": "Xem tên của bạn",
+  "consent.scope.email":
+    "Xem địa chỉ email của bạn và email đã được xác minh hay chưa",
+  "consent.allow": "Cho phép",
+  "consent.deny": "Từ chối",
+  "consent.invalid_redirect": "Ứng dụng trả về một địa chỉ không hợp lệ",
+
+  // Email verification and password reset
+  "email_verify.title": "Mã OTP xác minh email",
+  "email_verify.intro": "Nhập mã 6 chữ số đã gửi đến email của bạn.",
+  "email_verify.submit": "Xác minh email",
+  "reset_password.title": "Đặt lại mật khẩu",
+  "reset_password.enter_email": "Nhập địa chỉ email của bạn.",
+  "reset_password.email_placeholder": "Email của bạn",
+  "reset_password.otp_title": "Mã OTP đặt lại mật khẩu",
+  "reset_password.enter_new_password": "Nhập mật khẩu mới của bạn bên dưới.",
+  "reset_password.new_password_placeholder": "Mật khẩu mới của bạn",
+  "password_strength.very_weak": "Rất yếu",
+  "password_strength.weak": "Yếu",
+  "password_strength.fair": "Trung bình",
+  "password_strength.strong": "Mạnh",
+  "password_strength.very_strong": "Rất mạnh",
+
+  // Account
+  "account_settings.title": "Cài đặt tài khoản",
+  "account_settings.login_required": "Đăng nhập để quản lý tài khoản.",
+  "account_settings.profile": "Hồ sơ",
+  "account_settings.upload_avatar": "Tải lên ảnh đại diện mới",
+  "account_settings.remove_avatar": "Xóa ảnh đại diện",
+  "account_settings.save_profile": "Lưu hồ sơ",
+  "account_settings.change_email": "Đổi email",
+  "account_settings.enter_code_sent_to": "Nhập mã chúng tôi đã gửi đến",
+  "account_settings.confirmation_code": "Mã xác nhận",
+  "account_settings.confirm_new_email": "Xác nhận email mới",
+  "account_settings.new_email": "Email mới",
+  "account_settings.send_confirmation_code": "Gửi mã xác nhận",
+  "account_settings.change_password": "Đổi mật khẩu",
+  "account_settings.set_a_password": "Đặt mật khẩu",
+  "account_settings.set_password": "Đặt mật khẩu",
+  "account_settings.other_devices_logged_out":
+    "Các thiết bị khác của bạn sẽ bị đăng xuất.",
+  "account_settings.danger_zone": "Vùng nguy hiểm",
+  "account_settings.export_description":
+    "Tải xuống bản sao mọi dữ liệu chúng tôi lưu về bạn.",
+  "account_settings.export": "Tải xuống dữ liệu của tôi",
+  "account_settings.delete_description":
+    "Xóa tài khoản sẽ đăng xuất bạn trên mọi thiết bị. Dữ liệu của bạn bị xóa sau một thời gian chờ, hãy đăng nhập lại trước thời điểm đó để hủy.",
+  "account_settings.delete": "Xóa tài khoản của tôi",
+  "account_settings.delete_confirm":
+    "Xóa tài khoản của bạn và toàn bộ dữ liệu?",
+  "email_change_undo.title": "Hoàn tác đổi email",
+  "email_change_undo.intro":
+    "Nếu bạn không đổi địa chỉ email của tài khoản, hãy hoàn tác để lấy lại địa chỉ cũ.",
+  "email_change_undo.undo": "Không phải tôi, hoàn tác thay đổi",
+  "email_change_undo.done":
+    "Địa chỉ email cũ đã được khôi phục và mọi thiết bị đã bị đăng xuất. Hãy đặt lại mật khẩu để bảo vệ tài khoản.",
+  "email_change_undo.reset_password": "Đặt lại mật khẩu",
+  "two_factor.login_required": "Đăng nhập để quản lý xác thực hai lớp.",
+  "two_factor.intro": "Bảo vệ tài khoản của bạn bằng ứng dụng xác thực.",
+  "two_factor.enable": "Bật xác thực hai lớp",
+  "two_factor.scan_qr_code":
+    "Quét mã QR này bằng ứng dụng xác thực, sau đó nhập mã hiển thị.",
+  "two_factor.qr_code": "Mã QR xác thực hai lớp",
+  "two_factor.confirm": "Xác nhận",
+  "two_factor.code_placeholder": "Mã xác thực hoặc mã dự phòng",
+  "two_factor.enabled": "Xác thực hai lớp đang bật. Nhập mã để thay đổi.",
+  "two_factor.new_backup_codes": "Tạo mã dự phòng mới",
+  "two_factor.disable": "Tắt xác thực hai lớp",
+  "two_factor.save_backup_codes":
+    "Hãy lưu các mã dự phòng này ở nơi an toàn. Mỗi mã dùng được một lần nếu bạn mất quyền truy cập ứng dụng xác thực.",
+  "passkeys.title": "Khóa truy cập",
+  "passkeys.login_required": "Đăng nhập để quản lý khóa truy cập.",
+  "passkeys.empty": "Chưa có khóa truy cập nào.",
+  "passkeys.last_used": "Dùng lần cuối {{date}}",
+  "passkeys.never_used": "Chưa từng dùng",
+  "passkeys.remove": "Xóa",
+  "passkeys.name_placeholder": "Tên khóa, ví dụ: Máy tính của tôi",
+  "passkeys.add": "Thêm khóa truy cập",
+  "access_tokens.title": "Mã truy cập",
+  "access_tokens.login_required": "Đăng nhập để quản lý mã truy cập.",
+  "access_tokens.intro":
+    "Mã truy cập cho phép script và ứng dụng khác dùng API thay bạn. Gửi mã trong header Authorization: Bearer.",
+  "access_tokens.empty": "Chưa có mã truy cập nào.",
+  "access_tokens.last_used": "Dùng lần cuối {{date}} từ {{ip}}",
+  "access_tokens.never_used": "Chưa từng dùng",
+  "access_tokens.expires": "Hết hạn {{date}}",
+  "access_tokens.expired": "Đã hết hạn",
+  "access_tokens.revoke": "Thu hồi",
+  "access_tokens.revoke_confirm":
+    "Thu hồi mã này? Mọi thứ đang dùng mã sẽ ngừng hoạt động.",
+  "access_tokens.new": "Mã mới",
+  "access_tokens.name_placeholder": "Tên mã, ví dụ: Script sao lưu",
+  "access_tokens.scopes": "Phạm vi",
+  "access_tokens.expiry": "Hết hạn sau",
+  "access_tokens.days": "{{count}} ngày",
+  "access_tokens.create": "Tạo mã",
+  "access_tokens.copy_now":
+    "Hãy sao chép mã mới ngay, mã sẽ không được hiển thị lại.",
+  "access_tokens.copy": "Sao chép",
+  "access_tokens.copied": "Đã sao chép mã",
+  "access_tokens.done": "Xong",
+  "access_tokens.scope.profile:read": "Xem hồ sơ và xuất dữ liệu của bạn",
+  "access_tokens.scope.profile:write": "Cập nhật hồ sơ và ảnh đại diện",
+  "access_tokens.scope.activity:read": "Xem hoạt động tài khoản",
+  "access_tokens.scope.sessions:read": "Xem các phiên đăng nhập",
+  "access_tokens.scope.sessions:write": "Đăng xuất các phiên",
+  "access_tokens.scope.admin:read":
+    "Xem người dùng và nhật ký, nếu bạn là quản trị viên",
+  "access_tokens.scope.admin:write":
+    "Quản lý người dùng, nếu bạn là quản trị viên",
+  "orgs.title": "Tổ chức",
+  "orgs.login_required": "Đăng nhập để quản lý tổ chức của bạn.",
+  "orgs.empty": "Bạn chưa thuộc tổ chức nào.",
+  "orgs.active": "Đang dùng",
+  "orgs.switch": "Chuyển",
+  "orgs.personal": "Làm việc ngoài mọi tổ chức",
+  "orgs.name_placeholder": "Tên tổ chức",
+  "orgs.create": "Tạo",
+  "orgs.rename": "Đổi tên",
+  "orgs.members": "Thành viên ({{count}})",
+  "orgs.you": "(bạn)",
+  "orgs.remove": "Xóa",
+  "orgs.remove_confirm": "Xóa {{name}} khỏi tổ chức?",
+  "orgs.invitations": "Lời mời đang chờ",
+  "orgs.no_invitations": "Không có lời mời nào đang chờ.",
+  "orgs.invitation_expires": "hết hạn {{date}}",
+  "orgs.revoke": "Thu hồi",
+  "orgs.invite_placeholder": "Email cần mời",
+  "orgs.invite": "Mời",
+  "orgs.leave": "Rời tổ chức",
+  "orgs.leave_confirm": "Rời tổ chức này?",
+  "orgs.delete": "Xóa tổ chức",
+  "orgs.delete_confirm":
+    "Xóa tổ chức này cho tất cả thành viên? Không thể hoàn tác.",
+  "orgs.role.owner": "Chủ sở hữu",
+  "orgs.role.admin": "Quản trị viên",
+  "orgs.role.member": "Thành viên",
+  "invitation.title": "Lời mời",
+  "invitation.intro":
+    "{{inviter}} đã mời bạn tham gia {{organization}} với vai trò {{role}}.",
+  "invitation.for": "Dành cho {{email}}, có hiệu lực đến {{date}}.",
+  "invitation.accept": "Chấp nhận lời mời",
+  "invitation.login_required":
+    "Đăng nhập hoặc đăng ký bằng địa chỉ được mời để chấp nhận.",
+  "invitation.login": "Đăng nhập hoặc đăng ký",
+  "linked_accounts.title": "Tài khoản liên kết",
+  "linked_accounts.login_required": "Đăng nhập để quản lý tài khoản liên kết.",
+  "linked_accounts.no_providers":
+    "Không có nhà cung cấp đăng nhập mạng xã hội nào.",
+  "linked_accounts.link": "Liên kết",
+  "linked_accounts.unlink": "Hủy liên kết",
+  "linked_accounts.linked": "Đã liên kết nhà cung cấp",
+  "activity.title": "Hoạt động tài khoản",
+  "activity.login_required": "Đăng nhập để xem hoạt động tài khoản.",
+  "activity.empty": "Chưa có hoạt động nào.",
+
+  // Admin console
+  "admin.title": "Người dùng",
+  "admin.no_access": "Bạn không có quyền truy cập trang quản trị.",
+  "admin.search_placeholder": "Tìm theo tên hoặc email",
+  "admin.any_email": "Mọi email",
+  "admin.verified": "Đã xác minh",
+  "admin.not_verified": "Chưa xác minh",
+  "admin.any_status": "Mọi trạng thái",
+  "admin.active": "Hoạt động",
+  "admin.disabled": "Đã vô hiệu hóa",
+  "admin.created_from": "Tạo từ ngày",
+  "admin.created_to": "Tạo đến ngày",
+  "admin.user_count": "{{count}} người dùng",
+  "admin.audit_log": "Nhật ký kiểm tra",
+  "admin.empty": "Không tìm thấy người dùng nào.",
+  "admin.status": "Trạng thái",
+  "admin.created": "Ngày tạo",
+  "admin.sign_in_methods": "Phương thức đăng nhập",
+  "admin.passkey_count": "{{count}} khóa truy cập",
+  "admin.none": "Không có",
+  "admin.two_factor": "Xác thực hai lớp",
+  "admin.on": "Bật",
+  "admin.off": "Tắt",
+  "admin.active_sessions": "Phiên đang hoạt động",
+  "admin.roles": "Vai trò",
+  "admin.mark_verified": "Đánh dấu email đã xác minh",
+  "admin.send_password_reset": "Gửi email đặt lại mật khẩu",
+  "admin.enable_account": "Kích hoạt tài khoản",
+  "admin.disable_account": "Vô hiệu hóa tài khoản",
+  "admin.delete_user": "Xóa người dùng",
+  "admin.delete_confirm": "Xóa {{email}} và toàn bộ dữ liệu của người này?",
+  "admin.view_activity": "Xem hoạt động",
+  "admin.back_to_users": "Quay lại danh sách người dùng",
+  "admin.invite_codes": "Mã mời",
+  "admin_invites.title": "Mã mời",
+  "admin_invites.not_required":
+    "Hiện không giới hạn đăng ký theo lời mời, nên đăng ký không cần mã.",
+  "admin_invites.note_placeholder": "Ghi chú, ví dụ: mã dành cho ai",
+  "admin_invites.max_uses": "Số lượt tối đa",
+  "admin_invites.expires_in_days": "Số ngày hiệu lực",
+  "admin_invites.create": "Tạo mã",
+  "admin_invites.copy_now":
+    "Hãy sao chép mã mời mới ngay, mã sẽ không được hiển thị lại.",
+  "admin_invites.copy": "Sao chép",
+  "admin_invites.copied": "Đã sao chép mã mời",
+  "admin_invites.done": "Xong",
+  "admin_invites.empty": "Chưa có mã mời nào.",
+  "admin_invites.uses": "Đã dùng {{uses}} lần",
+  "admin_invites.uses_of": "Đã dùng {{uses}}/{{max}}",
+  "admin_invites.expires": "hết hạn {{date}}",
+  "admin_invites.no_expiry": "không hết hạn",
+  "admin_invites.revoke": "Thu hồi",
+  "admin_invites.revoke_confirm": "Thu hồi mã mời này?",
+  "admin_invites.status.revoked": "Đã thu hồi",
+  "admin_invites.status.expired": "Đã hết hạn",
+  "admin_invites.status.used_up": "Đã hết lượt",
+  "admin_audit.title": "Nhật ký kiểm tra",
+  "admin_audit.no_access": "Bạn không có quyền xem nhật ký kiểm tra.",
+  "admin_audit.any_event": "Mọi sự kiện",
+  "admin_audit.any_outcome": "Mọi kết quả",
+  "admin_audit.empty": "Không tìm thấy sự kiện nào.",
+  "admin_audit.unknown_user": "Người dùng không rõ",
+
+  // Audit events, see utils/auditEvents.js
+  "audit.succeeded": "Thành công",
+  "audit.failed": "Thất bại",
+  "audit.register": "Tạo tài khoản",
+  "audit.login": "Đăng nhập",
+  "audit.logout": "Đăng xuất",
+  "audit.token.refresh": "Làm mới phiên",
+  "audit.otp.send": "Gửi mã",
+  "audit.email.verify": "Xác minh email",
+  "audit.password.reset": "Đặt lại mật khẩu",
+  "audit.password.change": "Đổi mật khẩu",
+  "audit.profile.update": "Cập nhật hồ sơ",
+  "audit.avatar.update": "Đổi ảnh đại diện",
+  "audit.avatar.remove": "Xóa ảnh đại diện",
+  "audit.email.change.request": "Yêu cầu đổi email",
+  "audit.email.change": "Đổi email",
+  "audit.email.change.undo": "Hoàn tác đổi email",
+  "audit.account.export": "Xuất dữ liệu",
+  "audit.account.delete": "Yêu cầu xóa tài khoản",
+  "audit.account.delete.cancel": "Hủy xóa tài khoản",
+  "audit.account.purge": "Xóa vĩnh viễn tài khoản",
+  "audit.2fa.enable": "Bật xác thực hai lớp",
+  "audit.2fa.disable": "Tắt xác thực hai lớp",
+  "audit.2fa.backup-codes": "Tạo lại mã dự phòng",
+  "audit.session.revoke": "Thu hồi phiên",
+  "audit.session.revoke-others": "Thu hồi các phiên khác",
+  "audit.account.link": "Liên kết tài khoản",
+  "audit.account.unlink": "Hủy liên kết tài khoản",
+  "audit.passkey.add": "Thêm khóa truy cập",
+  "audit.passkey.remove": "Xóa khóa truy cập",
+  "audit.access-token.create": "Tạo mã truy cập",
+  "audit.access-token.revoke": "Thu hồi mã truy cập",
+  "audit.org.create": "Tạo tổ chức",
+  "audit.org.update": "Đổi tên tổ chức",
+  "audit.org.delete": "Xóa tổ chức",
+  "audit.org.invite": "Mời thành viên",
+  "audit.org.invite.revoke": "Thu hồi lời mời",
+  "audit.org.invite.accept": "Chấp nhận lời mời",
+  "audit.org.member.role": "Đổi vai trò trong tổ chức",
+  "audit.org.member.remove": "Bị xóa khỏi tổ chức",
+  "audit.org.leave": "Rời tổ chức",
+  "audit.admin.user.disable": "Quản trị viên vô hiệu hóa tài khoản",
+  "audit.admin.user.enable": "Quản trị viên kích hoạt tài khoản",
+  "audit.admin.user.verify": "Quản trị viên xác minh email",
+  "audit.admin.user.reset-password": "Quản trị viên gửi email đặt lại mật khẩu",
+  "audit.admin.user.roles": "Quản trị viên đổi vai trò",
+  "audit.admin.user.delete": "Quản trị viên xóa tài khoản",
+  "audit.admin.invite-code.create": "Tạo mã mời",
+  "audit.admin.invite-code.revoke": "Thu hồi mã mời",
+};
@@ -0,0 +1,255 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+import FieldError from "../components/FieldError";
+
+// Offered token lifetimes in days, every token expires within a year
+const EXPIRY_DAYS = ["7", "30", "90", "365"];
+
+const AccessTokens = () => {
+  const navigate = useNavigate();
+  const { backend_url, userData, locale, t } = useContext(AppContext);
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState("30");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newToken, setNewToken] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  axios.defaults.withCredentials = true;
+
+  const formatDate = (date) => new Date(date).toLocaleString(locale);
+
+  const getTokens = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/user/tokens");
+      setTokens(data.tokens);
+      setAvailableScopes(data.scopes);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const toggleScope = (scope) =>
+    setScopes(
+      scopes.includes(scope)
+        ? scopes.filter((selected) => selected !== scope)
+        : [...scopes, scope]
+    );
+
+  const createToken = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+    try {
+      const { data } = await axios.post(backend_url + "/api/user/tokens", {
+        name,
+        scopes,
+        expiresInDays: Number(expiresInDays),
+        currentPassword,
+      });
+      toast.success(data.message);
+      // The value is only returned this once
+      setNewToken(data.token);
+      setName("");
+      setScopes([]);
+      setCurrentPassword("");
+      getTokens();
+    } catch (error) {
+      toast.error(error.message);
+      setFieldErrors(error.fields || {});
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success(t("access_tokens.copied"));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const revokeToken = async (id) => {
+    if (!window.confirm(t("access_tokens.revoke_confirm"))) return;
+    try {
+      const { data } = await axios.delete(
+        backend_url + "/api/user/tokens/" + id
+      );
+      toast.success(data.message);
+      getTokens();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    userData && getTokens();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userData]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("access_tokens.title")}
+        </h1>
+        {!userData && (
+          <p className="text-center">{t("access_tokens.login_required")}</p>
+        )}
+        {userData && (
+          <>
+            <p className="mb-4">{t("access_tokens.intro")}</p>
+            {newToken && (
+              <div className="mb-6 p-4 rounded-lg border border-green-600">
+                <p className="mb-2">{t("access_tokens.copy_now")}</p>
+                <p className="mb-3 font-mono text-white break-all">
+                  {newToken}
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    className="flex-1 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                    onClick={copyToken}
+                  >
+                    {t("access_tokens.copy")}
+                  </button>
+                  <button
+                    className="flex-1 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                    onClick={() => setNewToken("")}
+                  >
+                    {t("access_tokens.done")}
+                  </button>
+                </div>
+              </div>
+            )}
+            <ul className="mb-6">
+              {tokens.length === 0 && (
+                <li className="text-center">{t("access_tokens.empty")}</li>
+              )}
+              {tokens.map((token) => (
+                <li
+                  key={token.id}
+                  className="flex justify-between items-center gap-2 py-3 border-b border-[#333A5C]"
+                >
+                  <div>
+                    <p className="text-white font-medium">
+                      {token.name}{" "}
+                      <span className="font-mono text-xs text-indigo-300">
+                        {token.prefix}…
+                      </span>
+                    </p>
+                    <p className="text-xs">{token.scopes.join(", ")}</p>
+                    <p className="text-xs">
+                      {token.lastUsedAt
+                        ? t("access_tokens.last_used", {
+                            date: formatDate(token.lastUsedAt),
+                            ip: token.lastUsedIp,
+                          })
+                        : t("access_tokens.never_used")}
+                    </p>
+                    <p className="text-xs">
+                      {new Date(token.expiresAt) < new Date()
+                        ? t("access_tokens.expired")
+                        : t("access_tokens.expires", {
+                            date: formatDate(token.expiresAt),
+                          })}
+                    </p>
+                  </div>
+                  <button
+                    className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                    onClick={() => revokeToken(token.id)}
+                  >
+                    {t("access_tokens.revoke")}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={createToken}>
+              <h2 className="text-white font-medium mb-3">
+                {t("access_tokens.new")}
+              </h2>
+              <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                <img src={assets.lock_icon} alt="" className="w-3 h-3" />
+                <input
+                  type="text"
+                  placeholder={t("access_tokens.name_placeholder")}
+                  required
+                  maxLength={100}
+                  className="bg-transparent outline-none text-white"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                />
+              </div>
+              <FieldError message={fieldErrors.name} />
+              <p className="mb-2">{t("access_tokens.scopes")}</p>
+              <div className="mb-4">
+                {availableScopes.map((scope) => (
+                  <label
+                    key={scope}
+                    className="flex items-start gap-2 mb-1 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      className="mt-0.5"
+                      checked={scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                    />
+                    <span>
+                      <span className="font-mono text-white">{scope}</span>
+                      {" – "}
+                      {t("access_tokens.scope." + scope)}
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <FieldError message={fieldErrors.scopes} className="-mt-2 mb-4" />
+              <label className="flex items-center justify-between mb-4">
+                {t("access_tokens.expiry")}
+                <select
+                  className="px-3 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                  value={expiresInDays}
+                  onChange={(e) => setExpiresInDays(e.target.value)}
+                >
+                  {EXPIRY_DAYS.map((days) => (
+                    <option key={days} value={days}>
+                      {t("access_tokens.days", { count: days })}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {userData.hasPassword && (
+                <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                  <img src={assets.lock_icon} alt="" />
+                  <input
+                    type="password"
+                    placeholder={t("common.current_password")}
+                    autoComplete="current-password"
+                    required
+                    className="bg-transparent outline-none text-white"
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                  />
+                </div>
+              )}
+              <FieldError message={fieldErrors.currentPassword} />
+              <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                {t("access_tokens.create")}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccessTokens;
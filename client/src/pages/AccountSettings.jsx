@@ -0,0 +1,389 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+import PasswordStrength from "../components/PasswordStrength";
+import LanguageSwitcher from "../components/LanguageSwitcher";
+import FieldError from "../components/FieldError";
+
+const AccountSettings = () => {
+  const navigate = useNavigate();
+  const { backend_url, userData, getUserData, setIsLoggedIn, setUserData, t } =
+    useContext(AppContext);
+  const [name, setName] = useState("");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [newEmail, setNewEmail] = useState("");
+  const [emailPassword, setEmailPassword] = useState("");
+  const [emailCode, setEmailCode] = useState("");
+  const [deletePassword, setDeletePassword] = useState("");
+  // Invalid fields of the form submitted last, keyed by form
+  const [fieldErrors, setFieldErrors] = useState({});
+  axios.defaults.withCredentials = true;
+
+  const showFormError = (form, error) => {
+    toast.error(error.message);
+    setFieldErrors({ [form]: error.fields || {} });
+  };
+
+  const onAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const formData = new FormData();
+      formData.append("avatar", file);
+      const { data } = await axios.post(
+        backend_url + "/api/user/avatar",
+        formData
+      );
+      toast.success(data.message);
+      getUserData();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const removeAvatar = async () => {
+    try {
+      await axios.delete(backend_url + "/api/user/avatar");
+      getUserData();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const onSaveProfile = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+    try {
+      const { data } = await axios.patch(backend_url + "/api/user/profile", {
+        name,
+      });
+      toast.success(data.message);
+      getUserData();
+    } catch (error) {
+      showFormError("profile", error);
+    }
+  };
+
+  const onChangePassword = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+    try {
+      const { data } = await axios.post(backend_url + "/api/user/password", {
+        currentPassword,
+        newPassword,
+      });
+      toast.success(data.message);
+      setCurrentPassword("");
+      setNewPassword("");
+      getUserData();
+    } catch (error) {
+      showFormError("password", error);
+    }
+  };
+
+  // Send a confirmation code to the new address, or confirm it
+  const onChangeEmail = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+    try {
+      const { data } = userData.pendingEmail
+        ? await axios.post(backend_url + "/api/user/email/confirm", {
+            code: emailCode,
+          })
+        : await axios.post(backend_url + "/api/user/email", {
+            newEmail,
+            currentPassword: emailPassword,
+          });
+      toast.success(data.message);
+      setNewEmail("");
+      setEmailPassword("");
+      setEmailCode("");
+      getUserData();
+    } catch (error) {
+      showFormError("email", error);
+    }
+  };
+
+  const cancelEmailChange = async () => {
+    try {
+      await axios.delete(backend_url + "/api/user/email");
+      getUserData();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Download everything the server holds about the user as a JSON file
+  const exportData = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/user/export");
+      const blob = new Blob([JSON.stringify(data.archive, null, 2)], {
+        type: "application/json",
+      });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = "mern-auth-data.json";
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const onDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(t("account_settings.delete_confirm"))) return;
+    try {
+      const { data } = await axios.post(backend_url + "/api/user/delete", {
+        currentPassword: deletePassword,
+      });
+      toast.success(data.message);
+      setIsLoggedIn(false);
+      setUserData(false);
+      navigate("/");
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    userData && setName(userData.name);
+  }, [userData]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("account_settings.title")}
+        </h1>
+        {!userData && (
+          <p className="text-center">{t("account_settings.login_required")}</p>
+        )}
+        {userData && (
+          <>
+            <form onSubmit={onSaveProfile} className="mb-8">
+              <h2 className="text-white font-medium mb-3">
+                {t("account_settings.profile")}
+              </h2>
+              <div className="flex items-center gap-4 mb-4">
+                <img
+                  src={userData.avatarUrl || assets.header_img}
+                  alt=""
+                  className="w-16 h-16 rounded-full"
+                />
+                <div className="flex flex-col gap-1">
+                  <label className="text-blue-400 cursor-pointer underline">
+                    {t("account_settings.upload_avatar")}
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,image/webp,image/gif"
+                      className="hidden"
+                      onChange={onAvatarChange}
+                    />
+                  </label>
+                  {userData.avatarUrl && (
+                    <span
+                      className="text-blue-400 cursor-pointer underline"
+                      onClick={removeAvatar}
+                    >
+                      {t("account_settings.remove_avatar")}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <p className="mb-3">{userData.email}</p>
+              <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                <img src={assets.person_icon} alt="" />
+                <input
+                  type="text"
+                  placeholder={t("common.full_name")}
+                  required
+                  maxLength={100}
+                  className="bg-transparent outline-none text-white"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                />
+              </div>
+              <FieldError message={fieldErrors.profile?.name} />
+              <button className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                {t("account_settings.save_profile")}
+              </button>
+            </form>
+            <div className="mb-8">
+              <h2 className="text-white font-medium mb-3">
+                {t("language.label")}
+              </h2>
+              <div className="w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                <LanguageSwitcher className="w-full text-white" />
+              </div>
+            </div>
+            <form onSubmit={onChangeEmail} className="mb-8">
+              <h2 className="text-white font-medium mb-3">
+                {t("account_settings.change_email")}
+              </h2>
+              {userData.pendingEmail ? (
+                <>
+                  <p className="mb-3">
+                    {t("account_settings.enter_code_sent_to")}{" "}
+                    <span className="text-white">{userData.pendingEmail}</span>.
+                  </p>
+                  <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                    <img src={assets.lock_icon} alt="" />
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      placeholder={t("account_settings.confirmation_code")}
+                      required
+                      className="bg-transparent outline-none text-white"
+                      value={emailCode}
+                      onChange={(e) => setEmailCode(e.target.value)}
+                    />
+                  </div>
+                  <FieldError message={fieldErrors.email?.code} />
+                  <button className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                    {t("account_settings.confirm_new_email")}
+                  </button>
+                  <p
+                    className="text-center mt-3 text-blue-400 cursor-pointer underline"
+                    onClick={cancelEmailChange}
+                  >
+                    {t("common.cancel")}
+                  </p>
+                </>
+              ) : (
+                <>
+                  <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                    <img src={assets.mail_icon} alt="" />
+                    <input
+                      type="email"
+                      placeholder={t("account_settings.new_email")}
+                      required
+                      className="bg-transparent outline-none text-white"
+                      value={newEmail}
+                      onChange={(e) => setNewEmail(e.target.value)}
+                    />
+                  </div>
+                  <FieldError message={fieldErrors.email?.newEmail} />
+                  {userData.hasPassword && (
+                    <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                      <img src={assets.lock_icon} alt="" />
+                      <input
+                        type="password"
+                        placeholder={t("common.current_password")}
+                        autoComplete="current-password"
+                        required
+                        className="bg-transparent outline-none text-white"
+                        value={emailPassword}
+                        onChange={(e) => setEmailPassword(e.target.value)}
+                      />
+                    </div>
+                  )}
+                  <FieldError message={fieldErrors.email?.currentPassword} />
+                  <button className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                    {t("account_settings.send_confirmation_code")}
+                  </button>
+                </>
+              )}
+            </form>
+            <form onSubmit={onChangePassword}>
+              <h2 className="text-white font-medium mb-3">
+                {userData.hasPassword
+                  ? t("account_settings.change_password")
+                  : t("account_settings.set_a_password")}
+              </h2>
+              {userData.hasPassword && (
+                <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                  <img src={assets.lock_icon} alt="" />
+                  <input
+                    type="password"
+                    placeholder={t("common.current_password")}
+                    autoComplete="current-password"
+                    required
+                    className="bg-transparent outline-none text-white"
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                  />
+                </div>
+              )}
+              <FieldError message={fieldErrors.password?.currentPassword} />
+              <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                <img src={assets.lock_icon} alt="" />
+                <input
+                  type="password"
+                  placeholder={t("common.new_password")}
+                  autoComplete="new-password"
+                  required
+                  className="bg-transparent outline-none text-white"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                />
+              </div>
+              <FieldError message={fieldErrors.password?.newPassword} />
+              <PasswordStrength
+                password={newPassword}
+                name={userData.name}
+                email={userData.email}
+              />
+              <p className="mb-4 text-xs">
+                {t("account_settings.other_devices_logged_out")}
+              </p>
+              <button className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                {userData.hasPassword
+                  ? t("account_settings.change_password")
+                  : t("account_settings.set_password")}
+              </button>
+            </form>
+            <div className="mt-8 p-4 rounded-lg border border-red-700">
+              <h2 className="text-red-400 font-medium mb-3">
+                {t("account_settings.danger_zone")}
+              </h2>
+              <p className="mb-3">{t("account_settings.export_description")}</p>
+              <button
+                className="w-full mb-6 py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                onClick={exportData}
+              >
+                {t("account_settings.export")}
+              </button>
+              <form onSubmit={onDeleteAccount}>
+                <p className="mb-3">
+                  {t("account_settings.delete_description")}
+                </p>
+                {userData.hasPassword && (
+                  <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                    <img src={assets.lock_icon} alt="" />
+                    <input
+                      type="password"
+                      placeholder={t("common.current_password")}
+                      autoComplete="current-password"
+                      required
+                      className="bg-transparent outline-none text-white"
+                      value={deletePassword}
+                      onChange={(e) => setDeletePassword(e.target.value)}
+                    />
+                  </div>
+                )}
+                <button className="w-full py-2.5 rounded-full bg-red-700 text-white cursor-pointer">
+                  {t("account_settings.delete")}
+                </button>
+              </form>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountSettings;
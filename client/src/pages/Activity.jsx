@@ -0,0 +1,109 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+import { describeEvent } from "../utils/auditEvents";
+
+const Activity = () => {
+  const navigate = useNavigate();
+  const { backend_url, userData, locale, t } = useContext(AppContext);
+  const [events, setEvents] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  axios.defaults.withCredentials = true;
+
+  const getActivity = async (pageToLoad) => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/user/activity", {
+        params: { page: pageToLoad },
+      });
+      setEvents(data.events);
+      setPage(data.page);
+      setPages(data.pages);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    userData && getActivity(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userData]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("activity.title")}
+        </h1>
+        {!userData && (
+          <p className="text-center">{t("activity.login_required")}</p>
+        )}
+        {userData && (
+          <>
+            <ul className="mb-6">
+              {events.length === 0 && (
+                <li className="text-center">{t("activity.empty")}</li>
+              )}
+              {events.map((event) => (
+                <li
+                  key={event.id}
+                  className="py-3 border-b border-[#333A5C]"
+                  title={event.userAgent}
+                >
+                  <p className="flex justify-between">
+                    <span className="text-white font-medium">
+                      {describeEvent(t, event)}
+                    </span>
+                    <span
+                      className={
+                        event.outcome === "success"
+                          ? "text-green-400"
+                          : "text-red-400"
+                      }
+                    >
+                      {event.outcome === "success"
+                        ? t("audit.succeeded")
+                        : t("audit.failed")}
+                    </span>
+                  </p>
+                  <p className="text-xs">
+                    {new Date(event.createdAt).toLocaleString(locale)} ·{" "}
+                    {event.ip}
+                  </p>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-between items-center">
+              <button
+                className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                disabled={page <= 1}
+                onClick={() => getActivity(page - 1)}
+              >
+                {t("pagination.newer")}
+              </button>
+              <span>{t("pagination.page", { page, pages })}</span>
+              <button
+                className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                disabled={page >= pages}
+                onClick={() => getActivity(page + 1)}
+              >
+                {t("pagination.older")}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Activity;
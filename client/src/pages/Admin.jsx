@@ -0,0 +1,199 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+const Admin = () => {
+  const navigate = useNavigate();
+  const { backend_url, hasPermission, locale, t } = useContext(AppContext);
+  const [users, setUsers] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState("");
+  const [verified, setVerified] = useState("");
+  const [status, setStatus] = useState("");
+  const [createdFrom, setCreatedFrom] = useState("");
+  const [createdTo, setCreatedTo] = useState("");
+  axios.defaults.withCredentials = true;
+
+  const canRead = hasPermission("users:read");
+
+  const getUsers = async (pageToLoad = page) => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/admin/users", {
+        params: {
+          page: pageToLoad,
+          search: search || undefined,
+          verified: verified || undefined,
+          status: status || undefined,
+          // Send the days in the admin's own timezone, the server has another
+          createdFrom: createdFrom
+            ? new Date(`${createdFrom}T00:00:00`).toISOString()
+            : undefined,
+          // Include the whole last day
+          createdTo: createdTo
+            ? new Date(`${createdTo}T23:59:59.999`).toISOString()
+            : undefined,
+        },
+      });
+      setUsers(data.users);
+      setPage(data.page);
+      setPages(data.pages);
+      setTotal(data.total);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const onSearch = (e) => {
+    e.preventDefault();
+    getUsers(1);
+  };
+
+  useEffect(() => {
+    canRead && getUsers(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canRead]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-full max-w-3xl mx-4 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("admin.title")}
+        </h1>
+        {!canRead && <p className="text-center">{t("admin.no_access")}</p>}
+        {canRead && (
+          <>
+            <form
+              onSubmit={onSearch}
+              className="flex flex-wrap items-end gap-3 mb-6"
+            >
+              <input
+                type="text"
+                placeholder={t("admin.search_placeholder")}
+                className="flex-1 min-w-40 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <select
+                className="px-3 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={verified}
+                onChange={(e) => setVerified(e.target.value)}
+              >
+                <option value="">{t("admin.any_email")}</option>
+                <option value="true">{t("admin.verified")}</option>
+                <option value="false">{t("admin.not_verified")}</option>
+              </select>
+              <select
+                className="px-3 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+              >
+                <option value="">{t("admin.any_status")}</option>
+                <option value="active">{t("admin.active")}</option>
+                <option value="disabled">{t("admin.disabled")}</option>
+              </select>
+              <label className="flex flex-col text-xs">
+                {t("admin.created_from")}
+                <input
+                  type="date"
+                  className="px-3 py-1.5 rounded-full bg-[#333A5C] text-white outline-none"
+                  value={createdFrom}
+                  onChange={(e) => setCreatedFrom(e.target.value)}
+                />
+              </label>
+              <label className="flex flex-col text-xs">
+                {t("admin.created_to")}
+                <input
+                  type="date"
+                  className="px-3 py-1.5 rounded-full bg-[#333A5C] text-white outline-none"
+                  value={createdTo}
+                  onChange={(e) => setCreatedTo(e.target.value)}
+                />
+              </label>
+              <button className="px-6 py-2 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                {t("common.search")}
+              </button>
+            </form>
+            <p className="flex justify-between mb-2">
+              {t("admin.user_count", { count: total })}
+              <span className="flex gap-4">
+                {hasPermission("invites:manage") && (
+                  <span
+                    className="text-blue-400 cursor-pointer underline"
+                    onClick={() => navigate("/admin/invites")}
+                  >
+                    {t("admin.invite_codes")}
+                  </span>
+                )}
+                {hasPermission("audit:read") && (
+                  <span
+                    className="text-blue-400 cursor-pointer underline"
+                    onClick={() => navigate("/admin/audit")}
+                  >
+                    {t("admin.audit_log")}
+                  </span>
+                )}
+              </span>
+            </p>
+            <ul className="mb-6">
+              {users.length === 0 && (
+                <li className="text-center">{t("admin.empty")}</li>
+              )}
+              {users.map((user) => (
+                <li
+                  key={user.id}
+                  className="flex justify-between items-center py-3 border-b border-[#333A5C] cursor-pointer hover:bg-[#333A5C] px-2"
+                  onClick={() => navigate("/admin/users/" + user.id)}
+                >
+                  <div>
+                    <p className="text-white font-medium">{user.name}</p>
+                    <p className="text-xs">{user.email}</p>
+                  </div>
+                  <div className="text-right text-xs">
+                    <p>
+                      {user.disabled
+                        ? t("admin.disabled")
+                        : user.isAccountVerified
+                        ? t("admin.verified")
+                        : t("admin.not_verified")}
+                    </p>
+                    <p>{new Date(user.createdAt).toLocaleDateString(locale)}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-between items-center">
+              <button
+                className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                disabled={page <= 1}
+                onClick={() => getUsers(page - 1)}
+              >
+                {t("pagination.previous")}
+              </button>
+              <span>{t("pagination.page", { page, pages })}</span>
+              <button
+                className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                disabled={page >= pages}
+                onClick={() => getUsers(page + 1)}
+              >
+                {t("pagination.next")}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,173 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+import { EVENT_TYPES, describeEvent } from "../utils/auditEvents";
+
+const AdminAudit = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { backend_url, hasPermission, locale, t } = useContext(AppContext);
+  const [events, setEvents] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [email, setEmail] = useState("");
+  const [type, setType] = useState("");
+  const [outcome, setOutcome] = useState("");
+  axios.defaults.withCredentials = true;
+
+  // Set when coming from a user's page in the admin console
+  const user = searchParams.get("user");
+  const canRead = hasPermission("audit:read");
+
+  const getEvents = async (pageToLoad) => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/admin/audit", {
+        params: {
+          page: pageToLoad,
+          user: user || undefined,
+          email: email || undefined,
+          type: type || undefined,
+          outcome: outcome || undefined,
+        },
+      });
+      setEvents(data.events);
+      setPage(data.page);
+      setPages(data.pages);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const onSearch = (e) => {
+    e.preventDefault();
+    getEvents(1);
+  };
+
+  useEffect(() => {
+    canRead && getEvents(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canRead, user]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-full max-w-3xl mx-4 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("admin_audit.title")}
+        </h1>
+        {!canRead && (
+          <p className="text-center">{t("admin_audit.no_access")}</p>
+        )}
+        {canRead && (
+          <>
+            <form
+              onSubmit={onSearch}
+              className="flex flex-wrap items-end gap-3 mb-6"
+            >
+              {!user && (
+                <input
+                  type="email"
+                  placeholder={t("common.email")}
+                  className="flex-1 min-w-40 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              )}
+              <select
+                className="px-3 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+              >
+                <option value="">{t("admin_audit.any_event")}</option>
+                {EVENT_TYPES.map((eventType) => (
+                  <option key={eventType} value={eventType}>
+                    {describeEvent(t, { type: eventType })}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="px-3 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={outcome}
+                onChange={(e) => setOutcome(e.target.value)}
+              >
+                <option value="">{t("admin_audit.any_outcome")}</option>
+                <option value="success">{t("audit.succeeded")}</option>
+                <option value="failure">{t("audit.failed")}</option>
+              </select>
+              <button className="px-6 py-2 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                {t("common.search")}
+              </button>
+            </form>
+            <ul className="mb-6">
+              {events.length === 0 && (
+                <li className="text-center">{t("admin_audit.empty")}</li>
+              )}
+              {events.map((event) => (
+                <li
+                  key={event.id}
+                  className="flex justify-between items-start gap-4 py-3 border-b border-[#333A5C]"
+                >
+                  <div>
+                    <p className="text-white font-medium">
+                      {describeEvent(t, event)}
+                    </p>
+                    <p className="text-xs">
+                      {event.email ||
+                        event.user ||
+                        t("admin_audit.unknown_user")}
+                      {event.metadata?.reason && " · " + event.metadata.reason}
+                    </p>
+                    <p className="text-xs" title={event.userAgent}>
+                      {event.ip}
+                    </p>
+                  </div>
+                  <div className="text-right text-xs shrink-0">
+                    <p
+                      className={
+                        event.outcome === "success"
+                          ? "text-green-400"
+                          : "text-red-400"
+                      }
+                    >
+                      {event.outcome === "success"
+                        ? t("audit.succeeded")
+                        : t("audit.failed")}
+                    </p>
+                    <p>{new Date(event.createdAt).toLocaleString(locale)}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-between items-center">
+              <button
+                className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                disabled={page <= 1}
+                onClick={() => getEvents(page - 1)}
+              >
+                {t("pagination.newer")}
+              </button>
+              <span>{t("pagination.page", { page, pages })}</span>
+              <button
+                className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                disabled={page >= pages}
+                onClick={() => getEvents(page + 1)}
+              >
+                {t("pagination.older")}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminAudit;
@@ -0,0 +1,223 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+import FieldError from "../components/FieldError";
+
+const AdminInvites = () => {
+  const navigate = useNavigate();
+  const { backend_url, hasPermission, locale, t } = useContext(AppContext);
+  const [inviteCodes, setInviteCodes] = useState([]);
+  const [mode, setMode] = useState("");
+  const [note, setNote] = useState("");
+  const [maxUses, setMaxUses] = useState("");
+  const [expiresInDays, setExpiresInDays] = useState("");
+  const [newCode, setNewCode] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  axios.defaults.withCredentials = true;
+
+  const canManage = hasPermission("invites:manage");
+
+  const getInviteCodes = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/admin/invite-codes");
+      setInviteCodes(data.inviteCodes);
+      setMode(data.mode);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const createInviteCode = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+    try {
+      const { data } = await axios.post(
+        backend_url + "/api/admin/invite-codes",
+        {
+          note: note || undefined,
+          maxUses: maxUses ? Number(maxUses) : undefined,
+          expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+        }
+      );
+      toast.success(data.message);
+      // The code is only returned this once
+      setNewCode(data.code);
+      setNote("");
+      setMaxUses("");
+      setExpiresInDays("");
+      getInviteCodes();
+    } catch (error) {
+      toast.error(error.message);
+      setFieldErrors(error.fields || {});
+    }
+  };
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(newCode);
+      toast.success(t("admin_invites.copied"));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const revokeInviteCode = async (id) => {
+    if (!window.confirm(t("admin_invites.revoke_confirm"))) return;
+    try {
+      const { data } = await axios.delete(
+        backend_url + "/api/admin/invite-codes/" + id
+      );
+      toast.success(data.message);
+      getInviteCodes();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    canManage && getInviteCodes();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canManage]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-full max-w-3xl mx-4 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("admin_invites.title")}
+        </h1>
+        {!canManage && <p className="text-center">{t("admin.no_access")}</p>}
+        {canManage && (
+          <>
+            <p
+              className="mb-4 text-blue-400 cursor-pointer underline"
+              onClick={() => navigate("/admin")}
+            >
+              {t("admin.back_to_users")}
+            </p>
+            {mode && mode !== "invite" && (
+              <p className="mb-4">{t("admin_invites.not_required")}</p>
+            )}
+            {newCode && (
+              <div className="mb-6 p-4 rounded-lg border border-green-600">
+                <p className="mb-2">{t("admin_invites.copy_now")}</p>
+                <p className="mb-3 font-mono text-lg text-white">{newCode}</p>
+                <div className="flex gap-2">
+                  <button
+                    className="flex-1 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                    onClick={copyCode}
+                  >
+                    {t("admin_invites.copy")}
+                  </button>
+                  <button
+                    className="flex-1 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                    onClick={() => setNewCode("")}
+                  >
+                    {t("admin_invites.done")}
+                  </button>
+                </div>
+              </div>
+            )}
+            <form
+              onSubmit={createInviteCode}
+              className="flex flex-wrap items-end gap-3 mb-2"
+            >
+              <input
+                type="text"
+                placeholder={t("admin_invites.note_placeholder")}
+                maxLength={200}
+                className="flex-1 min-w-40 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+              <input
+                type="number"
+                min={1}
+                placeholder={t("admin_invites.max_uses")}
+                className="w-32 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={maxUses}
+                onChange={(e) => setMaxUses(e.target.value)}
+              />
+              <input
+                type="number"
+                min={1}
+                max={365}
+                placeholder={t("admin_invites.expires_in_days")}
+                className="w-32 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(e.target.value)}
+              />
+              <button className="px-6 py-2 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                {t("admin_invites.create")}
+              </button>
+            </form>
+            <FieldError
+              message={
+                fieldErrors.note ||
+                fieldErrors.maxUses ||
+                fieldErrors.expiresInDays
+              }
+              className="mb-2 ml-5"
+            />
+            <ul className="mt-4">
+              {inviteCodes.length === 0 && (
+                <li className="text-center">{t("admin_invites.empty")}</li>
+              )}
+              {inviteCodes.map((inviteCode) => (
+                <li
+                  key={inviteCode.id}
+                  className="flex justify-between items-center gap-2 py-3 border-b border-[#333A5C]"
+                >
+                  <div>
+                    <p className="text-white">
+                      <span className="font-mono">…{inviteCode.hint}</span>
+                      {inviteCode.note && " · " + inviteCode.note}
+                    </p>
+                    <p className="text-xs">
+                      {inviteCode.maxUses
+                        ? t("admin_invites.uses_of", {
+                            uses: inviteCode.uses,
+                            max: inviteCode.maxUses,
+                          })
+                        : t("admin_invites.uses", { uses: inviteCode.uses })}
+                      {" · "}
+                      {inviteCode.expiresAt
+                        ? t("admin_invites.expires", {
+                            date: new Date(inviteCode.expiresAt).toLocaleString(
+                              locale
+                            ),
+                          })
+                        : t("admin_invites.no_expiry")}
+                    </p>
+                  </div>
+                  {inviteCode.status === "active" ? (
+                    <button
+                      className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                      onClick={() => revokeInviteCode(inviteCode.id)}
+                    >
+                      {t("admin_invites.revoke")}
+                    </button>
+                  ) : (
+                    <span className="px-4 py-1.5">
+                      {t("admin_invites.status." + inviteCode.status)}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminInvites;
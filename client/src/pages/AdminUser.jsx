@@ -0,0 +1,224 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+const ROLES = ["support", "admin"];
+
+const AdminUser = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const { backend_url, hasPermission, locale, t } = useContext(AppContext);
+  const [user, setUser] = useState(null);
+  axios.defaults.withCredentials = true;
+
+  const canRead = hasPermission("users:read");
+
+  const getUser = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/admin/users/" + id);
+      setUser(data.user);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Run an admin action, then reload the user or go back to the list
+  const runAction = async (request, afterwards = getUser) => {
+    try {
+      const { data } = await request();
+      toast.success(data.message);
+      afterwards();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const toggleRole = (role) => {
+    const roles = user.roles.includes(role)
+      ? user.roles.filter((item) => item !== role)
+      : [...user.roles, role];
+    runAction(() =>
+      axios.put(backend_url + "/api/admin/users/" + id + "/roles", { roles })
+    );
+  };
+
+  const deleteUser = () => {
+    if (!window.confirm(t("admin.delete_confirm", { email: user.email }))) {
+      return;
+    }
+    runAction(
+      () => axios.delete(backend_url + "/api/admin/users/" + id),
+      () => navigate("/admin")
+    );
+  };
+
+  useEffect(() => {
+    canRead && getUser();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canRead, id]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        {!canRead && <p className="text-center">{t("admin.no_access")}</p>}
+        {canRead && user && (
+          <>
+            <h1 className="text-white text-2xl font-semibold text-center">
+              {user.name}
+            </h1>
+            <p className="text-center mb-6">{user.email}</p>
+            <ul className="mb-6">
+              <li className="flex justify-between py-1.5">
+                <span>{t("admin.status")}</span>
+                <span className="text-white">
+                  {user.disabled ? t("admin.disabled") : t("admin.active")}
+                </span>
+              </li>
+              <li className="flex justify-between py-1.5">
+                <span>{t("common.email")}</span>
+                <span className="text-white">
+                  {user.isAccountVerified
+                    ? t("admin.verified")
+                    : t("admin.not_verified")}
+                </span>
+              </li>
+              <li className="flex justify-between py-1.5">
+                <span>{t("admin.created")}</span>
+                <span className="text-white">
+                  {new Date(user.createdAt).toLocaleString(locale)}
+                </span>
+              </li>
+              <li className="flex justify-between py-1.5">
+                <span>{t("admin.sign_in_methods")}</span>
+                <span className="text-white text-right">
+                  {[
+                    user.hasPassword && t("common.password"),
+                    user.passkeys > 0 &&
+                      t("admin.passkey_count", { count: user.passkeys }),
+                    ...user.linkedProviders,
+                  ]
+                    .filter(Boolean)
+                    .join(", ") || t("admin.none")}
+                </span>
+              </li>
+              <li className="flex justify-between py-1.5">
+                <span>{t("admin.two_factor")}</span>
+                <span className="text-white">
+                  {user.twoFactorEnabled ? t("admin.on") : t("admin.off")}
+                </span>
+              </li>
+              <li className="flex justify-between py-1.5">
+                <span>{t("admin.active_sessions")}</span>
+                <span className="text-white">{user.activeSessions}</span>
+              </li>
+              <li className="flex justify-between py-1.5">
+                <span>{t("admin.roles")}</span>
+                <span className="text-white">{user.roles.join(", ")}</span>
+              </li>
+            </ul>
+            {hasPermission("users:roles") && (
+              <div className="flex gap-3 mb-4">
+                {ROLES.map((role) => (
+                  <label
+                    key={role}
+                    className="flex items-center gap-2 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={user.roles.includes(role)}
+                      onChange={() => toggleRole(role)}
+                    />
+                    {role}
+                  </label>
+                ))}
+              </div>
+            )}
+            <div className="flex flex-col gap-3">
+              {hasPermission("users:verify") && !user.isAccountVerified && (
+                <button
+                  className="w-full py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                  onClick={() =>
+                    runAction(() =>
+                      axios.post(
+                        backend_url + "/api/admin/users/" + id + "/verify"
+                      )
+                    )
+                  }
+                >
+                  {t("admin.mark_verified")}
+                </button>
+              )}
+              {hasPermission("users:reset-password") && (
+                <button
+                  className="w-full py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                  onClick={() =>
+                    runAction(() =>
+                      axios.post(
+                        backend_url +
+                          "/api/admin/users/" +
+                          id +
+                          "/reset-password"
+                      )
+                    )
+                  }
+                >
+                  {t("admin.send_password_reset")}
+                </button>
+              )}
+              {hasPermission("users:disable") && (
+                <button
+                  className="w-full py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                  onClick={() =>
+                    runAction(() =>
+                      axios.post(
+                        backend_url + "/api/admin/users/" + id + "/disabled",
+                        { disabled: !user.disabled }
+                      )
+                    )
+                  }
+                >
+                  {user.disabled
+                    ? t("admin.enable_account")
+                    : t("admin.disable_account")}
+                </button>
+              )}
+              {hasPermission("users:delete") && (
+                <button
+                  className="w-full py-2.5 rounded-full bg-red-700 text-white cursor-pointer"
+                  onClick={deleteUser}
+                >
+                  {t("admin.delete_user")}
+                </button>
+              )}
+            </div>
+            {hasPermission("audit:read") && (
+              <p
+                className="text-center mt-6 text-blue-400 cursor-pointer underline"
+                onClick={() => navigate("/admin/audit?user=" + id)}
+              >
+                {t("admin.view_activity")}
+              </p>
+            )}
+            <p
+              className="text-center mt-3 text-blue-400 cursor-pointer underline"
+              onClick={() => navigate("/admin")}
+            >
+              {t("admin.back_to_users")}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminUser;
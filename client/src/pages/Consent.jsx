@@ -0,0 +1,118 @@
+/* eslint-disable react-hooks/exhaustive-deps */
+import React, { useContext, useEffect, useState } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+// Scopes with a `consent.scope.<scope>` description
+const KNOWN_SCOPES = ["openid", "profile", "email"];
+
+const Consent = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const { backend_url, t } = useContext(AppContext);
+  const [request, setRequest] = useState(null);
+  axios.defaults.withCredentials = true;
+
+  // The authorization request parameters forwarded by /oidc/authorize
+  const params = Object.fromEntries(searchParams);
+
+  const decide = async (approve) => {
+    try {
+      const { data } = await axios.post(
+        backend_url + "/oidc/authorize/decision",
+        { params, approve }
+      );
+      // Only ever leave for a web page, never run a `javascript:` URL
+      const url = new URL(data.redirectUrl);
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw new Error(t("consent.invalid_redirect"));
+      }
+      window.location.href = url.href;
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const getRequest = async () => {
+    try {
+      await axios.get(backend_url + "/api/auth/is-auth");
+    } catch (error) {
+      // Log the user in first, then come back to this screen
+      if (error.status === 401) {
+        navigate(
+          "/login?redirect=" +
+            encodeURIComponent(location.pathname + location.search)
+        );
+      } else {
+        toast.error(error.message);
+      }
+      return;
+    }
+
+    try {
+      const { data } = await axios.get(
+        backend_url + "/oidc/authorize/details",
+        { params }
+      );
+      if (data.consented) {
+        // Skip the screen for clients the user already approved
+        decide(true);
+      } else {
+        setRequest(data);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    getRequest();
+  }, []);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32"
+      />
+      {request && (
+        <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+          <h1 className="text-white text-2xl font-semibold text-center mb-4">
+            {t("consent.title", { client: request.client.name })}
+          </h1>
+          <p className="text-center mb-6">
+            {t("consent.intro", { client: request.client.name })}
+          </p>
+          <ul className="mb-6 list-disc pl-6">
+            {request.scopes.map((scope) => (
+              <li key={scope} className="mb-1">
+                {KNOWN_SCOPES.includes(scope)
+                  ? t("consent.scope." + scope)
+                  : scope}
+              </li>
+            ))}
+          </ul>
+          <button
+            className="w-full py-3 mb-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer"
+            onClick={() => decide(true)}
+          >
+            {t("consent.allow")}
+          </button>
+          <button
+            className="w-full py-3 border border-indigo-500 text-white rounded-full cursor-pointer"
+            onClick={() => decide(false)}
+          >
+            {t("consent.deny")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Consent;
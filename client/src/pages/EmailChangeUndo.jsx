@@ -0,0 +1,69 @@
+import React, { useContext, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+const EmailChangeUndo = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { backend_url, setIsLoggedIn, setUserData, t } = useContext(AppContext);
+  const [done, setDone] = useState(false);
+  axios.defaults.withCredentials = true;
+
+  // Only undo on an explicit click, so mail scanners opening the link
+  // cannot trigger it
+  const undoChange = async () => {
+    try {
+      const { data } = await axios.post(backend_url + "/api/user/email/undo", {
+        token: searchParams.get("token"),
+      });
+      toast.success(data.message);
+      setIsLoggedIn(false);
+      setUserData(false);
+      setDone(true);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("email_change_undo.title")}
+        </h1>
+        {done ? (
+          <>
+            <p className="text-center mb-6">{t("email_change_undo.done")}</p>
+            <button
+              className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer"
+              onClick={() => navigate("/reset-password")}
+            >
+              {t("email_change_undo.reset_password")}
+            </button>
+          </>
+        ) : (
+          <>
+            <p className="text-center mb-6">{t("email_change_undo.intro")}</p>
+            <button
+              className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer"
+              onClick={undoChange}
+            >
+              {t("email_change_undo.undo")}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailChangeUndo;
@@ -10,7 +10,7 @@ import { AppContext } from "../context/AppContext";
 const EmailVerify = () => {
   const navigate = useNavigate();
   const inputRefs = React.useRef([]);
-  const { backend_url, isLoggedIn, userData, getUserData } =
+  const { backend_url, isLoggedIn, userData, getUserData, t } =
     useContext(AppContext);
   axios.defaults.withCredentials = true;
 
@@ -44,13 +44,9 @@ const EmailVerify = () => {
         backend_url + "/api/auth/verify-account",
         { otp }
       );
-      if (data.success) {
-        toast.success(data.message);
-        getUserData();
-        navigate("/");
-      } else {
-        toast.error(data.message);
-      }
+      toast.success(data.message);
+      getUserData();
+      navigate("/");
     } catch (error) {
       toast.error(error.message);
     }
@@ -73,10 +69,10 @@ const EmailVerify = () => {
         onSubmit={onSubmitHandler}
       >
         <h1 className="text-white text-2xl font-semibold text-center mb-4">
-          Email Verify OTP
+          {t("email_verify.title")}
         </h1>
         <p className="text-center mb-6 text-indigo-300">
-          Enter the 6 digits code sent to your email.
+          {t("email_verify.intro")}
         </p>
         <div className="flex justify-center mb-8 gap-0.5" onPaste={handlePaste}>
           {Array(6)
@@ -95,7 +91,7 @@ const EmailVerify = () => {
             ))}
         </div>
         <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
-          Verify Email
+          {t("email_verify.submit")}
         </button>
       </form>
     </div>
@@ -0,0 +1,104 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+const Invitation = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { backend_url, userData, locale, t } = useContext(AppContext);
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState("");
+  const token = searchParams.get("token") || "";
+  axios.defaults.withCredentials = true;
+
+  useEffect(() => {
+    axios
+      .get(backend_url + "/api/orgs/invitations", { params: { token } })
+      .then(({ data }) => setInvitation(data.invitation))
+      .catch((error) => setError(error.message));
+  }, [backend_url, token]);
+
+  // Come back here after signing in or up, the token also lets the invited
+  // address sign up when registration is by invitation
+  const login = () =>
+    navigate(
+      "/login?redirect=" +
+        encodeURIComponent("/invitation?token=" + encodeURIComponent(token)) +
+        "&invitation=" +
+        encodeURIComponent(token)
+    );
+
+  // Only accept on an explicit click, so mail scanners opening the link
+  // cannot trigger it
+  const acceptInvitation = async () => {
+    try {
+      const { data } = await axios.post(
+        backend_url + "/api/orgs/invitations/accept",
+        { token }
+      );
+      toast.success(data.message);
+      navigate("/organizations");
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("invitation.title")}
+        </h1>
+        {error && <p className="text-center">{error}</p>}
+        {invitation && (
+          <>
+            <p className="text-center mb-2">
+              {t("invitation.intro", {
+                inviter: invitation.invitedBy,
+                organization: invitation.organization,
+                role: t("orgs.role." + invitation.role),
+              })}
+            </p>
+            <p className="text-center text-xs mb-6">
+              {t("invitation.for", {
+                email: invitation.email,
+                date: new Date(invitation.expiresAt).toLocaleString(locale),
+              })}
+            </p>
+            {userData ? (
+              <button
+                className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer"
+                onClick={acceptInvitation}
+              >
+                {t("invitation.accept")}
+              </button>
+            ) : (
+              <>
+                <p className="text-center mb-4">
+                  {t("invitation.login_required")}
+                </p>
+                <button
+                  className="w-full py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer"
+                  onClick={login}
+                >
+                  {t("invitation.login")}
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Invitation;
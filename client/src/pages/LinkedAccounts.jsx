@@ -0,0 +1,115 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+const LinkedAccounts = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { backend_url, userData, t } = useContext(AppContext);
+  const [providers, setProviders] = useState([]);
+  const [linkedAccounts, setLinkedAccounts] = useState([]);
+  axios.defaults.withCredentials = true;
+
+  const getLinkedAccounts = async () => {
+    try {
+      const [{ data: providerData }, { data }] = await Promise.all([
+        axios.get(backend_url + "/api/auth/oauth/providers"),
+        axios.get(backend_url + "/api/user/linked-accounts"),
+      ]);
+      setProviders(providerData.providers);
+      setLinkedAccounts(data.linkedAccounts);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const link = async (provider) => {
+    try {
+      const { data } = await axios.post(
+        backend_url + "/api/auth/oauth/" + provider + "/link"
+      );
+      window.location.href = data.url;
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const unlink = async (provider) => {
+    try {
+      const { data } = await axios.delete(
+        backend_url + "/api/user/linked-accounts/" + provider
+      );
+      toast.success(data.message);
+      getLinkedAccounts();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    // Report the result of the redirect back from a provider
+    searchParams.get("linked") && toast.success(t("linked_accounts.linked"));
+    searchParams.get("error") && toast.error(searchParams.get("error"));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
+  useEffect(() => {
+    userData && getLinkedAccounts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userData]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("linked_accounts.title")}
+        </h1>
+        {!userData && (
+          <p className="text-center">{t("linked_accounts.login_required")}</p>
+        )}
+        {userData && providers.length === 0 && (
+          <p className="text-center">{t("linked_accounts.no_providers")}</p>
+        )}
+        <ul>
+          {providers.map((provider) => {
+            const linked = linkedAccounts.find(
+              (account) => account.provider === provider.id
+            );
+            return (
+              <li
+                key={provider.id}
+                className="flex justify-between items-center py-3 border-b border-[#333A5C]"
+              >
+                <div>
+                  <p className="text-white font-medium">{provider.name}</p>
+                  {linked && <p className="text-xs">{linked.email}</p>}
+                </div>
+                <button
+                  className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                  onClick={() =>
+                    linked ? unlink(provider.id) : link(provider.id)
+                  }
+                >
+                  {linked
+                    ? t("linked_accounts.unlink")
+                    : t("linked_accounts.link")}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default LinkedAccounts;
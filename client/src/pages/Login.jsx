@@ -1,37 +1,109 @@
 /* eslint-disable no-unused-vars */
-import React, { useContext, useState } from "react";
+import React, { useContext, useEffect, useState } from "react";
 import { assets } from "../assets/assets";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { AppContext, AppContextProvider } from "../context/AppContext";
 import axios from "axios";
+import { startAuthentication } from "@simplewebauthn/browser";
 import { toast } from "react-toastify";
+import { safeRedirect } from "../utils/safeRedirect";
+import PasswordStrength from "../components/PasswordStrength";
+import LanguageSwitcher from "../components/LanguageSwitcher";
+import FieldError from "../components/FieldError";
 
 const Login = () => {
   const navigate = useNavigate();
 
-  const { backend_url, setIsLoggedIn, getUserData } = useContext(AppContext);
+  const { backend_url, setIsLoggedIn, getUserData, t } = useContext(AppContext);
 
   const [state, setState] = useState("Login");
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [providers, setProviders] = useState([]);
+  const [magicLinkSent, setMagicLinkSent] = useState(false);
+  const [code, setCode] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [searchParams] = useSearchParams();
+  // Sign-up settings of the server, e.g. whether an invite code is needed
+  const [registration, setRegistration] = useState({ mode: "open" });
+  const [inviteCode, setInviteCode] = useState(
+    searchParams.get("invite") || ""
+  );
+  // Token of the organization invitation that sent the user here, it also
+  // lets the invited address sign up
+  const invitationToken = searchParams.get("invitation") || "";
+  const redirect = safeRedirect(searchParams.get("redirect"));
+
+  useEffect(() => {
+    // Show errors passed back from a failed social login
+    const error = searchParams.get("error");
+    if (error) toast.error(error);
+
+    axios
+      .get(backend_url + "/api/auth/oauth/providers")
+      .then(({ data }) => setProviders(data.providers))
+      .catch(() => setProviders([]));
+    axios
+      .get(backend_url + "/api/auth/config")
+      .then(({ data }) => setRegistration(data.registration))
+      .catch(() => setRegistration({ mode: "open" }));
+  }, [backend_url, searchParams]);
+
+  // Errors of one form do not apply to the others
+  useEffect(() => setFieldErrors({}), [state]);
 
   const onSubmitHandler = async (e) => {
     try {
       e.preventDefault();
+      setFieldErrors({});
       axios.defaults.withCredentials = true;
       if (state === "Sign Up") {
         const { data } = await axios.post(backend_url + "/api/auth/register", {
           name,
           email,
           password,
+          inviteCode:
+            registration.mode === "invite" && inviteCode
+              ? inviteCode
+              : undefined,
+          invitationToken:
+            registration.mode === "invite" && invitationToken
+              ? invitationToken
+              : undefined,
         });
-        if (data.success) {
+        if (data.verificationRequired) {
+          // Sign in with the emailed link or code, which confirms the address
+          toast.success(data.message);
+          setState("Magic Link");
+          setMagicLinkSent(true);
+        } else {
           setIsLoggedIn(true);
           getUserData();
-          navigate("/");
+          navigate(redirect);
+        }
+      } else if (state === "Magic Link" && !magicLinkSent) {
+        const { data } = await axios.post(
+          backend_url + "/api/auth/magic-link",
+          {
+            email,
+          }
+        );
+        setMagicLinkSent(true);
+        toast.success(data.message);
+      } else if (state === "Magic Link") {
+        const { data } = await axios.post(
+          backend_url + "/api/auth/magic-link/verify",
+          { email, code }
+        );
+        if (data.twoFactorRequired) {
+          navigate(
+            "/two-factor-challenge?redirect=" + encodeURIComponent(redirect)
+          );
         } else {
-          toast.error(data.message);
+          setIsLoggedIn(true);
+          getUserData();
+          navigate(redirect);
         }
       } else {
         // console.log(backend_url + " login");
@@ -39,14 +111,38 @@ const Login = () => {
           email,
           password,
         });
-        if (data.success) {
+        if (data.twoFactorRequired) {
+          navigate(
+            "/two-factor-challenge?redirect=" + encodeURIComponent(redirect)
+          );
+        } else {
           setIsLoggedIn(true);
           getUserData();
-          navigate("/");
-        } else {
-          toast.error(data.message);
+          navigate(redirect);
         }
       }
+    } catch (error) {
+      toast.error(error.message);
+      setFieldErrors(error.fields || {});
+    }
+  };
+
+  const onPasskeyLogin = async () => {
+    try {
+      axios.defaults.withCredentials = true;
+      const { data: optionsData } = await axios.post(
+        backend_url + "/api/auth/passkey/login/options"
+      );
+      // Let the browser ask the user for one of their passkeys
+      const response = await startAuthentication({
+        optionsJSON: optionsData.options,
+      });
+      await axios.post(backend_url + "/api/auth/passkey/login/verify", {
+        response,
+      });
+      setIsLoggedIn(true);
+      getUserData();
+      navigate(redirect);
     } catch (error) {
       toast.error(error.message);
     }
@@ -60,12 +156,21 @@ const Login = () => {
         className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
         onClick={() => navigate("/")}
       />
+      <LanguageSwitcher className="absolute right-5 sm:right-20 top-5 text-gray-800" />
       <div className="bg-slate-900 p-10 rounded-lg shadow-lg w-full sm:w-96 text-indigo-300 text-sm">
         <h2 className="text-3xl font-semibold text-white text-center mb-3">
-          {state === "Sign Up" ? "Create account" : "Login"}
+          {state === "Sign Up"
+            ? t("login.create_account")
+            : state === "Magic Link"
+            ? t("login.sign_in_link")
+            : t("login.login")}
         </h2>
         <p className="text-center text-sm mb-6">
-          {state === "Sign Up" ? "Create your account" : "Login to you account"}
+          {state === "Sign Up"
+            ? t("login.create_account_subtitle")
+            : state === "Magic Link"
+            ? t("login.magic_link_subtitle")
+            : t("login.login_subtitle")}
         </p>
         <form onSubmit={onSubmitHandler}>
           {state === "Sign Up" ? (
@@ -73,7 +178,7 @@ const Login = () => {
               <img src={assets.person_icon} alt="" />
               <input
                 type="text"
-                placeholder="Full Name"
+                placeholder={t("common.full_name")}
                 required
                 className="bg-transparent outline-none"
                 onChange={(e) => setName(e.target.value)}
@@ -83,57 +188,185 @@ const Login = () => {
           ) : (
             <></>
           )}
+          {state === "Sign Up" && <FieldError message={fieldErrors.name} />}
 
           <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
             <img src={assets.mail_icon} alt="" />
             <input
               type="email"
-              placeholder="Email"
+              placeholder={t("common.email")}
               required
               className="bg-transparent outline-none"
               onChange={(e) => setEmail(e.target.value)}
               value={email}
             />
           </div>
-          <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
-            <img src={assets.lock_icon} alt="" />
-            <input
-              type="password"
-              placeholder="Password"
-              required
-              className="bg-transparent outline-none"
-              onChange={(e) => setPassword(e.target.value)}
-              value={password}
-            />
-          </div>
-          <p
-            className="mb-4 text-indigo-500 cursor-pointer"
-            onClick={() => navigate("/reset-password")}
-          >
-            Forgot Password
-          </p>
+          <FieldError message={fieldErrors.email} />
+          {state === "Sign Up" && registration.mode === "domain" && (
+            <p className="-mt-2 mb-4 ml-5 text-xs">
+              {t("login.allowed_domains", {
+                domains: registration.domains.join(", "),
+              })}
+            </p>
+          )}
+          {state === "Sign Up" &&
+            registration.mode === "invite" &&
+            invitationToken && (
+              <p className="-mt-2 mb-4 ml-5 text-xs">
+                {t("login.invitation_signup")}
+              </p>
+            )}
+          {state === "Sign Up" &&
+            registration.mode === "invite" &&
+            !invitationToken && (
+              <>
+                <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                  <img src={assets.lock_icon} alt="" />
+                  <input
+                    type="text"
+                    autoComplete="off"
+                    placeholder={t("login.invite_code")}
+                    maxLength={32}
+                    className="bg-transparent outline-none"
+                    onChange={(e) => setInviteCode(e.target.value)}
+                    value={inviteCode}
+                  />
+                </div>
+                <FieldError message={fieldErrors.inviteCode} />
+                <p className="-mt-2 mb-4 ml-5 text-xs">
+                  {t("login.invite_code_hint")}
+                </p>
+              </>
+            )}
+          {state !== "Magic Link" && (
+            <>
+              <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                <img src={assets.lock_icon} alt="" />
+                <input
+                  type="password"
+                  placeholder={t("common.password")}
+                  required
+                  className="bg-transparent outline-none"
+                  onChange={(e) => setPassword(e.target.value)}
+                  value={password}
+                />
+              </div>
+              <FieldError message={fieldErrors.password} />
+              {state === "Sign Up" && (
+                <PasswordStrength
+                  password={password}
+                  name={name}
+                  email={email}
+                />
+              )}
+              <p
+                className="mb-4 text-indigo-500 cursor-pointer"
+                onClick={() => navigate("/reset-password")}
+              >
+                {t("login.forgot_password")}
+              </p>
+            </>
+          )}
+          {state === "Magic Link" && magicLinkSent && (
+            <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+              <img src={assets.lock_icon} alt="" />
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder={t("login.code_placeholder")}
+                required
+                className="bg-transparent outline-none"
+                onChange={(e) => setCode(e.target.value)}
+                value={code}
+              />
+            </div>
+          )}
+          {state === "Magic Link" && <FieldError message={fieldErrors.code} />}
           <button className="w-full py-2.5 rounded-full bg-gradient-to-r from-indigo-500 to-indigo-900 text-white font-medium cursor-pointer">
-            {state === "Sign Up" ? "Sign Up" : "Login"}
+            {state === "Sign Up"
+              ? t("login.sign_up")
+              : state !== "Magic Link"
+              ? t("login.login")
+              : magicLinkSent
+              ? t("login.sign_in")
+              : t("login.email_me_link")}
           </button>
         </form>
-        {state === "Sign Up" ? (
+        {state === "Login" && (
+          <>
+            <div className="flex items-center gap-3 my-4 text-gray-400">
+              <hr className="flex-1 border-gray-600" />
+              {t("common.or")}
+              <hr className="flex-1 border-gray-600" />
+            </div>
+            <button
+              className="w-full mb-3 py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer hover:bg-[#333A5C]"
+              onClick={onPasskeyLogin}
+            >
+              {t("login.passkey")}
+            </button>
+            <button
+              className="w-full mb-3 py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer hover:bg-[#333A5C]"
+              onClick={() => setState("Magic Link")}
+            >
+              {t("login.email_me_link")}
+            </button>
+          </>
+        )}
+        {providers.length > 0 && (
+          <>
+            {state !== "Login" && (
+              <div className="flex items-center gap-3 my-4 text-gray-400">
+                <hr className="flex-1 border-gray-600" />
+                {t("common.or")}
+                <hr className="flex-1 border-gray-600" />
+              </div>
+            )}
+            {providers.map((provider) => (
+              <button
+                key={provider.id}
+                className="w-full mb-3 py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer hover:bg-[#333A5C]"
+                onClick={() =>
+                  (window.location.href =
+                    backend_url + "/api/auth/oauth/" + provider.id)
+                }
+              >
+                {t("login.sign_in_with", { provider: provider.name })}
+              </button>
+            ))}
+          </>
+        )}
+        {state === "Magic Link" ? (
+          <p className="text-gray-400 text-center text-ws mt-4">
+            <span
+              className="text-blue-400 cursor-pointer underline"
+              onClick={() => {
+                setState("Login");
+                setMagicLinkSent(false);
+              }}
+            >
+              {t("login.back_to_login")}
+            </span>
+          </p>
+        ) : state === "Sign Up" ? (
           <p className="text-gray-400 text-center text-ws mt-4">
-            Already have an account?{" "}
+            {t("login.have_account")}{" "}
             <span
               className="text-blue-400 cursor-pointer underline"
               onClick={() => setState("Login")}
             >
-              Login
+              {t("login.login")}
             </span>
           </p>
         ) : (
           <p className="text-gray-400 text-center text-ws mt-4">
-            Don't have an account?{" "}
+            {t("login.no_account")}{" "}
             <span
               className="text-blue-400 cursor-pointer underline"
               onClick={() => setState("Sign Up")}
             >
-              Sign Up
+              {t("login.sign_up")}
             </span>
           </p>
         )}
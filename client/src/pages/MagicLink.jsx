@@ -0,0 +1,58 @@
+/* eslint-disable react-hooks/exhaustive-deps */
+import React, { useContext, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+const MagicLink = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { backend_url, setIsLoggedIn, getUserData, t } = useContext(AppContext);
+  axios.defaults.withCredentials = true;
+
+  const verifyLink = async () => {
+    try {
+      const { data } = await axios.post(
+        backend_url + "/api/auth/magic-link/verify",
+        { token: searchParams.get("token") }
+      );
+      if (data.twoFactorRequired) {
+        navigate("/two-factor-challenge");
+      } else {
+        setIsLoggedIn(true);
+        getUserData();
+        navigate("/");
+      }
+    } catch (error) {
+      toast.error(error.message);
+      navigate("/login");
+    }
+  };
+
+  useEffect(() => {
+    verifyLink();
+  }, []);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("magic_link.title")}
+        </h1>
+        <p className="text-center text-indigo-300">
+          {t("magic_link.checking")}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLink;
@@ -0,0 +1,376 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+import FieldError from "../components/FieldError";
+
+// Roles of a member within an organization, see config/permissions.js
+const ORG_ROLES = ["member", "admin", "owner"];
+
+const Organizations = () => {
+  const navigate = useNavigate();
+  const { backend_url, userData, locale, t } = useContext(AppContext);
+  const [organizations, setOrganizations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [active, setActive] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [rename, setRename] = useState("");
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("member");
+  const [fieldErrors, setFieldErrors] = useState({});
+  axios.defaults.withCredentials = true;
+
+  const can = (permission) => active?.permissions.includes(permission);
+
+  const getActive = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/orgs/active");
+      setActive(data);
+      setRename(data.organization.name);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const getOrganizations = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/orgs");
+      setOrganizations(data.organizations);
+      setActiveId(data.activeOrganization);
+      if (data.activeOrganization) {
+        getActive();
+      } else {
+        setActive(null);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Run a request, show its message and reload everything it may change
+  const submit = async (form, request) => {
+    setFieldErrors({});
+    try {
+      const { data } = await request();
+      toast.success(data.message);
+      getOrganizations();
+      return true;
+    } catch (error) {
+      toast.error(error.message);
+      setFieldErrors({ [form]: error.fields || {} });
+      return false;
+    }
+  };
+
+  const switchTo = (organizationId) =>
+    submit("switch", () =>
+      axios.post(backend_url + "/api/orgs/switch", { organizationId })
+    );
+
+  const createOrganization = async (e) => {
+    e.preventDefault();
+    const created = await submit("create", () =>
+      axios.post(backend_url + "/api/orgs", { name: newName })
+    );
+    if (created) setNewName("");
+  };
+
+  const renameOrganization = (e) => {
+    e.preventDefault();
+    submit("rename", () =>
+      axios.patch(backend_url + "/api/orgs/active", { name: rename })
+    );
+  };
+
+  const inviteMember = async (e) => {
+    e.preventDefault();
+    const invited = await submit("invite", () =>
+      axios.post(backend_url + "/api/orgs/active/invitations", {
+        email: inviteEmail,
+        role: inviteRole,
+      })
+    );
+    if (invited) setInviteEmail("");
+  };
+
+  const revokeInvitation = (id) =>
+    submit("invitations", () =>
+      axios.delete(backend_url + "/api/orgs/active/invitations/" + id)
+    );
+
+  const changeRole = (id, role) =>
+    submit("members", () =>
+      axios.patch(backend_url + "/api/orgs/active/members/" + id, { role })
+    );
+
+  const removeMember = (member) => {
+    if (!window.confirm(t("orgs.remove_confirm", { name: member.name })))
+      return;
+    submit("members", () =>
+      axios.delete(backend_url + "/api/orgs/active/members/" + member.id)
+    );
+  };
+
+  const leaveOrganization = () => {
+    if (!window.confirm(t("orgs.leave_confirm"))) return;
+    submit("leave", () => axios.post(backend_url + "/api/orgs/active/leave"));
+  };
+
+  const deleteOrganization = () => {
+    if (!window.confirm(t("orgs.delete_confirm"))) return;
+    submit("delete", () => axios.delete(backend_url + "/api/orgs/active"));
+  };
+
+  useEffect(() => {
+    userData && getOrganizations();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userData]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-full max-w-3xl mx-4 my-24 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("orgs.title")}
+        </h1>
+        {!userData && <p className="text-center">{t("orgs.login_required")}</p>}
+        {userData && (
+          <>
+            <ul className="mb-4">
+              {organizations.length === 0 && (
+                <li className="text-center">{t("orgs.empty")}</li>
+              )}
+              {organizations.map((organization) => (
+                <li
+                  key={organization.id}
+                  className="flex justify-between items-center gap-2 py-3 border-b border-[#333A5C]"
+                >
+                  <div>
+                    <p className="text-white font-medium">
+                      {organization.name}
+                    </p>
+                    <p className="text-xs">
+                      {t("orgs.role." + organization.role)}
+                    </p>
+                  </div>
+                  {organization.id === activeId ? (
+                    <span className="px-4 py-1.5 text-green-400">
+                      {t("orgs.active")}
+                    </span>
+                  ) : (
+                    <button
+                      className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                      onClick={() => switchTo(organization.id)}
+                    >
+                      {t("orgs.switch")}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {activeId && (
+              <p
+                className="mb-6 text-blue-400 cursor-pointer underline"
+                onClick={() => switchTo(null)}
+              >
+                {t("orgs.personal")}
+              </p>
+            )}
+            <form onSubmit={createOrganization} className="mb-8">
+              <div className="flex gap-3 mb-4">
+                <input
+                  type="text"
+                  placeholder={t("orgs.name_placeholder")}
+                  required
+                  maxLength={100}
+                  className="flex-1 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                />
+                <button className="px-6 py-2 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                  {t("orgs.create")}
+                </button>
+              </div>
+              <FieldError message={fieldErrors.create?.name} />
+            </form>
+
+            {active && (
+              <>
+                <h2 className="text-white text-xl font-semibold mb-4">
+                  {active.organization.name}
+                </h2>
+                {can("org:update") && (
+                  <form onSubmit={renameOrganization} className="mb-6">
+                    <div className="flex gap-3 mb-4">
+                      <input
+                        type="text"
+                        required
+                        maxLength={100}
+                        className="flex-1 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                        value={rename}
+                        onChange={(e) => setRename(e.target.value)}
+                      />
+                      <button className="px-6 py-2 rounded-full border border-indigo-500 text-white cursor-pointer">
+                        {t("orgs.rename")}
+                      </button>
+                    </div>
+                    <FieldError message={fieldErrors.rename?.name} />
+                  </form>
+                )}
+
+                <h3 className="text-white font-medium mb-2">
+                  {t("orgs.members", { count: active.members.length })}
+                </h3>
+                <ul className="mb-6">
+                  {active.members.map((member) => (
+                    <li
+                      key={member.id}
+                      className="flex justify-between items-center gap-2 py-3 border-b border-[#333A5C]"
+                    >
+                      <div className="flex items-center gap-3">
+                        <img
+                          src={member.avatarUrl || assets.person_icon}
+                          alt=""
+                          className="w-8 h-8 rounded-full object-cover"
+                        />
+                        <div>
+                          <p className="text-white font-medium">
+                            {member.name}
+                            {member.email === userData.email &&
+                              " " + t("orgs.you")}
+                          </p>
+                          <p className="text-xs">{member.email}</p>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        {can("members:roles") ? (
+                          <select
+                            className="px-3 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                            value={member.role}
+                            onChange={(e) =>
+                              changeRole(member.id, e.target.value)
+                            }
+                          >
+                            {ORG_ROLES.map((role) => (
+                              <option key={role} value={role}>
+                                {t("orgs.role." + role)}
+                              </option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span>{t("orgs.role." + member.role)}</span>
+                        )}
+                        {can("members:remove") &&
+                          member.email !== userData.email &&
+                          (member.role !== "owner" || can("members:roles")) && (
+                            <button
+                              className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                              onClick={() => removeMember(member)}
+                            >
+                              {t("orgs.remove")}
+                            </button>
+                          )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+
+                {can("members:invite") && (
+                  <>
+                    <h3 className="text-white font-medium mb-2">
+                      {t("orgs.invitations")}
+                    </h3>
+                    <ul className="mb-4">
+                      {active.invitations.length === 0 && (
+                        <li className="py-2">{t("orgs.no_invitations")}</li>
+                      )}
+                      {active.invitations.map((invitation) => (
+                        <li
+                          key={invitation.id}
+                          className="flex justify-between items-center gap-2 py-3 border-b border-[#333A5C]"
+                        >
+                          <div>
+                            <p className="text-white">{invitation.email}</p>
+                            <p className="text-xs">
+                              {t("orgs.role." + invitation.role)} ·{" "}
+                              {t("orgs.invitation_expires", {
+                                date: new Date(
+                                  invitation.expiresAt
+                                ).toLocaleString(locale),
+                              })}
+                            </p>
+                          </div>
+                          <button
+                            className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                            onClick={() => revokeInvitation(invitation.id)}
+                          >
+                            {t("orgs.revoke")}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                    <form onSubmit={inviteMember} className="mb-6">
+                      <div className="flex flex-wrap gap-3 mb-4">
+                        <input
+                          type="email"
+                          placeholder={t("orgs.invite_placeholder")}
+                          required
+                          className="flex-1 min-w-40 px-4 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                          value={inviteEmail}
+                          onChange={(e) => setInviteEmail(e.target.value)}
+                        />
+                        <select
+                          className="px-3 py-2 rounded-full bg-[#333A5C] text-white outline-none"
+                          value={inviteRole}
+                          onChange={(e) => setInviteRole(e.target.value)}
+                        >
+                          {ORG_ROLES.filter(
+                            (role) => role !== "owner" || can("members:roles")
+                          ).map((role) => (
+                            <option key={role} value={role}>
+                              {t("orgs.role." + role)}
+                            </option>
+                          ))}
+                        </select>
+                        <button className="px-6 py-2 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                          {t("orgs.invite")}
+                        </button>
+                      </div>
+                      <FieldError message={fieldErrors.invite?.email} />
+                    </form>
+                  </>
+                )}
+
+                <div className="flex gap-3">
+                  <button
+                    className="flex-1 py-2.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                    onClick={leaveOrganization}
+                  >
+                    {t("orgs.leave")}
+                  </button>
+                  {can("org:delete") && (
+                    <button
+                      className="flex-1 py-2.5 rounded-full bg-red-700 text-white cursor-pointer"
+                      onClick={deleteOrganization}
+                    >
+                      {t("orgs.delete")}
+                    </button>
+                  )}
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Organizations;
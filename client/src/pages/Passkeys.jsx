@@ -0,0 +1,134 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { startRegistration } from "@simplewebauthn/browser";
+import { AppContext } from "../context/AppContext";
+
+const Passkeys = () => {
+  const navigate = useNavigate();
+  const { backend_url, userData, locale, t } = useContext(AppContext);
+  const [passkeys, setPasskeys] = useState([]);
+  const [name, setName] = useState("");
+  axios.defaults.withCredentials = true;
+
+  const getPasskeys = async () => {
+    try {
+      const { data } = await axios.get(backend_url + "/api/user/passkeys");
+      setPasskeys(data.passkeys);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const addPasskey = async (e) => {
+    e.preventDefault();
+    try {
+      const { data: optionsData } = await axios.post(
+        backend_url + "/api/auth/passkey/register/options"
+      );
+      // Let the browser create a new credential on the user's authenticator
+      const response = await startRegistration({
+        optionsJSON: optionsData.options,
+      });
+      const { data } = await axios.post(
+        backend_url + "/api/auth/passkey/register/verify",
+        { response, name }
+      );
+      toast.success(data.message);
+      setName("");
+      getPasskeys();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const removePasskey = async (id) => {
+    try {
+      const { data } = await axios.delete(
+        backend_url + "/api/user/passkeys/" + encodeURIComponent(id)
+      );
+      toast.success(data.message);
+      getPasskeys();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    userData && getPasskeys();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userData]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("passkeys.title")}
+        </h1>
+        {!userData && (
+          <p className="text-center">{t("passkeys.login_required")}</p>
+        )}
+        {userData && (
+          <>
+            <ul className="mb-6">
+              {passkeys.length === 0 && (
+                <li className="text-center">{t("passkeys.empty")}</li>
+              )}
+              {passkeys.map((passkey) => (
+                <li
+                  key={passkey.id}
+                  className="flex justify-between items-center py-3 border-b border-[#333A5C]"
+                >
+                  <div>
+                    <p className="text-white font-medium">{passkey.name}</p>
+                    <p className="text-xs">
+                      {passkey.lastUsedAt
+                        ? t("passkeys.last_used", {
+                            date: new Date(passkey.lastUsedAt).toLocaleString(
+                              locale
+                            ),
+                          })
+                        : t("passkeys.never_used")}
+                    </p>
+                  </div>
+                  <button
+                    className="px-4 py-1.5 rounded-full border border-indigo-500 text-white cursor-pointer"
+                    onClick={() => removePasskey(passkey.id)}
+                  >
+                    {t("passkeys.remove")}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={addPasskey}>
+              <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+                <img src={assets.lock_icon} alt="" className="w-3 h-3" />
+                <input
+                  type="text"
+                  placeholder={t("passkeys.name_placeholder")}
+                  maxLength={64}
+                  className="bg-transparent outline-none text-white"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                />
+              </div>
+              <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+                {t("passkeys.add")}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Passkeys;
@@ -5,6 +5,8 @@ import { useNavigate } from "react-router-dom";
 import { AppContext } from "../context/AppContext";
 import axios from "axios";
 import { toast } from "react-toastify";
+import PasswordStrength from "../components/PasswordStrength";
+import FieldError from "../components/FieldError";
 
 const ResetPassword = () => {
   const navigate = useNavigate();
@@ -13,7 +15,8 @@ const ResetPassword = () => {
   const [isEmailSent, setIsEmailSent] = useState("");
   const [otp, setOtp] = useState(0);
   const [isOtpSubmitted, setIsOtpSubmitted] = useState(false);
-  const { backend_url } = useContext(AppContext);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { backend_url, t } = useContext(AppContext);
 
   const inputRefs = React.useRef([]);
   axios.defaults.withCredentials = true;
@@ -42,6 +45,7 @@ const ResetPassword = () => {
 
   const onSubmitEmail = async (e) => {
     e.preventDefault();
+    setFieldErrors({});
     try {
       const { data } = await axios.post(
         backend_url + "/api/auth/send-reset-otp",
@@ -49,14 +53,11 @@ const ResetPassword = () => {
           email,
         }
       );
-      if (data.success) {
-        setIsEmailSent(true);
-        toast.success(data.message);
-      } else {
-        toast.error(data.message);
-      }
+      setIsEmailSent(true);
+      toast.success(data.message);
     } catch (error) {
       toast.error(error.message);
+      setFieldErrors(error.fields || {});
     }
   };
 
@@ -68,6 +69,7 @@ const ResetPassword = () => {
   };
   const onSubmitNewPassword = async (e) => {
     e.preventDefault();
+    setFieldErrors({});
     try {
       const { data } = await axios.post(
         backend_url + "/api/auth/reset-password",
@@ -77,14 +79,11 @@ const ResetPassword = () => {
           newPassword,
         }
       );
-      if (data.success) {
-        toast.success(data.message);
-        navigate("/login");
-      } else {
-        toast.error(data.message);
-      }
+      toast.success(data.message);
+      navigate("/login");
     } catch (error) {
       toast.error(error.message);
+      setFieldErrors(error.fields || {});
     }
   };
 
@@ -106,24 +105,25 @@ const ResetPassword = () => {
           className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm"
         >
           <h1 className="text-white text-2xl font-semibold text-center mb-4">
-            Reset Password
+            {t("reset_password.title")}
           </h1>
           <p className="text-center mb-6 text-indigo-300">
-            Enter your email address.
+            {t("reset_password.enter_email")}
           </p>
           <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
             <img src={assets.mail_icon} alt="" className="w-3 h-3" />
             <input
               type="email"
-              placeholder="Your Email"
+              placeholder={t("reset_password.email_placeholder")}
               className="bg-transparent outline-none text-white"
               value={email}
               onChange={(e) => setEmail(e.target.value)}
               required
             />
           </div>
+          <FieldError message={fieldErrors.email} />
           <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
-            Submit
+            {t("common.submit")}
           </button>
         </form>
       )}
@@ -136,10 +136,10 @@ const ResetPassword = () => {
           className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm"
         >
           <h1 className="text-white text-2xl font-semibold text-center mb-4">
-            Reset Password OTP
+            {t("reset_password.otp_title")}
           </h1>
           <p className="text-center mb-6 text-indigo-300">
-            Enter the 6 digits code sent to your email.
+            {t("email_verify.intro")}
           </p>
           <div
             className="flex justify-center mb-8 gap-0.5"
@@ -161,7 +161,7 @@ const ResetPassword = () => {
               ))}
           </div>
           <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
-            Submit
+            {t("common.submit")}
           </button>
         </form>
       )}
@@ -174,24 +174,27 @@ const ResetPassword = () => {
           className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm"
         >
           <h1 className="text-white text-2xl font-semibold text-center mb-4">
-            New Password
+            {t("common.new_password")}
           </h1>
           <p className="text-center mb-6 text-indigo-300">
-            Enter your new password bellow.
+            {t("reset_password.enter_new_password")}
           </p>
           <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
             <img src={assets.lock_icon} alt="" className="w-3 h-3" />
             <input
               type="password"
-              placeholder="Your New Password"
+              placeholder={t("reset_password.new_password_placeholder")}
               className="bg-transparent outline-none text-white"
               value={newPassword}
               onChange={(e) => setNewPassword(e.target.value)}
               required
             />
           </div>
+          <FieldError message={fieldErrors.newPassword} />
+          <FieldError message={fieldErrors.otp} />
+          <PasswordStrength password={newPassword} email={email} />
           <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
-            Submit
+            {t("common.submit")}
           </button>
         </form>
       )}
@@ -0,0 +1,88 @@
+import React, { useContext, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+import { safeRedirect } from "../utils/safeRedirect";
+import FieldError from "../components/FieldError";
+
+const TwoFactorChallenge = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { backend_url, setIsLoggedIn, getUserData, t } = useContext(AppContext);
+  const [code, setCode] = useState("");
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  axios.defaults.withCredentials = true;
+
+  const onSubmitHandler = async (e) => {
+    try {
+      e.preventDefault();
+      setFieldErrors({});
+      await axios.post(backend_url + "/api/auth/2fa/verify", {
+        code,
+      });
+      setIsLoggedIn(true);
+      getUserData();
+      navigate(safeRedirect(searchParams.get("redirect")));
+    } catch (error) {
+      toast.error(error.message);
+      setFieldErrors(error.fields || {});
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <form
+        className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm"
+        onSubmit={onSubmitHandler}
+      >
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("two_factor.title")}
+        </h1>
+        <p className="text-center mb-6 text-indigo-300">
+          {useBackupCode
+            ? t("two_factor.enter_backup_code")
+            : t("two_factor.enter_app_code")}
+        </p>
+        <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+          <img src={assets.lock_icon} alt="" className="w-3 h-3" />
+          <input
+            type="text"
+            inputMode={useBackupCode ? "text" : "numeric"}
+            autoComplete="one-time-code"
+            placeholder={useBackupCode ? "xxxxx-xxxxx" : "123456"}
+            className="bg-transparent outline-none text-white"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+        </div>
+        <FieldError message={fieldErrors.code} />
+        <p
+          className="mb-4 text-indigo-500 cursor-pointer"
+          onClick={() => {
+            setUseBackupCode(!useBackupCode);
+            setCode("");
+          }}
+        >
+          {useBackupCode
+            ? t("two_factor.use_app")
+            : t("two_factor.use_backup_code")}
+        </p>
+        <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+          {t("two_factor.verify")}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,154 @@
+import React, { useContext, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../assets/assets";
+import { toast } from "react-toastify";
+import axios from "axios";
+import { AppContext } from "../context/AppContext";
+
+const TwoFactorSetup = () => {
+  const navigate = useNavigate();
+  const { backend_url, userData, getUserData, t } = useContext(AppContext);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [backupCodes, setBackupCodes] = useState([]);
+  axios.defaults.withCredentials = true;
+
+  const startSetup = async () => {
+    try {
+      const { data } = await axios.post(backend_url + "/api/auth/2fa/setup");
+      setSetup(data);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Send the current code to one of the 2FA endpoints and show any new backup codes
+  const submitCode = async (endpoint) => {
+    try {
+      const { data } = await axios.post(
+        backend_url + "/api/auth/2fa/" + endpoint,
+        { code }
+      );
+      toast.success(data.message);
+      setCode("");
+      setSetup(null);
+      setBackupCodes(data.backupCodes || []);
+      getUserData();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const codeInput = (
+    <div className="mb-4 flex items-center gap-3 w-full px-5 py-2.5 rounded-full bg-[#333A5C]">
+      <img src={assets.lock_icon} alt="" className="w-3 h-3" />
+      <input
+        type="text"
+        autoComplete="one-time-code"
+        placeholder={t("two_factor.code_placeholder")}
+        className="bg-transparent outline-none text-white"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+      />
+    </div>
+  );
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-200 to-purple-400">
+      <img
+        src={assets.logo}
+        alt=""
+        className="absolute left-5 sm:left-20 top-5 w-28 sm:w-32 cursor-pointer"
+        onClick={() => navigate("/")}
+      />
+      <div className="bg-slate-900 p-8 rounded-lg shadow-lg w-96 text-sm text-indigo-300">
+        <h1 className="text-white text-2xl font-semibold text-center mb-4">
+          {t("two_factor.title")}
+        </h1>
+
+        {!userData && (
+          <p className="text-center">{t("two_factor.login_required")}</p>
+        )}
+
+        {/* ============================ */}
+        {/* backup codes, shown only once */}
+        {/* ============================ */}
+        {backupCodes.length > 0 && (
+          <div className="mb-6">
+            <p className="mb-3">{t("two_factor.save_backup_codes")}</p>
+            <ul className="grid grid-cols-2 gap-2 font-mono text-white">
+              {backupCodes.map((backupCode) => (
+                <li key={backupCode}>{backupCode}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* ============================ */}
+        {/* enrolment */}
+        {/* ============================ */}
+        {userData && !userData.twoFactorEnabled && !setup && (
+          <>
+            <p className="text-center mb-6">{t("two_factor.intro")}</p>
+            <button
+              className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer"
+              onClick={startSetup}
+            >
+              {t("two_factor.enable")}
+            </button>
+          </>
+        )}
+        {userData && !userData.twoFactorEnabled && setup && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              submitCode("enable");
+            }}
+          >
+            <p className="text-center mb-4">{t("two_factor.scan_qr_code")}</p>
+            <img
+              src={setup.qrCode}
+              alt={t("two_factor.qr_code")}
+              className="mx-auto mb-4 bg-white p-2 rounded"
+            />
+            <p className="text-center mb-4 break-all font-mono text-xs">
+              {setup.secret}
+            </p>
+            {codeInput}
+            <button className="w-full py-3 bg-gradient-to-r from-indigo-500 to-indigo-900 text-white rounded-full cursor-pointer">
+              {t("two_factor.confirm")}
+            </button>
+          </form>
+        )}
+
+        {/* ============================ */}
+        {/* disable or regenerate backup codes */}
+        {/* ============================ */}
+        {userData && userData.twoFactorEnabled && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              submitCode("disable");
+            }}
+          >
+            <p className="text-center mb-6">{t("two_factor.enabled")}</p>
+            {codeInput}
+            <button
+              type="button"
+              className="w-full py-3 mb-3 border border-indigo-500 text-white rounded-full cursor-pointer"
+              onClick={() => submitCode("backup-codes")}
+            >
+              {t("two_factor.new_backup_codes")}
+            </button>
+            <button className="w-full py-3 bg-gradient-to-r from-red-500 to-red-900 text-white rounded-full cursor-pointer">
+              {t("two_factor.disable")}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
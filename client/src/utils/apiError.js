@@ -0,0 +1,31 @@
+// A failed API request, with the message the server sent in the user's
+// language, its stable error `code`, the HTTP `status` and the response body.
+// `fields` maps each invalid request field to its message, so forms can show
+// them next to their inputs
+export class ApiError extends Error {
+  constructor(message, { code, status, data } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.data = data;
+    this.fields = Object.fromEntries(
+      (data?.errors || []).map((error) => [error.field, error.message])
+    );
+  }
+}
+
+// Build an ApiError from an axios error, keeping axios' message when the
+// server could not be reached
+export const toApiError = (error) => {
+  const { response } = error;
+  if (!response) {
+    return new ApiError(error.message, { code: error.code });
+  }
+  const data = response.data || {};
+  return new ApiError(data.message || error.message, {
+    code: data.code,
+    status: response.status,
+    data,
+  });
+};
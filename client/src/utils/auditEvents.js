@@ -0,0 +1,59 @@
+// The audit event types recorded by the server, each has an `audit.<type>`
+// message with its human readable name
+export const EVENT_TYPES = [
+  "register",
+  "login",
+  "logout",
+  "token.refresh",
+  "otp.send",
+  "email.verify",
+  "password.reset",
+  "password.change",
+  "profile.update",
+  "avatar.update",
+  "avatar.remove",
+  "email.change.request",
+  "email.change",
+  "email.change.undo",
+  "account.export",
+  "account.delete",
+  "account.delete.cancel",
+  "account.purge",
+  "2fa.enable",
+  "2fa.disable",
+  "2fa.backup-codes",
+  "session.revoke",
+  "session.revoke-others",
+  "account.link",
+  "account.unlink",
+  "passkey.add",
+  "passkey.remove",
+  "access-token.create",
+  "access-token.revoke",
+  "org.create",
+  "org.update",
+  "org.delete",
+  "org.invite",
+  "org.invite.revoke",
+  "org.invite.accept",
+  "org.member.role",
+  "org.member.remove",
+  "org.leave",
+  "admin.user.disable",
+  "admin.user.enable",
+  "admin.user.verify",
+  "admin.user.reset-password",
+  "admin.user.roles",
+  "admin.user.delete",
+  "admin.invite-code.create",
+  "admin.invite-code.revoke",
+];
+
+// Describe an event as e.g. "Sign in (passkey)"
+export const describeEvent = (t, event) => {
+  const label = EVENT_TYPES.includes(event.type)
+    ? t("audit." + event.type)
+    : event.type;
+  const detail = event.metadata?.method || event.metadata?.purpose;
+  return detail ? `${label} (${detail})` : label;
+};
@@ -0,0 +1,3 @@
+// Only allow redirects to paths inside this app, never to other sites
+export const safeRedirect = (path) =>
+  path && path.startsWith("/") && !path.startsWith("//") ? path : "/";
@@ -0,0 +1,68 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Storage adapters for avatar images.
+ *
+ * Every adapter implements the same methods:
+ *
+ * - `save(name, buffer, contentType)` stores a file under the given name.
+ * - `remove(name)` deletes it, ignoring files that do not exist.
+ * - `url(name)` returns the public URL of the file.
+ *
+ * Adapters that keep files on this server also expose `staticDir` and
+ * `staticPath`, and `server.js` serves that directory at that path.
+ *
+ */
+export class LocalStorage {
+  constructor(dir, publicPath) {
+    this.staticDir = dir;
+    this.staticPath = publicPath;
+  }
+
+  // Only accept the flat names we generate, never a path
+  filePath(name) {
+    if (!/^[\w-]+\.\w+$/.test(name)) {
+      throw new Error("Invalid file name");
+    }
+    return path.join(this.staticDir, name);
+  }
+
+  async save(name, buffer) {
+    await fs.mkdir(this.staticDir, { recursive: true });
+    await fs.writeFile(this.filePath(name), buffer);
+  }
+
+  async remove(name) {
+    await fs.rm(this.filePath(name), { force: true });
+  }
+
+  url(name) {
+    const serverUrl = process.env.SERVER_URL || "http://localhost:4000";
+    return `${serverUrl}${this.staticPath}/${name}`;
+  }
+}
+
+const defaultDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "uploads",
+  "avatars"
+);
+
+// Pick the adapter with AVATAR_STORAGE, only "local" is built in
+const createAvatarStorage = () => {
+  const type = process.env.AVATAR_STORAGE || "local";
+  if (type === "local") {
+    return new LocalStorage(
+      process.env.AVATAR_UPLOAD_DIR || defaultDir,
+      "/uploads/avatars"
+    );
+  }
+  throw new Error(`Unknown avatar storage: ${type}`);
+};
+
+const avatarStorage = createAvatarStorage();
+
+export default avatarStorage;
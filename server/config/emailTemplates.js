@@ -1,9 +1,23 @@
-export const EMAIL_VERIFY_TEMPLATE = `
-<!DOCTYPE html>
+/**
+ * Email templates, rendered by `renderEmail` in utils/mailer.js.
+ *
+ * Every template has a `subject` and a `heading`, both message keys, and a
+ * `body` function that builds the HTML table rows from `t(key)`, which looks
+ * up the text of a message key in the recipient's language. The body is
+ * wrapped in `EMAIL_LAYOUT` and the plain-text alternative is generated from
+ * it. `preview` holds the sample data used by the dev preview route.
+ *
+ * The texts live in config/locales and use the syntax of
+ * utils/templateEngine.js. Values are escaped, so `{{email}}` is always safe
+ * to use.
+ *
+ */
+
+export const EMAIL_LAYOUT = `<!DOCTYPE html>
 <html xmlns="http://www.w3.org/1999/xhtml">
 
 <head>
-  <title>Email Verify</title>
+  <title>{{subject}}</title>
   <meta http-equiv="X-UA-Compatible" content="IE=edge">
   <meta http-equiv="Content-Type" content="text/html; charset=UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -45,6 +59,10 @@ export const EMAIL_VERIFY_TEMPLATE = `
       border-radius: 7px;
     }
 
+    .highlight {
+      color: #4C83EE;
+    }
+
     @media only screen and (max-width: 480px) {
       .container {
         width: 80% !important;
@@ -70,29 +88,10 @@ export const EMAIL_VERIFY_TEMPLATE = `
                     <tbody>
                       <tr>
                         <td style="padding: 0 0 24px; font-size: 18px; line-height: 150%; font-weight: bold;">
-                          Verify your email
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 10px; font-size: 14px; line-height: 150%;">
-                          You are just one step away to verify your account for this email: <span style="color: #4C83EE;">{{email}}</span>.
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 16px; font-size: 14px; line-height: 150%; font-weight: 700;">
-                          Use below OTP to verify your account.
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 24px;">
-                          <p class="button" >{{otp}}</p>
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 10px; font-size: 14px; line-height: 150%;">
-                          This OTP is valid for 24 hours.
+                          {{heading}}
                         </td>
                       </tr>
+                      {{{body}}}
                     </tbody>
                   </table>
                 </td>
@@ -105,116 +104,154 @@ export const EMAIL_VERIFY_TEMPLATE = `
   </table>
 </body>
 </html>
+`;
 
-`
+// Building blocks shared by the templates, used as `{{> name}}`
+export const emailPartials = (t) => ({
+  // The one-time code, in a box
+  code: `<tr>
+  <td style="padding: 0 0 24px;">
+    <p class="button">{{otp}}</p>
+  </td>
+</tr>`,
+  ignore: paragraph(t("email.ignore")),
+});
 
-export const PASSWORD_RESET_TEMPLATE = `
+// A paragraph row, `strong` for the instruction above a code or button
+const paragraph = (content, { strong = false } = {}) => `<tr>
+  <td style="padding: 0 0 ${
+    strong ? "16px" : "10px"
+  }; font-size: 14px; line-height: 150%;${strong ? " font-weight: 700;" : ""}">
+    ${content}
+  </td>
+</tr>`;
 
-<!DOCTYPE html>
-<html xmlns="http://www.w3.org/1999/xhtml">
+// Call to action linking to `{{link}}`
+const button = (label) => `<tr>
+  <td style="padding: 0 0 16px;">
+    <a href="{{link}}" class="button">${label}</a>
+  </td>
+</tr>`;
 
-<head>
-  <title>Password Reset</title>
-  <meta http-equiv="X-UA-Compatible" content="IE=edge">
-  <meta http-equiv="Content-Type" content="text/html; charset=UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <link href="https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&display=swap" rel="stylesheet" type="text/css">
-  <style type="text/css">
-    body {
-      margin: 0;
-      padding: 0;
-      font-family: 'Open Sans', sans-serif;
-      background: #E5E5E5;
-    }
+export const EMAIL_TEMPLATES = {
+  welcome: {
+    subject: "email.welcome.subject",
+    heading: "email.welcome.heading",
+    body: (t) => [
+      paragraph(t("email.welcome.greeting")),
+      paragraph(t("email.welcome.created")),
+    ],
+    preview: { name: "Jane Doe", email: "jane@example.com" },
+  },
 
-    table, td {
-      border-collapse: collapse;
-    }
+  "verify-email": {
+    subject: "email.verify_email.subject",
+    heading: "email.verify_email.heading",
+    body: (t) => [
+      paragraph(t("email.verify_email.intro")),
+      paragraph(t("email.verify_email.instruction"), { strong: true }),
+      "{{> code}}",
+      paragraph(t("email.verify_email.validity")),
+    ],
+    preview: { email: "jane@example.com", otp: "123456" },
+  },
 
-    .container {
-      width: 100%;
-      max-width: 500px;
-      margin: 70px 0px;
-      background-color: #ffffff;
-    }
+  "password-reset": {
+    subject: "email.password_reset.subject",
+    heading: "email.password_reset.heading",
+    body: (t) => [
+      paragraph(t("email.password_reset.intro")),
+      paragraph(t("email.password_reset.instruction"), { strong: true }),
+      "{{> code}}",
+      paragraph(t("email.password_reset.validity")),
+    ],
+    preview: { email: "jane@example.com", otp: "123456" },
+  },
 
-    .main-content {
-      padding: 48px 30px 40px;
-      color: #000000;
-    }
+  "magic-link": {
+    subject: "email.magic_link.subject",
+    heading: "email.magic_link.heading",
+    body: (t) => [
+      paragraph(t("email.magic_link.intro")),
+      paragraph(t("email.magic_link.instruction"), { strong: true }),
+      button(t("email.magic_link.action")),
+      "{{> code}}",
+      paragraph(t("email.magic_link.validity")),
+      "{{> ignore}}",
+    ],
+    preview: {
+      email: "jane@example.com",
+      otp: "123456",
+      link: "http://localhost:5173/magic-link?token=sample",
+    },
+  },
 
-    .button {
-      width: 100%;
-      background: #22D172;
-      text-decoration: none;
-      display: inline-block;
-      padding: 10px 0;
-      color: #fff;
-      font-size: 14px;
-      text-align: center;
-      font-weight: bold;
-      border-radius: 7px;
-    }
+  "email-change": {
+    subject: "email.email_change.subject",
+    heading: "email.email_change.heading",
+    body: (t) => [
+      paragraph(t("email.email_change.intro")),
+      paragraph(t("email.email_change.instruction"), { strong: true }),
+      "{{> code}}",
+      paragraph(t("email.email_change.validity")),
+      "{{> ignore}}",
+    ],
+    preview: { email: "jane.new@example.com", otp: "123456" },
+  },
 
-    @media only screen and (max-width: 480px) {
-      .container {
-        width: 80% !important;
-      }
+  "email-changed": {
+    subject: "email.email_changed.subject",
+    heading: "email.email_changed.heading",
+    body: (t) => [
+      paragraph(t("email.email_changed.intro")),
+      paragraph(t("email.email_changed.instruction"), { strong: true }),
+      button(t("email.email_changed.action")),
+      paragraph(t("email.email_changed.validity")),
+    ],
+    preview: {
+      email: "jane@example.com",
+      newEmail: "jane.new@example.com",
+      link: "http://localhost:5173/email-change/undo?token=sample",
+      hours: 72,
+    },
+  },
 
-      .button {
-        width: 50% !important;
-      }
-    }
-  </style>
-</head>
+  "org-invitation": {
+    subject: "email.org_invitation.subject",
+    heading: "email.org_invitation.heading",
+    body: (t) => [
+      paragraph(t("email.org_invitation.intro")),
+      paragraph(t("email.org_invitation.instruction"), { strong: true }),
+      button(t("email.org_invitation.action")),
+      paragraph(t("email.org_invitation.validity")),
+    ],
+    preview: {
+      email: "jane@example.com",
+      organization: "Acme",
+      inviter: "John Doe",
+      role: "member",
+      link: "http://localhost:5173/invitation?token=sample",
+      days: 7,
+    },
+  },
 
-<body>
-  <table width="100%" cellspacing="0" cellpadding="0" border="0" align="center" bgcolor="#F6FAFB">
-    <tbody>
-      <tr>
-        <td valign="top" align="center">
-          <table class="container" width="600" cellspacing="0" cellpadding="0" border="0">
-            <tbody>
-              <tr>
-                <td class="main-content">
-                  <table width="100%" cellspacing="0" cellpadding="0" border="0">
-                    <tbody>
-                      <tr>
-                        <td style="padding: 0 0 24px; font-size: 18px; line-height: 150%; font-weight: bold;">
-                          Forgot your password?
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 10px; font-size: 14px; line-height: 150%;">
-                          We received a password reset request for your account: <span style="color: #4C83EE;">{{email}}</span>.
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 16px; font-size: 14px; line-height: 150%; font-weight: 700;">
-                          Use the OTP below to reset the password.
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 24px;">
-                          <p class="button" >{{otp}}</p>
-                        </td>
-                      </tr>
-                      <tr>
-                        <td style="padding: 0 0 10px; font-size: 14px; line-height: 150%;">
-                          The password reset otp is only valid for the next 15 minutes.
-                        </td>
-                      </tr>
-                    </tbody>
-                  </table>
-                </td>
-              </tr>
-            </tbody>
-          </table>
-        </td>
-      </tr>
-    </tbody>
-  </table>
-</body>
-</html>
-`
+  "account-deletion-scheduled": {
+    subject: "email.deletion_scheduled.subject",
+    heading: "email.deletion_scheduled.heading",
+    body: (t) => [
+      paragraph(t("email.deletion_scheduled.intro")),
+      paragraph(t("email.deletion_scheduled.cancel")),
+    ],
+    preview: { name: "Jane Doe", date: "Thu, 01 Jan 2026 00:00:00 GMT" },
+  },
 
+  "account-deletion-cancelled": {
+    subject: "email.deletion_cancelled.subject",
+    heading: "email.deletion_cancelled.heading",
+    body: (t) => [
+      paragraph(t("email.deletion_cancelled.intro")),
+      paragraph(t("email.deletion_cancelled.warning"), { strong: true }),
+    ],
+    preview: { name: "Jane Doe" },
+  },
+};
@@ -0,0 +1,296 @@
+/**
+ * English messages, the reference catalog every other locale falls back to.
+ *
+ * Keys are stable and returned to clients as `code`, so only ever add keys or
+ * change their text. Placeholders use the `{{name}}` syntax of
+ * utils/templateEngine.js. Email texts may contain HTML, their placeholders
+ * are escaped.
+ *
+ */
+export default {
+  // Shared
+  "common.missing_details": "Missing Details!!!",
+  "common.fill_all_fields": "Please fill all the fields",
+  "common.invalid_request": "Invalid request",
+  "common.invalid_json": "The request body is not valid JSON",
+  "common.not_found": "Not found",
+  "common.server_error": "Something went wrong. Please try again later",
+  "user.not_found": "User not Found!!!",
+  "email.invalid": "Enter a valid email",
+  "email.already_exists": "Email already exists",
+  "rate_limit.too_many_attempts":
+    "Too many attempts. Try again in {{retryAfter}} seconds",
+
+  // Request validation, see utils/validation.js
+  "validation.failed": "Please check the highlighted fields",
+  "validation.required": "This field is required",
+  "validation.string": "Must be text",
+  "validation.too_short": "Must be at least {{min}} characters",
+  "validation.too_long": "Must be at most {{max}} characters",
+  "validation.format": "Has an invalid format",
+  "validation.id": "Is not a valid ID",
+  "validation.boolean": "Must be true or false",
+  "validation.integer": "Must be a whole number",
+  "validation.min": "Must be at least {{min}}",
+  "validation.max": "Must be at most {{max}}",
+  "validation.one_of": "Must be one of: {{values}}",
+  "validation.object": "Must be an object",
+  "validation.array": "Must be a list",
+  "validation.min_items": "Choose at least {{min}}",
+  "validation.max_items": "Choose at most {{max}}",
+
+  // Sign in and sessions
+  "auth.login_successful": "Login successful",
+  "auth.register_successful": "Register successful",
+  "auth.logout_successful": "Logout successful",
+  "auth.email_required": "Email is Required!!!",
+  "auth.incorrect_password": "Incorrect password",
+  "auth.social_login_only":
+    "This account uses social login. Continue with your provider",
+  "auth.not_authorized": "Not authorized. Login Again",
+  "auth.session_revoked": "Session revoked. Login Again",
+  "auth.token_expired": "Access token expired",
+  "auth.permission_denied": "Permission denied",
+  "session.not_found": "Session not Found!!!",
+  "session.revoked": "Session revoked",
+  "session.others_revoked": "{{count}} other session(s) revoked",
+
+  // Account
+  "account.disabled": "Your account has been disabled",
+  "account.last_sign_in_method": "You cannot remove your last way to sign in",
+  "account.deletion_scheduled":
+    "Your account will be deleted in {{days}} days. Log in again before then to cancel",
+  "profile.nothing_to_update": "Nothing to update",
+  "profile.updated": "Profile updated",
+  "profile.invalid_name": "Invalid name, use 1 to {{maxLength}} characters",
+  "profile.invalid_locale": "Unsupported language",
+  "avatar.updated": "Avatar updated",
+  "avatar.removed": "Avatar removed",
+  "avatar.invalid_type": "Only JPEG, PNG, WebP or GIF images are allowed",
+  "avatar.missing": "No image uploaded",
+  "avatar.too_large": "Image must be smaller than {{maxMb}} MB",
+
+  // Email verification and password reset
+  "otp.invalid": "Invalid OTP!!!",
+  "otp.expired": "OTP Expired",
+  "otp.too_many_attempts": "Too many wrong attempts. Request a new OTP",
+  "verify.already_verified": "Account Already Verified",
+  "verify.otp_sent": "Verification OTP sent on your Email",
+  "verify.success": "Email Verified Successfully",
+  "password_reset.otp_sent": "Reset OTP sent on your Email",
+  "password_reset.missing_fields":
+    "Missing Information! Email, OTP and New Password are required",
+  "password_reset.success": "Password Changed Successfully",
+
+  // Password policy
+  "password.changed": "Password changed. Other devices have been logged out",
+  "password.required": "Password is required",
+  "password.too_short": "Password must be at least {{minLength}} characters",
+  "password.too_long": "Password must be at most {{maxLength}} characters",
+  "password.missing_lowercase": "Password must contain a lowercase letter",
+  "password.missing_uppercase": "Password must contain an uppercase letter",
+  "password.missing_letter": "Password must contain a letter",
+  "password.missing_digit": "Password must contain a number",
+  "password.missing_symbol": "Password must contain a symbol",
+  "password.personal_info": "Password must not contain your name or email",
+  "password.breached":
+    "This password is too common or appeared in a data breach",
+
+  // Email change
+  "email_change.same_email": "This is already your email",
+  "email_change.undo_pending":
+    "Your email address was changed recently. You can change it again once the undo link has expired",
+  "email_change.code_sent": "Confirmation code sent to your new email",
+  "email_change.none_pending": "No email change pending",
+  "email_change.changed": "Email changed",
+  "email_change.cancelled": "Email change cancelled",
+  "email_change.invalid_link": "Invalid or expired link",
+  "email_change.previous_email_taken":
+    "Your previous email is now used by another account",
+  "email_change.undone":
+    "Email change undone and all devices logged out. Reset your password to secure your account",
+
+  // Two-factor authentication
+  "two_factor.already_enabled": "Two-factor authentication is already enabled",
+  "two_factor.setup_first": "Start two-factor setup first",
+  "two_factor.invalid_code": "Invalid code",
+  "two_factor.enabled": "Two-factor authentication enabled",
+  "two_factor.not_enabled": "Two-factor authentication is not enabled",
+  "two_factor.disabled": "Two-factor authentication disabled",
+  "two_factor.backup_codes_generated": "New backup codes generated",
+  "two_factor.login_expired": "Login session expired",
+  "two_factor.required": "Two-factor authentication required",
+
+  // Passwordless sign-in
+  "magic_link.sent": "Sign-in link sent on your Email",
+  "magic_link.invalid": "Invalid or used link",
+  "magic_link.expired": "Link Expired",
+  "magic_link.wrong_browser":
+    "Open the link in the browser where you requested it",
+  "passkey.request_expired": "Passkey request expired",
+  "passkey.not_verified": "Passkey not verified",
+  "passkey.added": "Passkey added",
+  "passkey.unknown": "Unknown passkey",
+  "passkey.not_found": "Passkey not Found!!!",
+  "passkey.removed": "Passkey removed",
+
+  // Social login
+  "oauth.unknown_provider": "Unknown provider",
+  "oauth.invalid_request": "Invalid or expired login request",
+  "oauth.cancelled": "{{provider}} login was cancelled",
+  "oauth.failed": "{{provider}} login failed, please try again",
+  "oauth.no_email": "{{provider}} did not share an email address",
+  "oauth.email_exists":
+    "An account with this email already exists. Login and link it instead",
+  "oauth.linked_to_other_user":
+    "This {{provider}} account is linked to another user",
+  "oauth.not_linked": "Provider is not linked",
+  "oauth.unlinked": "Provider unlinked",
+  "oidc.client_registered": "Client registered",
+  "oidc.client_not_found": "Client not Found!!!",
+  "oidc.client_deleted": "Client deleted",
+  "oidc.invalid_redirect_uri":
+    "Invalid redirect URI: {{uri}}. Use https, or http on localhost",
+
+  // Personal access tokens
+  "access_token.created":
+    "Access token created. Copy it now, it will not be shown again",
+  "access_token.revoked": "Access token revoked",
+  "access_token.not_found": "Access token not Found!!!",
+  "access_token.invalid": "Invalid or expired access token",
+  "access_token.session_required":
+    "This endpoint cannot be used with an access token",
+  "access_token.insufficient_scope":
+    "The access token is missing the scope(s): {{scopes}}",
+  "access_token.limit_reached": "You can have at most {{max}} access tokens",
+
+  // Organizations
+  "org.created": "Organization created",
+  "org.updated": "Organization updated",
+  "org.deleted": "Organization deleted",
+  "org.switched": "Organization switched",
+  "org.not_found": "Organization not Found!!!",
+  "org.none_active": "Switch to an organization first",
+  "org.limit_reached": "You can belong to at most {{max}} organizations",
+  "org.already_member": "This user is already a member",
+  "org.member_not_found": "Member not Found!!!",
+  "org.last_owner":
+    "An organization needs an owner. Make someone else owner first",
+  "org.remove_self": "Leave the organization instead of removing yourself",
+  "org.role_updated": "Role updated",
+  "org.member_removed": "Member removed",
+  "org.left": "You left the organization",
+  "org.invitation_sent": "Invitation sent",
+  "org.invitation_revoked": "Invitation revoked",
+  "org.invitation_limit":
+    "An organization can have at most {{max}} pending invitations",
+  "org.invitation_not_found": "Invitation not Found!!!",
+  "org.invitation_invalid":
+    "This invitation is invalid, expired or was revoked",
+  "org.invitation_wrong_account":
+    "This invitation is for {{email}}. Login with that account to accept it",
+  "org.joined": "You joined the organization",
+  "org.role.owner": "owner",
+  "org.role.admin": "admin",
+  "org.role.member": "member",
+
+  // Registration modes, see config/registration.js
+  "registration.invite_required": "Sign up needs an invite code",
+  "registration.invalid_invite_code":
+    "This invite code is invalid, expired or used up",
+  "registration.invalid_invitation":
+    "This invitation link is invalid or expired, or for another email address",
+  "registration.domain_not_allowed":
+    "Sign up is limited to addresses at {{domains}}",
+  "registration.email_unverified":
+    "Confirm your email address first: sign in with an email link to confirm it",
+  "registration.provider_email_unverified":
+    "{{provider}} has not verified your email address, so it cannot be used to sign up",
+  "registration.check_email":
+    "Account created. Check your email for a link to confirm your address and sign in",
+
+  // Admin console
+  "admin.invalid_date": "Invalid date",
+  "admin.cannot_disable_self": "You cannot disable your own account",
+  "admin.account_disabled": "Account disabled",
+  "admin.account_enabled": "Account enabled",
+  "admin.email_verified": "Email marked as verified",
+  "admin.password_reset_sent": "Password reset email sent",
+  "admin.invalid_roles": "Invalid roles",
+  "admin.cannot_remove_own_admin": "You cannot remove your own admin role",
+  "admin.roles_updated": "Roles updated",
+  "admin.cannot_delete_self": "You cannot delete your own account",
+  "admin.user_deleted": "User deleted",
+  "invite_code.created":
+    "Invite code created. Copy it now, it will not be shown again",
+  "invite_code.revoked": "Invite code revoked",
+  "invite_code.not_found": "Invite code not Found!!!",
+  "invite_code.already_revoked": "This invite code is already revoked",
+
+  // Emails
+  "email.ignore": "If you didn't request this, you can ignore this email.",
+  "email.welcome.subject": "Welcome to MERN-Auth",
+  "email.welcome.heading": "Welcome to MERN-Auth",
+  "email.welcome.greeting": "Hello {{name}}, welcome to MERN-Auth!",
+  "email.welcome.created":
+    'Your account has been created successfully with email id: <span class="highlight">{{email}}</span>.',
+  "email.verify_email.subject": "Account Verification OTP",
+  "email.verify_email.heading": "Verify your email",
+  "email.verify_email.intro":
+    'You are just one step away to verify your account for this email: <span class="highlight">{{email}}</span>.',
+  "email.verify_email.instruction": "Use below OTP to verify your account.",
+  "email.verify_email.validity": "This OTP is valid for 24 hours.",
+  "email.password_reset.subject": "Password Reset OTP",
+  "email.password_reset.heading": "Forgot your password?",
+  "email.password_reset.intro":
+    'We received a password reset request for your account: <span class="highlight">{{email}}</span>.',
+  "email.password_reset.instruction":
+    "Use the OTP below to reset the password.",
+  "email.password_reset.validity":
+    "The password reset otp is only valid for the next 15 minutes.",
+  "email.magic_link.subject": "Your MERN-Auth sign-in link",
+  "email.magic_link.heading": "Sign in to MERN-Auth",
+  "email.magic_link.intro":
+    'We received a sign-in request for your account: <span class="highlight">{{email}}</span>.',
+  "email.magic_link.instruction":
+    "Click the button below, or enter this code on the sign-in page.",
+  "email.magic_link.action": "Sign In",
+  "email.magic_link.validity":
+    "The link and code are valid for 15 minutes and only work in the browser where you requested them.",
+  "email.email_change.subject": "Confirm your new email address",
+  "email.email_change.heading": "Confirm your new email address",
+  "email.email_change.intro":
+    'You asked to change the email address of your MERN-Auth account to <span class="highlight">{{email}}</span>.',
+  "email.email_change.instruction": "Use this code to confirm the change.",
+  "email.email_change.validity": "The code is valid for 15 minutes.",
+  "email.email_changed.subject": "Your MERN-Auth email address was changed",
+  "email.email_changed.heading": "Your email address was changed",
+  "email.email_changed.intro":
+    'The email address of your MERN-Auth account was changed from <span class="highlight">{{email}}</span> to <span class="highlight">{{newEmail}}</span>.',
+  "email.email_changed.instruction":
+    "If this wasn't you, undo the change now. You will be logged out everywhere and should reset your password.",
+  "email.email_changed.action": "This wasn't me",
+  "email.email_changed.validity": "The link is valid for {{hours}} hours.",
+  "email.org_invitation.subject":
+    "You're invited to join {{organization}} on MERN-Auth",
+  "email.org_invitation.heading": "Join {{organization}}",
+  "email.org_invitation.intro":
+    '{{inviter}} invited <span class="highlight">{{email}}</span> to join {{organization}} as {{role}}.',
+  "email.org_invitation.instruction":
+    "Accept the invitation while logged in with this address, or sign up with it if you don't have an account yet.",
+  "email.org_invitation.action": "Accept Invitation",
+  "email.org_invitation.validity": "The invitation is valid for {{days}} days.",
+  "email.deletion_scheduled.subject": "Your MERN-Auth account will be deleted",
+  "email.deletion_scheduled.heading": "Your account will be deleted",
+  "email.deletion_scheduled.intro":
+    "Hello {{name}}, your MERN-Auth account and all of its data will be deleted on {{date}}.",
+  "email.deletion_scheduled.cancel":
+    "Changed your mind? Just log in again before then to cancel the deletion.",
+  "email.deletion_cancelled.subject":
+    "Your MERN-Auth account will not be deleted",
+  "email.deletion_cancelled.heading": "Your account will not be deleted",
+  "email.deletion_cancelled.intro":
+    "Hello {{name}}, you signed in to MERN-Auth, so the deletion of your account has been cancelled.",
+  "email.deletion_cancelled.warning":
+    "If this wasn't you, reset your password right away.",
+};
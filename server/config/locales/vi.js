@@ -0,0 +1,298 @@
+/**
+ * Vietnamese messages. Keys missing here fall back to config/locales/en.js.
+ */
+export default {
+  // Shared
+  "common.missing_details": "Thiếu thông tin!",
+  "common.fill_all_fields": "Vui lòng điền đầy đủ các trường",
+  "common.invalid_request": "Yêu cầu không hợp lệ",
+  "common.invalid_json": "Nội dung yêu cầu không phải JSON hợp lệ",
+  "common.not_found": "Không tìm thấy",
+  "common.server_error": "Đã xảy ra lỗi. Vui lòng thử lại sau",
+  "user.not_found": "Không tìm thấy người dùng!",
+  "email.invalid": "Vui lòng nhập email hợp lệ",
+  "email.already_exists": "Email đã tồn tại",
+  "rate_limit.too_many_attempts":
+    "Quá nhiều lần thử. Vui lòng thử lại sau {{retryAfter}} giây",
+
+  // Request validation, see utils/validation.js
+  "validation.failed": "Vui lòng kiểm tra các trường được đánh dấu",
+  "validation.required": "Trường này là bắt buộc",
+  "validation.string": "Phải là văn bản",
+  "validation.too_short": "Phải có ít nhất {{min}} ký tự",
+  "validation.too_long": "Chỉ được tối đa {{max}} ký tự",
+  "validation.format": "Định dạng không hợp lệ",
+  "validation.id": "ID không hợp lệ",
+  "validation.boolean": "Phải là true hoặc false",
+  "validation.integer": "Phải là số nguyên",
+  "validation.min": "Phải lớn hơn hoặc bằng {{min}}",
+  "validation.max": "Phải nhỏ hơn hoặc bằng {{max}}",
+  "validation.one_of": "Phải là một trong: {{values}}",
+  "validation.object": "Phải là một đối tượng",
+  "validation.array": "Phải là một danh sách",
+  "validation.min_items": "Chọn ít nhất {{min}}",
+  "validation.max_items": "Chọn tối đa {{max}}",
+
+  // Sign in and sessions
+  "auth.login_successful": "Đăng nhập thành công",
+  "auth.register_successful": "Đăng ký thành công",
+  "auth.logout_successful": "Đăng xuất thành công",
+  "auth.email_required": "Vui lòng nhập email!",
+  "auth.incorrect_password": "Mật khẩu không đúng",
+  "auth.social_login_only":
+    "Tài khoản này dùng đăng nhập mạng xã hội. Hãy tiếp tục với nhà cung cấp của bạn",
+  "auth.not_authorized": "Chưa được xác thực. Vui lòng đăng nhập lại",
+  "auth.session_revoked": "Phiên đã bị thu hồi. Vui lòng đăng nhập lại",
+  "auth.token_expired": "Mã truy cập đã hết hạn",
+  "auth.permission_denied": "Bạn không có quyền thực hiện thao tác này",
+  "session.not_found": "Không tìm thấy phiên!",
+  "session.revoked": "Đã thu hồi phiên",
+  "session.others_revoked": "Đã thu hồi {{count}} phiên khác",
+
+  // Account
+  "account.disabled": "Tài khoản của bạn đã bị vô hiệu hóa",
+  "account.last_sign_in_method":
+    "Bạn không thể xóa cách đăng nhập cuối cùng của mình",
+  "account.deletion_scheduled":
+    "Tài khoản của bạn sẽ bị xóa sau {{days}} ngày. Đăng nhập lại trước thời điểm đó để hủy",
+  "profile.nothing_to_update": "Không có gì để cập nhật",
+  "profile.updated": "Đã cập nhật hồ sơ",
+  "profile.invalid_name":
+    "Tên không hợp lệ, hãy dùng từ 1 đến {{maxLength}} ký tự",
+  "profile.invalid_locale": "Ngôn ngữ không được hỗ trợ",
+  "avatar.updated": "Đã cập nhật ảnh đại diện",
+  "avatar.removed": "Đã xóa ảnh đại diện",
+  "avatar.invalid_type": "Chỉ chấp nhận ảnh JPEG, PNG, WebP hoặc GIF",
+  "avatar.missing": "Chưa có ảnh nào được tải lên",
+  "avatar.too_large": "Ảnh phải nhỏ hơn {{maxMb}} MB",
+
+  // Email verification and password reset
+  "otp.invalid": "Mã OTP không hợp lệ!",
+  "otp.expired": "Mã OTP đã hết hạn",
+  "otp.too_many_attempts":
+    "Nhập sai quá nhiều lần. Vui lòng yêu cầu mã OTP mới",
+  "verify.already_verified": "Tài khoản đã được xác minh",
+  "verify.otp_sent": "Mã OTP xác minh đã được gửi tới email của bạn",
+  "verify.success": "Xác minh email thành công",
+  "password_reset.otp_sent":
+    "Mã OTP đặt lại mật khẩu đã được gửi tới email của bạn",
+  "password_reset.missing_fields":
+    "Thiếu thông tin! Cần có email, mã OTP và mật khẩu mới",
+  "password_reset.success": "Đổi mật khẩu thành công",
+
+  // Password policy
+  "password.changed": "Đã đổi mật khẩu. Các thiết bị khác đã bị đăng xuất",
+  "password.required": "Vui lòng nhập mật khẩu",
+  "password.too_short": "Mật khẩu phải có ít nhất {{minLength}} ký tự",
+  "password.too_long": "Mật khẩu chỉ được có tối đa {{maxLength}} ký tự",
+  "password.missing_lowercase": "Mật khẩu phải chứa một chữ cái thường",
+  "password.missing_uppercase": "Mật khẩu phải chứa một chữ cái in hoa",
+  "password.missing_letter": "Mật khẩu phải chứa một chữ cái",
+  "password.missing_digit": "Mật khẩu phải chứa một chữ số",
+  "password.missing_symbol": "Mật khẩu phải chứa một ký tự đặc biệt",
+  "password.personal_info": "Mật khẩu không được chứa tên hoặc email của bạn",
+  "password.breached":
+    "Mật khẩu này quá phổ biến hoặc đã xuất hiện trong một vụ rò rỉ dữ liệu",
+
+  // Email change
+  "email_change.same_email": "Đây đã là email của bạn",
+  "email_change.undo_pending":
+    "Địa chỉ email của bạn vừa được thay đổi. Bạn có thể đổi lại sau khi liên kết hoàn tác hết hạn",
+  "email_change.code_sent": "Mã xác nhận đã được gửi tới email mới của bạn",
+  "email_change.none_pending": "Không có yêu cầu đổi email nào đang chờ",
+  "email_change.changed": "Đã đổi email",
+  "email_change.cancelled": "Đã hủy yêu cầu đổi email",
+  "email_change.invalid_link": "Liên kết không hợp lệ hoặc đã hết hạn",
+  "email_change.previous_email_taken":
+    "Email cũ của bạn hiện đang được một tài khoản khác sử dụng",
+  "email_change.undone":
+    "Đã hoàn tác việc đổi email và đăng xuất mọi thiết bị. Hãy đặt lại mật khẩu để bảo vệ tài khoản",
+
+  // Two-factor authentication
+  "two_factor.already_enabled": "Xác thực hai lớp đã được bật",
+  "two_factor.setup_first": "Hãy bắt đầu thiết lập xác thực hai lớp trước",
+  "two_factor.invalid_code": "Mã không hợp lệ",
+  "two_factor.enabled": "Đã bật xác thực hai lớp",
+  "two_factor.not_enabled": "Xác thực hai lớp chưa được bật",
+  "two_factor.disabled": "Đã tắt xác thực hai lớp",
+  "two_factor.backup_codes_generated": "Đã tạo mã dự phòng mới",
+  "two_factor.login_expired": "Phiên đăng nhập đã hết hạn",
+  "two_factor.required": "Cần xác thực hai lớp",
+
+  // Passwordless sign-in
+  "magic_link.sent": "Liên kết đăng nhập đã được gửi tới email của bạn",
+  "magic_link.invalid": "Liên kết không hợp lệ hoặc đã được sử dụng",
+  "magic_link.expired": "Liên kết đã hết hạn",
+  "magic_link.wrong_browser":
+    "Hãy mở liên kết trong trình duyệt mà bạn đã dùng để yêu cầu",
+  "passkey.request_expired": "Yêu cầu passkey đã hết hạn",
+  "passkey.not_verified": "Không xác minh được passkey",
+  "passkey.added": "Đã thêm passkey",
+  "passkey.unknown": "Passkey không xác định",
+  "passkey.not_found": "Không tìm thấy passkey!",
+  "passkey.removed": "Đã xóa passkey",
+
+  // Social login
+  "oauth.unknown_provider": "Nhà cung cấp không xác định",
+  "oauth.invalid_request": "Yêu cầu đăng nhập không hợp lệ hoặc đã hết hạn",
+  "oauth.cancelled": "Đăng nhập bằng {{provider}} đã bị hủy",
+  "oauth.failed": "Đăng nhập bằng {{provider}} thất bại, vui lòng thử lại",
+  "oauth.no_email": "{{provider}} không chia sẻ địa chỉ email",
+  "oauth.email_exists":
+    "Đã có tài khoản dùng email này. Hãy đăng nhập rồi liên kết thay vào đó",
+  "oauth.linked_to_other_user":
+    "Tài khoản {{provider}} này đã được liên kết với người dùng khác",
+  "oauth.not_linked": "Nhà cung cấp chưa được liên kết",
+  "oauth.unlinked": "Đã hủy liên kết nhà cung cấp",
+  "oidc.client_registered": "Đã đăng ký ứng dụng",
+  "oidc.client_not_found": "Không tìm thấy ứng dụng!",
+  "oidc.client_deleted": "Đã xóa ứng dụng",
+  "oidc.invalid_redirect_uri":
+    "URI chuyển hướng không hợp lệ: {{uri}}. Hãy dùng https, hoặc http trên localhost",
+
+  // Personal access tokens
+  "access_token.created":
+    "Đã tạo mã truy cập. Hãy sao chép ngay, mã sẽ không được hiển thị lại",
+  "access_token.revoked": "Đã thu hồi mã truy cập",
+  "access_token.not_found": "Không tìm thấy mã truy cập!",
+  "access_token.invalid": "Mã truy cập không hợp lệ hoặc đã hết hạn",
+  "access_token.session_required":
+    "Không thể dùng mã truy cập cho endpoint này",
+  "access_token.insufficient_scope": "Mã truy cập thiếu quyền: {{scopes}}",
+  "access_token.limit_reached": "Bạn chỉ có thể có tối đa {{max}} mã truy cập",
+
+  // Organizations
+  "org.created": "Đã tạo tổ chức",
+  "org.updated": "Đã cập nhật tổ chức",
+  "org.deleted": "Đã xóa tổ chức",
+  "org.switched": "Đã chuyển tổ chức",
+  "org.not_found": "Không tìm thấy tổ chức!",
+  "org.none_active": "Hãy chuyển sang một tổ chức trước",
+  "org.limit_reached": "Bạn chỉ có thể thuộc tối đa {{max}} tổ chức",
+  "org.already_member": "Người dùng này đã là thành viên",
+  "org.member_not_found": "Không tìm thấy thành viên!",
+  "org.last_owner":
+    "Tổ chức cần có chủ sở hữu. Hãy chọn người khác làm chủ sở hữu trước",
+  "org.remove_self": "Hãy rời tổ chức thay vì tự xóa mình",
+  "org.role_updated": "Đã cập nhật vai trò",
+  "org.member_removed": "Đã xóa thành viên",
+  "org.left": "Bạn đã rời tổ chức",
+  "org.invitation_sent": "Đã gửi lời mời",
+  "org.invitation_revoked": "Đã thu hồi lời mời",
+  "org.invitation_limit":
+    "Một tổ chức chỉ có thể có tối đa {{max}} lời mời đang chờ",
+  "org.invitation_not_found": "Không tìm thấy lời mời!",
+  "org.invitation_invalid":
+    "Lời mời không hợp lệ, đã hết hạn hoặc đã bị thu hồi",
+  "org.invitation_wrong_account":
+    "Lời mời này dành cho {{email}}. Hãy đăng nhập bằng tài khoản đó để chấp nhận",
+  "org.joined": "Bạn đã tham gia tổ chức",
+  "org.role.owner": "chủ sở hữu",
+  "org.role.admin": "quản trị viên",
+  "org.role.member": "thành viên",
+
+  // Registration modes, see config/registration.js
+  "registration.invite_required": "Cần có mã mời để đăng ký",
+  "registration.invalid_invite_code":
+    "Mã mời không hợp lệ, đã hết hạn hoặc đã hết lượt dùng",
+  "registration.invalid_invitation":
+    "Liên kết lời mời không hợp lệ, đã hết hạn hoặc dành cho địa chỉ email khác",
+  "registration.domain_not_allowed":
+    "Chỉ địa chỉ thuộc {{domains}} mới được đăng ký",
+  "registration.email_unverified":
+    "Hãy xác nhận địa chỉ email trước: đăng nhập bằng liên kết qua email để xác nhận",
+  "registration.provider_email_unverified":
+    "{{provider}} chưa xác minh địa chỉ email của bạn nên không thể dùng để đăng ký",
+  "registration.check_email":
+    "Đã tạo tài khoản. Hãy kiểm tra email để nhận liên kết xác nhận địa chỉ và đăng nhập",
+
+  // Admin console
+  "admin.invalid_date": "Ngày không hợp lệ",
+  "admin.cannot_disable_self":
+    "Bạn không thể vô hiệu hóa tài khoản của chính mình",
+  "admin.account_disabled": "Đã vô hiệu hóa tài khoản",
+  "admin.account_enabled": "Đã kích hoạt tài khoản",
+  "admin.email_verified": "Đã đánh dấu email là đã xác minh",
+  "admin.password_reset_sent": "Đã gửi email đặt lại mật khẩu",
+  "admin.invalid_roles": "Vai trò không hợp lệ",
+  "admin.cannot_remove_own_admin":
+    "Bạn không thể gỡ vai trò quản trị của chính mình",
+  "admin.roles_updated": "Đã cập nhật vai trò",
+  "admin.cannot_delete_self": "Bạn không thể xóa tài khoản của chính mình",
+  "admin.user_deleted": "Đã xóa người dùng",
+  "invite_code.created":
+    "Đã tạo mã mời. Hãy sao chép ngay, mã sẽ không được hiển thị lại",
+  "invite_code.revoked": "Đã thu hồi mã mời",
+  "invite_code.not_found": "Không tìm thấy mã mời!",
+  "invite_code.already_revoked": "Mã mời này đã bị thu hồi",
+
+  // Emails
+  "email.ignore":
+    "Nếu bạn không yêu cầu điều này, bạn có thể bỏ qua email này.",
+  "email.welcome.subject": "Chào mừng bạn đến với MERN-Auth",
+  "email.welcome.heading": "Chào mừng bạn đến với MERN-Auth",
+  "email.welcome.greeting":
+    "Xin chào {{name}}, chào mừng bạn đến với MERN-Auth!",
+  "email.welcome.created":
+    'Tài khoản của bạn đã được tạo thành công với email: <span class="highlight">{{email}}</span>.',
+  "email.verify_email.subject": "Mã OTP xác minh tài khoản",
+  "email.verify_email.heading": "Xác minh email của bạn",
+  "email.verify_email.intro":
+    'Chỉ còn một bước nữa để xác minh tài khoản của bạn với email: <span class="highlight">{{email}}</span>.',
+  "email.verify_email.instruction":
+    "Dùng mã OTP dưới đây để xác minh tài khoản.",
+  "email.verify_email.validity": "Mã OTP này có hiệu lực trong 24 giờ.",
+  "email.password_reset.subject": "Mã OTP đặt lại mật khẩu",
+  "email.password_reset.heading": "Bạn quên mật khẩu?",
+  "email.password_reset.intro":
+    'Chúng tôi đã nhận được yêu cầu đặt lại mật khẩu cho tài khoản: <span class="highlight">{{email}}</span>.',
+  "email.password_reset.instruction":
+    "Dùng mã OTP dưới đây để đặt lại mật khẩu.",
+  "email.password_reset.validity":
+    "Mã OTP đặt lại mật khẩu chỉ có hiệu lực trong 15 phút tới.",
+  "email.magic_link.subject": "Liên kết đăng nhập MERN-Auth của bạn",
+  "email.magic_link.heading": "Đăng nhập vào MERN-Auth",
+  "email.magic_link.intro":
+    'Chúng tôi đã nhận được yêu cầu đăng nhập cho tài khoản: <span class="highlight">{{email}}</span>.',
+  "email.magic_link.instruction":
+    "Nhấn nút bên dưới, hoặc nhập mã này trên trang đăng nhập.",
+  "email.magic_link.action": "Đăng nhập",
+  "email.magic_link.validity":
+    "Liên kết và mã có hiệu lực trong 15 phút và chỉ dùng được trong trình duyệt mà bạn đã yêu cầu.",
+  "email.email_change.subject": "Xác nhận địa chỉ email mới",
+  "email.email_change.heading": "Xác nhận địa chỉ email mới",
+  "email.email_change.intro":
+    'Bạn đã yêu cầu đổi địa chỉ email của tài khoản MERN-Auth thành <span class="highlight">{{email}}</span>.',
+  "email.email_change.instruction": "Dùng mã này để xác nhận thay đổi.",
+  "email.email_change.validity": "Mã có hiệu lực trong 15 phút.",
+  "email.email_changed.subject": "Địa chỉ email MERN-Auth của bạn đã được đổi",
+  "email.email_changed.heading": "Địa chỉ email của bạn đã được đổi",
+  "email.email_changed.intro":
+    'Địa chỉ email của tài khoản MERN-Auth đã được đổi từ <span class="highlight">{{email}}</span> thành <span class="highlight">{{newEmail}}</span>.',
+  "email.email_changed.instruction":
+    "Nếu không phải bạn, hãy hoàn tác ngay. Bạn sẽ bị đăng xuất ở mọi nơi và nên đặt lại mật khẩu.",
+  "email.email_changed.action": "Không phải tôi",
+  "email.email_changed.validity": "Liên kết có hiệu lực trong {{hours}} giờ.",
+  "email.org_invitation.subject":
+    "Bạn được mời tham gia {{organization}} trên MERN-Auth",
+  "email.org_invitation.heading": "Tham gia {{organization}}",
+  "email.org_invitation.intro":
+    '{{inviter}} đã mời <span class="highlight">{{email}}</span> tham gia {{organization}} với vai trò {{role}}.',
+  "email.org_invitation.instruction":
+    "Chấp nhận lời mời khi đăng nhập bằng địa chỉ này, hoặc đăng ký bằng địa chỉ này nếu bạn chưa có tài khoản.",
+  "email.org_invitation.action": "Chấp nhận lời mời",
+  "email.org_invitation.validity": "Lời mời có hiệu lực trong {{days}} ngày.",
+  "email.deletion_scheduled.subject": "Tài khoản MERN-Auth của bạn sẽ bị xóa",
+  "email.deletion_scheduled.heading": "Tài khoản của bạn sẽ bị xóa",
+  "email.deletion_scheduled.intro":
+    "Xin chào {{name}}, tài khoản MERN-Auth và toàn bộ dữ liệu của bạn sẽ bị xóa vào {{date}}.",
+  "email.deletion_scheduled.cancel":
+    "Bạn đổi ý? Chỉ cần đăng nhập lại trước thời điểm đó để hủy việc xóa.",
+  "email.deletion_cancelled.subject":
+    "Tài khoản MERN-Auth của bạn sẽ không bị xóa",
+  "email.deletion_cancelled.heading": "Tài khoản của bạn sẽ không bị xóa",
+  "email.deletion_cancelled.intro":
+    "Xin chào {{name}}, bạn đã đăng nhập vào MERN-Auth nên việc xóa tài khoản đã được hủy.",
+  "email.deletion_cancelled.warning":
+    "Nếu không phải bạn, hãy đặt lại mật khẩu ngay.",
+};
@@ -0,0 +1,93 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * Transports that deliver email.
+ *
+ * Every transport implements `send(message)`, which delivers a message with
+ * `from`, `to`, `subject`, `html` and `text` and resolves to
+ * `{ messageId }`, or rejects if delivery failed and should be retried.
+ *
+ * - `SmtpTransport` sends through an SMTP server, Brevo by default.
+ * - `JsonFileTransport` writes every message to a JSON file, for development.
+ * - `MemoryTransport` keeps messages in `sent`, for tests.
+ *
+ */
+export class SmtpTransport {
+  constructor(options) {
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    const { messageId } = await this.transporter.sendMail(message);
+    return { messageId };
+  }
+}
+
+export class JsonFileTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, `${messageId}.json`),
+      JSON.stringify({ messageId, ...message }, null, 2)
+    );
+    return { messageId };
+  }
+}
+
+export class MemoryTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    const messageId = String(this.sent.length + 1);
+    this.sent.push({ messageId, ...message });
+    return { messageId };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+const defaultDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "mail"
+);
+
+// Pick the transport with MAIL_TRANSPORT: "smtp" (default), "json" or "memory"
+const createMailTransport = () => {
+  const type = process.env.MAIL_TRANSPORT || "smtp";
+  if (type === "smtp") {
+    return new SmtpTransport({
+      host: process.env.SMTP_HOST || "smtp-relay.brevo.com",
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD,
+      },
+    });
+  }
+  if (type === "json") {
+    return new JsonFileTransport(process.env.MAIL_DIR || defaultDir);
+  }
+  if (type === "memory") {
+    return new MemoryTransport();
+  }
+  throw new Error(`Unknown mail transport: ${type}`);
+};
+
+const mailTransport = createMailTransport();
+
+export default mailTransport;
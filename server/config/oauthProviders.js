@@ -0,0 +1,73 @@
+/**
+ * OAuth2 / OpenID Connect providers available for social login.
+ *
+ * Every endpoint can be overridden through environment variables named
+ * OAUTH_<PROVIDER>_<SETTING>, e.g. OAUTH_GOOGLE_TOKEN_URL, so the flow can be
+ * pointed at a local mock OIDC server. A provider is only enabled once its
+ * client ID and secret are configured. The generic `oidc` provider has no
+ * defaults and is configured entirely through the environment.
+ *
+ */
+const defaults = {
+  google: {
+    name: "Google",
+    type: "oidc",
+    issuer: "https://accounts.google.com",
+    authorizationUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: "https://oauth2.googleapis.com/token",
+    userinfoUrl: "https://openidconnect.googleapis.com/v1/userinfo",
+    jwksUrl: "https://www.googleapis.com/oauth2/v3/certs",
+    scope: "openid email profile",
+  },
+  github: {
+    name: "GitHub",
+    type: "oauth2",
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    userinfoUrl: "https://api.github.com/user",
+    emailsUrl: "https://api.github.com/user/emails",
+    scope: "read:user user:email",
+  },
+  oidc: {
+    name: "OpenID Connect",
+    type: "oidc",
+    scope: "openid email profile",
+  },
+};
+
+const SETTINGS = {
+  name: "NAME",
+  clientId: "CLIENT_ID",
+  clientSecret: "CLIENT_SECRET",
+  issuer: "ISSUER",
+  authorizationUrl: "AUTHORIZATION_URL",
+  tokenUrl: "TOKEN_URL",
+  userinfoUrl: "USERINFO_URL",
+  jwksUrl: "JWKS_URL",
+  emailsUrl: "EMAILS_URL",
+  scope: "SCOPE",
+};
+
+/**
+ * Get the configuration of an enabled provider, or null if it is unknown or
+ * not configured.
+ */
+export const getOAuthProvider = (id) => {
+  if (!Object.hasOwn(defaults, id)) return null;
+
+  const provider = { id, ...defaults[id] };
+  for (const [key, suffix] of Object.entries(SETTINGS)) {
+    const value = process.env[`OAUTH_${id.toUpperCase()}_${suffix}`];
+    if (value) provider[key] = value;
+  }
+
+  if (!provider.clientId || !provider.clientSecret) return null;
+  if (!provider.authorizationUrl || !provider.tokenUrl) return null;
+  return provider;
+};
+
+/**
+ * List the enabled providers.
+ */
+export const getOAuthProviders = () =>
+  Object.keys(defaults).map(getOAuthProvider).filter(Boolean);
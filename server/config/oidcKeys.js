@@ -0,0 +1,37 @@
+import crypto from "crypto";
+
+/**
+ * Signing key for the ID tokens and access tokens we issue as an OpenID
+ * Connect provider.
+ *
+ * The RSA private key is read from OIDC_PRIVATE_KEY (PEM, `\n` escapes are
+ * allowed so it fits in a .env file). Without it a throwaway key is generated
+ * at startup, which is fine for development but invalidates every issued
+ * token on restart.
+ *
+ */
+const loadPrivateKey = () => {
+  if (process.env.OIDC_PRIVATE_KEY) {
+    return crypto.createPrivateKey(
+      process.env.OIDC_PRIVATE_KEY.replace(/\\n/g, "\n")
+    );
+  }
+  console.warn("OIDC_PRIVATE_KEY is not set, using a temporary signing key");
+  return crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+};
+
+export const privateKey = loadPrivateKey();
+export const publicKey = crypto.createPublicKey(privateKey);
+
+const { kty, n, e } = publicKey.export({ format: "jwk" });
+
+// RFC 7638 thumbprint, stable for as long as the key does not change
+export const kid = crypto
+  .createHash("sha256")
+  .update(JSON.stringify({ e, kty, n }))
+  .digest("base64url");
+
+export const publicJwk = { kty, n, e, kid, alg: "RS256", use: "sig" };
+
+export const issuer =
+  process.env.OIDC_ISSUER || process.env.SERVER_URL || "http://localhost:4000";
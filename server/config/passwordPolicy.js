@@ -0,0 +1,48 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+const flag = (value, fallback) =>
+  value === undefined ? fallback : !["false", "0", "no"].includes(value);
+
+// Character classes a policy can require, with the test for each
+export const CHARACTER_CLASSES = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  letter: /[a-zA-Z]/,
+  digit: /[0-9]/,
+  symbol: /[^a-zA-Z0-9]/,
+};
+
+/**
+ * The password policy, configured through the environment.
+ *
+ * - PASSWORD_MIN_LENGTH (default 8) and PASSWORD_MAX_LENGTH (default 72,
+ *   bcrypt ignores anything longer)
+ * - PASSWORD_REQUIRED_CLASSES, a comma separated list of
+ *   `CHARACTER_CLASSES` (default "letter,digit")
+ * - PASSWORD_CHECK_PERSONAL_INFO, refuse passwords containing the user's
+ *   name or email (default true)
+ * - PASSWORD_CHECK_BREACHED, refuse passwords found in the bundled breached
+ *   password filter (default true)
+ *
+ */
+const passwordPolicy = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: Number(process.env.PASSWORD_MAX_LENGTH) || 72,
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || "letter,digit")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => CHARACTER_CLASSES[name]),
+  checkPersonalInfo: flag(process.env.PASSWORD_CHECK_PERSONAL_INFO, true),
+  checkBreached: flag(process.env.PASSWORD_CHECK_BREACHED, true),
+};
+
+// Built by `npm run build-breached-filter`
+export const BREACHED_FILTER_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "data",
+  "breached-passwords.bloom"
+);
+
+export default passwordPolicy;
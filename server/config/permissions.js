@@ -0,0 +1,65 @@
+/**
+ * Roles and the permissions they grant.
+ *
+ * Every account has the "user" role. Permissions are "<resource>:<action>"
+ * strings checked by the `requirePermission` middleware; a user can also be
+ * granted single permissions on top of their roles.
+ *
+ */
+export const ROLE_PERMISSIONS = {
+  user: [],
+  support: ["users:read", "users:verify", "users:reset-password", "audit:read"],
+  admin: [
+    "users:read",
+    "users:verify",
+    "users:reset-password",
+    "users:disable",
+    "users:delete",
+    "users:roles",
+    "audit:read",
+    "invites:manage",
+    "oidc:clients",
+  ],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+/**
+ * Resolve the permissions granted by the given roles and extra permissions.
+ */
+export const resolvePermissions = (roles = [], permissions = []) => [
+  ...new Set([
+    ...roles.flatMap((role) => ROLE_PERMISSIONS[role] || []),
+    ...permissions.filter((permission) => PERMISSIONS.includes(permission)),
+  ]),
+];
+
+/**
+ * Roles of a member within an organization and the permissions they grant
+ * there, checked by the `requireOrgPermission` middleware against the
+ * organization that is active in the session.
+ *
+ * Every organization has at least one "owner".
+ *
+ */
+export const ORG_ROLE_PERMISSIONS = {
+  member: ["org:read"],
+  admin: ["org:read", "org:update", "members:invite", "members:remove"],
+  owner: [
+    "org:read",
+    "org:update",
+    "org:delete",
+    "members:invite",
+    "members:remove",
+    "members:roles",
+  ],
+};
+
+export const ORG_ROLES = Object.keys(ORG_ROLE_PERMISSIONS);
+
+/**
+ * Resolve the permissions granted by a role within an organization.
+ */
+export const resolveOrgPermissions = (role) => ORG_ROLE_PERMISSIONS[role] || [];
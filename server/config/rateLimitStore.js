@@ -0,0 +1,105 @@
+import rateLimitModel from "../models/rateLimitModel.js";
+
+/**
+ * Counter stores for the rate limiter.
+ *
+ * Every store keeps fixed-window counters and implements the same methods:
+ *
+ * - `increment(key, windowMs)` adds one to the counter, starting a new window
+ *   if the previous one is over, and resolves to `{ count, resetAt }`.
+ * - `get(key)` resolves to `{ count, resetAt }`, or null if there is no
+ *   counter or its window is over.
+ * - `reset(key)` removes the counter.
+ *
+ * The in-memory store only works for a single server process. Use the Mongo
+ * store (RATE_LIMIT_STORE=mongo) when running several instances. It drops
+ * counters whose window is over, and the oldest counters once it holds
+ * `maxKeys`, so requests with ever new emails or IP addresses cannot make it
+ * grow without bound.
+ *
+ */
+export class MemoryStore {
+  constructor({ maxKeys = 100000 } = {}) {
+    this.maxKeys = maxKeys;
+    this.counters = new Map();
+    // Drop expired counters every minute without keeping the process alive
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, counter] of this.counters) {
+        if (counter.resetAt <= now) this.counters.delete(key);
+      }
+    }, 60 * 1000).unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      // Re-insert the key so the Map stays ordered from oldest to newest
+      this.counters.delete(key);
+      if (this.counters.size >= this.maxKeys) {
+        this.counters.delete(this.counters.keys().next().value);
+      }
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter) return null;
+    if (counter.resetAt <= Date.now()) {
+      this.counters.delete(key);
+      return null;
+    }
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+}
+
+export class MongoStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+    const active = { $gt: ["$resetAt", now] };
+    // Start a new window in the same atomic update if the old one is over
+    const counter = await rateLimitModel.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [active, "$resetAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  async get(key) {
+    const counter = await rateLimitModel.findOne({
+      key,
+      resetAt: { $gt: new Date() },
+    });
+    return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+  }
+
+  async reset(key) {
+    await rateLimitModel.deleteOne({ key });
+  }
+}
+
+const rateLimitStore =
+  process.env.RATE_LIMIT_STORE === "mongo"
+    ? new MongoStore()
+    : new MemoryStore();
+
+export default rateLimitStore;
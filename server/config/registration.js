@@ -0,0 +1,38 @@
+// Who can create an account
+export const REGISTRATION_MODES = ["open", "invite", "domain"];
+
+/**
+ * The registration settings, configured through the environment.
+ *
+ * - REGISTRATION_MODE, one of `REGISTRATION_MODES` (default "open"):
+ *   "open" lets anyone sign up, "invite" needs an invite code created in the
+ *   admin console, and "domain" only accepts email addresses of the allowed
+ *   domains, and the account can only sign in once the address is verified
+ * - REGISTRATION_DOMAINS, a comma separated list of the allowed domains in
+ *   "domain" mode, e.g. "example.com,example.org". Subdomains are not
+ *   included.
+ *
+ * The mode applies to every way of creating an account, including social
+ * login.
+ *
+ */
+const mode = (process.env.REGISTRATION_MODE || "open").trim().toLowerCase();
+
+const registration = {
+  mode: REGISTRATION_MODES.includes(mode) ? mode : "open",
+  domains: (process.env.REGISTRATION_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+if (mode !== registration.mode) {
+  console.warn(`Unknown REGISTRATION_MODE "${mode}", using "open"`);
+}
+if (registration.mode === "domain" && !registration.domains.length) {
+  console.warn(
+    "REGISTRATION_MODE is domain but no REGISTRATION_DOMAINS are set"
+  );
+}
+
+export default registration;
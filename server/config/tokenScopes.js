@@ -0,0 +1,18 @@
+/**
+ * Scopes a personal access token can be granted.
+ *
+ * A route opts in to personal access tokens with the `allowTokens`
+ * middleware, naming the scopes a token needs for it. Scopes only narrow
+ * what a token can do: the admin scopes are still limited by the
+ * permissions of the token's owner.
+ *
+ */
+export const TOKEN_SCOPES = [
+  "profile:read",
+  "profile:write",
+  "activity:read",
+  "sessions:read",
+  "sessions:write",
+  "admin:read",
+  "admin:write",
+];
@@ -0,0 +1,12 @@
+/**
+ * Relying party settings for passkeys (WebAuthn).
+ *
+ * The RP ID must be the domain the React client is served from, and the
+ * origin its full URL. Both default to CLIENT_URL.
+ *
+ */
+const clientUrl = new URL(process.env.CLIENT_URL || "http://localhost:5173");
+
+export const rpName = process.env.WEBAUTHN_RP_NAME || "MERN-Auth";
+export const rpID = process.env.WEBAUTHN_RP_ID || clientUrl.hostname;
+export const origin = process.env.WEBAUTHN_ORIGIN || clientUrl.origin;
@@ -0,0 +1,127 @@
+import bcrypt from "bcryptjs";
+import accessTokenModel from "../models/accessTokenModel.js";
+import userModel from "../models/userModel.js";
+import { TOKEN_SCOPES } from "../config/tokenScopes.js";
+import {
+  issueAccessToken,
+  toAccessTokenResponse,
+} from "../utils/accessTokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+
+// Keeps a leaked session from creating tokens without end
+const MAX_TOKENS_PER_USER = 50;
+
+/**
+ * List the user's personal access tokens.
+ *
+ * This function will return the tokens newest first, with when and from
+ * where each was last used, and the scopes a new token can be given.
+ *
+ */
+export const getAccessTokens = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const tokens = await accessTokenModel
+      .find({ user: userId })
+      .sort({ createdAt: -1 });
+    return res.json({
+      success: true,
+      tokens: tokens.map(toAccessTokenResponse),
+      scopes: TOKEN_SCOPES,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Create a personal access token.
+ *
+ * This function expects `{ name, scopes, expiresInDays, currentPassword }`
+ * in the request body. The current password is checked if the account has
+ * one, so a hijacked session cannot mint a long-lived token. The token value
+ * is returned once in `token`, only its hash is kept.
+ *
+ */
+export const createAccessToken = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const { name, scopes, expiresInDays, currentPassword } = req.body;
+    const user = await userModel.findById(userId, { password: 1 });
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (user.password) {
+      const isMatch =
+        typeof currentPassword === "string" &&
+        (await bcrypt.compare(currentPassword, user.password));
+      if (!isMatch) {
+        await recordAuditEvent(req, "access-token.create", {
+          user: userId,
+          outcome: "failure",
+          metadata: { reason: "wrong_password" },
+        });
+        return next(new UnauthorizedError("auth.incorrect_password"));
+      }
+    }
+
+    const count = await accessTokenModel.countDocuments({ user: userId });
+    if (count >= MAX_TOKENS_PER_USER) {
+      return next(
+        new ConflictError("access_token.limit_reached", {
+          params: { max: MAX_TOKENS_PER_USER },
+        })
+      );
+    }
+
+    const { token, accessToken } = await issueAccessToken(userId, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+    await recordAuditEvent(req, "access-token.create", {
+      user: userId,
+      metadata: { name, scopes, expiresInDays },
+    });
+
+    return res.json({
+      success: true,
+      message: "access_token.created",
+      token,
+      accessToken: toAccessTokenResponse(accessToken),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revoke one of the user's personal access tokens.
+ *
+ * The token is deleted, so requests using it fail from now on.
+ *
+ */
+export const revokeAccessToken = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const accessToken = await accessTokenModel.findOneAndDelete({
+      _id: req.params.id,
+      user: userId,
+    });
+    if (!accessToken) {
+      return next(new NotFoundError("access_token.not_found"));
+    }
+    await recordAuditEvent(req, "access-token.revoke", {
+      user: userId,
+      metadata: { name: accessToken.name },
+    });
+    return res.json({ success: true, message: "access_token.revoked" });
+  } catch (error) {
+    return next(error);
+  }
+};
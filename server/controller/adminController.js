@@ -0,0 +1,357 @@
+import mongoose from "mongoose";
+import userModel from "../models/userModel.js";
+import sessionModel from "../models/sessionModel.js";
+import auditEventModel from "../models/auditEventModel.js";
+import { ROLES, resolvePermissions } from "../config/permissions.js";
+import { revokeAllSessions, syncSessionRoles } from "../utils/authTokens.js";
+import { sendPasswordResetEmail } from "../utils/accountEmails.js";
+import { deleteUserAccount } from "../utils/userAccount.js";
+import { recordAuditEvent, toAuditEventResponse } from "../utils/audit.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Match user input literally inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The user fields shown in the admin console. Users have no createdAt field,
+// their ObjectId holds the creation time instead
+const toAdminUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  roles: user.roles,
+  isAccountVerified: user.isAccountVerified,
+  disabled: user.disabled,
+  twoFactorEnabled: user.twoFactorEnabled,
+  createdAt: user._id.getTimestamp(),
+});
+
+// Load the user from the route params, or null if the ID is not valid
+const findTargetUser = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? userModel.findById(req.params.id)
+    : null;
+
+/**
+ * List users for the admin console.
+ *
+ * This function supports the query params `page` and `limit` for pagination,
+ * `search` to match the name or email, `verified` ("true" or "false"),
+ * `status` ("active" or "disabled"), `role`, and `createdFrom` and
+ * `createdTo` (dates) to filter on when the account was created. Newest
+ * users come first.
+ *
+ */
+export const listUsers = async (req, res, next) => {
+  try {
+    const { search, verified, status, role, createdFrom, createdTo } =
+      req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    // Build the filter from the query params that were given
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search)), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (verified === "true" || verified === "false") {
+      filter.isAccountVerified = verified === "true";
+    }
+    if (status === "disabled") filter.disabled = true;
+    if (status === "active") filter.disabled = { $ne: true };
+    if (ROLES.includes(role)) filter.roles = role;
+    if (createdFrom || createdTo) {
+      const from = createdFrom ? new Date(createdFrom) : null;
+      const to = createdTo ? new Date(createdTo) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return next(new BadRequestError("admin.invalid_date"));
+      }
+      // Users are filtered on the creation time stored in their ObjectId
+      filter._id = {
+        ...(from && {
+          $gte: mongoose.Types.ObjectId.createFromTime(from / 1000),
+        }),
+        ...(to && {
+          $lte: mongoose.Types.ObjectId.createFromTime(to / 1000),
+        }),
+      };
+    }
+
+    const [users, total] = await Promise.all([
+      userModel
+        .find(filter)
+        .sort({ _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      userModel.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      users: users.map(toAdminUser),
+      page,
+      pages: Math.max(1, Math.ceil(total / limit)),
+      total,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get the details of one user for the admin console.
+ *
+ * This function adds the user's sign-in methods, extra permissions and
+ * number of active sessions to the fields shown in the list.
+ *
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    const activeSessions = await sessionModel.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    return res.json({
+      success: true,
+      user: {
+        ...toAdminUser(user),
+        permissions: resolvePermissions(user.roles, user.permissions),
+        hasPassword: Boolean(user.password),
+        linkedProviders: user.linkedAccounts.map((account) => account.provider),
+        passkeys: user.passkeys.length,
+        activeSessions,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Disable or enable a user's account.
+ *
+ * This function expects `{ disabled }` in the request body. Disabling an
+ * account revokes all of its sessions, so the user is logged out everywhere
+ * on their next request. Admins cannot disable their own account.
+ *
+ */
+export const setUserDisabled = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const { disabled } = req.body;
+    if (typeof disabled !== "boolean") {
+      return next(new BadRequestError("common.missing_details"));
+    }
+    const user = await findTargetUser(req);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (disabled && String(user._id) === String(userId)) {
+      return next(new ForbiddenError("admin.cannot_disable_self"));
+    }
+
+    user.disabled = disabled;
+    await user.save();
+    if (disabled) {
+      await revokeAllSessions(user._id);
+    }
+    await recordAuditEvent(
+      req,
+      disabled ? "admin.user.disable" : "admin.user.enable",
+      { user: user._id, actor: userId }
+    );
+
+    return res.json({
+      success: true,
+      message: disabled ? "admin.account_disabled" : "admin.account_enabled",
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Mark a user's email address as verified without an OTP.
+ */
+export const verifyUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    user.isAccountVerified = true;
+    await user.save();
+    await recordAuditEvent(req, "admin.user.verify", {
+      user: user._id,
+      actor: req.auth.userId,
+    });
+    return res.json({ success: true, message: "admin.email_verified" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Send a user a password reset OTP, as if they had asked for it.
+ */
+export const sendUserPasswordReset = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    await sendPasswordResetEmail(user);
+    await recordAuditEvent(req, "admin.user.reset-password", {
+      user: user._id,
+      actor: req.auth.userId,
+    });
+    return res.json({ success: true, message: "admin.password_reset_sent" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Change a user's roles.
+ *
+ * This function expects `{ roles }` in the request body. Every user keeps
+ * the "user" role, and admins cannot remove their own admin role so the
+ * console always stays reachable.
+ *
+ */
+export const setUserRoles = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const { roles } = req.body;
+    if (!Array.isArray(roles) || !roles.every((role) => ROLES.includes(role))) {
+      return next(new BadRequestError("admin.invalid_roles"));
+    }
+    const user = await findTargetUser(req);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (String(user._id) === String(userId) && !roles.includes("admin")) {
+      return next(new ForbiddenError("admin.cannot_remove_own_admin"));
+    }
+
+    user.roles = [...new Set(["user", ...roles])];
+    await user.save();
+    await syncSessionRoles(user);
+    await recordAuditEvent(req, "admin.user.roles", {
+      user: user._id,
+      actor: userId,
+      metadata: { roles: user.roles },
+    });
+
+    return res.json({ success: true, message: "admin.roles_updated" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Delete a user and everything stored about them.
+ *
+ * Admins cannot delete their own account from the console.
+ *
+ */
+export const deleteUser = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await findTargetUser(req);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (String(user._id) === String(userId)) {
+      return next(new ForbiddenError("admin.cannot_delete_self"));
+    }
+    await deleteUserAccount(user._id);
+    await recordAuditEvent(req, "admin.user.delete", {
+      user: user._id,
+      actor: userId,
+    });
+    return res.json({ success: true, message: "admin.user_deleted" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Query the audit log across all users.
+ *
+ * This function supports the query params `page` and `limit` for pagination,
+ * `user` (a user ID) or `email` to select whose events to show, `type`,
+ * `outcome` ("success" or "failure"), and `from` and `to` (dates). Newest
+ * events come first.
+ *
+ */
+export const listAuditEvents = async (req, res, next) => {
+  try {
+    const { user, email, type, outcome, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    // Build the filter from the query params that were given
+    const filter = {};
+    if (user) {
+      if (!mongoose.isValidObjectId(user)) {
+        return next(new NotFoundError("user.not_found"));
+      }
+      filter.user = user;
+    }
+    if (email) filter.email = String(email).trim().toLowerCase();
+    if (type) filter.type = String(type);
+    if (outcome === "success" || outcome === "failure") {
+      filter.outcome = outcome;
+    }
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return next(new BadRequestError("admin.invalid_date"));
+      }
+      filter.createdAt = {
+        ...(fromDate && { $gte: fromDate }),
+        ...(toDate && { $lte: toDate }),
+      };
+    }
+
+    const [events, total] = await Promise.all([
+      auditEventModel
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      auditEventModel.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      events: events.map(toAuditEventResponse),
+      page,
+      pages: Math.max(1, Math.ceil(total / limit)),
+      total,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
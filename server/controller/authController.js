@@ -1,65 +1,133 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import userModel from "../models/userModel.js";
-import transporter from "../config/nodemailer.js";
+import { queueEmail } from "../utils/mailer.js";
 import {
-  EMAIL_VERIFY_TEMPLATE,
-  PASSWORD_RESET_TEMPLATE,
-} from "../config/emailTemplates.js";
+  clearAuthCookies,
+  revokeAllSessions,
+  revokeRefreshToken,
+  rotateRefreshToken,
+  startSession,
+  setTwoFactorCookie,
+} from "../utils/authTokens.js";
+import { issueOtp, verifyOtp } from "../utils/otp.js";
+import {
+  sendMagicLinkEmail,
+  sendPasswordResetEmail,
+} from "../utils/accountEmails.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  authorizeRegistration,
+  getRegistrationConfig,
+  releaseInviteCode,
+  requiresVerifiedEmail,
+} from "../utils/registration.js";
+import {
+  checkPassword,
+  getPasswordPolicy,
+  passwordPolicyError,
+} from "../utils/passwordPolicy.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../utils/errors.js";
 
 /**
  * Register a new user.
  *
- * This function will check if all required fields are provided, check if the
- * email already exists in the database, hash the password, create a new user,
- * save the user to the database, generate a JWT token, and set it as a cookie
- * in the response.
+ * This function will check if all required fields are provided, check the
+ * password against the password policy, check if the email already exists in
+ * the database, check that the registration mode allows the account, using
+ * up the optional `inviteCode` in "invite" mode, hash the password, create a
+ * new user, save the user to the database, and start a session by setting
+ * the access and refresh token cookies in the response. When the mode
+ * requires a verified email address, a sign-in link is emailed instead and
+ * the session only starts once it is used.
  *
  */
-export const register = async (req, res) => {
-  // Get the name, email, and password from the request body
-  const { name, email, password } = req.body;
+export const register = async (req, res, next) => {
+  // Get the name, email, password and invite code or invitation token from
+  // the request body
+  const { name, email, password, inviteCode, invitationToken } = req.body;
 
-  // Check if all required fields are provided
-  if (!name || !email || !password) {
-    // Return an error if not all required fields are provided
-    return res.json({ success: false, message: "Please fill all the fields" });
+  // Check the password against the password policy
+  const { valid, violations } = checkPassword(password, { name, email });
+  if (!valid) {
+    return next(passwordPolicyError(violations));
   }
 
   try {
     const existingUser = await userModel.findOne({ email }); // Check if the email already exists
     if (existingUser) {
+      await recordAuditEvent(req, "register", {
+        outcome: "failure",
+        email,
+        metadata: { reason: "email_exists" },
+      });
       // Return an error if the email already exists
-      return res.json({ success: false, message: "Email already exists" });
+      return next(new ConflictError("email.already_exists"));
+    }
+
+    // Check the registration mode, e.g. invite-only or allowed domains
+    let redeemedCode;
+    try {
+      redeemedCode = await authorizeRegistration(email, {
+        inviteCode,
+        invitationToken,
+      });
+    } catch (error) {
+      await recordAuditEvent(req, "register", {
+        outcome: "failure",
+        email,
+        metadata: { reason: error.message },
+      });
+      return next(error);
     }
-    const hashedPassword = await bcrypt.hash(password, 10); // Hash the password
-    const user = new userModel({ name, email, password: hashedPassword }); // Create a new user
-    await user.save(); // Save the user to the database
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    }); // Generate a JWT token
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+    let user;
+    try {
+      const hashedPassword = await bcrypt.hash(password, 10); // Hash the password
+      // Create a new user, emailed in the language they signed up with
+      user = new userModel({
+        name,
+        email,
+        password: hashedPassword,
+        locale: req.locale,
+      });
+      await user.save(); // Save the user to the database
+    } catch (error) {
+      // No account was created, so the invite code keeps its use
+      if (redeemedCode) await releaseInviteCode(redeemedCode);
+      throw error;
+    }
+    await recordAuditEvent(req, "register", {
+      user: user._id,
+      email,
+      metadata: redeemedCode ? { inviteCode: redeemedCode._id } : {},
     });
 
-    // Sending welcoming email
-    const mailOptions = {
-      from: process.env.SENDER_EMAIL,
-      to: email,
-      subject: "Welcome to MERN-Auth",
-      text: `Hello ${name}, welcome to MERN-Auth!. Your account has been created successfully with email id: ${email}`,
-    };
+    // Queue the welcome email, a mail server outage must not fail the signup
+    await queueEmail(email, "welcome", { name, email }, user.locale);
+
+    // The address has to be proven first, by signing in with an email link
+    if (requiresVerifiedEmail()) {
+      await sendMagicLinkEmail(res, user);
+      return res.json({
+        success: true,
+        verificationRequired: true,
+        message: "registration.check_email",
+      });
+    }
 
-    await transporter.sendMail(mailOptions);
+    await startSession(req, res, user._id); // Set the access and refresh token cookies
 
     // Return a JSON response with a success message
-    return res.json({ success: true, message: "Register successful" });
+    return res.json({ success: true, message: "auth.register_successful" });
   } catch (error) {
     // Handle any errors that occur during registration
-    res.json({ success: false, message: error.message });
+    next(error);
   }
 };
 
@@ -68,26 +136,38 @@ export const register = async (req, res) => {
  *
  * This function will check if the user exists and if the provided password
  * matches the hashed password in the database. If both checks pass, it will
- * generate a JWT token and set it as a cookie in the response.
+ * start a session by setting the access and refresh token cookies. Users with
+ * two-factor authentication enabled get a "second factor required" response
+ * instead, and have to finish the login through `verifyTwoFactorLogin`.
  *
  */
-export const login = async (req, res) => {
+export const login = async (req, res, next) => {
   // Get the email and password from the request body
   const { email, password } = req.body;
 
-  // Check if all required fields are provided
-  if (!email || !password) {
-    // Return an error if not all required fields are provided
-    return res.json({ success: false, message: "Please fill all the fields" });
-  }
-
   try {
     // Check if the user exists
     const user = await userModel.findOne({ email });
 
     // Return an error if the user does not exist
     if (!user) {
-      return res.json({ success: false, message: "User not found" });
+      await recordAuditEvent(req, "login", {
+        outcome: "failure",
+        email,
+        metadata: { reason: "unknown_user" },
+      });
+      return next(new NotFoundError("user.not_found"));
+    }
+
+    // Accounts created through social login have no password to compare
+    if (!user.password) {
+      await recordAuditEvent(req, "login", {
+        user: user._id,
+        outcome: "failure",
+        email,
+        metadata: { reason: "no_password" },
+      });
+      return next(new BadRequestError("auth.social_login_only"));
     }
 
     // Check if the password is correct
@@ -95,50 +175,107 @@ export const login = async (req, res) => {
 
     // Return an error if the password is incorrect
     if (!isMatch) {
-      return res.json({ success: false, message: "Incorrect password" });
+      await recordAuditEvent(req, "login", {
+        user: user._id,
+        outcome: "failure",
+        email,
+        metadata: { reason: "wrong_password" },
+      });
+      return next(new UnauthorizedError("auth.incorrect_password"));
     }
 
-    // Generate a JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    // Disabled accounts cannot login
+    if (user.disabled) {
+      await recordAuditEvent(req, "login", {
+        user: user._id,
+        outcome: "failure",
+        email,
+        metadata: { reason: "disabled" },
+      });
+      return next(new ForbiddenError("account.disabled"));
+    }
+
+    // Hold the session back until the second factor is verified
+    if (user.twoFactorEnabled) {
+      setTwoFactorCookie(res, user._id);
+      await recordAuditEvent(req, "login", {
+        user: user._id,
+        email,
+        metadata: { method: "password", twoFactorRequired: true },
+      });
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: "two_factor.required",
+      });
+    }
 
-    // Set the JWT cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Set the access and refresh token cookies
+    await startSession(req, res, user._id);
+    await recordAuditEvent(req, "login", {
+      user: user._id,
+      email,
+      metadata: { method: "password" },
     });
 
     // Return a JSON response with a success message
-    return res.json({ success: true, message: "Login successful" });
+    return res.json({ success: true, message: "auth.login_successful" });
   } catch (error) {
     // Handle any errors that occur during login
-    return res.json({ success: false, message: error.message });
+    return next(error);
   }
 };
 
 /**
  * Logout a user.
  *
- * This function clears the JWT cookie and returns a JSON response with a
- * success message.
+ * This function revokes the refresh token family of the current session,
+ * clears the token cookies and returns a JSON response with a success message.
  *
  */
-export const logout = (req, res) => {
+export const logout = async (req, res, next) => {
   try {
-    // Clear the JWT cookie
-    res.clearCookie("token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-    });
+    // Revoke the refresh token so it cannot be used again
+    const { refreshToken } = req.cookies;
+    if (refreshToken) {
+      const userId = await revokeRefreshToken(refreshToken);
+      userId && (await recordAuditEvent(req, "logout", { user: userId }));
+    }
+    // Clear the token cookies
+    clearAuthCookies(res);
     // Return a JSON response with a success message
-    res.json({ success: true, message: "Logout successful" });
+    res.json({ success: true, message: "auth.logout_successful" });
   } catch (error) {
     // Handle any errors that occur during logout
-    return res.json({ success: false, message: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Refresh the access token.
+ *
+ * This function will rotate the refresh token from the `refreshToken` cookie,
+ * issuing a new refresh token and a new access token. If the refresh token is
+ * unknown, expired or has already been used, the cookies are cleared and the
+ * user has to login again.
+ *
+ */
+export const refreshAccessToken = async (req, res, next) => {
+  const { refreshToken } = req.cookies;
+  if (!refreshToken) {
+    return next(new UnauthorizedError("auth.not_authorized"));
+  }
+  try {
+    const userId = await rotateRefreshToken(res, refreshToken);
+    if (!userId) {
+      await recordAuditEvent(req, "token.refresh", { outcome: "failure" });
+      clearAuthCookies(res);
+      return next(new UnauthorizedError("auth.not_authorized"));
+    }
+    await recordAuditEvent(req, "token.refresh", { user: userId });
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
   }
 };
 
@@ -146,42 +283,35 @@ export const logout = (req, res) => {
  * Send a verification OTP to the user's email address.
  *
  * This function will check if the user is already verified, and return an error
- * if they are. If not, it will generate a random 6-digit OTP, set the OTP
- * expiration time to 24 hours, and send the OTP to the user's email
- * address using Nodemailer.
+ * if they are. If not, it will issue a new "verify-email" OTP, valid for 24
+ * hours by default, and email the OTP to the user.
  *
  */
-export const sendVerifyOtp = async (req, res) => {
+export const sendVerifyOtp = async (req, res, next) => {
   try {
-    const { userId } = req.body;
+    const { userId } = req.auth;
     const user = await userModel.findById(userId);
     if (user.isAccountVerified) {
       // Return an error if the user is already verified
-      return res.json({ success: false, message: "Account Already Verified" });
+      return next(new ConflictError("verify.already_verified"));
     }
-    // Generate a random 6-digit OTP
-    const otp = String(Math.floor(100000 + Math.random() * 900000));
-    user.verifyOtp = otp;
-    // Set OTP expiration time to 24 hours
-    user.verifyOtpExpireAt = Date.now() + 24 * 60 * 60 * 1000;
-    await user.save();
-    // Create a Nodemailer mail option
-    const mailOption = {
-      from: process.env.SENDER_EMAIL,
-      to: user.email,
-      subject: "Account Verification OTP",
-      // text: `Hello ${user.name}, \n. Your OTP is ${otp}. \n Using this OTP to verify your account.`,
-      html: EMAIL_VERIFY_TEMPLATE.replace("{{otp}}", otp).replace(
-        "{{email}}",
-        user.email
-      ),
-    };
+    // Issue a new OTP, replacing any previous one
+    const otp = await issueOtp(user._id, "verify-email");
     // Send the OTP to the user's email address
-    await transporter.sendMail(mailOption);
-    res.json({ success: true, message: "Verification OTP sent on your Email" });
+    await queueEmail(
+      user.email,
+      "verify-email",
+      { email: user.email, otp },
+      user.locale
+    );
+    await recordAuditEvent(req, "otp.send", {
+      user: user._id,
+      metadata: { purpose: "verify-email" },
+    });
+    res.json({ success: true, message: "verify.otp_sent" });
   } catch (error) {
     // Handle any errors that occur during OTP sending
-    res.json({ success: false, message: error.message });
+    next(error);
   }
 };
 
@@ -189,39 +319,37 @@ export const sendVerifyOtp = async (req, res) => {
  * Verify a user's email address using an OTP.
  *
  * This function will check if all required fields are provided, check if the
- * user exists, check if the OTP is valid, check if the OTP has expired,
- * and update the user's account to be verified.
+ * user exists, check the OTP through the OTP service, and update the user's
+ * account to be verified.
  *
  */
-export const verifyEmail = async (req, res) => {
-  const { userId, otp } = req.body;
-  if (!userId || !otp) {
-    return res.json({ success: false, message: "Missing Details!!!" });
-  }
+export const verifyEmail = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { otp } = req.body;
   try {
     const user = await userModel.findById(userId);
     // Check if user exist
     if (!user) {
-      return res.json({ success: false, message: "User not Found!!!" });
-    }
-    // Check if the OTP is valid
-    if (user.verifyOtp === "" || user.verifyOtp !== otp) {
-      return res.json({ success: false, message: "Invalid OTP!!!" });
+      return next(new NotFoundError("user.not_found"));
     }
-    // Check if the OTP has expired
-    if (user.verifyOtpExpireAt < Date.now()) {
-      return res.json({ success: false, message: "OTP Expired" });
+    // Check that the OTP is valid and not expired, and consume it
+    const result = await verifyOtp(user._id, "verify-email", otp);
+    if (!result.success) {
+      await recordAuditEvent(req, "email.verify", {
+        user: user._id,
+        outcome: "failure",
+        metadata: { reason: result.error.message },
+      });
+      return next(result.error);
     }
     // Update the user's account to be verified
     user.isAccountVerified = true;
-    user.verifyOtp = "";
-    user.verifyOtpExpireAt = 0;
-
     await user.save();
-    return res.json({ success: true, message: "Email Verified Successfully" });
+    await recordAuditEvent(req, "email.verify", { user: user._id });
+    return res.json({ success: true, message: "verify.success" });
   } catch (error) {
     // Handle any errors that occur during verification
-    return res.json({ success: false, message: error.message });
+    return next(error);
   }
 };
 /**
@@ -232,13 +360,13 @@ export const verifyEmail = async (req, res) => {
  * authenticated.
  *
  */
-export const isAuthenticated = async (req, res) => {
+export const isAuthenticated = async (req, res, next) => {
   try {
     // Return a JSON response with a success message if the user is authenticated
     return res.json({ success: true });
   } catch (error) {
     // Return an error message if the user is not authenticated
-    return res.json({ success: false, message: error.message });
+    return next(error);
   }
 };
 
@@ -247,42 +375,33 @@ export const isAuthenticated = async (req, res) => {
  * Send a reset OTP to the user's email address.
  *
  * This function will check if an email address is provided, check if the
- * user exists, generate a random 6-digit OTP, set the OTP expiration time
- * to 15 minutes, and send the OTP to the user's email address using
- * Nodemailer.
+ * user exists, issue a new "reset-password" OTP, valid for 15 minutes by
+ * default, and email the OTP to the user.
  *
  *
  */
-export const sendResetOtp = async (req, res) => {
+export const sendResetOtp = async (req, res, next) => {
   const { email } = req.body;
-  if (!email)
-    return res.json({ success: false, message: "Email is Required!!!" });
   try {
     const user = await userModel.findOne({ email });
-    if (!user)
-      return res.json({ success: false, message: "User not Found!!!" });
-    // Generate a random 6-digit OTP
-    const otp = String(Math.floor(100000 + Math.random() * 900000));
-    user.resetOtp = otp;
-    // Set OTP expiration time to 15 minutes
-    user.resetOtpExpireAt = Date.now() + 15 * 60 * 1000;
-    await user.save();
-    // Create a Nodemailer mail option
-    const mailOption = {
-      from: process.env.SENDER_EMAIL,
-      to: user.email,
-      subject: "Password Reset OTP",
-      // text: `Hello ${user.name}, \n. Your OTP for resetting your password is ${otp}. \n Using this OTP to reset your password.`,
-      html: PASSWORD_RESET_TEMPLATE.replace("{{otp}}", otp).replace(
-        "{{email}}",
-        user.email
-      ),
-    };
-    // Send the OTP to the user's email address
-    await transporter.sendMail(mailOption);
-    return res.json({ success: true, message: "Reset OTP sent on your Email" });
+    if (!user) {
+      await recordAuditEvent(req, "otp.send", {
+        outcome: "failure",
+        email,
+        metadata: { purpose: "reset-password", reason: "unknown_user" },
+      });
+      return next(new NotFoundError("user.not_found"));
+    }
+    // Email the user a new reset OTP
+    await sendPasswordResetEmail(user);
+    await recordAuditEvent(req, "otp.send", {
+      user: user._id,
+      email,
+      metadata: { purpose: "reset-password" },
+    });
+    return res.json({ success: true, message: "password_reset.otp_sent" });
   } catch (error) {
-    return res.json({ success: false, message: error.message });
+    return next(error);
   }
 };
 
@@ -290,44 +409,88 @@ export const sendResetOtp = async (req, res) => {
  * Reset the user's password using a reset OTP.
  *
  * This function will check if the required fields are provided, check if the
- * user exists, check if the OTP is valid, check if the OTP has expired, hash
- * the new password, reset the user's password, and return a JSON response with
- * a success message if the password is reset successfully.
+ * user exists, check the new password against the password policy, check the
+ * OTP through the OTP service, hash the new password, reset the user's
+ * password, revoke all of their sessions and personal access tokens, and
+ * return a JSON response with a success message if the password is reset
+ * successfully. The policy is checked first so a rejected password
+ * does not use up the OTP.
  *
  */
-export const resetPassword = async (req, res) => {
+export const resetPassword = async (req, res, next) => {
   const { email, otp, newPassword } = req.body;
-  //Check if email || otp || newPassword is missing
-  if (!email || !otp || !newPassword)
-    return res.json({
-      success: false,
-      message: "Missing Information! Email, OTP and New Password are required",
-    });
   try {
     // Check if the user exists
     const user = await userModel.findOne({ email });
-    if (!user)
-      return res.json({ success: false, message: "User not Found!!!" });
-    // Check if the OTP is valid
-    if (user.resetOtp === "" || user.resetOtp !== otp)
-      return res.json({ success: false, message: "Invalid OTP!!!" });
-    // Check if the OTP has expired
-    if (user.resetOtpExpireAt < Date.now())
-      return res.json({ success: false, message: "OTP Expired" });
+    if (!user) return next(new NotFoundError("user.not_found"));
+    // Check the new password against the password policy
+    const { valid, violations } = checkPassword(newPassword, user);
+    if (!valid) {
+      return next(passwordPolicyError(violations));
+    }
+    // Check that the OTP is valid and not expired, and consume it
+    const result = await verifyOtp(user._id, "reset-password", otp);
+    if (!result.success) {
+      await recordAuditEvent(req, "password.reset", {
+        user: user._id,
+        outcome: "failure",
+        email,
+        metadata: { reason: result.error.message },
+      });
+      return next(result.error);
+    }
     // Hash the new password
     const hashedPassword = await bcrypt.hash(newPassword, 10);
     // Reset the user's password
     user.password = hashedPassword;
-    user.resetOtp = "";
-    user.resetOtpExpireAt = 0;
     await user.save();
+    // Whoever knew the old password may still be signed in or hold tokens
+    await revokeAllSessions(user._id);
+    await recordAuditEvent(req, "password.reset", { user: user._id, email });
     // Return a JSON response with a success message
     return res.json({
       success: true,
-      message: "Password Changed Successfully",
+      message: "password_reset.success",
     });
   } catch (error) {
     // Handle any errors that occur during password reset
-    return res.json({ success: false, message: error.message });
+    return next(error);
   }
 };
+
+/**
+ * Get the public configuration of the sign-up form.
+ *
+ * This function lets the client ask for an invite code or tell which email
+ * domains are allowed before the user submits the form.
+ *
+ */
+export const getAuthConfig = (req, res) =>
+  res.json({
+    success: true,
+    registration: getRegistrationConfig(),
+    passwordPolicy: getPasswordPolicy(),
+  });
+
+/**
+ * Check a password against the password policy.
+ *
+ * This function lets the client show the policy violations and a strength
+ * score while the user types. The optional `name` and `email` are used for
+ * the personal information check. Nothing is stored.
+ *
+ */
+export const checkPasswordStrength = (req, res) => {
+  const { password, name, email } = req.body;
+  const { valid, violations, strength } = checkPassword(password, {
+    name,
+    email,
+  });
+  return res.json({
+    success: true,
+    valid,
+    violations,
+    strength,
+    policy: getPasswordPolicy(),
+  });
+};
@@ -0,0 +1,58 @@
+import { EMAIL_TEMPLATES } from "../config/emailTemplates.js";
+import { getEmailTemplateNames, renderEmail } from "../utils/mailer.js";
+import { escapeHtml } from "../utils/templateEngine.js";
+import { SUPPORTED_LOCALES, normalizeLocale } from "../utils/i18n.js";
+import { NotFoundError } from "../utils/errors.js";
+
+/**
+ * List every email template with links to its previews in every locale.
+ *
+ * This function returns a small HTML page so the templates can be reviewed
+ * in a browser. Only mounted outside production.
+ *
+ */
+export const listEmailPreviews = (req, res) => {
+  const rows = getEmailTemplateNames().map((name) => {
+    const { subject } = renderEmail(name, EMAIL_TEMPLATES[name].preview);
+    const path = `${req.baseUrl}/emails/${encodeURIComponent(name)}`;
+    const links = SUPPORTED_LOCALES.map(
+      (locale) =>
+        `${locale}: <a href="${path}?locale=${locale}">HTML</a>, <a href="${path}?locale=${locale}&format=text">text</a>`
+    );
+    return `<li><strong>${escapeHtml(name)}</strong>: ${escapeHtml(subject)}
+      (${links.join("; ")})</li>`;
+  });
+  res
+    .type("html")
+    .send(
+      `<!DOCTYPE html><title>Email previews</title><h1>Email previews</h1><ul>${rows.join(
+        ""
+      )}</ul>`
+    );
+};
+
+/**
+ * Render one email template with its sample data.
+ *
+ * This function returns the HTML version of the email, or the plain-text
+ * version with `?format=text`. Query parameters other than `format`
+ * override the sample data, e.g. `?name=<b>` to check the escaping, and
+ * `?locale=vi` renders it in another language.
+ *
+ */
+export const previewEmail = (req, res, next) => {
+  const template = EMAIL_TEMPLATES[req.params.name];
+  if (!template) {
+    return next(new NotFoundError("Unknown template"));
+  }
+  const { format, locale, ...overrides } = req.query;
+  const { subject, html, text } = renderEmail(
+    req.params.name,
+    { ...template.preview, ...overrides },
+    normalizeLocale(locale)
+  );
+  if (format === "text") {
+    return res.type("text").send(`Subject: ${subject}\n\n${text}`);
+  }
+  return res.type("html").send(html);
+};
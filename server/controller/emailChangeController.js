@@ -0,0 +1,228 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import userModel from "../models/userModel.js";
+import { issueOtp, revokeOtp, verifyOtp } from "../utils/otp.js";
+import { revokeAllSessions } from "../utils/authTokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { queueEmail } from "../utils/mailer.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+
+// How long the previous address can undo a confirmed change
+const UNDO_WINDOW_HOURS = Number(process.env.EMAIL_CHANGE_UNDO_HOURS) || 72;
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Whether the previous address can still undo the last confirmed change.
+// Another change must wait for the window to close, so the undo link always
+// restores the address the account had before it was taken over.
+const undoWindowOpen = (user) => user.emailChangeUndoExpireAt > Date.now();
+
+/**
+ * Ask to change the user's email address.
+ *
+ * This function will check the current password, if the account has one,
+ * that no earlier change can still be undone, and that the new address is
+ * not used by another account, then send a "change-email" OTP to the new
+ * address. The account keeps its current address and verification status
+ * until the code is confirmed.
+ *
+ */
+export const requestEmailChange = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { newEmail, currentPassword } = req.body;
+  try {
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (user.password) {
+      const isMatch =
+        typeof currentPassword === "string" &&
+        (await bcrypt.compare(currentPassword, user.password));
+      if (!isMatch) {
+        await recordAuditEvent(req, "email.change.request", {
+          user: user._id,
+          outcome: "failure",
+          metadata: { reason: "wrong_password" },
+        });
+        return next(new UnauthorizedError("auth.incorrect_password"));
+      }
+    }
+    if (undoWindowOpen(user)) {
+      return next(new ConflictError("email_change.undo_pending"));
+    }
+    if (newEmail === user.email) {
+      return next(new BadRequestError("email_change.same_email"));
+    }
+    if (await userModel.exists({ email: newEmail })) {
+      return next(new ConflictError("email.already_exists"));
+    }
+
+    user.pendingEmail = newEmail;
+    await user.save();
+    const otp = await issueOtp(user._id, "change-email");
+
+    // Send the code to the new address to prove the user owns it
+    await queueEmail(
+      newEmail,
+      "email-change",
+      { email: newEmail, otp },
+      user.locale
+    );
+    await recordAuditEvent(req, "email.change.request", {
+      user: user._id,
+      email: newEmail,
+    });
+
+    return res.json({
+      success: true,
+      message: "email_change.code_sent",
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Confirm an email change with the code sent to the new address.
+ *
+ * This function will switch the account to the new address, which the code
+ * proved the user owns, and email the previous address a link that undoes
+ * the change within `UNDO_WINDOW_HOURS`.
+ *
+ */
+export const confirmEmailChange = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { code } = req.body;
+  try {
+    const user = await userModel.findById(userId);
+    if (!user || !user.pendingEmail) {
+      return next(new ConflictError("email_change.none_pending"));
+    }
+    if (undoWindowOpen(user)) {
+      return next(new ConflictError("email_change.undo_pending"));
+    }
+    const result = await verifyOtp(user._id, "change-email", code);
+    if (!result.success) {
+      await recordAuditEvent(req, "email.change", {
+        user: user._id,
+        outcome: "failure",
+        metadata: { reason: result.error.message },
+      });
+      return next(result.error);
+    }
+
+    // Someone may have taken the address since the code was sent
+    if (await userModel.exists({ email: user.pendingEmail })) {
+      user.pendingEmail = "";
+      await user.save();
+      return next(new ConflictError("email.already_exists"));
+    }
+
+    const previousEmail = user.email;
+    const undoToken = crypto.randomBytes(32).toString("base64url");
+    user.emailChangePreviousEmail = previousEmail;
+    user.emailChangePreviousVerified = user.isAccountVerified;
+    user.emailChangeUndoTokenHash = hash(undoToken);
+    user.emailChangeUndoExpireAt = Date.now() + UNDO_WINDOW_HOURS * 3600000;
+    user.email = user.pendingEmail;
+    user.isAccountVerified = true;
+    user.pendingEmail = "";
+    await user.save();
+
+    // Let the previous address undo the change if it wasn't the user
+    const link = `${
+      process.env.CLIENT_URL || "http://localhost:5173"
+    }/email-change/undo?token=${undoToken}`;
+    await queueEmail(
+      previousEmail,
+      "email-changed",
+      {
+        email: previousEmail,
+        newEmail: user.email,
+        link,
+        hours: UNDO_WINDOW_HOURS,
+      },
+      user.locale
+    );
+    await recordAuditEvent(req, "email.change", {
+      user: user._id,
+      email: user.email,
+      metadata: { previousEmail },
+    });
+
+    return res.json({ success: true, message: "email_change.changed" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Cancel a pending email change before it is confirmed.
+ */
+export const cancelEmailChange = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    await userModel.updateOne({ _id: userId }, { pendingEmail: "" });
+    await revokeOtp(userId, "change-email");
+    return res.json({ success: true, message: "email_change.cancelled" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Undo a confirmed email change from the link sent to the previous address.
+ *
+ * This function needs no login, the link is the proof. It restores the
+ * previous address and verification status, logs the account out
+ * everywhere and revokes its personal access tokens, as whoever changed the
+ * address may still be signed in or hold tokens.
+ *
+ */
+export const undoEmailChange = async (req, res, next) => {
+  const { token } = req.body;
+  try {
+    const user = await userModel.findOne({
+      emailChangeUndoTokenHash: hash(token),
+    });
+    if (!user || user.emailChangeUndoExpireAt < Date.now()) {
+      return next(new BadRequestError("email_change.invalid_link"));
+    }
+    const previousEmail = user.emailChangePreviousEmail;
+    if (
+      await userModel.exists({ email: previousEmail, _id: { $ne: user._id } })
+    ) {
+      return next(new ConflictError("email_change.previous_email_taken"));
+    }
+
+    const changedEmail = user.email;
+    user.email = previousEmail;
+    user.isAccountVerified = user.emailChangePreviousVerified;
+    user.pendingEmail = "";
+    user.emailChangePreviousEmail = "";
+    user.emailChangePreviousVerified = false;
+    user.emailChangeUndoTokenHash = "";
+    user.emailChangeUndoExpireAt = 0;
+    await user.save();
+    await revokeOtp(user._id, "change-email");
+    await revokeAllSessions(user._id);
+    await recordAuditEvent(req, "email.change.undo", {
+      user: user._id,
+      email: previousEmail,
+      metadata: { changedEmail },
+    });
+
+    return res.json({
+      success: true,
+      message: "email_change.undone",
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
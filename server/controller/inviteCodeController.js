@@ -0,0 +1,96 @@
+import inviteCodeModel from "../models/inviteCodeModel.js";
+import registration from "../config/registration.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  issueInviteCode,
+  toInviteCodeResponse,
+} from "../utils/registration.js";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+
+/**
+ * List the invite codes, newest first.
+ *
+ * This function will also return the registration mode, so the admin
+ * console can point out that codes are not needed while registration is
+ * open.
+ *
+ */
+export const listInviteCodes = async (req, res, next) => {
+  try {
+    const inviteCodes = await inviteCodeModel
+      .find()
+      .sort({ createdAt: -1 })
+      .limit(200);
+    return res.json({
+      success: true,
+      mode: registration.mode,
+      inviteCodes: inviteCodes.map(toInviteCodeResponse),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Create an invite code.
+ *
+ * This function expects `{ note, maxUses, expiresInDays }` in the request
+ * body, all optional. The code is returned once in `code`, only its hash is
+ * kept.
+ *
+ */
+export const createInviteCode = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const { note, maxUses, expiresInDays } = req.body;
+    const { code, inviteCode } = await issueInviteCode(userId, {
+      note,
+      maxUses,
+      expiresInDays,
+    });
+    await recordAuditEvent(req, "admin.invite-code.create", {
+      actor: userId,
+      metadata: {
+        inviteCode: inviteCode._id,
+        maxUses: inviteCode.maxUses,
+        expiresAt: inviteCode.expiresAt,
+      },
+    });
+    return res.json({
+      success: true,
+      message: "invite_code.created",
+      code,
+      inviteCode: toInviteCodeResponse(inviteCode),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revoke an invite code, so it cannot be used for new sign-ups.
+ *
+ * The code is kept, with its usage count, for the record.
+ *
+ */
+export const revokeInviteCode = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const inviteCode = await inviteCodeModel.findById(req.params.id);
+    if (!inviteCode) {
+      return next(new NotFoundError("invite_code.not_found"));
+    }
+    if (inviteCode.revokedAt) {
+      return next(new ConflictError("invite_code.already_revoked"));
+    }
+    inviteCode.revokedAt = new Date();
+    await inviteCode.save();
+    await recordAuditEvent(req, "admin.invite-code.revoke", {
+      actor: userId,
+      metadata: { inviteCode: inviteCode._id },
+    });
+    return res.json({ success: true, message: "invite_code.revoked" });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import userModel from "../models/userModel.js";
+import {
+  cookieOptions,
+  setTwoFactorCookie,
+  startSession,
+} from "../utils/authTokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { sendMagicLinkEmail } from "../utils/accountEmails.js";
+import { revokeOtp, verifyOtp } from "../utils/otp.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Compare two hex hashes without leaking where they differ
+const hashesMatch = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Fields that clear the pending magic link
+const CLEARED_MAGIC_LINK = {
+  magicLinkTokenHash: "",
+  magicLinkBindingHash: "",
+  magicLinkExpireAt: 0,
+};
+
+// Clear the pending magic link and its code so they cannot be used again
+const clearMagicLink = async (user) => {
+  await userModel.updateOne({ _id: user._id }, CLEARED_MAGIC_LINK);
+  await revokeOtp(user._id, "magic-link");
+};
+
+/**
+ * Send a passwordless sign-in link and code to the user's email address.
+ *
+ * This function will email a new link and code through `sendMagicLinkEmail`,
+ * replacing any previous ones and binding them to the requesting browser.
+ *
+ */
+export const sendMagicLink = async (req, res, next) => {
+  const { email } = req.body;
+  try {
+    const user = await userModel.findOne({ email });
+    if (!user) return next(new NotFoundError("user.not_found"));
+
+    await sendMagicLinkEmail(res, user);
+    await recordAuditEvent(req, "otp.send", {
+      user: user._id,
+      email,
+      metadata: { purpose: "magic-link" },
+    });
+    return res.json({
+      success: true,
+      message: "magic_link.sent",
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Sign in with a magic link token or an emailed code.
+ *
+ * This function accepts either `{ token }` from the link or `{ email, code }`.
+ * The request must come from the browser that asked for the link, it must
+ * not be expired, and a code is invalidated after too many wrong guesses.
+ * On success the link is consumed and a session is started exactly like a
+ * password login, including the second factor if the user enabled it.
+ *
+ */
+export const verifyMagicLink = async (req, res, next) => {
+  const { token, email, code } = req.body;
+  const { magicLinkBinding } = req.cookies;
+  if (!token && (!email || !code)) {
+    return next(new BadRequestError("common.missing_details"));
+  }
+  try {
+    const user = token
+      ? await userModel.findOne({ magicLinkTokenHash: hash(token) })
+      : await userModel.findOne({ email });
+    if (!user || !user.magicLinkTokenHash) {
+      return next(new BadRequestError("magic_link.invalid"));
+    }
+
+    // Check if the link has expired
+    if (user.magicLinkExpireAt < Date.now()) {
+      await clearMagicLink(user);
+      return next(new BadRequestError("magic_link.expired"));
+    }
+
+    // Check that the link is used in the browser that requested it
+    if (
+      !magicLinkBinding ||
+      !hashesMatch(hash(magicLinkBinding), user.magicLinkBindingHash)
+    ) {
+      return next(new ForbiddenError("magic_link.wrong_browser"));
+    }
+
+    // Check the code, the OTP service gives up on it after too many guesses
+    if (!token) {
+      const result = await verifyOtp(user._id, "magic-link", code);
+      if (!result.success) {
+        await recordAuditEvent(req, "login", {
+          user: user._id,
+          outcome: "failure",
+          email,
+          metadata: { method: "magic-link", reason: result.error.message },
+        });
+        return next(result.error);
+      }
+    }
+
+    // Consume the link atomically so two requests cannot both use it, and
+    // receiving it proves the email address
+    const consumed = await userModel.findOneAndUpdate(
+      {
+        _id: user._id,
+        magicLinkTokenHash: user.magicLinkTokenHash,
+        magicLinkExpireAt: { $gt: Date.now() },
+      },
+      { ...CLEARED_MAGIC_LINK, isAccountVerified: true }
+    );
+    if (!consumed) {
+      return next(new BadRequestError("magic_link.invalid"));
+    }
+    await revokeOtp(user._id, "magic-link");
+    res.clearCookie("magicLinkBinding", cookieOptions());
+
+    if (user.twoFactorEnabled) {
+      setTwoFactorCookie(res, user._id);
+      await recordAuditEvent(req, "login", {
+        user: user._id,
+        metadata: { method: "magic-link", twoFactorRequired: true },
+      });
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: "two_factor.required",
+      });
+    }
+
+    await startSession(req, res, user._id);
+    await recordAuditEvent(req, "login", {
+      user: user._id,
+      metadata: { method: "magic-link" },
+    });
+    return res.json({ success: true, message: "auth.login_successful" });
+  } catch (error) {
+    return next(error);
+  }
+};
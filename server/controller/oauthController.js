@@ -0,0 +1,332 @@
+import userModel from "../models/userModel.js";
+import {
+  getOAuthProvider,
+  getOAuthProviders,
+} from "../config/oauthProviders.js";
+import {
+  createAuthorizationRequest,
+  exchangeCode,
+  fetchProfile,
+} from "../utils/oauthClient.js";
+import {
+  consumeOAuthStateCookie,
+  setOAuthStateCookie,
+  setTwoFactorCookie,
+  startSession,
+} from "../utils/authTokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  authorizeRegistration,
+  requiresVerifiedEmail,
+} from "../utils/registration.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  HttpError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+const clientUrl = (path) =>
+  `${process.env.CLIENT_URL || "http://localhost:5173"}${path}`;
+
+/**
+ * List the social login providers that are configured on the server.
+ */
+export const getProviders = (req, res) => {
+  return res.json({
+    success: true,
+    providers: getOAuthProviders().map(({ id, name }) => ({ id, name })),
+  });
+};
+
+/**
+ * Start a social login.
+ *
+ * This function will create a new authorization request with state, nonce and
+ * PKCE code verifier, keep them in a short-lived signed cookie, and redirect
+ * the browser to the provider's authorization endpoint.
+ *
+ */
+export const startOAuthLogin = (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) {
+    return res.redirect(
+      clientUrl(
+        `/login?error=${encodeURIComponent(req.t("oauth.unknown_provider"))}`
+      )
+    );
+  }
+  const { url, state, nonce, codeVerifier } =
+    createAuthorizationRequest(provider);
+  setOAuthStateCookie(res, {
+    provider: provider.id,
+    state,
+    nonce,
+    codeVerifier,
+  });
+  return res.redirect(url);
+};
+
+/**
+ * Start linking a provider to the logged-in user.
+ *
+ * This function works like `startOAuthLogin` but remembers the current user
+ * in the state cookie and returns the authorization URL as JSON, so the
+ * client can navigate to it.
+ *
+ */
+export const startOAuthLink = (req, res, next) => {
+  const { userId } = req.auth;
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) {
+    return next(new NotFoundError("oauth.unknown_provider"));
+  }
+  const { url, state, nonce, codeVerifier } =
+    createAuthorizationRequest(provider);
+  setOAuthStateCookie(res, {
+    provider: provider.id,
+    state,
+    nonce,
+    codeVerifier,
+    linkUserId: userId,
+  });
+  return res.json({ success: true, url });
+};
+
+/**
+ * Link a provider identity to an existing user, unless it belongs to someone
+ * else already.
+ */
+const linkAccount = async (user, provider, profile) => {
+  const owner = await userModel.findOne({
+    linkedAccounts: {
+      $elemMatch: { provider: provider.id, providerId: profile.id },
+    },
+  });
+  if (owner && String(owner._id) !== String(user._id)) {
+    throw new ConflictError("oauth.linked_to_other_user", {
+      params: { provider: provider.name },
+    });
+  }
+  if (!owner) {
+    user.linkedAccounts.push({
+      provider: provider.id,
+      providerId: profile.id,
+      email: profile.email,
+    });
+    await user.save();
+  }
+};
+
+/**
+ * Find or create the user behind a provider identity.
+ *
+ * An identity that is already linked signs in its user. Otherwise it is
+ * linked to the user with the same email address, but only if both the
+ * provider and our account verified that address. An unverified account may
+ * have been registered by someone else, who would keep its password. If
+ * there is no such user, a new one is created with the given locale, if the
+ * registration mode allows it.
+ *
+ */
+const findOrCreateUser = async (provider, profile, locale) => {
+  const linkedUser = await userModel.findOne({
+    linkedAccounts: {
+      $elemMatch: { provider: provider.id, providerId: profile.id },
+    },
+  });
+  if (linkedUser) return linkedUser;
+
+  if (!profile.email) {
+    throw new BadRequestError("oauth.no_email", {
+      params: { provider: provider.name },
+    });
+  }
+
+  const existingUser = await userModel.findOne({ email: profile.email });
+  if (existingUser) {
+    if (!profile.emailVerified || !existingUser.isAccountVerified) {
+      throw new ConflictError("oauth.email_exists");
+    }
+    await linkAccount(existingUser, provider, profile);
+    return existingUser;
+  }
+
+  // New accounts follow the registration mode, there is no invite code here,
+  // and an address the provider did not verify proves nothing about its domain
+  await authorizeRegistration(profile.email);
+  if (!profile.emailVerified && requiresVerifiedEmail()) {
+    throw new ForbiddenError("registration.provider_email_unverified", {
+      params: { provider: provider.name },
+    });
+  }
+  return userModel.create({
+    name: profile.name,
+    email: profile.email,
+    isAccountVerified: profile.emailVerified,
+    locale,
+    linkedAccounts: [
+      {
+        provider: provider.id,
+        providerId: profile.id,
+        email: profile.email,
+      },
+    ],
+  });
+};
+
+/**
+ * Handle the redirect back from the provider.
+ *
+ * This function will check the state against the state cookie, exchange the
+ * authorization code using the PKCE code verifier, and read the user's
+ * verified profile. It then either links the identity to the user that
+ * started a link request, or signs the matching user in, creating them if
+ * needed. The browser is always redirected back to the client.
+ *
+ */
+export const oauthCallback = async (req, res) => {
+  const { code, state, error } = req.query;
+  const saved = consumeOAuthStateCookie(req, res);
+  const failTo = saved?.linkUserId ? "/linked-accounts" : "/login";
+
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    if (
+      !provider ||
+      !saved ||
+      saved.provider !== provider.id ||
+      saved.state !== state
+    ) {
+      throw new BadRequestError("oauth.invalid_request");
+    }
+    if (error || !code) {
+      throw new BadRequestError("oauth.cancelled", {
+        params: { provider: provider.name },
+      });
+    }
+
+    const tokens = await exchangeCode(provider, code, saved.codeVerifier);
+    const profile = await fetchProfile(provider, tokens, saved.nonce);
+
+    // Link the identity to the user that started the request
+    if (saved.linkUserId) {
+      const user = await userModel.findById(saved.linkUserId);
+      if (!user) throw new NotFoundError("user.not_found");
+      await linkAccount(user, provider, profile);
+      await recordAuditEvent(req, "account.link", {
+        user: user._id,
+        metadata: { provider: provider.id },
+      });
+      return res.redirect(clientUrl(`/linked-accounts?linked=${provider.id}`));
+    }
+
+    const user = await findOrCreateUser(provider, profile, req.locale);
+
+    // Social login does not skip the user's second factor
+    if (user.twoFactorEnabled) {
+      setTwoFactorCookie(res, user._id);
+      await recordAuditEvent(req, "login", {
+        user: user._id,
+        metadata: { method: provider.id, twoFactorRequired: true },
+      });
+      return res.redirect(clientUrl("/two-factor-challenge"));
+    }
+
+    await startSession(req, res, user._id);
+    await recordAuditEvent(req, "login", {
+      user: user._id,
+      metadata: { method: provider.id },
+    });
+    return res.redirect(clientUrl("/"));
+  } catch (caught) {
+    // Errors from the provider or the network may say anything, so only our
+    // own errors reach the client
+    let error = caught;
+    if (!(caught instanceof HttpError)) {
+      console.error(`${req.params.provider} login failed:`, caught);
+      error = new BadRequestError("oauth.failed", {
+        params: {
+          provider:
+            getOAuthProvider(req.params.provider)?.name || req.params.provider,
+        },
+      });
+    }
+    await recordAuditEvent(req, saved?.linkUserId ? "account.link" : "login", {
+      user: saved?.linkUserId || null,
+      outcome: "failure",
+      metadata: { method: req.params.provider, reason: error.message },
+    });
+    return res.redirect(
+      clientUrl(
+        `${failTo}?error=${encodeURIComponent(
+          req.t(error.message, error.params)
+        )}`
+      )
+    );
+  }
+};
+
+/**
+ * List the providers linked to the logged-in user.
+ *
+ * This function will also report whether the user has a password, so the
+ * client can tell if unlinking the last provider is allowed.
+ *
+ */
+export const getLinkedAccounts = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    return res.json({
+      success: true,
+      hasPassword: Boolean(user.password),
+      linkedAccounts: user.linkedAccounts.map((account) => ({
+        provider: account.provider,
+        email: account.email,
+        linkedAt: account.linkedAt,
+      })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Unlink a provider from the logged-in user.
+ *
+ * This function refuses to remove the user's last way to sign in, i.e. the
+ * last linked provider of an account without a password or passkey.
+ *
+ */
+export const unlinkAccount = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    const remaining = user.linkedAccounts.filter(
+      (account) => account.provider !== req.params.provider
+    );
+    if (remaining.length === user.linkedAccounts.length) {
+      return next(new NotFoundError("oauth.not_linked"));
+    }
+    if (!user.password && !user.passkeys.length && remaining.length === 0) {
+      return next(new ConflictError("account.last_sign_in_method"));
+    }
+    user.linkedAccounts = remaining;
+    await user.save();
+    await recordAuditEvent(req, "account.unlink", {
+      user: user._id,
+      metadata: { provider: req.params.provider },
+    });
+    return res.json({ success: true, message: "oauth.unlinked" });
+  } catch (error) {
+    return next(error);
+  }
+};
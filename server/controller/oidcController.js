@@ -0,0 +1,569 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import userModel from "../models/userModel.js";
+import sessionModel from "../models/sessionModel.js";
+import oidcClientModel from "../models/oidcClientModel.js";
+import oidcConsentModel from "../models/oidcConsentModel.js";
+import authorizationCodeModel from "../models/authorizationCodeModel.js";
+import {
+  issuer,
+  kid,
+  privateKey,
+  publicJwk,
+  publicKey,
+} from "../config/oidcKeys.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+
+const SUPPORTED_SCOPES = ["openid", "profile", "email"];
+const CODE_TTL = 60 * 1000; // 1 minute
+const TOKEN_TTL = 60 * 60; // 1 hour, in seconds
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const clientUrl = (path) =>
+  `${process.env.CLIENT_URL || "http://localhost:5173"}${path}`;
+
+// An OAuth error response as defined by RFC 6749
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+// Log an unexpected error, but only tell the client that something failed
+const oauthServerError = (req, res, error) => {
+  console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  return oauthError(res, 500, "server_error", "Internal server error");
+};
+
+// Append query parameters to a client's redirect URI
+const withParams = (uri, params) => {
+  const url = new URL(uri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+// Hosts that only reach the user's own machine, allowed over plain http
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Redirect URIs must be absolute https URLs without a fragment, or http on a
+// loopback host for native and development apps. Other schemes such as
+// `javascript:` would run in our origin when the consent screen redirects.
+const isAllowedRedirectUri = (uri) => {
+  const url = URL.canParse(uri) ? new URL(uri) : null;
+  if (!url || url.hash) return false;
+  if (url.protocol === "https:") return true;
+  return url.protocol === "http:" && LOOPBACK_HOSTS.includes(url.hostname);
+};
+
+// Repeated parameters arrive as arrays, which no OAuth parameter allows
+const isOptionalString = (value) =>
+  value === undefined || typeof value === "string";
+
+// Disabled accounts and accounts scheduled for deletion must not be
+// signed in to other apps either
+const isActiveUser = (user) =>
+  Boolean(user) && !user.disabled && !user.deletionScheduledAt;
+
+// Claims from the user's profile that the granted scopes allow us to share
+const profileClaims = (user, scopes) => ({
+  ...(scopes.includes("profile") ? { name: user.name } : {}),
+  ...(scopes.includes("email")
+    ? { email: user.email, email_verified: user.isAccountVerified }
+    : {}),
+});
+
+/**
+ * Validate the parameters of an authorization request.
+ *
+ * Errors about the client or redirect URI must never redirect, since the
+ * redirect URI cannot be trusted, so they come back without a `redirectUrl`.
+ * Every other error can be reported back to the client's redirect URI.
+ *
+ */
+const validateAuthorizationRequest = async (params) => {
+  const {
+    client_id,
+    redirect_uri,
+    response_type,
+    scope = "",
+    state,
+    nonce,
+    code_challenge,
+    code_challenge_method,
+  } = params;
+
+  const client =
+    client_id && typeof client_id === "string"
+      ? await oidcClientModel.findOne({ clientId: client_id })
+      : null;
+  if (!client) {
+    return { error: "invalid_client", description: "Unknown client" };
+  }
+  // Also re-check the URI itself, for clients registered before the rules
+  if (
+    !redirect_uri ||
+    typeof redirect_uri !== "string" ||
+    !client.redirectUris.includes(redirect_uri) ||
+    !isAllowedRedirectUri(redirect_uri)
+  ) {
+    return { error: "invalid_request", description: "Invalid redirect_uri" };
+  }
+
+  const fail = (error, description) => ({
+    error,
+    description,
+    redirectUrl: withParams(redirect_uri, {
+      error,
+      error_description: description,
+      state: isOptionalString(state) ? state : undefined,
+    }),
+  });
+
+  const values = [
+    response_type,
+    scope,
+    state,
+    nonce,
+    code_challenge,
+    code_challenge_method,
+  ];
+  if (!values.every(isOptionalString)) {
+    return fail("invalid_request", "Parameters must not be repeated");
+  }
+  if (response_type !== "code") {
+    return fail("unsupported_response_type", "Only code is supported");
+  }
+  const scopes = scope.split(" ").filter(Boolean);
+  if (!scopes.includes("openid")) {
+    return fail("invalid_scope", "The openid scope is required");
+  }
+  if (code_challenge && (code_challenge_method || "plain") !== "S256") {
+    return fail("invalid_request", "Only S256 code challenges are supported");
+  }
+
+  return {
+    client,
+    redirectUri: redirect_uri,
+    scopes: scopes.filter((value) => SUPPORTED_SCOPES.includes(value)),
+  };
+};
+
+/**
+ * OpenID Connect discovery document.
+ */
+export const discovery = (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/oidc/authorize`,
+    token_endpoint: `${issuer}/oidc/token`,
+    userinfo_endpoint: `${issuer}/oidc/userinfo`,
+    jwks_uri: `${issuer}/oidc/jwks`,
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    scopes_supported: SUPPORTED_SCOPES,
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+    ],
+    code_challenge_methods_supported: ["S256"],
+    claims_supported: ["sub", "name", "email", "email_verified"],
+  });
+};
+
+/**
+ * JSON Web Key Set with the public key used to sign our tokens.
+ */
+export const jwks = (req, res) => {
+  res.json({ keys: [publicJwk] });
+};
+
+/**
+ * Authorization endpoint.
+ *
+ * This function will validate the authorization request and send the browser
+ * to the consent screen of the React client, which logs the user in if needed
+ * and then approves or denies the request through `authorizeDecision`.
+ *
+ */
+export const authorize = async (req, res) => {
+  try {
+    const request = await validateAuthorizationRequest(req.query);
+    if (request.error) {
+      return request.redirectUrl
+        ? res.redirect(request.redirectUrl)
+        : oauthError(res, 400, request.error, request.description);
+    }
+    const query = new URLSearchParams(req.query).toString();
+    return res.redirect(clientUrl(`/consent?${query}`));
+  } catch (error) {
+    return oauthServerError(req, res, error);
+  }
+};
+
+/**
+ * Describe an authorization request for the consent screen.
+ *
+ * This function will return the client's name and the requested scopes, and
+ * whether the logged-in user already consented to all of them.
+ *
+ */
+export const getAuthorizationRequest = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const request = await validateAuthorizationRequest(req.query);
+    if (request.error) {
+      return next(
+        new BadRequestError(request.description, { code: request.error })
+      );
+    }
+    const consent = await oidcConsentModel.findOne({
+      user: userId,
+      clientId: request.client.clientId,
+    });
+    return res.json({
+      success: true,
+      client: { name: request.client.name },
+      scopes: request.scopes,
+      consented:
+        Boolean(consent) &&
+        request.scopes.every((scope) => consent.scopes.includes(scope)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Approve or deny an authorization request.
+ *
+ * This function will remember the user's consent, create a single-use
+ * authorization code bound to the client, redirect URI, nonce and PKCE code
+ * challenge, and return the URL the browser should be sent back to. A denied
+ * request returns the redirect URI with an `access_denied` error instead.
+ *
+ */
+export const authorizeDecision = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.auth;
+    const { approve, params = {} } = req.body;
+    const request = await validateAuthorizationRequest(params);
+    if (request.error) {
+      return next(
+        new BadRequestError(request.description, { code: request.error })
+      );
+    }
+    const { client, redirectUri, scopes } = request;
+
+    if (!approve) {
+      return res.json({
+        success: true,
+        redirectUrl: withParams(redirectUri, {
+          error: "access_denied",
+          state: params.state,
+        }),
+      });
+    }
+
+    // Remember the consent so the user is not asked again next time
+    await oidcConsentModel.findOneAndUpdate(
+      { user: userId, clientId: client.clientId },
+      { $addToSet: { scopes: { $each: scopes } } },
+      { upsert: true }
+    );
+
+    const session = await sessionModel.findById(sessionId);
+    const code = crypto.randomBytes(32).toString("base64url");
+    await authorizationCodeModel.create({
+      codeHash: hash(code),
+      clientId: client.clientId,
+      user: userId,
+      redirectUri,
+      scopes,
+      nonce: params.nonce || "",
+      codeChallenge: params.code_challenge || "",
+      authTime: session ? session.createdAt : new Date(),
+      expiresAt: new Date(Date.now() + CODE_TTL),
+    });
+
+    return res.json({
+      success: true,
+      redirectUrl: withParams(redirectUri, { code, state: params.state }),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Read the client credentials from HTTP Basic auth or the request body,
+// returning empty ones if they are malformed
+const getClientCredentials = (req) => {
+  const header = req.get("authorization") || "";
+  if (header.startsWith("Basic ")) {
+    const decoded = Buffer.from(header.slice(6), "base64").toString();
+    const separator = decoded.indexOf(":");
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    } catch {
+      return {};
+    }
+  }
+  const { client_id, client_secret } = req.body;
+  if (!isOptionalString(client_id) || !isOptionalString(client_secret)) {
+    return {};
+  }
+  return { clientId: client_id, clientSecret: client_secret };
+};
+
+/**
+ * Token endpoint.
+ *
+ * This function will authenticate the client, redeem the authorization code
+ * exactly once, check the redirect URI and PKCE code verifier, and return an
+ * access token for the userinfo endpoint together with an ID token built from
+ * the user's profile.
+ *
+ */
+export const token = async (req, res) => {
+  try {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+
+    // Authenticate the client
+    const { clientId, clientSecret } = getClientCredentials(req);
+    const client = clientId
+      ? await oidcClientModel.findOne({ clientId })
+      : null;
+    if (
+      !client ||
+      !clientSecret ||
+      !crypto.timingSafeEqual(
+        Buffer.from(hash(clientSecret)),
+        Buffer.from(client.clientSecretHash)
+      )
+    ) {
+      return oauthError(res, 401, "invalid_client", "Invalid client");
+    }
+
+    if (grant_type !== "authorization_code") {
+      return oauthError(
+        res,
+        400,
+        "unsupported_grant_type",
+        "Only authorization_code is supported"
+      );
+    }
+    if (!code || typeof code !== "string") {
+      return oauthError(res, 400, "invalid_request", "Missing code");
+    }
+    if (!isOptionalString(redirect_uri) || !isOptionalString(code_verifier)) {
+      return oauthError(
+        res,
+        400,
+        "invalid_request",
+        "Parameters must not be repeated"
+      );
+    }
+
+    // Redeem the code atomically so it can only be used once
+    const record = await authorizationCodeModel.findOneAndUpdate(
+      { codeHash: hash(code), used: false },
+      { used: true }
+    );
+    if (
+      !record ||
+      record.expiresAt < new Date() ||
+      record.clientId !== client.clientId ||
+      record.redirectUri !== redirect_uri
+    ) {
+      return oauthError(res, 400, "invalid_grant", "Invalid or expired code");
+    }
+    if (
+      record.codeChallenge &&
+      (!code_verifier ||
+        crypto
+          .createHash("sha256")
+          .update(code_verifier)
+          .digest("base64url") !== record.codeChallenge)
+    ) {
+      return oauthError(res, 400, "invalid_grant", "Invalid code verifier");
+    }
+
+    const user = await userModel.findById(record.user);
+    if (!isActiveUser(user)) {
+      return oauthError(res, 400, "invalid_grant", "User not found");
+    }
+
+    const signOptions = {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer,
+      subject: String(user._id),
+      expiresIn: TOKEN_TTL,
+    };
+
+    // Access token for the userinfo endpoint
+    const accessToken = jwt.sign(
+      { token_use: "access", scope: record.scopes.join(" ") },
+      privateKey,
+      { ...signOptions, audience: issuer }
+    );
+
+    // ID token built from the user's profile
+    const idToken = jwt.sign(
+      {
+        auth_time: Math.floor(record.authTime.getTime() / 1000),
+        ...(record.nonce ? { nonce: record.nonce } : {}),
+        ...profileClaims(user, record.scopes),
+      },
+      privateKey,
+      { ...signOptions, audience: client.clientId }
+    );
+
+    res.set("Cache-Control", "no-store");
+    return res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: TOKEN_TTL,
+      id_token: idToken,
+      scope: record.scopes.join(" "),
+    });
+  } catch (error) {
+    return oauthServerError(req, res, error);
+  }
+};
+
+/**
+ * Userinfo endpoint.
+ *
+ * This function will verify the Bearer access token issued by `token` and
+ * return the claims of the user's profile allowed by its scopes.
+ *
+ */
+export const userinfo = async (req, res) => {
+  const header = req.get("authorization") || "";
+  if (!header.startsWith("Bearer ")) {
+    res.set("WWW-Authenticate", "Bearer");
+    return oauthError(res, 401, "invalid_token", "Missing access token");
+  }
+  const invalidToken = (description) => {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return oauthError(res, 401, "invalid_token", description);
+  };
+
+  let claims;
+  try {
+    claims = jwt.verify(header.slice(7), publicKey, {
+      algorithms: ["RS256"],
+      issuer,
+      audience: issuer,
+    });
+  } catch {
+    return invalidToken("Invalid or expired access token");
+  }
+  if (claims.token_use !== "access") {
+    return invalidToken("Not an access token");
+  }
+
+  try {
+    const user = await userModel.findById(claims.sub);
+    if (!isActiveUser(user)) return invalidToken("User not found");
+
+    return res.json({
+      sub: String(user._id),
+      ...profileClaims(user, claims.scope.split(" ")),
+    });
+  } catch (error) {
+    return oauthServerError(req, res, error);
+  }
+};
+
+/**
+ * Register a new OIDC client application.
+ *
+ * This function will create a client owned by the logged-in user and return
+ * its client ID and secret. The secret is only stored as a hash and cannot be
+ * shown again.
+ *
+ */
+export const registerClient = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { name, redirectUris } = req.body;
+  if (!name || !Array.isArray(redirectUris) || redirectUris.length === 0) {
+    return next(new BadRequestError("common.missing_details"));
+  }
+  try {
+    for (const uri of redirectUris) {
+      if (!isAllowedRedirectUri(uri)) {
+        return next(
+          new BadRequestError("oidc.invalid_redirect_uri", {
+            params: { uri },
+            code: "invalid_redirect_uri",
+          })
+        );
+      }
+    }
+
+    const clientId = crypto.randomBytes(16).toString("hex");
+    const clientSecret = crypto.randomBytes(32).toString("base64url");
+    await oidcClientModel.create({
+      clientId,
+      clientSecretHash: hash(clientSecret),
+      name,
+      redirectUris,
+      owner: userId,
+    });
+    return res.json({
+      success: true,
+      message: "oidc.client_registered",
+      clientId,
+      clientSecret,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * List the OIDC clients owned by the logged-in user.
+ */
+export const getClients = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const clients = await oidcClientModel.find({ owner: userId });
+    return res.json({
+      success: true,
+      clients: clients.map((client) => ({
+        clientId: client.clientId,
+        name: client.name,
+        redirectUris: client.redirectUris,
+        createdAt: client.createdAt,
+      })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Delete an OIDC client owned by the logged-in user.
+ */
+export const deleteClient = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const result = await oidcClientModel.deleteOne({
+      clientId: req.params.clientId,
+      owner: userId,
+    });
+    if (result.deletedCount === 0) {
+      return next(new NotFoundError("oidc.client_not_found"));
+    }
+    await oidcConsentModel.deleteMany({ clientId: req.params.clientId });
+    return res.json({ success: true, message: "oidc.client_deleted" });
+  } catch (error) {
+    return next(error);
+  }
+};
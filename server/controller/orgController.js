@@ -0,0 +1,554 @@
+import organizationModel from "../models/organizationModel.js";
+import membershipModel from "../models/membershipModel.js";
+import invitationModel from "../models/invitationModel.js";
+import userModel from "../models/userModel.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { queueEmail } from "../utils/mailer.js";
+import { translate } from "../utils/i18n.js";
+import {
+  INVITATION_DAYS,
+  removeOrganization,
+  findInvitation,
+  setActiveOrganization,
+  signInvitation,
+  syncMemberSessions,
+  toInvitationResponse,
+  toMemberResponse,
+  toOrganizationResponse,
+} from "../utils/organizations.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+// Keeps a single account from creating organizations without end
+const MAX_ORGANIZATIONS_PER_USER = 20;
+
+// Keeps an organization from being used to send invitation emails in bulk
+const MAX_PENDING_INVITATIONS = 100;
+
+// Every organization keeps at least one owner
+const isLastOwner = async (membership) =>
+  membership.role === "owner" &&
+  !(await membershipModel.exists({
+    organization: membership.organization,
+    role: "owner",
+    _id: { $ne: membership._id },
+  }));
+
+/**
+ * List the organizations the user belongs to.
+ *
+ * This function will return each organization with the user's role in it,
+ * oldest membership first, and the ID of the one active in this session.
+ *
+ */
+export const getOrganizations = async (req, res, next) => {
+  try {
+    const { userId, orgId } = req.auth;
+    const memberships = await membershipModel
+      .find({ user: userId })
+      .sort({ createdAt: 1 })
+      .populate("organization");
+    return res.json({
+      success: true,
+      organizations: memberships
+        .filter((membership) => membership.organization)
+        .map((membership) =>
+          toOrganizationResponse(membership.organization, membership.role)
+        ),
+      activeOrganization: orgId,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Create an organization.
+ *
+ * This function expects `{ name }` in the request body. The user becomes
+ * its owner and it becomes the active organization of the session.
+ *
+ */
+export const createOrganization = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.auth;
+    const { name } = req.body;
+    const count = await membershipModel.countDocuments({ user: userId });
+    if (count >= MAX_ORGANIZATIONS_PER_USER) {
+      return next(
+        new ConflictError("org.limit_reached", {
+          params: { max: MAX_ORGANIZATIONS_PER_USER },
+        })
+      );
+    }
+
+    const organization = await organizationModel.create({
+      name,
+      createdBy: userId,
+    });
+    const membership = await membershipModel.create({
+      organization: organization._id,
+      user: userId,
+      role: "owner",
+    });
+    await setActiveOrganization(sessionId, membership);
+    await recordAuditEvent(req, "org.create", {
+      user: userId,
+      metadata: { organization: organization._id, name },
+    });
+
+    return res.json({
+      success: true,
+      message: "org.created",
+      organization: toOrganizationResponse(organization, membership.role),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Switch the organization the session works in.
+ *
+ * This function expects `{ organizationId }` in the request body, one of
+ * the user's organizations, or no ID to work outside of any organization.
+ *
+ */
+export const switchOrganization = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.auth;
+    const { organizationId } = req.body;
+    let membership = null;
+    if (organizationId) {
+      membership = await membershipModel.findOne({
+        organization: organizationId,
+        user: userId,
+      });
+      if (!membership) {
+        return next(new NotFoundError("org.not_found"));
+      }
+    }
+    await setActiveOrganization(sessionId, membership);
+    return res.json({ success: true, message: "org.switched" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get the active organization with its members.
+ *
+ * Pending invitations are included for members who can invite, along with
+ * the user's own role and permissions so the client knows what to offer.
+ *
+ */
+export const getActiveOrganization = async (req, res, next) => {
+  try {
+    const { orgId, orgRole, orgPermissions } = req.auth;
+    const organization = await organizationModel.findById(orgId);
+    if (!organization) {
+      return next(new NotFoundError("org.not_found"));
+    }
+    const members = await membershipModel
+      .find({ organization: orgId })
+      .sort({ createdAt: 1 })
+      .populate("user", { name: 1, email: 1, avatar: 1 });
+    const invitations = orgPermissions.includes("members:invite")
+      ? await invitationModel
+          .find({ organization: orgId, expiresAt: { $gt: new Date() } })
+          .sort({ createdAt: -1 })
+      : [];
+
+    return res.json({
+      success: true,
+      organization: toOrganizationResponse(organization, orgRole),
+      permissions: orgPermissions,
+      members: members
+        .filter((membership) => membership.user)
+        .map(toMemberResponse),
+      invitations: invitations.map(toInvitationResponse),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Rename the active organization.
+ */
+export const updateOrganization = async (req, res, next) => {
+  try {
+    const { userId, orgId } = req.auth;
+    const { name } = req.body;
+    const organization = await organizationModel.findByIdAndUpdate(
+      orgId,
+      { name },
+      { new: true }
+    );
+    if (!organization) {
+      return next(new NotFoundError("org.not_found"));
+    }
+    await recordAuditEvent(req, "org.update", {
+      user: userId,
+      metadata: { organization: orgId, name },
+    });
+    return res.json({ success: true, message: "org.updated" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Delete the active organization.
+ *
+ * Its memberships and invitations are deleted with it, and every session
+ * working in it goes back to working outside of any organization.
+ *
+ */
+export const deleteOrganization = async (req, res, next) => {
+  try {
+    const { userId, orgId } = req.auth;
+    const organization = await organizationModel.findById(orgId);
+    if (!organization) {
+      return next(new NotFoundError("org.not_found"));
+    }
+    await removeOrganization(orgId);
+    await recordAuditEvent(req, "org.delete", {
+      user: userId,
+      metadata: { organization: orgId, name: organization.name },
+    });
+    return res.json({ success: true, message: "org.deleted" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Invite someone to the active organization by email.
+ *
+ * This function expects `{ email, role }` in the request body. The address
+ * gets a signed link, valid for `INVITATION_DAYS`, that is accepted while
+ * logged in to the account with that address, or after signing up with it.
+ * Inviting an address again replaces its pending invitation. Only members
+ * who can change roles may invite owners.
+ *
+ */
+export const inviteMember = async (req, res, next) => {
+  try {
+    const { userId, orgId, orgPermissions } = req.auth;
+    const { email, role } = req.body;
+    if (role === "owner" && !orgPermissions.includes("members:roles")) {
+      return next(new ForbiddenError("auth.permission_denied"));
+    }
+
+    const [organization, inviter, invitee] = await Promise.all([
+      organizationModel.findById(orgId),
+      userModel.findById(userId, { name: 1 }),
+      userModel.findOne({ email }, { locale: 1 }),
+    ]);
+    if (!organization) {
+      return next(new NotFoundError("org.not_found"));
+    }
+    if (
+      invitee &&
+      (await membershipModel.exists({ organization: orgId, user: invitee._id }))
+    ) {
+      return next(new ConflictError("org.already_member"));
+    }
+
+    // Inviting an address again replaces its invitation, so it does not count
+    const pending = await invitationModel.countDocuments({
+      organization: orgId,
+      email: { $ne: email },
+      expiresAt: { $gt: new Date() },
+    });
+    if (pending >= MAX_PENDING_INVITATIONS) {
+      return next(
+        new ConflictError("org.invitation_limit", {
+          params: { max: MAX_PENDING_INVITATIONS },
+        })
+      );
+    }
+
+    await invitationModel.deleteOne({ organization: orgId, email });
+    const invitation = await invitationModel.create({
+      organization: orgId,
+      email,
+      role,
+      invitedBy: userId,
+      expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    const locale = invitee?.locale || req.locale;
+    const link = `${
+      process.env.CLIENT_URL || "http://localhost:5173"
+    }/invitation?token=${signInvitation(invitation)}`;
+    await queueEmail(
+      email,
+      "org-invitation",
+      {
+        email,
+        organization: organization.name,
+        inviter: inviter?.name || "",
+        role: translate(locale, "org.role." + role),
+        link,
+        days: INVITATION_DAYS,
+      },
+      locale
+    );
+    await recordAuditEvent(req, "org.invite", {
+      user: userId,
+      email,
+      metadata: { organization: orgId, role },
+    });
+
+    return res.json({
+      success: true,
+      message: "org.invitation_sent",
+      invitation: toInvitationResponse(invitation),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation to the active organization.
+ */
+export const revokeInvitation = async (req, res, next) => {
+  try {
+    const { userId, orgId } = req.auth;
+    const invitation = await invitationModel.findOneAndDelete({
+      _id: req.params.id,
+      organization: orgId,
+    });
+    if (!invitation) {
+      return next(new NotFoundError("org.invitation_not_found"));
+    }
+    await recordAuditEvent(req, "org.invite.revoke", {
+      user: userId,
+      email: invitation.email,
+      metadata: { organization: orgId },
+    });
+    return res.json({ success: true, message: "org.invitation_revoked" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Change the role of a member of the active organization.
+ *
+ * This function expects the member's user ID in the URL and `{ role }` in
+ * the request body. The last owner cannot step down.
+ *
+ */
+export const updateMemberRole = async (req, res, next) => {
+  try {
+    const { userId, orgId } = req.auth;
+    const { role } = req.body;
+    const membership = await membershipModel.findOne({
+      organization: orgId,
+      user: req.params.id,
+    });
+    if (!membership) {
+      return next(new NotFoundError("org.member_not_found"));
+    }
+    if (role !== "owner" && (await isLastOwner(membership))) {
+      return next(new ConflictError("org.last_owner"));
+    }
+
+    const previousRole = membership.role;
+    membership.role = role;
+    await membership.save();
+    await syncMemberSessions(membership.user, orgId, role);
+    await recordAuditEvent(req, "org.member.role", {
+      user: membership.user,
+      actor: userId,
+      metadata: { organization: orgId, previousRole, role },
+    });
+    return res.json({ success: true, message: "org.role_updated" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Remove a member from the active organization.
+ *
+ * Removing an owner needs the permission to change roles, and the last
+ * owner cannot be removed. Members leave through `leaveOrganization`.
+ *
+ */
+export const removeMember = async (req, res, next) => {
+  try {
+    const { userId, orgId, orgPermissions } = req.auth;
+    if (req.params.id === userId) {
+      return next(new BadRequestError("org.remove_self"));
+    }
+    const membership = await membershipModel.findOne({
+      organization: orgId,
+      user: req.params.id,
+    });
+    if (!membership) {
+      return next(new NotFoundError("org.member_not_found"));
+    }
+    if (
+      membership.role === "owner" &&
+      !orgPermissions.includes("members:roles")
+    ) {
+      return next(new ForbiddenError("auth.permission_denied"));
+    }
+    if (await isLastOwner(membership)) {
+      return next(new ConflictError("org.last_owner"));
+    }
+
+    await membership.deleteOne();
+    await syncMemberSessions(membership.user, orgId, null);
+    await recordAuditEvent(req, "org.member.remove", {
+      user: membership.user,
+      actor: userId,
+      metadata: { organization: orgId, role: membership.role },
+    });
+    return res.json({ success: true, message: "org.member_removed" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Leave the active organization.
+ *
+ * The last owner has to hand over ownership or delete the organization
+ * instead.
+ *
+ */
+export const leaveOrganization = async (req, res, next) => {
+  try {
+    const { userId, orgId } = req.auth;
+    const membership = await membershipModel.findOne({
+      organization: orgId,
+      user: userId,
+    });
+    if (!membership) {
+      return next(new NotFoundError("org.not_found"));
+    }
+    if (await isLastOwner(membership)) {
+      return next(new ConflictError("org.last_owner"));
+    }
+
+    await membership.deleteOne();
+    await syncMemberSessions(userId, orgId, null);
+    await recordAuditEvent(req, "org.leave", {
+      user: userId,
+      metadata: { organization: orgId },
+    });
+    return res.json({ success: true, message: "org.left" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Look up an invitation from the token in its link.
+ *
+ * This does not need a login, so the invitation page can say which
+ * organization it is for and which address has to accept it before the
+ * user signs in or up.
+ *
+ */
+export const getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findInvitation(req.query.token);
+    if (!invitation) {
+      return next(new BadRequestError("org.invitation_invalid"));
+    }
+    return res.json({
+      success: true,
+      invitation: {
+        organization: invitation.organization.name,
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy?.name || "",
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Accept an invitation with the token from its link.
+ *
+ * The logged in account must have the invited address. The user joins with
+ * the invited role and the organization becomes active in the session.
+ * Receiving the link proves the address, so the account is marked verified.
+ *
+ */
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.auth;
+    const invitation = await findInvitation(req.body.token);
+    if (!invitation) {
+      return next(new BadRequestError("org.invitation_invalid"));
+    }
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+      return next(
+        new ForbiddenError("org.invitation_wrong_account", {
+          params: { email: invitation.email },
+        })
+      );
+    }
+
+    const organizationId = invitation.organization._id;
+    if (
+      await membershipModel.exists({
+        organization: organizationId,
+        user: userId,
+      })
+    ) {
+      await invitation.deleteOne();
+      return next(new ConflictError("org.already_member"));
+    }
+
+    const membership = await membershipModel.create({
+      organization: organizationId,
+      user: userId,
+      role: invitation.role,
+    });
+    await invitation.deleteOne();
+    if (!user.isAccountVerified) {
+      user.isAccountVerified = true;
+      await user.save();
+    }
+    await setActiveOrganization(sessionId, membership);
+    await recordAuditEvent(req, "org.invite.accept", {
+      user: userId,
+      metadata: {
+        organization: organizationId,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy?._id || null,
+      },
+    });
+
+    return res.json({
+      success: true,
+      message: "org.joined",
+      organization: toOrganizationResponse(
+        invitation.organization,
+        membership.role
+      ),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
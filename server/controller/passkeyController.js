@@ -0,0 +1,304 @@
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from "@simplewebauthn/server";
+import userModel from "../models/userModel.js";
+import webauthnChallengeModel from "../models/webauthnChallengeModel.js";
+import { origin, rpID, rpName } from "../config/webauthn.js";
+import { startSession } from "../utils/authTokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+
+const CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Store a challenge so the matching response can be verified exactly once
+const saveChallenge = (challenge, type, userId = null) =>
+  webauthnChallengeModel.create({
+    challenge,
+    type,
+    user: userId,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL),
+  });
+
+/**
+ * Take the challenge answered by a WebAuthn response out of storage.
+ *
+ * The challenge is read from the response's client data and deleted, so a
+ * response can never be verified twice. Returns null if the challenge is
+ * unknown, expired or was issued for another ceremony.
+ *
+ */
+const consumeChallenge = async (response, type) => {
+  try {
+    const clientData = JSON.parse(
+      Buffer.from(response.response.clientDataJSON, "base64url").toString()
+    );
+    const record = await webauthnChallengeModel.findOneAndDelete({
+      challenge: clientData.challenge,
+      type,
+    });
+    if (!record || record.expiresAt < new Date()) return null;
+    return record;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Start registering a passkey.
+ *
+ * This function will generate WebAuthn creation options for the logged-in
+ * user, excluding the authenticators they already registered, and store the
+ * challenge for `verifyPasskeyRegistration`.
+ *
+ */
+export const passkeyRegistrationOptions = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: user.email,
+      userDisplayName: user.name,
+      // Use the user's ObjectId as the WebAuthn user handle
+      userID: Buffer.from(String(user._id), "hex"),
+      attestationType: "none",
+      excludeCredentials: user.passkeys.map((passkey) => ({
+        id: passkey.credentialId,
+        transports: passkey.transports,
+      })),
+      // Sign-in never names the account, so the passkey must be discoverable
+      authenticatorSelection: {
+        residentKey: "required",
+        userVerification: "preferred",
+      },
+    });
+    await saveChallenge(options.challenge, "registration", user._id);
+
+    return res.json({ success: true, options });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Finish registering a passkey.
+ *
+ * This function will verify the attestation against the stored challenge,
+ * the client's origin and our RP ID, and save the new credential's ID, public
+ * key and sign count on the user.
+ *
+ */
+export const verifyPasskeyRegistration = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { response, name } = req.body;
+  try {
+    const challenge = await consumeChallenge(response, "registration");
+    if (!challenge || String(challenge.user) !== String(userId)) {
+      return next(new BadRequestError("passkey.request_expired"));
+    }
+
+    const { verified, registrationInfo } = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      requireUserVerification: false,
+    });
+    if (!verified) {
+      return next(new BadRequestError("passkey.not_verified"));
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } =
+      registrationInfo;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    user.passkeys.push({
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString("base64url"),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name,
+    });
+    await user.save();
+    await recordAuditEvent(req, "passkey.add", {
+      user: user._id,
+      metadata: { name },
+    });
+
+    return res.json({ success: true, message: "passkey.added" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Start signing in with a passkey.
+ *
+ * This function will generate WebAuthn request options without allowed
+ * credentials, so the browser offers any discoverable passkey for our RP ID.
+ * Listing the passkeys of an email address would tell anyone whether it has
+ * an account, and its credential IDs.
+ *
+ */
+export const passkeyLoginOptions = async (req, res, next) => {
+  try {
+    const options = await generateAuthenticationOptions({
+      rpID,
+      userVerification: "required",
+      allowCredentials: [],
+    });
+    await saveChallenge(options.challenge, "authentication");
+
+    return res.json({ success: true, options });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Finish signing in with a passkey.
+ *
+ * This function will find the user owning the asserted credential, verify
+ * the signature against the stored public key and challenge, and reject a
+ * sign count that did not increase, which points to a cloned authenticator.
+ * On success the new sign count is saved and a session is started, exactly
+ * like a password login. Passkeys require user verification, so they count
+ * as both factors and skip the TOTP challenge.
+ *
+ */
+export const verifyPasskeyLogin = async (req, res, next) => {
+  const { response } = req.body;
+  if (!response.id) {
+    return next(new BadRequestError("common.missing_details"));
+  }
+  try {
+    const challenge = await consumeChallenge(response, "authentication");
+    if (!challenge) {
+      return next(new BadRequestError("passkey.request_expired"));
+    }
+
+    const user = await userModel.findOne({
+      "passkeys.credentialId": response.id,
+    });
+    const passkey = user?.passkeys.find(
+      (item) => item.credentialId === response.id
+    );
+    if (!passkey) {
+      await recordAuditEvent(req, "login", {
+        outcome: "failure",
+        metadata: { method: "passkey", reason: "unknown_passkey" },
+      });
+      return next(new UnauthorizedError("passkey.unknown"));
+    }
+
+    // Throws if the signature is invalid or the sign count went backwards
+    const { verified, authenticationInfo } = await verifyAuthenticationResponse(
+      {
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: {
+          id: passkey.credentialId,
+          publicKey: Buffer.from(passkey.publicKey, "base64url"),
+          counter: passkey.counter,
+          transports: passkey.transports,
+        },
+        requireUserVerification: true,
+      }
+    );
+    if (!verified) {
+      return next(new BadRequestError("passkey.not_verified"));
+    }
+
+    passkey.counter = authenticationInfo.newCounter;
+    passkey.lastUsedAt = new Date();
+    await user.save();
+
+    await startSession(req, res, user._id);
+    await recordAuditEvent(req, "login", {
+      user: user._id,
+      metadata: { method: "passkey", passkey: passkey.name },
+    });
+    return res.json({ success: true, message: "auth.login_successful" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * List the logged-in user's passkeys.
+ */
+export const getPasskeys = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    return res.json({
+      success: true,
+      passkeys: user.passkeys.map((passkey) => ({
+        id: passkey.credentialId,
+        name: passkey.name,
+        backedUp: passkey.backedUp,
+        createdAt: passkey.createdAt,
+        lastUsedAt: passkey.lastUsedAt,
+      })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Remove one of the logged-in user's passkeys.
+ *
+ * This function refuses to remove the user's last way to sign in.
+ *
+ */
+export const deletePasskey = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    const remaining = user.passkeys.filter(
+      (passkey) => passkey.credentialId !== req.params.id
+    );
+    if (remaining.length === user.passkeys.length) {
+      return next(new NotFoundError("passkey.not_found"));
+    }
+    if (
+      !user.password &&
+      user.linkedAccounts.length === 0 &&
+      remaining.length === 0
+    ) {
+      return next(new ConflictError("account.last_sign_in_method"));
+    }
+    user.passkeys = remaining;
+    await user.save();
+    await recordAuditEvent(req, "passkey.remove", { user: user._id });
+    return res.json({ success: true, message: "passkey.removed" });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,88 @@
+import sessionModel from "../models/sessionModel.js";
+import { revokeOtherSessions, revokeUserSession } from "../utils/authTokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { ForbiddenError, NotFoundError } from "../utils/errors.js";
+
+/**
+ * List the user's active sessions.
+ *
+ * This function will return every session of the user that has not been
+ * revoked or expired, newest activity first, and flag the session that made
+ * the request as the current one.
+ *
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.auth;
+    const sessions = await sessionModel
+      .find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastSeenAt: -1 });
+
+    return res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: String(session._id) === String(sessionId),
+      })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revoke one of the user's sessions.
+ *
+ * This function will revoke the session given in the route params together
+ * with its refresh tokens. Any access token issued for it stops working on
+ * the next request.
+ *
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const revoked = await revokeUserSession(userId, req.params.id);
+    if (!revoked) {
+      return next(new NotFoundError("session.not_found"));
+    }
+    await recordAuditEvent(req, "session.revoke", {
+      user: userId,
+      metadata: { sessionId: req.params.id },
+    });
+    return res.json({ success: true, message: "session.revoked" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revoke all of the user's sessions except the current one.
+ *
+ * This function logs the user out on every other device. It needs a
+ * session to keep, so personal access tokens are refused.
+ *
+ */
+export const revokeAllOtherSessions = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.auth;
+    if (!sessionId) {
+      return next(new ForbiddenError("access_token.session_required"));
+    }
+    const count = await revokeOtherSessions(userId, sessionId);
+    await recordAuditEvent(req, "session.revoke-others", {
+      user: userId,
+      metadata: { count },
+    });
+    return res.json({
+      success: true,
+      message: "session.others_revoked",
+      messageParams: { count },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import { authenticator } from "otplib";
+import QRCode from "qrcode";
+import userModel from "../models/userModel.js";
+import {
+  clearTwoFactorCookie,
+  getTwoFactorUserId,
+  startSession,
+} from "../utils/authTokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+
+// Accept the previous and the next 30 second step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "MERN-Auth";
+const BACKUP_CODE_COUNT = 10;
+
+const hashBackupCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Generate a fresh set of backup codes, returning the plain codes and their hashes
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Check a second-factor code against the user's TOTP secret or backup codes.
+ *
+ * A 6-digit code is treated as a TOTP code and must belong to a time step
+ * newer than the last accepted one. Anything else is treated as a backup code,
+ * which is removed from the user once used. Either is used up atomically in
+ * the database, so concurrent requests cannot both use the same code.
+ *
+ */
+const checkSecondFactor = async (user, code) => {
+  const value = String(code).trim();
+
+  if (/^\d{6}$/.test(value)) {
+    const delta = authenticator.checkDelta(value, user.twoFactorSecret);
+    if (delta === null) return false;
+    const step = Math.floor(Date.now() / 30000) + delta;
+    const { modifiedCount } = await userModel.updateOne(
+      { _id: user._id, twoFactorLastUsedStep: { $lt: step } },
+      { twoFactorLastUsedStep: step }
+    );
+    return modifiedCount === 1;
+  }
+
+  const hash = hashBackupCode(value);
+  const { modifiedCount } = await userModel.updateOne(
+    { _id: user._id, twoFactorBackupCodes: hash },
+    { $pull: { twoFactorBackupCodes: hash } }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Start two-factor enrolment.
+ *
+ * This function will generate a new TOTP secret, keep it as a pending secret
+ * on the user, and return the otpauth:// provisioning URI together with a QR
+ * code image that authenticator apps can scan.
+ *
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (user.twoFactorEnabled) {
+      return next(new ConflictError("two_factor.already_enabled"));
+    }
+
+    // Generate a pending secret, it only becomes active once confirmed
+    const secret = authenticator.generateSecret();
+    user.twoFactorTempSecret = secret;
+    await user.save();
+
+    // Build the provisioning URI and render it as a QR code
+    const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return res.json({ success: true, secret, otpauthUrl, qrCode });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Confirm two-factor enrolment.
+ *
+ * This function will check the first code from the authenticator app against
+ * the pending secret. If it matches, two-factor authentication is enabled and
+ * a set of one-time backup codes is returned. The codes are only shown once.
+ *
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { code } = req.body;
+  try {
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (!user.twoFactorTempSecret) {
+      return next(new ConflictError("two_factor.setup_first"));
+    }
+    // Check the code against the pending secret
+    if (!authenticator.check(String(code).trim(), user.twoFactorTempSecret)) {
+      return next(new BadRequestError("two_factor.invalid_code"));
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorTempSecret;
+    user.twoFactorTempSecret = "";
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorLastUsedStep = 0;
+    await user.save();
+    await recordAuditEvent(req, "2fa.enable", { user: user._id });
+
+    return res.json({
+      success: true,
+      message: "two_factor.enabled",
+      backupCodes: codes,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication.
+ *
+ * This function requires a valid TOTP or backup code, then removes the secret
+ * and all remaining backup codes from the user.
+ *
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { code } = req.body;
+  try {
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (!user.twoFactorEnabled) {
+      return next(new ConflictError("two_factor.not_enabled"));
+    }
+    if (!(await checkSecondFactor(user, code))) {
+      await recordAuditEvent(req, "2fa.disable", {
+        user: user._id,
+        outcome: "failure",
+        metadata: { reason: "invalid_code" },
+      });
+      return next(new BadRequestError("two_factor.invalid_code"));
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = "";
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastUsedStep = 0;
+    await user.save();
+    await recordAuditEvent(req, "2fa.disable", { user: user._id });
+
+    return res.json({
+      success: true,
+      message: "two_factor.disabled",
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Replace the user's backup codes.
+ *
+ * This function requires a valid TOTP or backup code and returns a new set of
+ * backup codes. All previous backup codes stop working.
+ *
+ */
+export const regenerateBackupCodes = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { code } = req.body;
+  try {
+    const user = await userModel.findById(userId);
+    if (!user || !user.twoFactorEnabled) {
+      return next(new ConflictError("two_factor.not_enabled"));
+    }
+    if (!(await checkSecondFactor(user, code))) {
+      return next(new BadRequestError("two_factor.invalid_code"));
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save();
+    await recordAuditEvent(req, "2fa.backup-codes", { user: user._id });
+
+    return res.json({
+      success: true,
+      message: "two_factor.backup_codes_generated",
+      backupCodes: codes,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Finish a login that is waiting for its second factor.
+ *
+ * This function reads the pending login from the `twoFactorToken` cookie set
+ * by `login`, checks the submitted TOTP or backup code, and on success starts
+ * a session exactly like a normal login.
+ *
+ */
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  const { code } = req.body;
+  // Make sure the cookie really comes from the password step
+  const userId = getTwoFactorUserId(req);
+  if (!userId) {
+    return next(new UnauthorizedError("two_factor.login_expired"));
+  }
+  try {
+    const user = await userModel.findById(userId);
+    if (!user || !user.twoFactorEnabled) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (!(await checkSecondFactor(user, code))) {
+      await recordAuditEvent(req, "login", {
+        user: user._id,
+        outcome: "failure",
+        metadata: { method: "2fa", reason: "invalid_code" },
+      });
+      return next(new BadRequestError("two_factor.invalid_code"));
+    }
+
+    // Swap the pending cookie for a real session
+    clearTwoFactorCookie(res);
+    await startSession(req, res, user._id);
+    await recordAuditEvent(req, "login", {
+      user: user._id,
+      metadata: { method: "2fa" },
+    });
+
+    return res.json({ success: true, message: "auth.login_successful" });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,4 +1,28 @@
+import bcrypt from "bcryptjs";
 import userModel from "../models/userModel.js";
+import auditEventModel from "../models/auditEventModel.js";
+import { resolvePermissions } from "../config/permissions.js";
+import { recordAuditEvent, toAuditEventResponse } from "../utils/audit.js";
+import {
+  clearAuthCookies,
+  revokeAllSessions,
+  revokeOtherSessions,
+} from "../utils/authTokens.js";
+import { revokeAccessTokens } from "../utils/accessTokens.js";
+import { queueEmail } from "../utils/mailer.js";
+import { avatarUrl, removeAvatar, saveAvatar } from "../utils/avatar.js";
+import {
+  DELETION_GRACE_DAYS,
+  exportUserAccount,
+} from "../utils/userAccount.js";
+import { checkPassword, passwordPolicyError } from "../utils/passwordPolicy.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+
+const ACTIVITY_PAGE_SIZE = 20;
 
 /**
  * Get the user data.
@@ -8,17 +32,17 @@ import userModel from "../models/userModel.js";
  * and return the user data in a JSON response.
  *
  */
-export const getUserData = async (req, res) => {
+export const getUserData = async (req, res, next) => {
   try {
     // Get the user ID from the request body
-    const { userId } = req.body;
+    const { userId } = req.auth;
 
     // Retrieve the user document from the database using the provided ID
     const user = await userModel.findById(userId);
 
     // Check if the user was found
     if (!user) {
-      return res.json({ success: false, message: "User not Found!!!" });
+      return next(new NotFoundError("user.not_found"));
     }
 
     // Return the user data in a JSON response
@@ -26,11 +50,281 @@ export const getUserData = async (req, res) => {
       success: true,
       userData: {
         name: user.name,
+        email: user.email,
+        locale: user.locale,
+        avatarUrl: avatarUrl(user.avatar, 256),
+        avatarThumbnailUrl: avatarUrl(user.avatar, 64),
+        hasPassword: Boolean(user.password),
+        pendingEmail: user.pendingEmail,
         isAccountVerified: user.isAccountVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        roles: user.roles,
+        permissions: resolvePermissions(user.roles, user.permissions),
       },
     });
   } catch (error) {
     // Handle any errors that occur during password reset
-    return res.json({ success: false, message: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Export everything we hold about the user.
+ *
+ * This function will return the user's profile, sign-in methods, sessions,
+ * audit events and OIDC data as one JSON archive, which the client offers
+ * as a download.
+ *
+ */
+export const exportUserData = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const archive = await exportUserAccount(userId);
+    if (!archive) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    await recordAuditEvent(req, "account.export", { user: userId });
+    return res.json({ success: true, archive });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Schedule the deletion of the user's account.
+ *
+ * This function will check the current password, if the account has one,
+ * schedule the deletion `DELETION_GRACE_DAYS` from now, log the user out
+ * everywhere and confirm by email. Logging in again before then cancels the
+ * deletion, afterwards the account is purged with all of its data.
+ *
+ */
+export const deleteAccount = async (req, res, next) => {
+  const { userId } = req.auth;
+  const { currentPassword } = req.body;
+  try {
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    if (user.password) {
+      const isMatch =
+        typeof currentPassword === "string" &&
+        (await bcrypt.compare(currentPassword, user.password));
+      if (!isMatch) {
+        await recordAuditEvent(req, "account.delete", {
+          user: user._id,
+          outcome: "failure",
+          metadata: { reason: "wrong_password" },
+        });
+        return next(new UnauthorizedError("auth.incorrect_password"));
+      }
+    }
+
+    user.deletionScheduledAt =
+      Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+    await user.save();
+    await revokeAllSessions(user._id);
+    clearAuthCookies(res);
+    await recordAuditEvent(req, "account.delete", {
+      user: user._id,
+      metadata: { scheduledFor: new Date(user.deletionScheduledAt) },
+    });
+
+    // Confirm the request by email
+    await queueEmail(
+      user.email,
+      "account-deletion-scheduled",
+      {
+        name: user.name,
+        date: new Date(user.deletionScheduledAt).toUTCString(),
+      },
+      user.locale
+    );
+
+    return res.json({
+      success: true,
+      message: "account.deletion_scheduled",
+      messageParams: { days: DELETION_GRACE_DAYS },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get the user's recent account activity.
+ *
+ * This function will return the audit events about the logged-in user,
+ * newest first, `ACTIVITY_PAGE_SIZE` at a time. The `page` query param
+ * selects older events.
+ *
+ */
+export const getActivity = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const { page } = req.query;
+    const [events, total] = await Promise.all([
+      auditEventModel
+        .find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * ACTIVITY_PAGE_SIZE)
+        .limit(ACTIVITY_PAGE_SIZE),
+      auditEventModel.countDocuments({ user: userId }),
+    ]);
+
+    return res.json({
+      success: true,
+      events: events.map(toAuditEventResponse),
+      page,
+      pages: Math.max(1, Math.ceil(total / ACTIVITY_PAGE_SIZE)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Update the user's profile.
+ *
+ * This function will change the fields present in the request body, which
+ * the route's schema limits to the user's `name` and the `locale` used for
+ * their emails.
+ *
+ */
+export const updateProfile = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const updates = req.body;
+    if (Object.keys(updates).length === 0) {
+      return next(new BadRequestError("profile.nothing_to_update"));
+    }
+
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    Object.assign(user, updates);
+    await user.save();
+    await recordAuditEvent(req, "profile.update", {
+      user: user._id,
+      metadata: { fields: Object.keys(updates) },
+    });
+
+    return res.json({ success: true, message: "profile.updated" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Upload a new avatar.
+ *
+ * This function will resize the image read by `avatarUpload` to the standard
+ * avatar sizes, store them, and replace the user's previous avatar.
+ *
+ */
+export const uploadAvatar = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+
+    const previousAvatar = user.avatar;
+    user.avatar = await saveAvatar(req.file.buffer);
+    await user.save();
+    await removeAvatar(previousAvatar);
+    await recordAuditEvent(req, "avatar.update", { user: user._id });
+
+    return res.json({
+      success: true,
+      message: "avatar.updated",
+      avatarUrl: avatarUrl(user.avatar, 256),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Remove the user's avatar.
+ */
+export const deleteAvatar = async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+    await removeAvatar(user.avatar);
+    user.avatar = "";
+    await user.save();
+    await recordAuditEvent(req, "avatar.remove", { user: user._id });
+    return res.json({ success: true, message: "avatar.removed" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Change the user's password.
+ *
+ * This function will check the current password and the password policy
+ * before setting the new one, then end all of the user's other sessions
+ * and revoke their personal access tokens so a stolen session cannot
+ * outlive the password change. Accounts created through social login have no
+ * password yet and can set one without a current password.
+ *
+ */
+export const changePassword = async (req, res, next) => {
+  const { userId, sessionId } = req.auth;
+  const { currentPassword, newPassword } = req.body;
+  try {
+    const user = await userModel.findById(userId);
+    if (!user) {
+      return next(new NotFoundError("user.not_found"));
+    }
+
+    // Check the current password, if the account has one
+    if (user.password) {
+      const isMatch =
+        typeof currentPassword === "string" &&
+        (await bcrypt.compare(currentPassword, user.password));
+      if (!isMatch) {
+        await recordAuditEvent(req, "password.change", {
+          user: user._id,
+          outcome: "failure",
+          metadata: { reason: "wrong_password" },
+        });
+        return next(new UnauthorizedError("auth.incorrect_password"));
+      }
+    }
+
+    // Check the new password against the password policy
+    const { valid, violations } = checkPassword(newPassword, user);
+    if (!valid) {
+      return next(passwordPolicyError(violations));
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Log out every other device, and revoke the tokens created with the
+    // old password
+    const count = await revokeOtherSessions(user._id, sessionId);
+    const tokenCount = await revokeAccessTokens(user._id);
+    await recordAuditEvent(req, "password.change", {
+      user: user._id,
+      metadata: { revokedSessions: count, revokedTokens: tokenCount },
+    });
+
+    return res.json({
+      success: true,
+      message: "password.changed",
+    });
+  } catch (error) {
+    return next(error);
   }
 };
@@ -0,0 +1,19 @@
+/**
+ * Middleware to let personal access tokens call a route.
+ *
+ * It must run before `userAuth`, which accepts a token from the
+ * `Authorization: Bearer` header only on routes that allow them, and only if
+ * the token holds all the given scopes, see config/tokenScopes.js. Without
+ * scopes any valid token is accepted. Session cookies are not affected.
+ *
+ * Example: `router.get("/data", allowTokens("profile:read"), userAuth, ...)`
+ *
+ */
+const allowTokens =
+  (...scopes) =>
+  (req, res, next) => {
+    req.tokenScopes = scopes;
+    next();
+  };
+
+export default allowTokens;
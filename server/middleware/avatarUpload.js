@@ -0,0 +1,56 @@
+import multer from "multer";
+import { BadRequestError, PayloadTooLargeError } from "../utils/errors.js";
+
+// Largest avatar upload accepted, before resizing
+const MAX_AVATAR_BYTES =
+  Number(process.env.AVATAR_MAX_BYTES) || 5 * 1024 * 1024; // 5 MB
+
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Only the file, no text fields: multer replaces `req.body` with them, so
+  // nothing from the form can stand in for values checked earlier
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1, fields: 0 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new BadRequestError("avatar.invalid_type"));
+    }
+    cb(null, true);
+  },
+}).single("avatar");
+
+/**
+ * Middleware to read a single avatar image from the multipart `avatar` field.
+ *
+ * Run it after `userAuth`: the user is identified by `req.auth`, never by
+ * the multipart body. The file is kept in memory as `req.file`. Files that
+ * are too large or of the wrong type, and any other form field, are rejected
+ * with a 413 or 400 error. The declared type is only a first check, the
+ * image itself is validated when it is decoded for resizing.
+ *
+ */
+const avatarUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error && error.code === "LIMIT_FILE_SIZE") {
+      return next(
+        new PayloadTooLargeError("avatar.too_large", {
+          params: { maxMb: Math.floor(MAX_AVATAR_BYTES / 1024 / 1024) },
+        })
+      );
+    }
+    // Any other problem with the multipart body, e.g. an unexpected field
+    if (error instanceof multer.MulterError) {
+      return next(new BadRequestError());
+    }
+    if (error) {
+      return next(error);
+    }
+    if (!req.file) {
+      return next(new BadRequestError("avatar.missing"));
+    }
+    next();
+  });
+};
+
+export default avatarUpload;
@@ -0,0 +1,53 @@
+import { HttpError, NotFoundError } from "../utils/errors.js";
+
+/**
+ * Middleware to answer requests that matched no route.
+ */
+export const notFound = (req, res, next) => next(new NotFoundError());
+
+/**
+ * Error-handling middleware, the single place errors become responses.
+ *
+ * An `HttpError` is sent with its status, message key, parameters and
+ * details. Malformed JSON bodies and invalid IDs are client errors. Anything
+ * else is an unexpected failure: it is logged, and the client gets a generic
+ * 500 response that does not leak internals.
+ *
+ */
+const errorHandler = (error, req, res, next) => {
+  // Let Express close the connection if the response already started
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      messageParams: error.params,
+      ...(error.code ? { code: error.code } : {}),
+      ...error.details,
+    });
+  }
+
+  // Body that express.json() could not parse
+  if (error.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ success: false, message: "common.invalid_json" });
+  }
+
+  // Malformed ObjectId in a URL or body
+  if (error.name === "CastError") {
+    return res
+      .status(400)
+      .json({ success: false, message: "common.invalid_request" });
+  }
+
+  console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  return res
+    .status(500)
+    .json({ success: false, message: "common.server_error" });
+};
+
+export default errorHandler;
@@ -0,0 +1,49 @@
+import { isMessageKey, negotiateLocale, translate } from "../utils/i18n.js";
+
+// Replace a message key with `code` (the key) and the localized `message`
+const localizeMessage = (locale, body, params) =>
+  isMessageKey(body.message)
+    ? {
+        ...body,
+        code: body.message,
+        message: translate(locale, body.message, params),
+      }
+    : body;
+
+/**
+ * Middleware to localize JSON responses.
+ *
+ * It picks the locale from the Accept-Language header as `req.locale`, and
+ * adds `req.t(key, params)` to translate message keys. Handlers respond with
+ * a message key, e.g. `{ success: false, message: "user.not_found" }`, and
+ * any placeholders in `messageParams`. The response then holds the key as a
+ * stable `code` and the text in the user's language as `message`. Password
+ * policy `violations` and validation `errors` are localized the same way,
+ * with each item itself as parameters. Messages that are not keys are sent
+ * unchanged.
+ *
+ */
+const i18n = (req, res, next) => {
+  req.locale = negotiateLocale(req.get("accept-language"));
+  req.t = (key, params) => translate(req.locale, key, params);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return json(body);
+    }
+    const { messageParams, ...rest } = body;
+    const localized = localizeMessage(req.locale, rest, messageParams);
+    for (const list of ["violations", "errors"]) {
+      if (Array.isArray(localized[list])) {
+        localized[list] = localized[list].map((item) =>
+          localizeMessage(req.locale, item, item)
+        );
+      }
+    }
+    return json(localized);
+  };
+  next();
+};
+
+export default i18n;
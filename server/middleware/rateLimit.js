@@ -0,0 +1,144 @@
+import rateLimitStore from "../config/rateLimitStore.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+
+const FAILURE_WINDOW = 60 * 60 * 1000; // 1 hour
+const MAX_BACKOFF = 15 * 60 * 1000; // 15 minutes
+
+// Read a numeric setting from RATE_LIMIT_<NAME>_<SETTING>, if it is set
+const setting = (name, key, fallback) => {
+  const value = Number(
+    process.env[`RATE_LIMIT_${name.toUpperCase().replace(/-/g, "_")}_${key}`]
+  );
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Reject the request, telling the client when it may try again
+const tooManyRequests = (res, next, resetAt) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return next(
+    new TooManyRequestsError("rate_limit.too_many_attempts", {
+      params: { retryAfter },
+      details: { retryAfter },
+    })
+  );
+};
+
+/**
+ * Create a rate-limiting middleware.
+ *
+ * Requests are counted per IP address and, when `account` returns a value
+ * (an email or user ID), per account, in fixed windows of `windowMs`. Going
+ * over `maxPerIp` or `maxPerAccount` rejects the request until the window
+ * ends. With `backoff` enabled the account is only counted together with the
+ * IP address, so requests from elsewhere cannot lock its owner out.
+ *
+ * With `backoff` enabled, the outcome of each request is read from the
+ * `success` field of the JSON response. After `freeFailures` failed attempts
+ * within an hour, the IP address, and the account when tried from that IP
+ * address, are blocked for a delay that doubles with every further failure,
+ * up to 15 minutes. Failures are not counted against the account alone, so
+ * someone else failing on purpose cannot lock its owner out. A successful
+ * attempt clears the account's failures from that IP address.
+ *
+ * Every numeric option can be overridden through the environment, e.g.
+ * RATE_LIMIT_LOGIN_WINDOW_MS, RATE_LIMIT_LOGIN_MAX_PER_IP,
+ * RATE_LIMIT_LOGIN_MAX_PER_ACCOUNT, RATE_LIMIT_LOGIN_FREE_FAILURES and
+ * RATE_LIMIT_LOGIN_BACKOFF_MS.
+ *
+ */
+const rateLimit = (options) => {
+  const { name, account = () => null, backoff = false } = options;
+  const windowMs = setting(name, "WINDOW_MS", options.windowMs || 15 * 60000);
+  const maxPerIp = setting(name, "MAX_PER_IP", options.maxPerIp || 100);
+  const maxPerAccount = setting(
+    name,
+    "MAX_PER_ACCOUNT",
+    options.maxPerAccount || 10
+  );
+  const freeFailures = setting(
+    name,
+    "FREE_FAILURES",
+    options.freeFailures || 3
+  );
+  const backoffMs = setting(name, "BACKOFF_MS", options.backoffMs || 30000);
+
+  // Count a failed attempt and block the subject once it failed too often
+  const recordFailure = async (subject) => {
+    const failures = await rateLimitStore.increment(
+      `${name}:fail:${subject}`,
+      FAILURE_WINDOW
+    );
+    if (failures.count <= freeFailures) return;
+    const delay = Math.min(
+      backoffMs * 2 ** (failures.count - freeFailures - 1),
+      MAX_BACKOFF
+    );
+    await rateLimitStore.reset(`${name}:block:${subject}`);
+    await rateLimitStore.increment(`${name}:block:${subject}`, delay);
+  };
+
+  return async (req, res, next) => {
+    try {
+      const accountId = account(req);
+      const accountSubject =
+        accountId && `account:${String(accountId).trim().toLowerCase()}`;
+
+      // Failures are backed off per IP address and per account and IP pair
+      const backoffSubjects = [`ip:${req.ip}`];
+      if (accountSubject) {
+        backoffSubjects.push(`${accountSubject}:ip:${req.ip}`);
+      }
+
+      // Attempts at a sign-in are counted like their failures, other
+      // requests against the account alone
+      const subjects = [`ip:${req.ip}`];
+      if (accountSubject) {
+        subjects.push(backoff ? backoffSubjects[1] : accountSubject);
+      }
+
+      // Refuse while a previous failure is still being backed off
+      for (const subject of backoffSubjects) {
+        const block = await rateLimitStore.get(`${name}:block:${subject}`);
+        if (block) return tooManyRequests(res, next, block.resetAt);
+      }
+
+      // Count the request against each subject's limit
+      for (const subject of subjects) {
+        const max = subject.startsWith("ip:") ? maxPerIp : maxPerAccount;
+        const counter = await rateLimitStore.increment(
+          `${name}:${subject}`,
+          windowMs
+        );
+        if (counter.count > max) {
+          return tooManyRequests(res, next, counter.resetAt);
+        }
+      }
+
+      // Watch the response to learn whether the attempt failed
+      if (backoff) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const outcome =
+            body && body.success
+              ? Promise.all(
+                  backoffSubjects
+                    .filter((subject) => subject.startsWith("account:"))
+                    .map((subject) =>
+                      rateLimitStore.reset(`${name}:fail:${subject}`)
+                    )
+                )
+              : Promise.all(backoffSubjects.map(recordFailure));
+          outcome.catch((error) => console.error(error));
+          return json(body);
+        };
+      }
+
+      next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+};
+
+export default rateLimit;
@@ -0,0 +1,29 @@
+import { ForbiddenError } from "../utils/errors.js";
+
+/**
+ * Middleware to restrict a route to members of the session's active
+ * organization holding all the given permissions there.
+ *
+ * It must run after `userAuth`, which resolves the active organization and
+ * the permissions of the member's role into `req.auth.orgId` and
+ * `req.auth.orgPermissions`, see ORG_ROLE_PERMISSIONS in
+ * config/permissions.js. Handlers then work on `req.auth.orgId`, so every
+ * request is scoped to one tenant.
+ *
+ * Example: `router.get("/active", userAuth, requireOrgPermission("org:read"), ...)`
+ *
+ */
+const requireOrgPermission =
+  (...required) =>
+  (req, res, next) => {
+    const { orgId, orgPermissions = [] } = req.auth || {};
+    if (!orgId) {
+      return next(new ForbiddenError("org.none_active"));
+    }
+    if (!required.every((permission) => orgPermissions.includes(permission))) {
+      return next(new ForbiddenError("auth.permission_denied"));
+    }
+    next();
+  };
+
+export default requireOrgPermission;
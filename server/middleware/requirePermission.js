@@ -0,0 +1,22 @@
+import { ForbiddenError } from "../utils/errors.js";
+
+/**
+ * Middleware to restrict a route to users holding all the given permissions.
+ *
+ * It must run after `userAuth`, which resolves the permissions of the
+ * current session into `req.auth.permissions`.
+ *
+ * Example: `router.get("/users", userAuth, requirePermission("users:read"), ...)`
+ *
+ */
+const requirePermission =
+  (...required) =>
+  (req, res, next) => {
+    const { permissions = [] } = req.auth || {};
+    if (!required.every((permission) => permissions.includes(permission))) {
+      return next(new ForbiddenError("auth.permission_denied"));
+    }
+    next();
+  };
+
+export default requirePermission;
@@ -1,42 +1,145 @@
 import jwt from "jsonwebtoken";
+import sessionModel from "../models/sessionModel.js";
+import userModel from "../models/userModel.js";
+import {
+  resolveOrgPermissions,
+  resolvePermissions,
+} from "../config/permissions.js";
+import { authenticateAccessToken } from "../utils/accessTokens.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+
+// Only write lastSeenAt once per minute to avoid a write on every request
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+/**
+ * Authenticate a personal access token from the Authorization header.
+ *
+ * The token must be valid, allowed on the route by `allowTokens` and hold
+ * the scopes the route needs. Its owner's roles and permissions are read
+ * from the user, as there is no session to copy them from, and tokens of
+ * disabled accounts or accounts scheduled for deletion are rejected.
+ *
+ */
+const tokenAuth = async (req, token, next) => {
+  const accessToken = await authenticateAccessToken(token, req.ip);
+  if (!accessToken) {
+    return next(new UnauthorizedError("access_token.invalid"));
+  }
+  if (!req.tokenScopes) {
+    return next(new ForbiddenError("access_token.session_required"));
+  }
+  const missing = req.tokenScopes.filter(
+    (scope) => !accessToken.scopes.includes(scope)
+  );
+  if (missing.length) {
+    return next(
+      new ForbiddenError("access_token.insufficient_scope", {
+        params: { scopes: missing.join(", ") },
+      })
+    );
+  }
+
+  const user = await userModel.findById(accessToken.user, {
+    roles: 1,
+    permissions: 1,
+    disabled: 1,
+    deletionScheduledAt: 1,
+  });
+  // Tokens pause while the account is scheduled for deletion
+  if (!user || user.disabled || user.deletionScheduledAt) {
+    return next(new UnauthorizedError("auth.not_authorized"));
+  }
+
+  req.auth = {
+    userId: String(user._id),
+    tokenId: String(accessToken._id),
+    scopes: accessToken.scopes,
+    roles: user.roles,
+    permissions: resolvePermissions(user.roles, user.permissions),
+  };
+  next();
+};
 
 /**
- * Middleware to authenticate a user based on a JWT token from cookies.
+ * Middleware to authenticate a user based on a JWT access token from cookies.
+ *
+ * This function extracts the access token from the request cookies, verifies
+ * it, and retrieves the user and session IDs from the token payload. Tokens
+ * whose session was revoked are rejected, which includes every session of a
+ * disabled account as disabling revokes them. If the token is valid, the user ID,
+ * session ID, roles and resolved permissions of the session, and its active
+ * organization with the user's role and permissions there, are set as
+ * `req.auth` for further processing. It is kept apart from the request body
+ * so clients cannot pass an identity of their own. Requests without a valid token get a
+ * 401 response, and an expired access token is reported with
+ * `tokenExpired: true` so the client knows it can call `/api/auth/refresh`
+ * and retry.
  *
- * This function extracts the JWT token from the request cookies, verifies it,
- * and retrieves the user ID from the token payload. If the token is valid,
- * the user ID is added to the request body for further processing.
+ * Scripts can send a personal access token as `Authorization: Bearer`
+ * instead, on routes that allow it with `allowTokens`.
  *
  */
 const userAuth = async (req, res, next) => {
+  // Scripts and services authenticate with a personal access token
+  const bearer = req.get("authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    return tokenAuth(req, bearer, next).catch(next);
+  }
+
   // Extract token from cookies
   const { token } = req.cookies;
 
   // Check if the token is provided
   if (!token) {
-    return res.json({ success: false, message: "Not authorized. Login Again" });
+    return next(new UnauthorizedError("auth.not_authorized"));
   }
 
   try {
     // Decode and verify the token using the JWT secret
     const tokenDecode = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Check if the token payload contains a user ID
-    if (tokenDecode.id) {
-      // Attach the user ID to the request body
-      req.body.userId = tokenDecode.id;
-    } else {
-      return res.json({
-        success: false,
-        message: "Not authorized. Login Again",
-      });
+    // Check if the token is an access token and contains a user ID
+    if (tokenDecode.type !== "access" || !tokenDecode.id) {
+      return next(new UnauthorizedError("auth.not_authorized"));
     }
 
+    // Check that the session behind the token is still active
+    const session = await sessionModel.findById(tokenDecode.sid);
+    if (!session || session.revokedAt) {
+      return next(new UnauthorizedError("auth.session_revoked"));
+    }
+    if (Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL) {
+      session.lastSeenAt = new Date();
+      await session.save();
+    }
+
+    // Attach the user ID, session ID and permissions to the request
+    req.auth = {
+      userId: tokenDecode.id,
+      sessionId: tokenDecode.sid,
+      roles: session.roles,
+      permissions: resolvePermissions(session.roles, session.permissions),
+      orgId: session.organization ? String(session.organization) : null,
+      orgRole: session.orgRole,
+      orgPermissions: resolveOrgPermissions(session.orgRole),
+    };
+
     // Proceed to the next middleware or route handler
     next();
   } catch (error) {
-    // Handle errors during token verification
-    return res.json({ success: false, message: error.message });
+    // Let the client know it can refresh an expired access token
+    if (error.name === "TokenExpiredError") {
+      return next(
+        new UnauthorizedError("auth.token_expired", {
+          details: { tokenExpired: true },
+        })
+      );
+    }
+    // Reject tokens that are malformed or have a bad signature
+    if (error instanceof jwt.JsonWebTokenError) {
+      return next(new UnauthorizedError("auth.not_authorized"));
+    }
+    return next(error);
   }
 };
 export default userAuth;
@@ -0,0 +1,35 @@
+import { parse } from "../utils/validation.js";
+import { ValidationError } from "../utils/errors.js";
+
+// Request parts that can have a schema, in the order they are checked
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Middleware to validate a request against schemas for its `params`,
+ * `query` and `body`, see utils/validation.js.
+ *
+ * Each part with a schema is replaced by its normalized value, so unknown
+ * fields are dropped and handlers can trust the types. Invalid requests get
+ * a 422 response listing every invalid field in `errors`, so forms can show
+ * the problems next to their inputs.
+ *
+ * Example: `router.post("/login", validate({ body: { email: email() } }), login)`
+ *
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+    const result = parse(schemas[location], req[location] || {});
+    req[location] = result.value;
+    errors.push(...result.errors.map((error) => ({ location, ...error })));
+  }
+  if (errors.length) {
+    return next(
+      new ValidationError("validation.failed", { details: { errors } })
+    );
+  }
+  next();
+};
+
+export default validate;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const accessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 hash of the token, the raw value is only shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token, so users can tell their tokens apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // See config/tokenScopes.js
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    // Every token expires, see MAX_TOKEN_DAYS in utils/accessTokens.js
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+const accessTokenModel =
+  mongoose.models.accessToken ||
+  mongoose.model("accessToken", accessTokenSchema);
+
+export default accessTokenModel;
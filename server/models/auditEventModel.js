@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    // The account the event is about, null if it could not be identified
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      default: null,
+      index: true,
+    },
+    // Who performed the action, when it was not the user themself (admins)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      default: null,
+    },
+    // Dotted event name, e.g. "login", "otp.send" or "admin.user.disable"
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      required: true,
+    },
+    // Email address given with the request, kept for failures of unknown users
+    email: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    // Extra details, e.g. why a login failed
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+
+// Audit events are append-only, refuse every query that changes or removes them.
+// Erasing an account is the one exception, see deleteUserAccount
+const rejectChange = function (next) {
+  next(new Error("Audit events are append-only"));
+};
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+const auditEventModel =
+  mongoose.models.auditEvent || mongoose.model("auditEvent", auditEventSchema);
+
+export default auditEventModel;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const authorizationCodeSchema = new mongoose.Schema({
+  // SHA-256 hash of the code handed to the client
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  clientId: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    required: true,
+  },
+  redirectUri: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [String],
+    default: [],
+  },
+  nonce: {
+    type: String,
+    default: "",
+  },
+  codeChallenge: {
+    type: String,
+    default: "",
+  },
+  authTime: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  used: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Let MongoDB remove codes once they have expired
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const authorizationCodeModel =
+  mongoose.models.authorizationCode ||
+  mongoose.model("authorizationCode", authorizationCodeSchema);
+
+export default authorizationCodeModel;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "organization",
+      required: true,
+      index: true,
+    },
+    // Only the account with this address can accept the invitation
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      required: true,
+      default: "member",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One pending invitation per address and organization
+invitationSchema.index({ organization: 1, email: 1 }, { unique: true });
+// Let MongoDB remove invitations once they have expired
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const invitationModel =
+  mongoose.models.invitation || mongoose.model("invitation", invitationSchema);
+
+export default invitationModel;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const inviteCodeSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the normalized code, the code is only shown once
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Last characters of the code, so admins can tell codes apart
+    hint: {
+      type: String,
+      required: true,
+    },
+    // What the code is for, e.g. who it was given to
+    note: {
+      type: String,
+      default: "",
+    },
+    // Codes without a limit can be used until they expire or are revoked
+    maxUses: {
+      type: Number,
+      default: null,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const inviteCodeModel =
+  mongoose.models.inviteCode || mongoose.model("inviteCode", inviteCodeSchema);
+
+export default inviteCodeModel;
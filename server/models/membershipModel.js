@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "organization",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+      index: true,
+    },
+    // See ORG_ROLE_PERMISSIONS in config/permissions.js
+    role: {
+      type: String,
+      required: true,
+      default: "member",
+    },
+  },
+  { timestamps: true }
+);
+
+// A user belongs to an organization at most once
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+const membershipModel =
+  mongoose.models.membership || mongoose.model("membership", membershipSchema);
+
+export default membershipModel;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const oidcClientSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // SHA-256 hash of the client secret, which is only shown once
+    clientSecretHash: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // Exact redirect URIs the client may send users back to
+    redirectUris: {
+      type: [String],
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const oidcClientModel =
+  mongoose.models.oidcClient || mongoose.model("oidcClient", oidcClientSchema);
+
+export default oidcClientModel;
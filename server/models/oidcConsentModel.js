@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const oidcConsentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    clientId: {
+      type: String,
+      required: true,
+    },
+    // Scopes the user agreed to share with the client
+    scopes: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+oidcConsentSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+const oidcConsentModel =
+  mongoose.models.oidcConsent ||
+  mongoose.model("oidcConsent", oidcConsentSchema);
+
+export default oidcConsentModel;
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const organizationModel =
+  mongoose.models.organization ||
+  mongoose.model("organization", organizationSchema);
+
+export default organizationModel;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const otpSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    required: true,
+  },
+  // What the code is for, e.g. "verify-email" or "reset-password"
+  purpose: {
+    type: String,
+    required: true,
+  },
+  // HMAC of the code, the code itself is never stored
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  // Wrong guesses against this code
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// A user has at most one pending code per purpose
+otpSchema.index({ user: 1, purpose: 1 }, { unique: true });
+// Let MongoDB remove codes that were never used
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const otpModel = mongoose.models.otp || mongoose.model("otp", otpSchema);
+
+export default otpModel;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const outboxSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    // Name of the template in config/emailTemplates.js, for debugging
+    template: {
+      type: String,
+      default: "",
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    // Rendered bodies, dropped once the message is sent as they may hold codes
+    html: {
+      type: String,
+      default: "",
+    },
+    text: {
+      type: String,
+      default: "",
+    },
+    // "pending" until sent, "sending" while a worker holds it, then "sent",
+    // or "failed" once every attempt has failed
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A worker that crashed while sending loses its claim at this time
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: "",
+    },
+    messageId: {
+      type: String,
+      default: "",
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the last attempt failed
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Lets the worker find due messages quickly
+outboxSchema.index({ status: 1, nextAttemptAt: 1 });
+// Keep sent messages for a week, then let MongoDB remove them
+outboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+// Failed messages still hold the address, keep them a month for debugging
+outboxSchema.index({ failedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const outboxModel =
+  mongoose.models.outbox || mongoose.model("outbox", outboxSchema);
+
+export default outboxModel;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const rateLimitModel =
+  mongoose.models.rateLimit || mongoose.model("rateLimit", rateLimitSchema);
+
+export default rateLimitModel;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    // SHA-256 hash of the token, the raw value only lives in the cookie
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token rotated from the same login shares one family
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set once the token has been exchanged for its successor
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // The successor, encrypted with a key derived from this token, so a
+    // concurrent refresh with this token can be given the same successor
+    successorCipher: {
+      type: String,
+      default: "",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const refreshTokenModel =
+  mongoose.models.refreshToken ||
+  mongoose.model("refreshToken", refreshTokenSchema);
+
+export default refreshTokenModel;
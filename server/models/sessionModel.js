@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Moved forward every time the session's refresh token is rotated
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Copied from the user when the session starts and whenever they change,
+    // so `userAuth` can check permissions without loading the user
+    roles: {
+      type: [String],
+      default: ["user"],
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // The organization the user is working in and their role there, kept in
+    // sync with the membership by utils/organizations.js
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "organization",
+      default: null,
+    },
+    orgRole: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const sessionModel =
+  mongoose.models.session || mongoose.model("session", sessionSchema);
+
+export default sessionModel;
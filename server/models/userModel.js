@@ -1,41 +1,168 @@
 import mongoose from "mongoose";
+import { ROLES } from "../config/permissions.js";
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from "../utils/i18n.js";
 
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
   },
+  // Always lowercase, see the email rule in utils/validation.js
   email: {
     type: String,
     required: true,
     unique: true,
+    trim: true,
+    lowercase: true,
   },
+  // ID of the uploaded avatar images, see utils/avatar.js
+  avatar: {
+    type: String,
+    default: "",
+  },
+  // Empty for accounts created through social login
   password: {
     type: String,
-    required: true,
+    default: "",
+  },
+  // Language of the user's emails, see config/locales
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
+  // Roles and extra permissions, see config/permissions.js
+  roles: {
+    type: [String],
+    enum: ROLES,
+    default: ["user"],
+  },
+  permissions: {
+    type: [String],
+    default: [],
+  },
+  // Disabled accounts cannot sign in, set from the admin console
+  disabled: {
+    type: Boolean,
+    default: false,
   },
-  verifyOtp: {
+  isAccountVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Passwordless sign-in, only the hash of the link token is stored. The
+  // emailed code is kept by the OTP service
+  magicLinkTokenHash: {
+    type: String,
+    default: "",
+  },
+  // Hash of the nonce in the requesting browser's `magicLinkBinding` cookie
+  magicLinkBindingHash: {
     type: String,
     default: "",
   },
-  verifyOtpExpireAt: {
+  magicLinkExpireAt: {
     type: Number,
     default: 0,
   },
-  isAccountVerified: {
+  // Address waiting to be confirmed with a "change-email" OTP
+  pendingEmail: {
+    type: String,
+    default: "",
+  },
+  // Lets the previous address undo a confirmed email change for a while
+  emailChangeUndoTokenHash: {
+    type: String,
+    default: "",
+  },
+  emailChangeUndoExpireAt: {
+    type: Number,
+    default: 0,
+  },
+  emailChangePreviousEmail: {
+    type: String,
+    default: "",
+  },
+  emailChangePreviousVerified: {
     type: Boolean,
     default: false,
   },
-  resetOtp: {
+  // When a requested account deletion will be carried out, 0 if none
+  deletionScheduledAt: {
+    type: Number,
+    default: 0,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    default: "",
+  },
+  // Secret generated during enrolment, promoted once the first code is confirmed
+  twoFactorTempSecret: {
     type: String,
     default: "",
   },
-  resetOtpExpireAt: {
+  // SHA-256 hashes of the unused one-time backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    default: [],
+  },
+  // Last TOTP time step accepted, so a code cannot be replayed
+  twoFactorLastUsedStep: {
     type: Number,
     default: 0,
   },
+  // Social login identities, matched on provider + providerId
+  linkedAccounts: {
+    type: [
+      {
+        provider: { type: String, required: true },
+        providerId: { type: String, required: true },
+        email: { type: String, default: "" },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  // Passkeys (WebAuthn credentials), IDs and public keys are base64url
+  passkeys: {
+    type: [
+      {
+        credentialId: { type: String, required: true },
+        publicKey: { type: String, required: true },
+        counter: { type: Number, default: 0 },
+        transports: { type: [String], default: [] },
+        deviceType: { type: String, default: "" },
+        backedUp: { type: Boolean, default: false },
+        name: { type: String, default: "Passkey" },
+        createdAt: { type: Date, default: Date.now },
+        lastUsedAt: { type: Date, default: null },
+      },
+    ],
+    default: [],
+  },
 });
 
+userSchema.index(
+  { "passkeys.credentialId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "passkeys.credentialId": { $exists: true } },
+  }
+);
+userSchema.index(
+  { "linkedAccounts.provider": 1, "linkedAccounts.providerId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      "linkedAccounts.providerId": { $exists: true },
+    },
+  }
+);
+
 const userModel = mongoose.models.user || mongoose.model("user", userSchema);
 
 export default userModel;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const webauthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // "registration" or "authentication"
+  type: {
+    type: String,
+    required: true,
+  },
+  // Set for registrations, which are always made by a logged-in user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove challenges that were never answered
+webauthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const webauthnChallengeModel =
+  mongoose.models.webauthnChallenge ||
+  mongoose.model("webauthnChallenge", webauthnChallengeSchema);
+
+export default webauthnChallengeModel;
@@ -0,0 +1,110 @@
+import express from "express";
+import userAuth from "../middleware/userAuth.js";
+import allowTokens from "../middleware/allowTokens.js";
+import requirePermission from "../middleware/requirePermission.js";
+import validate from "../middleware/validate.js";
+import { integer, objectId, string } from "../utils/validation.js";
+import {
+  deleteUser,
+  getUser,
+  listAuditEvents,
+  listUsers,
+  sendUserPasswordReset,
+  setUserDisabled,
+  setUserRoles,
+  verifyUser,
+} from "../controller/adminController.js";
+import {
+  createInviteCode,
+  listInviteCodes,
+  revokeInviteCode,
+} from "../controller/inviteCodeController.js";
+
+const adminRouter = express.Router();
+adminRouter.get(
+  "/users",
+  allowTokens("admin:read"),
+  userAuth,
+  requirePermission("users:read"),
+  listUsers
+);
+adminRouter.get(
+  "/users/:id",
+  allowTokens("admin:read"),
+  userAuth,
+  requirePermission("users:read"),
+  getUser
+);
+adminRouter.post(
+  "/users/:id/disabled",
+  allowTokens("admin:write"),
+  userAuth,
+  requirePermission("users:disable"),
+  setUserDisabled
+);
+adminRouter.post(
+  "/users/:id/verify",
+  allowTokens("admin:write"),
+  userAuth,
+  requirePermission("users:verify"),
+  verifyUser
+);
+adminRouter.post(
+  "/users/:id/reset-password",
+  allowTokens("admin:write"),
+  userAuth,
+  requirePermission("users:reset-password"),
+  sendUserPasswordReset
+);
+adminRouter.put(
+  "/users/:id/roles",
+  allowTokens("admin:write"),
+  userAuth,
+  requirePermission("users:roles"),
+  setUserRoles
+);
+adminRouter.delete(
+  "/users/:id",
+  allowTokens("admin:write"),
+  userAuth,
+  requirePermission("users:delete"),
+  deleteUser
+);
+adminRouter.get(
+  "/audit",
+  allowTokens("admin:read"),
+  userAuth,
+  requirePermission("audit:read"),
+  listAuditEvents
+);
+adminRouter.get(
+  "/invite-codes",
+  allowTokens("admin:read"),
+  userAuth,
+  requirePermission("invites:manage"),
+  listInviteCodes
+);
+adminRouter.post(
+  "/invite-codes",
+  allowTokens("admin:write"),
+  userAuth,
+  requirePermission("invites:manage"),
+  validate({
+    body: {
+      note: string({ max: 200, optional: true }),
+      maxUses: integer({ min: 1, max: 100000, optional: true }),
+      expiresInDays: integer({ min: 1, max: 365, optional: true }),
+    },
+  }),
+  createInviteCode
+);
+adminRouter.delete(
+  "/invite-codes/:id",
+  allowTokens("admin:write"),
+  userAuth,
+  requirePermission("invites:manage"),
+  validate({ params: { id: objectId() } }),
+  revokeInviteCode
+);
+
+export default adminRouter;
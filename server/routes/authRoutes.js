@@ -1,24 +1,230 @@
 import express from "express";
 import {
+  checkPasswordStrength,
+  getAuthConfig,
   isAuthenticated,
   login,
   logout,
+  refreshAccessToken,
   register,
   resetPassword,
   sendResetOtp,
   sendVerifyOtp,
   verifyEmail,
 } from "../controller/authController.js";
+import {
+  sendMagicLink,
+  verifyMagicLink,
+} from "../controller/magicLinkController.js";
+import {
+  getProviders,
+  oauthCallback,
+  startOAuthLink,
+  startOAuthLogin,
+} from "../controller/oauthController.js";
+import {
+  passkeyLoginOptions,
+  passkeyRegistrationOptions,
+  verifyPasskeyLogin,
+  verifyPasskeyRegistration,
+} from "../controller/passkeyController.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  setupTwoFactor,
+  verifyTwoFactorLogin,
+} from "../controller/twoFactorController.js";
 import userAuth from "../middleware/userAuth.js";
+import allowTokens from "../middleware/allowTokens.js";
+import rateLimit from "../middleware/rateLimit.js";
+import validate from "../middleware/validate.js";
+import { getTwoFactorUserId } from "../utils/authTokens.js";
+import { code, email, object, secret, string } from "../utils/validation.js";
 
 const authRouter = express.Router();
 
-authRouter.post("/register", register);
-authRouter.post("/login", login);
+// Rate limits for endpoints that can be brute-forced or abused to send mail
+const byEmail = (req) => req.body.email;
+const byUser = (req) => req.auth?.userId;
+const HOUR = 60 * 60 * 1000;
+
+const registerLimit = rateLimit({
+  name: "register",
+  windowMs: HOUR,
+  maxPerIp: 10,
+});
+const loginLimit = rateLimit({
+  name: "login",
+  account: byEmail,
+  backoff: true,
+});
+const sendOtpLimit = rateLimit({
+  name: "send-otp",
+  windowMs: HOUR,
+  maxPerIp: 20,
+  maxPerAccount: 5,
+  account: (req) => req.body.email || req.auth?.userId,
+});
+const verifyOtpLimit = rateLimit({
+  name: "verify-otp",
+  account: byUser,
+  backoff: true,
+});
+const resetPasswordLimit = rateLimit({
+  name: "reset-password",
+  account: byEmail,
+  backoff: true,
+});
+const twoFactorLimit = rateLimit({
+  name: "two-factor",
+  account: (req) => getTwoFactorUserId(req) || req.auth?.userId,
+  backoff: true,
+});
+const magicLinkLimit = rateLimit({
+  name: "magic-link",
+  account: byEmail,
+  backoff: true,
+});
+const passkeyLimit = rateLimit({ name: "passkey", backoff: true });
+// Every set of login options stores a challenge, for anyone who asks
+const passkeyOptionsLimit = rateLimit({
+  name: "passkey-options",
+  maxPerIp: 30,
+});
+const passwordCheckLimit = rateLimit({
+  name: "password-check",
+  windowMs: 60 * 1000,
+  maxPerIp: 60,
+});
+
+// Request schemas. Validation runs before the rate limits, so they only see
+// well-formed emails
+const emailBody = validate({ body: { email: email() } });
+const codeBody = validate({ body: { code: code() } });
+
+authRouter.post(
+  "/register",
+  validate({
+    body: {
+      name: string({ max: 100 }),
+      email: email(),
+      password: secret(),
+      inviteCode: code({ optional: true }),
+      invitationToken: secret({ optional: true }),
+    },
+  }),
+  registerLimit,
+  register
+);
+authRouter.post(
+  "/login",
+  validate({ body: { email: email(), password: secret() } }),
+  loginLimit,
+  login
+);
+// Public settings of the sign-up form, e.g. the registration mode
+authRouter.get("/config", getAuthConfig);
 authRouter.post("/logout", logout);
-authRouter.post("/send-verify-otp", userAuth, sendVerifyOtp);
-authRouter.post("/verify-account", userAuth, verifyEmail);
-authRouter.get("/is-auth", userAuth, isAuthenticated);
-authRouter.post("/send-reset-otp", sendResetOtp);
-authRouter.post("/reset-password", resetPassword);
+authRouter.post("/refresh", refreshAccessToken);
+authRouter.post("/send-verify-otp", userAuth, sendOtpLimit, sendVerifyOtp);
+authRouter.post(
+  "/verify-account",
+  userAuth,
+  validate({ body: { otp: code() } }),
+  verifyOtpLimit,
+  verifyEmail
+);
+// Any valid personal access token may check that it works
+authRouter.get("/is-auth", allowTokens(), userAuth, isAuthenticated);
+authRouter.post("/send-reset-otp", emailBody, sendOtpLimit, sendResetOtp);
+authRouter.post(
+  "/reset-password",
+  validate({
+    body: { email: email(), otp: code(), newPassword: secret() },
+  }),
+  resetPasswordLimit,
+  resetPassword
+);
+authRouter.post(
+  "/password-check",
+  // The name and email are checked while being typed, they may be incomplete
+  validate({
+    body: {
+      password: secret(),
+      name: string({ max: 100, optional: true }),
+      email: string({ max: 254, optional: true }),
+    },
+  }),
+  passwordCheckLimit,
+  checkPasswordStrength
+);
+authRouter.post("/2fa/setup", userAuth, setupTwoFactor);
+authRouter.post(
+  "/2fa/enable",
+  userAuth,
+  codeBody,
+  twoFactorLimit,
+  enableTwoFactor
+);
+authRouter.post(
+  "/2fa/disable",
+  userAuth,
+  codeBody,
+  twoFactorLimit,
+  disableTwoFactor
+);
+authRouter.post(
+  "/2fa/backup-codes",
+  userAuth,
+  codeBody,
+  twoFactorLimit,
+  regenerateBackupCodes
+);
+authRouter.post("/2fa/verify", codeBody, twoFactorLimit, verifyTwoFactorLogin);
+authRouter.get("/oauth/providers", getProviders);
+authRouter.get("/oauth/:provider", startOAuthLogin);
+authRouter.get("/oauth/:provider/callback", oauthCallback);
+authRouter.post("/oauth/:provider/link", userAuth, startOAuthLink);
+authRouter.post(
+  "/passkey/register/options",
+  userAuth,
+  passkeyRegistrationOptions
+);
+authRouter.post(
+  "/passkey/register/verify",
+  userAuth,
+  validate({
+    body: {
+      response: object(),
+      name: string({ max: 64, default: "Passkey" }),
+    },
+  }),
+  verifyPasskeyRegistration
+);
+authRouter.post(
+  "/passkey/login/options",
+  passkeyOptionsLimit,
+  passkeyLoginOptions
+);
+authRouter.post(
+  "/passkey/login/verify",
+  validate({ body: { response: object() } }),
+  passkeyLimit,
+  verifyPasskeyLogin
+);
+authRouter.post("/magic-link", emailBody, sendOtpLimit, sendMagicLink);
+authRouter.post(
+  "/magic-link/verify",
+  // Either the token from the link, or the email with the code from it
+  validate({
+    body: {
+      token: string({ max: 100, optional: true }),
+      email: email({ optional: true }),
+      code: code({ optional: true }),
+    },
+  }),
+  magicLinkLimit,
+  verifyMagicLink
+);
 export default authRouter;
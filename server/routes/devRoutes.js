@@ -0,0 +1,12 @@
+import express from "express";
+import {
+  listEmailPreviews,
+  previewEmail,
+} from "../controller/devController.js";
+
+// Development helpers, only mounted when NODE_ENV is not "production"
+const devRouter = express.Router();
+devRouter.get("/emails", listEmailPreviews);
+devRouter.get("/emails/:name", previewEmail);
+
+export default devRouter;
@@ -0,0 +1,37 @@
+import express from "express";
+import userAuth from "../middleware/userAuth.js";
+import requirePermission from "../middleware/requirePermission.js";
+import {
+  authorize,
+  authorizeDecision,
+  deleteClient,
+  getAuthorizationRequest,
+  getClients,
+  jwks,
+  registerClient,
+  token,
+  userinfo,
+} from "../controller/oidcController.js";
+
+const oidcRouter = express.Router();
+
+// The token endpoint receives form-encoded requests from client applications
+oidcRouter.use(express.urlencoded({ extended: false }));
+
+oidcRouter.get("/authorize", authorize);
+oidcRouter.get("/authorize/details", userAuth, getAuthorizationRequest);
+oidcRouter.post("/authorize/decision", userAuth, authorizeDecision);
+oidcRouter.post("/token", token);
+oidcRouter.get("/userinfo", userinfo);
+oidcRouter.post("/userinfo", userinfo);
+oidcRouter.get("/jwks", jwks);
+oidcRouter.get("/clients", userAuth, getClients);
+oidcRouter.post(
+  "/clients",
+  userAuth,
+  requirePermission("oidc:clients"),
+  registerClient
+);
+oidcRouter.delete("/clients/:clientId", userAuth, deleteClient);
+
+export default oidcRouter;
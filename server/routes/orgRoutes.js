@@ -0,0 +1,127 @@
+import express from "express";
+import userAuth from "../middleware/userAuth.js";
+import requireOrgPermission from "../middleware/requireOrgPermission.js";
+import rateLimit from "../middleware/rateLimit.js";
+import validate from "../middleware/validate.js";
+import { email, objectId, oneOf, string } from "../utils/validation.js";
+import { ORG_ROLES } from "../config/permissions.js";
+import {
+  acceptInvitation,
+  createOrganization,
+  deleteOrganization,
+  getActiveOrganization,
+  getInvitation,
+  getOrganizations,
+  inviteMember,
+  leaveOrganization,
+  removeMember,
+  revokeInvitation,
+  switchOrganization,
+  updateMemberRole,
+  updateOrganization,
+} from "../controller/orgController.js";
+
+const orgRouter = express.Router();
+
+const name = string({ min: 1, max: 100 });
+const token = string({ max: 2048 });
+
+const HOUR = 60 * 60 * 1000;
+
+// Every invitation sends an email, so limit them per inviting member and,
+// across all of its members, per organization
+const inviteLimit = rateLimit({
+  name: "org-invite",
+  windowMs: HOUR,
+  maxPerIp: 50,
+  maxPerAccount: 20,
+  account: (req) => req.auth?.userId,
+});
+const orgInviteLimit = rateLimit({
+  name: "org-invite-org",
+  windowMs: HOUR,
+  maxPerIp: 50,
+  maxPerAccount: 50,
+  account: (req) => req.auth?.orgId,
+});
+
+// Organizations of the user and the one active in the session
+orgRouter.get("/", userAuth, getOrganizations);
+orgRouter.post("/", userAuth, validate({ body: { name } }), createOrganization);
+orgRouter.post(
+  "/switch",
+  userAuth,
+  validate({ body: { organizationId: objectId({ optional: true }) } }),
+  switchOrganization
+);
+
+// Routes under /active work on the session's active organization, with the
+// member's permissions there
+orgRouter.get(
+  "/active",
+  userAuth,
+  requireOrgPermission("org:read"),
+  getActiveOrganization
+);
+orgRouter.patch(
+  "/active",
+  userAuth,
+  requireOrgPermission("org:update"),
+  validate({ body: { name } }),
+  updateOrganization
+);
+orgRouter.delete(
+  "/active",
+  userAuth,
+  requireOrgPermission("org:delete"),
+  deleteOrganization
+);
+orgRouter.post(
+  "/active/leave",
+  userAuth,
+  requireOrgPermission("org:read"),
+  leaveOrganization
+);
+orgRouter.post(
+  "/active/invitations",
+  userAuth,
+  requireOrgPermission("members:invite"),
+  validate({
+    body: { email: email(), role: oneOf(ORG_ROLES, { default: "member" }) },
+  }),
+  inviteLimit,
+  orgInviteLimit,
+  inviteMember
+);
+orgRouter.delete(
+  "/active/invitations/:id",
+  userAuth,
+  requireOrgPermission("members:invite"),
+  validate({ params: { id: objectId() } }),
+  revokeInvitation
+);
+orgRouter.patch(
+  "/active/members/:id",
+  userAuth,
+  requireOrgPermission("members:roles"),
+  validate({ params: { id: objectId() }, body: { role: oneOf(ORG_ROLES) } }),
+  updateMemberRole
+);
+orgRouter.delete(
+  "/active/members/:id",
+  userAuth,
+  requireOrgPermission("members:remove"),
+  validate({ params: { id: objectId() } }),
+  removeMember
+);
+
+// Invitation links, looked up before signing in and accepted after
+orgRouter.get("/invitations", validate({ query: { token } }), getInvitation);
+orgRouter.post(
+  "/invitations/accept",
+  userAuth,
+  validate({ body: { token } }),
+  acceptInvitation
+);
+
+export default orgRouter;
@@ -1,8 +1,198 @@
 import express from "express";
 import userAuth from "../middleware/userAuth.js";
-import { getUserData } from "../controller/userController.js";
+import allowTokens from "../middleware/allowTokens.js";
+import rateLimit from "../middleware/rateLimit.js";
+import avatarUpload from "../middleware/avatarUpload.js";
+import validate from "../middleware/validate.js";
+import {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken,
+} from "../controller/accessTokenController.js";
+import {
+  array,
+  code,
+  email,
+  integer,
+  objectId,
+  oneOf,
+  secret,
+  string,
+} from "../utils/validation.js";
+import { SUPPORTED_LOCALES } from "../utils/i18n.js";
+import { TOKEN_SCOPES } from "../config/tokenScopes.js";
+import { MAX_TOKEN_DAYS } from "../utils/accessTokens.js";
+import {
+  changePassword,
+  deleteAccount,
+  deleteAvatar,
+  exportUserData,
+  getActivity,
+  getUserData,
+  updateProfile,
+  uploadAvatar,
+} from "../controller/userController.js";
+import {
+  getLinkedAccounts,
+  unlinkAccount,
+} from "../controller/oauthController.js";
+import { deletePasskey, getPasskeys } from "../controller/passkeyController.js";
+import {
+  cancelEmailChange,
+  confirmEmailChange,
+  requestEmailChange,
+  undoEmailChange,
+} from "../controller/emailChangeController.js";
+import {
+  getSessions,
+  revokeAllOtherSessions,
+  revokeSession,
+} from "../controller/sessionController.js";
 
 const userRouter = express.Router();
-userRouter.get("/data", userAuth, getUserData);
+
+// Guessing the current password is brute-forcing it, limit like a login
+const changePasswordLimit = rateLimit({
+  name: "change-password",
+  account: (req) => req.auth?.userId,
+  backoff: true,
+});
+
+// Email change codes and undo links can be guessed the same way
+const emailCodeLimit = rateLimit({
+  name: "email-change",
+  account: (req) => req.auth?.userId,
+  backoff: true,
+});
+
+// Accounts created through social login have no password to confirm with
+const currentPassword = secret({ optional: true });
+
+// Routes without `allowTokens` need a session, so personal access tokens
+// cannot change credentials or create more tokens
+userRouter.get("/data", allowTokens("profile:read"), userAuth, getUserData);
+userRouter.get(
+  "/export",
+  allowTokens("profile:read"),
+  userAuth,
+  exportUserData
+);
+userRouter.post(
+  "/delete",
+  userAuth,
+  validate({ body: { currentPassword } }),
+  changePasswordLimit,
+  deleteAccount
+);
+userRouter.patch(
+  "/profile",
+  allowTokens("profile:write"),
+  userAuth,
+  validate({
+    body: {
+      name: string({ min: 1, max: 100, optional: true }),
+      locale: oneOf(SUPPORTED_LOCALES, { optional: true }),
+    },
+  }),
+  updateProfile
+);
+userRouter.post(
+  "/avatar",
+  allowTokens("profile:write"),
+  userAuth,
+  avatarUpload,
+  uploadAvatar
+);
+userRouter.delete(
+  "/avatar",
+  allowTokens("profile:write"),
+  userAuth,
+  deleteAvatar
+);
+userRouter.post(
+  "/password",
+  userAuth,
+  validate({ body: { currentPassword, newPassword: secret() } }),
+  changePasswordLimit,
+  changePassword
+);
+userRouter.post(
+  "/email",
+  userAuth,
+  validate({ body: { newEmail: email(), currentPassword } }),
+  changePasswordLimit,
+  requestEmailChange
+);
+userRouter.post(
+  "/email/confirm",
+  userAuth,
+  validate({ body: { code: code() } }),
+  emailCodeLimit,
+  confirmEmailChange
+);
+userRouter.delete("/email", userAuth, cancelEmailChange);
+userRouter.post(
+  "/email/undo",
+  validate({ body: { token: string({ max: 100 }) } }),
+  emailCodeLimit,
+  undoEmailChange
+);
+userRouter.get(
+  "/activity",
+  allowTokens("activity:read"),
+  userAuth,
+  validate({ query: { page: integer({ min: 1, default: 1 }) } }),
+  getActivity
+);
+userRouter.get(
+  "/sessions",
+  allowTokens("sessions:read"),
+  userAuth,
+  getSessions
+);
+// Not for tokens: without a current session every session would be "other"
+userRouter.delete("/sessions", userAuth, revokeAllOtherSessions);
+userRouter.delete(
+  "/sessions/:id",
+  allowTokens("sessions:write"),
+  userAuth,
+  validate({ params: { id: objectId() } }),
+  revokeSession
+);
+userRouter.get("/linked-accounts", userAuth, getLinkedAccounts);
+userRouter.delete(
+  "/linked-accounts/:provider",
+  userAuth,
+  validate({ params: { provider: string({ max: 50 }) } }),
+  unlinkAccount
+);
+userRouter.get("/passkeys", userAuth, getPasskeys);
+userRouter.delete(
+  "/passkeys/:id",
+  userAuth,
+  validate({ params: { id: string({ max: 1024 }) } }),
+  deletePasskey
+);
+userRouter.get("/tokens", userAuth, getAccessTokens);
+userRouter.post(
+  "/tokens",
+  userAuth,
+  validate({
+    body: {
+      name: string({ max: 100 }),
+      scopes: array(oneOf(TOKEN_SCOPES), { min: 1 }),
+      expiresInDays: integer({ min: 1, max: MAX_TOKEN_DAYS }),
+      currentPassword,
+    },
+  }),
+  changePasswordLimit,
+  createAccessToken
+);
+userRouter.delete(
+  "/tokens/:id",
+  userAuth,
+  validate({ params: { id: objectId() } }),
+  revokeAccessToken
+);
 
 export default userRouter;
@@ -0,0 +1,43 @@
+import fs from "fs";
+import { BloomFilter } from "../utils/bloomFilter.js";
+import { BREACHED_FILTER_PATH } from "../config/passwordPolicy.js";
+
+/**
+ * Build the breached password filter from a word list.
+ *
+ * The list has one password per line. Passwords are lowercased, like the
+ * passwords checked against the filter. The bundled filter was built from
+ * the 30,000 most common passwords of the zxcvbn project; rebuild it from a
+ * larger list, e.g. one of the SecLists breach compilations, if you need to.
+ *
+ * Usage: `npm run build-breached-filter -- <wordlist> [falsePositiveRate]`
+ *
+ */
+const [wordlist, rate = "0.001"] = process.argv.slice(2);
+
+if (!wordlist) {
+  console.error(
+    "Usage: npm run build-breached-filter -- <wordlist> [falsePositiveRate]"
+  );
+  process.exit(1);
+}
+
+const passwords = [
+  ...new Set(
+    fs
+      .readFileSync(wordlist, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+const filter = BloomFilter.create(passwords.length, Number(rate));
+passwords.forEach((password) => filter.add(password));
+fs.writeFileSync(BREACHED_FILTER_PATH, filter.toBuffer());
+
+console.log(
+  `Wrote ${passwords.length} passwords to ${BREACHED_FILTER_PATH} (${Math.ceil(
+    filter.bitCount / 8 / 1024
+  )} KB, ${filter.hashCount} hashes)`
+);
@@ -0,0 +1,42 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../config/mongodb.js";
+import userModel from "../models/userModel.js";
+import { ROLES } from "../config/permissions.js";
+import { syncSessionRoles } from "../utils/authTokens.js";
+
+/**
+ * Give a role to a user, or take it away with --revoke.
+ *
+ * This is how the first admin is created, before anyone can use the admin
+ * routes. Usage: `npm run grant-role -- <email> <role> [--revoke]`
+ *
+ */
+const [email, role, flag] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(
+    `Usage: npm run grant-role -- <email> <${ROLES.join("|")}> [--revoke]`
+  );
+  process.exit(1);
+}
+
+try {
+  await connectDB();
+  const user = await userModel.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    throw new Error(`User not found: ${email}`);
+  }
+  user.roles =
+    flag === "--revoke"
+      ? user.roles.filter((item) => item !== role || item === "user")
+      : [...new Set([...user.roles, role])];
+  await user.save();
+  await syncSessionRoles(user);
+  console.log(`${email} now has the roles: ${user.roles.join(", ")}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -2,31 +2,86 @@ import express from "express";
 import "dotenv/config";
 import cookieParser from "cookie-parser";
 import cors from "cors";
+import i18n from "./middleware/i18n.js";
+import errorHandler, { notFound } from "./middleware/errorHandler.js";
 import connectDB from "./config/mongodb.js";
 import authRoutes from "./routes/authRoutes.js";
 import userRouter from "./routes/userRoutes.js";
+import oidcRouter from "./routes/oidcRoutes.js";
+import adminRouter from "./routes/adminRoutes.js";
+import orgRouter from "./routes/orgRoutes.js";
+import devRouter from "./routes/devRoutes.js";
+import { discovery } from "./controller/oidcController.js";
+import { purgeDeletedAccounts } from "./utils/userAccount.js";
+import { startOutboxWorker } from "./utils/mailOutbox.js";
+import avatarStorage from "./config/avatarStorage.js";
 
 const app = express();
 const port = process.env.PORT || 4000;
 
 connectDB();
 
-const allowedOrigins = ["http://localhost:5173"];
+const allowedOrigins = [process.env.CLIENT_URL || "http://localhost:5173"];
 
-app.use(express.json());
-app.use(cookieParser());
+// Number of reverse proxies in front of the app, so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
+
+// Localize and allow responses first, so the client can also read errors
+// from the body parser
+app.use(i18n);
 app.use(
   cors({
     origin: allowedOrigins,
     credentials: true,
   })
 );
+app.use(express.json());
+app.use(cookieParser());
 //API endpoints
 app.get("/", (req, res) => {
   res.send("It's Work!!!");
 });
+// Avatars kept on this server, their file names change with every upload
+if (avatarStorage.staticDir) {
+  app.use(
+    avatarStorage.staticPath,
+    express.static(avatarStorage.staticDir, {
+      immutable: true,
+      maxAge: "365d",
+      setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+    })
+  );
+}
 app.use("/api/auth", authRoutes);
 app.use("/api/user", userRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/orgs", orgRouter);
+// Email previews and other tools for development
+if (process.env.NODE_ENV !== "production") {
+  app.use("/api/dev", devRouter);
+}
+
+// OpenID Connect provider for our other apps
+app.get("/.well-known/openid-configuration", discovery);
+app.use("/oidc", oidcRouter);
+
+// Unknown routes, then turn every error into a JSON response
+app.use(notFound);
+app.use(errorHandler);
+
+// Purge accounts whose deletion grace period is over
+const PURGE_INTERVAL =
+  Number(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+setInterval(() => {
+  purgeDeletedAccounts()
+    .then((count) => count && console.log(`Purged ${count} deleted account(s)`))
+    .catch((error) => console.error("Account purge failed:", error.message));
+}, PURGE_INTERVAL).unref();
+
+// Send queued email, retrying messages that failed
+startOutboxWorker();
 
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
@@ -0,0 +1,152 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import accessTokenModel from "../models/accessTokenModel.js";
+import userModel from "../models/userModel.js";
+import sessionModel from "../models/sessionModel.js";
+import userRouter from "../routes/userRoutes.js";
+import allowTokens from "../middleware/allowTokens.js";
+import userAuth from "../middleware/userAuth.js";
+import {
+  MAX_TOKEN_DAYS,
+  issueAccessToken,
+  revokeAccessTokens,
+} from "../utils/accessTokens.js";
+import { memoryModel } from "./support/memoryModel.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The middleware of one of the user routes, as registered
+const routeHandlers = (method, path) =>
+  userRouter.stack
+    .find((layer) => layer.route?.path === path && layer.route.methods[method])
+    .route.stack.map((layer) => layer.handle);
+
+describe("personal access tokens", () => {
+  let tokens, user, token;
+
+  beforeEach(async () => {
+    tokens = memoryModel(accessTokenModel);
+    user = memoryModel(userModel).insert({
+      name: "Test",
+      email: "test@example.com",
+    });
+    ({ token } = await issueAccessToken(user._id, {
+      name: "script",
+      scopes: ["profile:read"],
+      expiresInDays: 30,
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Run a request with the token through the route's middleware, returning
+  // the error passed on, or `req.auth` if the token was accepted
+  const authenticate = async (middleware, bearer = token) => {
+    const req = {
+      ip: "127.0.0.1",
+      cookies: {},
+      get: (header) =>
+        header.toLowerCase() === "authorization" ? `Bearer ${bearer}` : "",
+    };
+    for (const handler of middleware) {
+      const error = await new Promise((resolve) => handler(req, {}, resolve));
+      if (error) return { error };
+    }
+    return { auth: req.auth };
+  };
+
+  it("is accepted on routes that allow its scopes", async () => {
+    const { auth, error } = await authenticate([
+      allowTokens("profile:read"),
+      userAuth,
+    ]);
+
+    assert.equal(error, undefined);
+    assert.equal(auth.userId, String(user._id));
+    assert.equal(auth.tokenId, String(tokens.docs[0]._id));
+    assert.deepEqual(auth.scopes, ["profile:read"]);
+    assert.ok(tokens.docs[0].lastUsedAt);
+  });
+
+  it("is refused on routes that need another scope", async () => {
+    const { error } = await authenticate([
+      allowTokens("profile:read", "sessions:write"),
+      userAuth,
+    ]);
+
+    assert.equal(error.status, 403);
+    assert.equal(error.message, "access_token.insufficient_scope");
+    assert.equal(error.params.scopes, "sessions:write");
+  });
+
+  it("is refused on routes that do not allow tokens", async () => {
+    const { error } = await authenticate([userAuth]);
+
+    assert.equal(error.status, 403);
+    assert.equal(error.message, "access_token.session_required");
+  });
+
+  it("is refused once expired", async () => {
+    tokens.docs[0].expiresAt = new Date(Date.now() - 1000);
+    const { error } = await authenticate([allowTokens(), userAuth]);
+
+    assert.equal(error.status, 401);
+    assert.equal(error.message, "access_token.invalid");
+  });
+
+  it("is refused once revoked", async () => {
+    assert.equal(await revokeAccessTokens(user._id), 1);
+    const { error } = await authenticate([allowTokens(), userAuth]);
+
+    assert.equal(error.status, 401);
+    assert.equal(error.message, "access_token.invalid");
+  });
+
+  it("is refused while its owner is disabled", async () => {
+    mock.method(userModel, "findById", async () => ({
+      ...user,
+      disabled: true,
+    }));
+    const { error } = await authenticate([allowTokens(), userAuth]);
+
+    assert.equal(error.status, 401);
+    assert.equal(error.message, "auth.not_authorized");
+  });
+
+  it("refuses values that are not tokens", async () => {
+    const { error } = await authenticate(
+      [allowTokens(), userAuth],
+      "pat_unknown"
+    );
+
+    assert.equal(error.message, "access_token.invalid");
+  });
+
+  it("expires after MAX_TOKEN_DAYS at most", async () => {
+    const { accessToken } = await issueAccessToken(user._id, {
+      name: "forever",
+      scopes: ["profile:read"],
+      expiresInDays: MAX_TOKEN_DAYS * 10,
+    });
+
+    assert.ok(accessToken.expiresAt <= Date.now() + MAX_TOKEN_DAYS * DAY);
+  });
+
+  it("cannot sign out the other sessions, as it has none of its own", async () => {
+    const sessions = memoryModel(sessionModel);
+    sessions.insert({ user: user._id, expiresAt: new Date(Date.now() + DAY) });
+    sessions.insert({ user: user._id, expiresAt: new Date(Date.now() + DAY) });
+    ({ token } = await issueAccessToken(user._id, {
+      name: "sessions",
+      scopes: ["sessions:read", "sessions:write"],
+      expiresInDays: 30,
+    }));
+
+    const { error } = await authenticate(routeHandlers("delete", "/sessions"));
+
+    assert.equal(error.status, 403);
+    assert.equal(error.message, "access_token.session_required");
+    assert.ok(sessions.docs.every((session) => !session.revokedAt));
+  });
+});
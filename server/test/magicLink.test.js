@@ -0,0 +1,68 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import crypto from "crypto";
+import auditEventModel from "../models/auditEventModel.js";
+import otpModel from "../models/otpModel.js";
+import refreshTokenModel from "../models/refreshTokenModel.js";
+import sessionModel from "../models/sessionModel.js";
+import userModel from "../models/userModel.js";
+import { verifyMagicLink } from "../controller/magicLinkController.js";
+import { memoryModel } from "./support/memoryModel.js";
+
+const TOKEN = "link-token";
+const BINDING = "browser-binding";
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+describe("magic link", () => {
+  let users;
+
+  beforeEach(() => {
+    memoryModel(auditEventModel);
+    memoryModel(otpModel);
+    memoryModel(refreshTokenModel);
+    memoryModel(sessionModel);
+    users = memoryModel(userModel);
+    users.insert({
+      name: "Test",
+      email: "test@example.com",
+      magicLinkTokenHash: hash(TOKEN),
+      magicLinkBindingHash: hash(BINDING),
+      magicLinkExpireAt: Date.now() + 60000,
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Open the link in the browser that asked for it, returning the message
+  // key of the error, or "ok"
+  const openLink = () =>
+    new Promise((resolve) => {
+      const req = {
+        body: { token: TOKEN },
+        cookies: { magicLinkBinding: BINDING },
+        ip: "127.0.0.1",
+        get: () => "",
+      };
+      const res = {
+        cookie: () => {},
+        clearCookie: () => {},
+        json: () => resolve("ok"),
+      };
+      verifyMagicLink(req, res, (error) => resolve(error.message));
+    });
+
+  it("signs in once and proves the email address", async () => {
+    assert.equal(await openLink(), "ok");
+    assert.equal(users.docs[0].isAccountVerified, true);
+    assert.equal(users.docs[0].magicLinkTokenHash, "");
+    assert.equal(await openLink(), "magic_link.invalid");
+  });
+
+  it("signs in only once when opened twice at the same time", async () => {
+    const results = await Promise.all([openLink(), openLink()]);
+
+    assert.deepEqual(results.sort(), ["magic_link.invalid", "ok"]);
+  });
+});
@@ -0,0 +1,97 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import outboxModel from "../models/outboxModel.js";
+import mailTransport, { MemoryTransport } from "../config/mailTransport.js";
+import { queueEmail } from "../utils/mailer.js";
+import { processOutbox } from "../utils/mailOutbox.js";
+import { memoryModel } from "./support/memoryModel.js";
+
+const message = {
+  from: "noreply@example.com",
+  to: "test@example.com",
+  subject: "Hello",
+  html: "<p>Hello</p>",
+  text: "Hello",
+};
+
+describe("in-memory mail transport", () => {
+  it("keeps every message it sends", async () => {
+    const transport = new MemoryTransport();
+
+    assert.deepEqual(await transport.send(message), { messageId: "1" });
+    assert.deepEqual(await transport.send(message), { messageId: "2" });
+    assert.deepEqual(transport.sent, [
+      { messageId: "1", ...message },
+      { messageId: "2", ...message },
+    ]);
+  });
+
+  it("forgets its messages when cleared", async () => {
+    const transport = new MemoryTransport();
+    await transport.send(message);
+    transport.clear();
+
+    assert.deepEqual(transport.sent, []);
+  });
+
+  it("is used with MAIL_TRANSPORT=memory", () => {
+    assert.ok(mailTransport instanceof MemoryTransport);
+  });
+});
+
+describe("mail outbox", () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = memoryModel(outboxModel);
+    mailTransport.clear();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("sends queued email through the transport", async () => {
+    await queueEmail("test@example.com", "password-reset", {
+      email: "test@example.com",
+      otp: "123456",
+    });
+    assert.equal(await processOutbox(), 1);
+
+    const [sent] = mailTransport.sent;
+    assert.equal(sent.to, "test@example.com");
+    assert.match(sent.text, /123456/);
+
+    // The code is dropped from the outbox once it was sent
+    const [record] = outbox.docs;
+    assert.equal(record.status, "sent");
+    assert.equal(record.messageId, sent.messageId);
+    assert.ok(record.sentAt);
+    assert.equal(record.html, "");
+    assert.equal(record.text, "");
+  });
+
+  it("gives up on a message after the last attempt", async () => {
+    mock.method(mailTransport, "send", async () => {
+      throw new Error("Mail server down");
+    });
+    mock.method(console, "error", () => {});
+    await queueEmail("test@example.com", "password-reset", {
+      email: "test@example.com",
+      otp: "123456",
+    });
+
+    await processOutbox();
+    assert.equal(outbox.docs[0].status, "pending");
+    assert.equal(outbox.docs[0].lastError, "Mail server down");
+
+    // Retry right away instead of after the backoff
+    outbox.docs[0].nextAttemptAt = new Date();
+    await processOutbox();
+
+    const [record] = outbox.docs;
+    assert.equal(record.status, "failed");
+    assert.equal(record.attempts, 2);
+    assert.ok(record.failedAt);
+    assert.equal(record.text, "");
+  });
+});
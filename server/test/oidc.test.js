@@ -0,0 +1,79 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import oidcClientModel from "../models/oidcClientModel.js";
+import { authorize, token } from "../controller/oidcController.js";
+import { memoryModel } from "./support/memoryModel.js";
+
+const REDIRECT_URI = "https://app.example.com/callback";
+
+// A response that remembers where it redirected to or what it answered
+const fakeResponse = () => {
+  const res = {
+    status: (status) => Object.assign(res, { statusCode: status }),
+    json: (body) => Object.assign(res, { body }),
+    redirect: (location) => Object.assign(res, { location }),
+  };
+  return res;
+};
+
+describe("OpenID Connect provider", () => {
+  beforeEach(() => {
+    memoryModel(oidcClientModel).insert({
+      clientId: "app",
+      clientSecretHash: "unused",
+      name: "App",
+      redirectUris: [REDIRECT_URI],
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("reports repeated authorization parameters to the client", async () => {
+    const res = fakeResponse();
+    await authorize(
+      {
+        query: {
+          client_id: "app",
+          redirect_uri: REDIRECT_URI,
+          response_type: "code",
+          scope: ["openid", "email"],
+          state: "xyz",
+        },
+      },
+      res
+    );
+
+    const location = new URL(res.location);
+    assert.equal(location.origin + location.pathname, REDIRECT_URI);
+    assert.equal(location.searchParams.get("error"), "invalid_request");
+    assert.equal(location.searchParams.get("state"), "xyz");
+  });
+
+  it("refuses a repeated client ID without redirecting", async () => {
+    const res = fakeResponse();
+    await authorize(
+      { query: { client_id: ["app", "app"], redirect_uri: REDIRECT_URI } },
+      res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "invalid_client");
+  });
+
+  it("refuses malformed client credentials", async () => {
+    const credentials = Buffer.from("%E0:secret").toString("base64");
+    const res = fakeResponse();
+    await token(
+      {
+        body: { grant_type: "authorization_code", code: "abc" },
+        get: (header) =>
+          header === "authorization" ? `Basic ${credentials}` : "",
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "invalid_client");
+  });
+});
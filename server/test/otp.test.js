@@ -0,0 +1,74 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import otpModel from "../models/otpModel.js";
+import { issueOtp, verifyOtp } from "../utils/otp.js";
+import { memoryModel, newId } from "./support/memoryModel.js";
+
+const PURPOSE = "reset-password";
+const MAX_ATTEMPTS = 5;
+
+describe("one-time codes", () => {
+  let otps, userId, code, wrongCode;
+
+  beforeEach(async () => {
+    otps = memoryModel(otpModel);
+    userId = newId();
+    code = await issueOtp(userId, PURPOSE);
+    wrongCode = String((Number(code) + 1) % 10 ** code.length).padStart(
+      code.length,
+      "0"
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Check a code, returning the message key of the error if it failed
+  const check = async (guess) => {
+    const { success, error } = await verifyOtp(userId, PURPOSE, guess);
+    return success ? "ok" : error.message;
+  };
+
+  it("accepts the code once", async () => {
+    assert.equal(await check(code), "ok");
+    assert.equal(await check(code), "otp.invalid");
+  });
+
+  it("rejects an expired code", async () => {
+    otps.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal(await check(code), "otp.expired");
+    assert.equal(otps.docs.length, 0);
+  });
+
+  it("throws the code away after the last wrong guess", async () => {
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      assert.equal(await check(wrongCode), "otp.invalid");
+    }
+    assert.equal(await check(wrongCode), "otp.too_many_attempts");
+    assert.equal(otps.docs.length, 0);
+    assert.equal(await check(code), "otp.invalid");
+  });
+
+  it("keeps the limit for guesses made at the same time", async () => {
+    const guesses = Array(MAX_ATTEMPTS * 2).fill(wrongCode);
+    const pending = [...guesses, code].map(check);
+    // Every guess has claimed its attempt before any of them compared
+    assert.equal(otps.docs[0].attempts, MAX_ATTEMPTS);
+
+    const results = await Promise.all(pending);
+    assert.ok(!results.includes("ok"));
+    assert.ok(results.includes("otp.too_many_attempts"));
+    assert.equal(otps.docs.length, 0);
+  });
+
+  it("lets a new code start over", async () => {
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      await check(wrongCode);
+    }
+    const newCode = await issueOtp(userId, PURPOSE);
+
+    assert.equal(otps.docs[0].attempts, 0);
+    assert.equal(await check(newCode), "ok");
+  });
+});
@@ -0,0 +1,80 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import rateLimit from "../middleware/rateLimit.js";
+
+// Send one request through the limiter, returning the error it passed on
+// once the outcome of the request has been recorded
+const attempt = (limit, { ip, email, success = false }) =>
+  new Promise((resolve) => {
+    const res = { set: () => {}, json: (body) => body };
+    limit({ ip, body: { email } }, res, (error) => {
+      if (!error) res.json({ success });
+      setImmediate(() => resolve(error));
+    });
+  });
+
+describe("rate limit", () => {
+  it("does not lock an account out for requests from other addresses", async () => {
+    const limit = rateLimit({
+      name: "test-spread",
+      account: (req) => req.body.email,
+      backoff: true,
+      freeFailures: 100,
+    });
+    for (let i = 0; i < 20; i++) {
+      await attempt(limit, { ip: `10.0.0.${i}`, email: "owner@example.com" });
+    }
+
+    const error = await attempt(limit, {
+      ip: "192.168.0.1",
+      email: "owner@example.com",
+      success: true,
+    });
+    assert.equal(error, undefined);
+  });
+
+  it("limits an account from one address", async () => {
+    const limit = rateLimit({
+      name: "test-single",
+      account: (req) => req.body.email,
+      backoff: true,
+      freeFailures: 100,
+    });
+    for (let i = 0; i < 10; i++) {
+      const error = await attempt(limit, {
+        ip: "10.0.0.1",
+        email: "owner@example.com",
+      });
+      assert.equal(error, undefined);
+    }
+
+    const error = await attempt(limit, {
+      ip: "10.0.0.1",
+      email: "owner@example.com",
+    });
+    assert.equal(error.status, 429);
+  });
+
+  it("backs off failures per account and address", async () => {
+    const limit = rateLimit({
+      name: "test-backoff",
+      account: (req) => req.body.email,
+      backoff: true,
+    });
+    for (let i = 0; i < 4; i++) {
+      await attempt(limit, { ip: "10.0.0.1", email: "owner@example.com" });
+    }
+
+    const blocked = await attempt(limit, {
+      ip: "10.0.0.1",
+      email: "owner@example.com",
+    });
+    assert.equal(blocked.status, 429);
+    const elsewhere = await attempt(limit, {
+      ip: "10.0.0.2",
+      email: "owner@example.com",
+    });
+    assert.equal(elsewhere, undefined);
+  });
+});
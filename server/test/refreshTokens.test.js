@@ -0,0 +1,106 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import refreshTokenModel from "../models/refreshTokenModel.js";
+import sessionModel from "../models/sessionModel.js";
+import userModel from "../models/userModel.js";
+import { rotateRefreshToken, startSession } from "../utils/authTokens.js";
+import { memoryModel } from "./support/memoryModel.js";
+
+// A response that only remembers the cookies set on it
+const fakeResponse = () => {
+  const cookies = {};
+  return { cookies, cookie: (name, value) => (cookies[name] = value) };
+};
+
+const fakeRequest = { ip: "127.0.0.1", get: () => "test-agent" };
+
+describe("refresh token rotation", () => {
+  let tokens, sessions, user, token;
+
+  beforeEach(async () => {
+    tokens = memoryModel(refreshTokenModel);
+    sessions = memoryModel(sessionModel);
+    user = memoryModel(userModel).insert({
+      name: "Test",
+      email: "test@example.com",
+    });
+    const res = fakeResponse();
+    await startSession(fakeRequest, res, user._id);
+    token = res.cookies.refreshToken;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Rotate a refresh token, returning the user ID and the new cookies
+  const rotate = async (refreshToken) => {
+    const res = fakeResponse();
+    const userId = await rotateRefreshToken(res, refreshToken);
+    return { userId, cookies: res.cookies };
+  };
+
+  // Pretend every rotation happened before the grace window
+  const ageRotation = () => {
+    for (const record of tokens.docs) {
+      if (record.rotatedAt) record.rotatedAt = new Date(Date.now() - 60000);
+    }
+  };
+
+  it("exchanges a token for a new access and refresh token", async () => {
+    const { userId, cookies } = await rotate(token);
+
+    assert.equal(String(userId), String(user._id));
+    assert.ok(cookies.token);
+    assert.ok(cookies.refreshToken);
+    assert.notEqual(cookies.refreshToken, token);
+    assert.equal(tokens.docs.length, 2);
+  });
+
+  it("rejects unknown tokens", async () => {
+    const { userId, cookies } = await rotate("not-a-token");
+
+    assert.equal(userId, null);
+    assert.deepEqual(cookies, {});
+  });
+
+  it("revokes the whole session when a rotated token is reused", async () => {
+    const { cookies } = await rotate(token);
+    ageRotation();
+
+    const reused = await rotate(token);
+    assert.equal(reused.userId, null);
+    assert.ok(sessions.docs[0].revokedAt);
+    assert.ok(tokens.docs.every((record) => record.revokedAt));
+
+    // The successor dies with the session, so a thief cannot keep using it
+    const successor = await rotate(cookies.refreshToken);
+    assert.equal(successor.userId, null);
+  });
+
+  it("gives concurrent refreshes the same successor", async () => {
+    const [first, second] = await Promise.all([rotate(token), rotate(token)]);
+
+    assert.ok(first.userId);
+    assert.ok(second.userId);
+    assert.equal(first.cookies.refreshToken, second.cookies.refreshToken);
+    assert.equal(sessions.docs[0].revokedAt, null);
+  });
+
+  it("gives a token rotated just now its unused successor", async () => {
+    const { cookies } = await rotate(token);
+
+    const retried = await rotate(token);
+    assert.ok(retried.userId);
+    assert.equal(retried.cookies.refreshToken, cookies.refreshToken);
+    assert.equal(sessions.docs[0].revokedAt, null);
+  });
+
+  it("counts a token as reused once its successor was rotated", async () => {
+    const { cookies } = await rotate(token);
+    await rotate(cookies.refreshToken);
+
+    const reused = await rotate(token);
+    assert.equal(reused.userId, null);
+    assert.ok(sessions.docs[0].revokedAt);
+  });
+});
@@ -0,0 +1,162 @@
+import { mock } from "node:test";
+import { isDeepStrictEqual } from "node:util";
+import mongoose from "mongoose";
+
+// Compare two stored values the way MongoDB does for equality
+const same = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a) === String(b);
+};
+
+// Query operators, range operators never match a missing value
+const OPERATORS = {
+  $ne: (value, arg) => !same(value, arg),
+  $in: (value, arg) => arg.some((item) => same(value, item)),
+  $lt: (value, arg) => value != null && value < arg,
+  $lte: (value, arg) => value != null && value <= arg,
+  $gt: (value, arg) => value != null && value > arg,
+};
+
+const isOperatorObject = (condition) =>
+  condition?.constructor === Object &&
+  Object.keys(condition).some((key) => key.startsWith("$"));
+
+// Check a document against a filter, with the operators above and `$or`.
+// A value matches an array field that contains it.
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, arg]) =>
+        OPERATORS[operator](doc[key], arg)
+      );
+    }
+    if (Array.isArray(doc[key]) && !Array.isArray(condition)) {
+      return doc[key].some((item) => same(item, condition));
+    }
+    return same(doc[key], condition);
+  });
+
+// Apply an update with `$set`, `$inc`, `$pull` and plain fields, which are set
+const applyUpdate = (doc, { $set = {}, $inc = {}, $pull = {}, ...fields }) => {
+  Object.assign(doc, fields, $set);
+  for (const [key, amount] of Object.entries($inc)) {
+    doc[key] = (doc[key] || 0) + amount;
+  }
+  for (const [key, value] of Object.entries($pull)) {
+    doc[key] = doc[key].filter((item) => !same(item, value));
+  }
+};
+
+// Copy a stored document, with arrays of its own so changes stay on the copy
+const clone = (doc) =>
+  Object.fromEntries(
+    Object.entries(doc).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? [...value] : value,
+    ])
+  );
+
+/**
+ * Replace the queries of a Mongoose model with an in-memory collection.
+ *
+ * This function will mock the model's static query methods the code under
+ * test uses, so it runs without MongoDB. New documents get the schema's
+ * defaults and casting. Every method runs synchronously up to its result,
+ * so each query is atomic like a single-document write in MongoDB, while
+ * concurrent callers still interleave at their `await`s.
+ *
+ * Returns `{ docs, insert }`: the stored documents, and a function that
+ * stores a new one. Restore the model with `mock.restoreAll()`.
+ *
+ */
+export const memoryModel = (model) => {
+  const docs = [];
+
+  // Hand out a copy, with `save()` writing back the fields that were
+  // changed on it, like a Mongoose document
+  const load = (doc) => {
+    if (!doc) return null;
+    const loaded = clone(doc);
+    const copy = clone(doc);
+    Object.defineProperty(copy, "save", {
+      value: async () => {
+        for (const [key, value] of Object.entries(copy)) {
+          if (!isDeepStrictEqual(value, loaded[key])) doc[key] = value;
+        }
+        return copy;
+      },
+    });
+    return copy;
+  };
+
+  const insert = (data) => {
+    const doc = new model(data).toObject();
+    docs.push(doc);
+    return load(doc);
+  };
+
+  const first = (filter) => docs.find((doc) => matches(doc, filter));
+
+  const methods = {
+    create: async (data) => insert(data),
+    find: async (filter = {}) =>
+      docs.filter((doc) => matches(doc, filter)).map(load),
+    findOne: async (filter) => load(first(filter)),
+    findById: async (id) => load(first({ _id: id })),
+    exists: async (filter) => {
+      const doc = first(filter);
+      return doc ? { _id: doc._id } : null;
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let doc = first(filter);
+      if (!doc && options.upsert) {
+        const fields = Object.fromEntries(
+          Object.entries(filter).filter(([, value]) => !isOperatorObject(value))
+        );
+        doc = new model(fields).toObject();
+        docs.push(doc);
+      }
+      if (!doc) return null;
+      const before = load(doc);
+      applyUpdate(doc, update);
+      return options.new ? load(doc) : before;
+    },
+    findOneAndDelete: async (filter) => {
+      const doc = first(filter);
+      if (!doc) return null;
+      docs.splice(docs.indexOf(doc), 1);
+      return load(doc);
+    },
+    updateOne: async (filter, update) => {
+      const doc = first(filter);
+      if (doc) applyUpdate(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const found = docs.filter((doc) => matches(doc, filter));
+      found.forEach((doc) => applyUpdate(doc, update));
+      return { modifiedCount: found.length };
+    },
+    deleteOne: async (filter) => {
+      const doc = first(filter);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      const found = docs.filter((doc) => matches(doc, filter));
+      found.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+      return { deletedCount: found.length };
+    },
+  };
+
+  for (const [name, implementation] of Object.entries(methods)) {
+    mock.method(model, name, implementation);
+  }
+  return { docs, insert };
+};
+
+export const newId = () => new mongoose.Types.ObjectId();
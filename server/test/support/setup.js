@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+/**
+ * Settings for the tests.
+ *
+ * Every test file imports this first, so the environment is in place before
+ * the modules under test read it. There is no database: queries fail right
+ * away instead of waiting for a connection, so every model a test touches
+ * has to be replaced with `memoryModel`.
+ *
+ */
+process.env.JWT_SECRET = "test-secret";
+process.env.MAIL_TRANSPORT = "memory";
+process.env.MAIL_MAX_ATTEMPTS = "2";
+
+mongoose.set("bufferCommands", false);
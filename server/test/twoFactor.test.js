@@ -0,0 +1,62 @@
+import "./support/setup.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import crypto from "crypto";
+import { authenticator } from "otplib";
+import auditEventModel from "../models/auditEventModel.js";
+import userModel from "../models/userModel.js";
+import { regenerateBackupCodes } from "../controller/twoFactorController.js";
+import { memoryModel } from "./support/memoryModel.js";
+
+const BACKUP_CODE = "abcde-12345";
+
+describe("second factor", () => {
+  let users, user;
+
+  beforeEach(() => {
+    memoryModel(auditEventModel);
+    users = memoryModel(userModel);
+    user = users.insert({
+      name: "Test",
+      email: "test@example.com",
+      twoFactorEnabled: true,
+      twoFactorSecret: authenticator.generateSecret(),
+      twoFactorBackupCodes: [
+        crypto.createHash("sha256").update("abcde12345").digest("hex"),
+      ],
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Regenerate the backup codes with the given code, returning the message
+  // key of the error, or "ok"
+  const regenerate = (code) =>
+    new Promise((resolve) => {
+      const req = {
+        auth: { userId: String(user._id) },
+        body: { code },
+        ip: "127.0.0.1",
+        get: () => "",
+      };
+      const res = { json: () => resolve("ok") };
+      regenerateBackupCodes(req, res, (error) => resolve(error.message));
+    });
+
+  it("accepts a backup code only once when used at the same time", async () => {
+    const results = await Promise.all([
+      regenerate(BACKUP_CODE),
+      regenerate(BACKUP_CODE),
+    ]);
+
+    assert.deepEqual(results.sort(), ["ok", "two_factor.invalid_code"]);
+  });
+
+  it("accepts an authenticator code only once when used at the same time", async () => {
+    const code = authenticator.generate(user.twoFactorSecret);
+    const results = await Promise.all([regenerate(code), regenerate(code)]);
+
+    assert.deepEqual(results.sort(), ["ok", "two_factor.invalid_code"]);
+    assert.ok(users.docs[0].twoFactorLastUsedStep > 0);
+  });
+});
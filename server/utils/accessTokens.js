@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import accessTokenModel from "../models/accessTokenModel.js";
+
+// Marks our tokens, so secret scanners and users can recognize them
+const TOKEN_PREFIX = "pat_";
+
+// Only write lastUsedAt once per minute to avoid a write on every request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest lifetime of a token, so a forgotten token cannot live forever
+export const MAX_TOKEN_DAYS = 365;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create a personal access token for a user.
+ *
+ * Only the hash of the token is stored, the returned `token` is the only
+ * copy of its value. Every token expires after `expiresInDays`, at most
+ * `MAX_TOKEN_DAYS`.
+ *
+ */
+export const issueAccessToken = async (
+  userId,
+  { name, scopes, expiresInDays }
+) => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const accessToken = await accessTokenModel.create({
+    user: userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 4),
+    scopes,
+    expiresAt: new Date(
+      Date.now() + Math.min(expiresInDays, MAX_TOKEN_DAYS) * DAY
+    ),
+  });
+  return { token, accessToken };
+};
+
+/**
+ * Find the access token behind a raw token value, and note that it was used.
+ *
+ * Returns null for unknown and expired tokens.
+ *
+ */
+export const authenticateAccessToken = async (token, ip) => {
+  if (!token.startsWith(TOKEN_PREFIX)) return null;
+  const accessToken = await accessTokenModel.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!accessToken || accessToken.expiresAt < Date.now()) return null;
+
+  if (
+    !accessToken.lastUsedAt ||
+    Date.now() - accessToken.lastUsedAt > LAST_USED_INTERVAL
+  ) {
+    accessToken.lastUsedAt = new Date();
+    accessToken.lastUsedIp = ip || "";
+    await accessToken.save();
+  }
+  return accessToken;
+};
+
+/**
+ * Revoke every personal access token of a user, e.g. when the account is
+ * recovered and whoever took it over may have created some.
+ *
+ * Returns the number of tokens that were revoked.
+ *
+ */
+export const revokeAccessTokens = async (userId) => {
+  const { deletedCount } = await accessTokenModel.deleteMany({ user: userId });
+  return deletedCount;
+};
+
+/**
+ * Shape an access token for API responses, without its hash.
+ */
+export const toAccessTokenResponse = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  createdAt: accessToken.createdAt,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+});
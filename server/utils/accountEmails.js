@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import { queueEmail } from "./mailer.js";
+import { getOtpSettings, issueOtp } from "./otp.js";
+import { cookieOptions } from "./authTokens.js";
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Issue a new password reset OTP to the user and email it to them.
+ *
+ * Used both when users ask for a reset themselves and when support triggers
+ * one from the admin console.
+ *
+ */
+export const sendPasswordResetEmail = async (user) => {
+  // Issue a new OTP, replacing any previous one
+  const otp = await issueOtp(user._id, "reset-password");
+  // Send the OTP to the user's email address
+  await queueEmail(
+    user.email,
+    "password-reset",
+    { email: user.email, otp },
+    user.locale
+  );
+};
+
+/**
+ * Email the user a passwordless sign-in link and code.
+ *
+ * This function will generate a single-use link token and a "magic-link"
+ * OTP, replacing any previous ones, and bind them to the requesting browser
+ * through the `magicLinkBinding` cookie. Only hashes are stored. The link
+ * expires together with the code, after 15 minutes by default.
+ *
+ */
+export const sendMagicLinkEmail = async (res, user) => {
+  // Generate the link token, the code and the browser binding nonce
+  const { ttl } = getOtpSettings("magic-link");
+  const token = crypto.randomBytes(32).toString("base64url");
+  const otp = await issueOtp(user._id, "magic-link");
+  const binding = crypto.randomBytes(32).toString("base64url");
+
+  // Issuing a new link invalidates the previous one
+  user.magicLinkTokenHash = hash(token);
+  user.magicLinkBindingHash = hash(binding);
+  user.magicLinkExpireAt = Date.now() + ttl;
+  await user.save();
+
+  res.cookie("magicLinkBinding", binding, cookieOptions(ttl));
+
+  const link = `${
+    process.env.CLIENT_URL || "http://localhost:5173"
+  }/magic-link?token=${token}`;
+  // Send the link and code to the user's email address
+  await queueEmail(
+    user.email,
+    "magic-link",
+    { email: user.email, otp, link },
+    user.locale
+  );
+};
@@ -0,0 +1,57 @@
+import auditEventModel from "../models/auditEventModel.js";
+
+/**
+ * Append an event to the audit log.
+ *
+ * The IP address and user agent are taken from the request, pass null for
+ * events raised by the server itself, e.g. scheduled jobs. `user` is the
+ * account the event is about, `actor` who performed it if that was someone
+ * else, e.g. an admin. Writing the audit log never fails the request that
+ * triggered it, errors are only logged. Only actions are recorded, reads
+ * such as `isAuthenticated` or `getUserData` are not.
+ *
+ * Example: `await recordAuditEvent(req, "login", { user: user._id })`
+ *
+ */
+export const recordAuditEvent = async (
+  req,
+  type,
+  {
+    user = null,
+    actor = null,
+    outcome = "success",
+    email = "",
+    metadata = {},
+  } = {}
+) => {
+  try {
+    await auditEventModel.create({
+      user,
+      actor,
+      type,
+      outcome,
+      email: typeof email === "string" ? email : "",
+      ip: req?.ip || "",
+      userAgent: req?.get("user-agent") || "",
+      metadata,
+    });
+  } catch (error) {
+    console.error("Failed to write audit event:", error.message);
+  }
+};
+
+/**
+ * Shape an audit event for API responses.
+ */
+export const toAuditEventResponse = (event) => ({
+  id: event._id,
+  type: event.type,
+  outcome: event.outcome,
+  user: event.user,
+  actor: event.actor,
+  email: event.email,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  metadata: event.metadata,
+  createdAt: event.createdAt,
+});
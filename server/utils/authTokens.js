@@ -0,0 +1,421 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import refreshTokenModel from "../models/refreshTokenModel.js";
+import sessionModel from "../models/sessionModel.js";
+import userModel from "../models/userModel.js";
+import { cancelAccountDeletion } from "./userAccount.js";
+import { revokeAccessTokens } from "./accessTokens.js";
+import { requiresVerifiedEmail } from "./registration.js";
+import { ForbiddenError } from "./errors.js";
+
+const ACCESS_TOKEN_EXPIRES_IN = "15m";
+const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// How long a rotated refresh token still gets its successor, for tabs that
+// refreshed at the same time
+const REFRESH_GRACE_MS = Number(process.env.REFRESH_TOKEN_GRACE_MS) || 30000;
+
+// The refresh cookie is only needed by the refresh and logout routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+/**
+ * Build the options shared by every authentication cookie.
+ *
+ * Cookies are always httpOnly. In production they are sent cross-site over
+ * HTTPS only, in development they are restricted to same-site requests.
+ *
+ */
+export const cookieOptions = (maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
+  ...(maxAge ? { maxAge } : {}),
+});
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+// Only whoever holds a refresh token can derive the key to its successor
+const successorKey = (token) =>
+  crypto.createHash("sha256").update(`successor:${token}`).digest();
+
+// Encrypt the successor of a refresh token with a key derived from it
+const sealSuccessor = (token, successor) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", successorKey(token), iv);
+  const encrypted = Buffer.concat([cipher.update(successor), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+// Decrypt the successor sealed by `sealSuccessor`, or null if it fails
+const openSuccessor = (token, sealed) => {
+  try {
+    const [iv, tag, encrypted] = sealed
+      .split(".")
+      .map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      successorKey(token),
+      iv
+    );
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString();
+  } catch {
+    return null;
+  }
+};
+
+const setRefreshCookie = (res, token) => {
+  res.cookie("refreshToken", token, {
+    ...cookieOptions(REFRESH_TOKEN_MAX_AGE),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Sign a short-lived access token and set it as the `token` cookie.
+ *
+ * The token carries the session ID so `userAuth` can reject it as soon as
+ * the session is revoked. The cookie outlives the token inside it, so an
+ * expired access token still reaches `userAuth` and can be reported as
+ * expired instead of missing.
+ *
+ */
+const setAccessCookie = (res, userId, sessionId) => {
+  const token = jwt.sign(
+    { id: userId, sid: sessionId, type: "access" },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+  res.cookie("token", token, cookieOptions(REFRESH_TOKEN_MAX_AGE));
+};
+
+/**
+ * Store a new refresh token for the given session and set it as a cookie.
+ *
+ * Only the hash of the token is persisted. All refresh tokens rotated from
+ * the same login share the session ID as their family.
+ *
+ */
+const issueRefreshToken = async (
+  res,
+  userId,
+  sessionId,
+  token = generateRefreshToken()
+) => {
+  const tokenHash = hashToken(token);
+  await refreshTokenModel.create({
+    user: userId,
+    tokenHash,
+    family: String(sessionId),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+  });
+  setRefreshCookie(res, token);
+};
+
+/**
+ * Revoke the given sessions together with all of their refresh tokens.
+ */
+const revokeSessions = async (sessionIds) => {
+  const now = new Date();
+  await sessionModel.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: now }
+  );
+  await refreshTokenModel.updateMany(
+    { family: { $in: sessionIds.map(String) }, revokedAt: null },
+    { revokedAt: now }
+  );
+};
+
+/**
+ * Establish a login session for the given user.
+ *
+ * This is the single place where a login session is started, so every
+ * sign-in path (password, second factor, ...) ends up with the same cookies:
+ * a short-lived access token and a refresh token bound to a new session
+ * record holding the user agent and IP address of the device, and the
+ * user's roles and permissions. Disabled accounts never get a session, so
+ * every sign-in path rejects them, and neither do unverified accounts when
+ * the registration mode requires a verified email address. Signing in
+ * cancels a pending account deletion.
+ *
+ */
+export const startSession = async (req, res, userId) => {
+  const user = await userModel.findById(userId, {
+    name: 1,
+    email: 1,
+    locale: 1,
+    roles: 1,
+    permissions: 1,
+    disabled: 1,
+    deletionScheduledAt: 1,
+    isAccountVerified: 1,
+  });
+  if (user?.disabled) {
+    throw new ForbiddenError("account.disabled");
+  }
+  if (user && !user.isAccountVerified && requiresVerifiedEmail()) {
+    throw new ForbiddenError("registration.email_unverified");
+  }
+  if (user?.deletionScheduledAt) {
+    await cancelAccountDeletion(req, user);
+  }
+  const session = await sessionModel.create({
+    user: userId,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+    roles: user?.roles || ["user"],
+    permissions: user?.permissions || [],
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+  });
+  setAccessCookie(res, userId, session._id);
+  await issueRefreshToken(res, userId, session._id);
+};
+
+/**
+ * Give a refresh token that was just rotated the successor it was rotated
+ * to, if that happened within `REFRESH_GRACE_MS` and the successor was not
+ * used yet. Returns the user ID, or null if the token must count as reused.
+ */
+const reissueSuccessor = async (res, record, token) => {
+  if (
+    record.revokedAt ||
+    !record.rotatedAt ||
+    Date.now() - record.rotatedAt > REFRESH_GRACE_MS
+  ) {
+    return null;
+  }
+  const successor = openSuccessor(token, record.successorCipher);
+  if (!successor || hashToken(successor) !== record.replacedBy) return null;
+  // The winning request may not have stored the successor yet, so only
+  // refuse a successor that was already rotated or revoked itself
+  const spent = await refreshTokenModel.exists({
+    tokenHash: record.replacedBy,
+    $or: [{ replacedBy: { $ne: null } }, { revokedAt: { $ne: null } }],
+  });
+  const session = await sessionModel.findById(record.family);
+  if (spent || !session || session.revokedAt) return null;
+
+  setRefreshCookie(res, successor);
+  setAccessCookie(res, record.user, session._id);
+  return record.user;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ *
+ * Each refresh token can be rotated exactly once. Presenting a token that was
+ * already rotated or revoked means it was stolen or replayed, so the whole
+ * session is revoked and both the attacker and the user have to log in again.
+ * The only exception is a token rotated less than `REFRESH_GRACE_MS` ago
+ * whose successor is unused: two tabs refreshing at the same time both get
+ * that successor. Returns the user ID on success, or null if the token was
+ * not accepted.
+ *
+ */
+export const rotateRefreshToken = async (res, token) => {
+  const record = await refreshTokenModel.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!record) return null;
+
+  // Reuse of an old token: kill the whole family, unless it raced its rotation
+  if (record.replacedBy || record.revokedAt) {
+    const userId = await reissueSuccessor(res, record, token);
+    if (!userId) await revokeSessions([record.family]);
+    return userId;
+  }
+  if (record.expiresAt < new Date()) return null;
+
+  const session = await sessionModel.findById(record.family);
+  if (!session || session.revokedAt) return null;
+
+  // Claim the token atomically so two concurrent refreshes cannot both rotate
+  // it, the loser gets the winner's successor
+  const successor = generateRefreshToken();
+  const claimed = await refreshTokenModel.findOneAndUpdate(
+    { _id: record._id, replacedBy: null, revokedAt: null },
+    {
+      replacedBy: hashToken(successor),
+      rotatedAt: new Date(),
+      successorCipher: sealSuccessor(token, successor),
+    }
+  );
+  if (!claimed) {
+    const rotated = await refreshTokenModel.findById(record._id);
+    const userId = rotated && (await reissueSuccessor(res, rotated, token));
+    if (!userId) await revokeSessions([record.family]);
+    return userId || null;
+  }
+
+  session.lastSeenAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_MAX_AGE);
+  await session.save();
+
+  await issueRefreshToken(res, record.user, session._id, successor);
+  setAccessCookie(res, record.user, session._id);
+  return record.user;
+};
+
+/**
+ * Revoke the session that the given refresh token belongs to.
+ *
+ * Returns the ID of the session's user, or null if the token is unknown.
+ *
+ */
+export const revokeRefreshToken = async (token) => {
+  const record = await refreshTokenModel.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!record) return null;
+  await revokeSessions([record.family]);
+  return record.user;
+};
+
+/**
+ * Revoke one session of the given user.
+ *
+ * Returns false if the session does not exist or belongs to someone else.
+ *
+ */
+export const revokeUserSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await sessionModel.findOne({ _id: sessionId, user: userId });
+  if (!session) return false;
+  await revokeSessions([session._id]);
+  return true;
+};
+
+/**
+ * Revoke every session of the given user except the current one.
+ *
+ * Returns the number of sessions that were revoked.
+ *
+ */
+export const revokeOtherSessions = async (userId, currentSessionId) => {
+  const sessions = await sessionModel.find(
+    { user: userId, _id: { $ne: currentSessionId }, revokedAt: null },
+    { _id: 1 }
+  );
+  await revokeSessions(sessions.map((session) => session._id));
+  return sessions.length;
+};
+
+/**
+ * Revoke every session and personal access token of the given user, e.g.
+ * when the account is disabled or recovered.
+ */
+export const revokeAllSessions = async (userId) => {
+  const sessions = await sessionModel.find(
+    { user: userId, revokedAt: null },
+    { _id: 1 }
+  );
+  await revokeSessions(sessions.map((session) => session._id));
+  await revokeAccessTokens(userId);
+};
+
+/**
+ * Copy the user's current roles and permissions to all of their active
+ * sessions, so a change takes effect on their next request.
+ */
+export const syncSessionRoles = async (user) => {
+  await sessionModel.updateMany(
+    { user: user._id, revokedAt: null },
+    { roles: user.roles, permissions: user.permissions }
+  );
+};
+
+/**
+ * Clear the access and refresh token cookies.
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions());
+  res.clearCookie("refreshToken", {
+    ...cookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+// Every token signed with JWT_SECRET carries a `type` claim, so that one kind
+// of token can never be accepted as another, e.g. a pending 2FA login as a
+// session. Returns the payload, or null if the token is invalid or another
+// type.
+const verifyTokenOfType = (token, type) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.type === type ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Set a short-lived cookie that marks a login waiting for its second factor.
+ *
+ * The cookie only proves that the password step succeeded. It is exchanged
+ * for a real session once a valid TOTP or backup code is submitted.
+ *
+ */
+export const setTwoFactorCookie = (res, userId) => {
+  const token = jwt.sign({ id: userId, type: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+  res.cookie("twoFactorToken", token, cookieOptions(5 * 60 * 1000)); // 5 minutes
+};
+
+/**
+ * Clear the pending second-factor cookie.
+ */
+export const clearTwoFactorCookie = (res) => {
+  res.clearCookie("twoFactorToken", cookieOptions());
+};
+
+/**
+ * Set a short-lived cookie holding the state of an OAuth authorization request.
+ *
+ * The browser comes back to the callback from the provider's site, so this
+ * cookie has to be sent on that cross-site navigation and uses `lax` in
+ * development instead of `strict`.
+ *
+ */
+export const setOAuthStateCookie = (res, payload) => {
+  const token = jwt.sign(
+    { ...payload, type: "oauth-state" },
+    process.env.JWT_SECRET,
+    { expiresIn: "10m" }
+  );
+  res.cookie("oauthState", token, {
+    ...cookieOptions(10 * 60 * 1000), // 10 minutes
+    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  });
+};
+
+/**
+ * Read and clear the OAuth state cookie. Returns null if it is missing,
+ * expired or tampered with.
+ */
+export const consumeOAuthStateCookie = (req, res) => {
+  const { oauthState } = req.cookies;
+  res.clearCookie("oauthState", {
+    ...cookieOptions(),
+    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  });
+  return verifyTokenOfType(oauthState, "oauth-state");
+};
+
+/**
+ * Get the user ID of the login waiting for its second factor, or null if the
+ * `twoFactorToken` cookie is missing or invalid.
+ */
+export const getTwoFactorUserId = (req) =>
+  verifyTokenOfType(req.cookies.twoFactorToken, "2fa")?.id || null;
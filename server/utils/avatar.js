@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import avatarStorage from "../config/avatarStorage.js";
+import { BadRequestError } from "./errors.js";
+
+// Square sizes every avatar is stored in, in pixels
+export const AVATAR_SIZES = [64, 256];
+
+// Refuse images that would take too much memory to decode
+const MAX_INPUT_PIXELS = 25 * 1000 * 1000;
+
+const fileName = (avatarId, size) => `${avatarId}-${size}.webp`;
+
+/**
+ * Resize an uploaded image to every avatar size and store the results.
+ *
+ * The image is decoded with sharp, so anything that is not really a JPEG,
+ * PNG, WebP or GIF image is rejected whatever its declared type. It is
+ * rotated according to its EXIF orientation, cropped to a square, stripped
+ * of metadata and saved as WebP. Returns the new avatar ID.
+ *
+ */
+export const saveAvatar = async (buffer) => {
+  const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+  const { format } = await image.metadata().catch(() => ({}));
+  if (!["jpeg", "png", "webp", "gif"].includes(format)) {
+    throw new BadRequestError("avatar.invalid_type");
+  }
+
+  const avatarId = crypto.randomBytes(16).toString("hex");
+  for (const size of AVATAR_SIZES) {
+    const resized = await image
+      .clone()
+      .rotate()
+      .resize(size, size, { fit: "cover" })
+      .webp({ quality: 85 })
+      .toBuffer();
+    await avatarStorage.save(fileName(avatarId, size), resized, "image/webp");
+  }
+  return avatarId;
+};
+
+/**
+ * Delete every stored size of an avatar.
+ */
+export const removeAvatar = async (avatarId) => {
+  if (!avatarId) return;
+  await Promise.all(
+    AVATAR_SIZES.map((size) => avatarStorage.remove(fileName(avatarId, size)))
+  );
+};
+
+/**
+ * Get the public URL of an avatar in the given size, or "" if there is none.
+ */
+export const avatarUrl = (avatarId, size = 256) =>
+  avatarId ? avatarStorage.url(fileName(avatarId, size)) : "";
@@ -0,0 +1,79 @@
+import crypto from "crypto";
+
+// Identifies our file format, followed by the bit count and hash count
+const MAGIC = "BLM1";
+const HEADER_SIZE = 12;
+
+/**
+ * A Bloom filter: a compact set that can tell "definitely not in the set"
+ * or "probably in the set", with a false positive rate chosen up front.
+ *
+ * Item positions come from double hashing one SHA-256 digest, and the filter
+ * is serialized as a 12 byte header (magic, bit count, hash count) followed
+ * by the bits, see `scripts/buildBreachedFilter.js`.
+ *
+ */
+export class BloomFilter {
+  constructor(bitCount, hashCount, bits = null) {
+    this.bitCount = bitCount;
+    this.hashCount = hashCount;
+    this.bits = bits || Buffer.alloc(Math.ceil(bitCount / 8));
+  }
+
+  /**
+   * Create an empty filter sized for `itemCount` items and the given false
+   * positive rate.
+   */
+  static create(itemCount, falsePositiveRate) {
+    const bitCount = Math.ceil(
+      (-itemCount * Math.log(falsePositiveRate)) / Math.LN2 ** 2
+    );
+    const hashCount = Math.max(
+      1,
+      Math.round((bitCount / itemCount) * Math.LN2)
+    );
+    return new BloomFilter(bitCount, hashCount);
+  }
+
+  static fromBuffer(buffer) {
+    if (buffer.toString("ascii", 0, 4) !== MAGIC) {
+      throw new Error("Not a Bloom filter file");
+    }
+    return new BloomFilter(
+      buffer.readUInt32BE(4),
+      buffer.readUInt32BE(8),
+      buffer.subarray(HEADER_SIZE)
+    );
+  }
+
+  toBuffer() {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.write(MAGIC, 0, "ascii");
+    header.writeUInt32BE(this.bitCount, 4);
+    header.writeUInt32BE(this.hashCount, 8);
+    return Buffer.concat([header, this.bits]);
+  }
+
+  positions(item) {
+    const digest = crypto.createHash("sha256").update(item).digest();
+    const h1 = digest.readUInt32BE(0);
+    const h2 = (digest.readUInt32BE(4) | 1) >>> 0;
+    const positions = [];
+    for (let i = 0; i < this.hashCount; i++) {
+      positions.push((h1 + i * h2) % this.bitCount);
+    }
+    return positions;
+  }
+
+  add(item) {
+    for (const position of this.positions(item)) {
+      this.bits[position >> 3] |= 1 << (position & 7);
+    }
+  }
+
+  has(item) {
+    return this.positions(item).every(
+      (position) => this.bits[position >> 3] & (1 << (position & 7))
+    );
+  }
+}
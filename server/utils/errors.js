@@ -0,0 +1,74 @@
+/**
+ * Errors that map to an HTTP response.
+ *
+ * Handlers pass them to `next()`, and the error middleware turns them into
+ * `{ success: false, message, code }` with `status` as the HTTP status. The
+ * message is a message key, translated by the i18n middleware, which also
+ * returns it as the stable `code`. `params` fills in the placeholders of the
+ * message, `details` are extra fields for the response body, and `code` sets
+ * the code of a message that is not a key.
+ *
+ */
+export class HttpError extends Error {
+  constructor(status, message, { params, details, code } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.params = params;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+// The request is malformed or misses required fields
+export class BadRequestError extends HttpError {
+  constructor(message = "common.invalid_request", options) {
+    super(400, message, options);
+  }
+}
+
+// The request needs a valid session or credentials
+export class UnauthorizedError extends HttpError {
+  constructor(message = "auth.not_authorized", options) {
+    super(401, message, options);
+  }
+}
+
+// The user is known but not allowed to do this
+export class ForbiddenError extends HttpError {
+  constructor(message = "auth.permission_denied", options) {
+    super(403, message, options);
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = "common.not_found", options) {
+    super(404, message, options);
+  }
+}
+
+// The request clashes with the current state, e.g. an email already in use
+export class ConflictError extends HttpError {
+  constructor(message, options) {
+    super(409, message, options);
+  }
+}
+
+export class PayloadTooLargeError extends HttpError {
+  constructor(message, options) {
+    super(413, message, options);
+  }
+}
+
+// Well-formed input that breaks a rule, e.g. the password policy
+export class ValidationError extends HttpError {
+  constructor(message, options) {
+    super(422, message, options);
+  }
+}
+
+export class TooManyRequestsError extends HttpError {
+  constructor(message = "rate_limit.too_many_attempts", options) {
+    super(429, message, options);
+  }
+}
@@ -0,0 +1,62 @@
+import en from "../config/locales/en.js";
+import vi from "../config/locales/vi.js";
+import { renderTemplate } from "./templateEngine.js";
+
+// Message catalogs, keyed by locale. English is complete, others fall back
+// to it for missing keys
+const CATALOGS = { en, vi };
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Check if a string is a key of the English catalog.
+ */
+export const isMessageKey = (key) =>
+  typeof key === "string" && Object.hasOwn(en, key);
+
+/**
+ * Translate a message key, filling in `{{name}}` placeholders from `params`.
+ *
+ * Falls back to English when the locale has no translation, and returns
+ * anything that is not a message key unchanged, so plain error messages can
+ * pass through.
+ *
+ */
+export const translate = (locale, key, params = {}) =>
+  renderTemplate(getMessage(locale, key), params, { escape: false });
+
+/**
+ * Get the text of a message key with its placeholders left in, e.g. for
+ * email templates that fill them in with escaping.
+ */
+export const getMessage = (locale, key) =>
+  CATALOGS[locale]?.[key] ?? en[key] ?? key;
+
+/**
+ * Pick the best supported locale from an Accept-Language header.
+ */
+export const negotiateLocale = (header = "") => {
+  const ranges = header
+    .split(",")
+    .map((part) => {
+      const [tag, ...options] = part.trim().toLowerCase().split(";");
+      const quality = options.find((option) => option.trim().startsWith("q="));
+      return {
+        language: tag.split("-")[0],
+        quality: quality ? Number(quality.trim().slice(2)) : 1,
+      };
+    })
+    .filter(({ language, quality }) => language && quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+  return (
+    ranges.find(({ language }) => SUPPORTED_LOCALES.includes(language))
+      ?.language || DEFAULT_LOCALE
+  );
+};
+
+/**
+ * Get a supported locale, or the default one.
+ */
+export const normalizeLocale = (locale) =>
+  SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
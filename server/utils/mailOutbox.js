@@ -0,0 +1,130 @@
+import outboxModel from "../models/outboxModel.js";
+import mailTransport from "../config/mailTransport.js";
+
+// Retry settings, see `retryDelay`
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = Number(process.env.MAIL_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000; // 1 hour
+// How long a worker may hold a message before another one can take it over
+const LOCK_MS = 5 * 60 * 1000; // 5 minutes
+// How many messages one run of the worker sends at most
+const BATCH_SIZE = 20;
+
+let running = false;
+
+// Exponential backoff: 30s, 1m, 2m, 4m, ... capped at an hour
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Add a rendered message, with `to`, `template`, `subject`, `html` and
+ * `text`, to the outbox.
+ *
+ * The message is stored before anything is sent, so it survives a failing
+ * mail server or a restart, and the worker is woken up to send it right away.
+ *
+ */
+export const enqueueMail = async (message) => {
+  const queued = await outboxModel.create(message);
+  setImmediate(() => processOutbox().catch(logWorkerError));
+  return queued;
+};
+
+// Claim the next due message, including ones a crashed worker left behind
+const claimNextMessage = () => {
+  const now = new Date();
+  return outboxModel.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      status: "sending",
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliver = async (message) => {
+  try {
+    const { messageId } = await mailTransport.send({
+      from: process.env.SENDER_EMAIL,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+    await outboxModel.updateOne(
+      { _id: message._id },
+      {
+        status: "sent",
+        sentAt: new Date(),
+        messageId: messageId || "",
+        lockedUntil: null,
+        lastError: "",
+        html: "",
+        text: "",
+      }
+    );
+  } catch (error) {
+    const failed = message.attempts >= MAX_ATTEMPTS;
+    await outboxModel.updateOne(
+      { _id: message._id },
+      {
+        status: failed ? "failed" : "pending",
+        nextAttemptAt: new Date(Date.now() + retryDelay(message.attempts)),
+        lockedUntil: null,
+        lastError: error.message,
+        ...(failed ? { html: "", text: "", failedAt: new Date() } : {}),
+      }
+    );
+    console.error(
+      `Sending "${message.template}" mail failed (attempt ${message.attempts}):`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Send the messages in the outbox that are due.
+ *
+ * Each message is claimed atomically, so several server processes can run
+ * the worker side by side. A message that cannot be sent is retried with
+ * exponential backoff and marked "failed" after MAIL_MAX_ATTEMPTS attempts.
+ * Returns the number of messages that were attempted.
+ *
+ */
+export const processOutbox = async () => {
+  // Only one run at a time in this process
+  if (running) return 0;
+  running = true;
+  try {
+    let count = 0;
+    for (; count < BATCH_SIZE; count++) {
+      const message = await claimNextMessage();
+      if (!message) break;
+      await deliver(message);
+    }
+    return count;
+  } finally {
+    running = false;
+  }
+};
+
+const logWorkerError = (error) =>
+  console.error("Mail outbox worker failed:", error.message);
+
+/**
+ * Run the outbox worker every MAIL_OUTBOX_INTERVAL_MS (default 10 seconds),
+ * to pick up retries and messages queued while the worker was busy.
+ */
+export const startOutboxWorker = () => {
+  const interval = Number(process.env.MAIL_OUTBOX_INTERVAL_MS) || 10 * 1000;
+  setInterval(() => {
+    processOutbox().catch(logWorkerError);
+  }, interval).unref();
+};
@@ -0,0 +1,52 @@
+import {
+  EMAIL_LAYOUT,
+  EMAIL_TEMPLATES,
+  emailPartials,
+} from "../config/emailTemplates.js";
+import { htmlToText, renderTemplate } from "./templateEngine.js";
+import { enqueueMail } from "./mailOutbox.js";
+import { DEFAULT_LOCALE, getMessage, translate } from "./i18n.js";
+
+/**
+ * Render one of the templates in config/emailTemplates.js in the given
+ * locale.
+ *
+ * Returns the `subject`, the `html` body wrapped in the layout and its
+ * plain-text alternative `text`. Throws for an unknown template.
+ *
+ */
+export const renderEmail = (name, data = {}, locale = DEFAULT_LOCALE) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  const t = (key) => getMessage(locale, key);
+  const options = { partials: emailPartials(t) };
+
+  // The subject is a header, not HTML, so it is not escaped
+  const subject = translate(locale, template.subject, data);
+  const heading = translate(locale, template.heading, data);
+  const body = renderTemplate(template.body(t).join("\n"), data, options);
+  const html = renderTemplate(EMAIL_LAYOUT, { subject, heading, body });
+  const text = `${heading}\n\n${htmlToText(body)}`;
+
+  return { subject, html, text };
+};
+
+/**
+ * Render a template in the recipient's locale and queue it for the given
+ * address.
+ *
+ * The message is stored in the outbox and sent by the outbox worker, so a
+ * slow or failing mail server never fails the request that sent it.
+ *
+ */
+export const queueEmail = async (to, name, data, locale) => {
+  const { subject, html, text } = renderEmail(name, data, locale);
+  await enqueueMail({ to, template: name, subject, html, text });
+};
+
+/**
+ * List the names of all email templates.
+ */
+export const getEmailTemplateNames = () => Object.keys(EMAIL_TEMPLATES);
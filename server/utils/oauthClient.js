@@ -0,0 +1,177 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Signing keys fetched from providers, cached by JWKS URL
+const jwksCache = new Map();
+const JWKS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+const randomString = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Get the public URL of the OAuth callback route for a provider.
+ */
+export const getCallbackUrl = (providerId) =>
+  `${
+    process.env.SERVER_URL || "http://localhost:4000"
+  }/api/auth/oauth/${providerId}/callback`;
+
+/**
+ * Build the authorization URL for the authorization code flow with PKCE.
+ *
+ * Returns the URL to redirect the browser to, together with the state, nonce
+ * and PKCE code verifier that have to be kept until the callback.
+ *
+ */
+export const createAuthorizationRequest = (provider) => {
+  const state = randomString();
+  const nonce = randomString();
+  const codeVerifier = randomString();
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  const url = new URL(provider.authorizationUrl);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: getCallbackUrl(provider.id),
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+    ...(provider.type === "oidc" ? { nonce } : {}),
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+/**
+ * Exchange an authorization code for the provider's tokens.
+ */
+export const exchangeCode = async (provider, code, codeVerifier) => {
+  const response = await fetch(provider.tokenUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: getCallbackUrl(provider.id),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  });
+  const tokens = await response.json();
+  if (!response.ok || tokens.error || !tokens.access_token) {
+    throw new Error(
+      tokens.error_description || tokens.error || "Token exchange failed"
+    );
+  }
+  return tokens;
+};
+
+// Fetch JSON from a provider API with the user's access token
+const fetchJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: {
+      Accept: "application/json",
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+    },
+  });
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with ${response.status}`);
+  }
+  return response.json();
+};
+
+// Find the provider's public key for a token, refreshing the cache on a miss
+const getSigningKey = async (jwksUrl, kid) => {
+  let cached = jwksCache.get(jwksUrl);
+  const findKey = () =>
+    cached.keys.find((key) => !kid || key.kid === kid) || null;
+
+  if (!cached || cached.expiresAt < Date.now() || !findKey()) {
+    const { keys } = await fetchJson(jwksUrl);
+    cached = { keys, expiresAt: Date.now() + JWKS_CACHE_TTL };
+    jwksCache.set(jwksUrl, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) throw new Error("Unknown ID token signing key");
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Verify an OpenID Connect ID token and return its claims.
+ *
+ * The signature is checked against the provider's JWKS, and the issuer,
+ * audience, expiry and nonce must all match the authorization request.
+ *
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("Invalid ID token");
+
+  const key = await getSigningKey(provider.jwksUrl, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"],
+    audience: provider.clientId,
+    ...(provider.issuer ? { issuer: provider.issuer } : {}),
+  });
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  return claims;
+};
+
+/**
+ * Get the user's profile from the provider.
+ *
+ * OIDC providers are read from the verified ID token, falling back to the
+ * userinfo endpoint for missing claims. Plain OAuth2 providers are read from
+ * the userinfo endpoint, with the primary verified address from the emails
+ * endpoint when one is configured (GitHub). Returns a normalized profile:
+ * `{ id, email, emailVerified, name }`.
+ *
+ */
+export const fetchProfile = async (provider, tokens, nonce) => {
+  let claims = {};
+  if (provider.type === "oidc") {
+    if (!tokens.id_token) throw new Error("Missing ID token");
+    claims = await verifyIdToken(provider, tokens.id_token, nonce);
+  }
+
+  if (!claims.email && provider.userinfoUrl) {
+    const userinfo = await fetchJson(provider.userinfoUrl, tokens.access_token);
+    // The userinfo response must describe the same subject as the ID token
+    if (claims.sub && userinfo.sub && userinfo.sub !== claims.sub) {
+      throw new Error("Userinfo subject mismatch");
+    }
+    claims = { ...userinfo, ...claims };
+  }
+
+  let email = claims.email || "";
+  let emailVerified = claims.email_verified === true;
+
+  if (provider.emailsUrl) {
+    const emails = await fetchJson(provider.emailsUrl, tokens.access_token);
+    const primary = emails.find((entry) => entry.primary && entry.verified);
+    if (primary) {
+      email = primary.email;
+      emailVerified = true;
+    }
+  }
+
+  const id = String(claims.sub ?? claims.id ?? "");
+  if (!id) throw new Error("Provider did not return a user ID");
+
+  return {
+    id,
+    // Stored and compared in lowercase, like every address we keep
+    email: email.trim().toLowerCase(),
+    emailVerified,
+    name: claims.name || claims.login || email.split("@")[0],
+  };
+};
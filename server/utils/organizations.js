@@ -0,0 +1,166 @@
+import jwt from "jsonwebtoken";
+import organizationModel from "../models/organizationModel.js";
+import membershipModel from "../models/membershipModel.js";
+import invitationModel from "../models/invitationModel.js";
+import sessionModel from "../models/sessionModel.js";
+import { avatarUrl } from "./avatar.js";
+
+// How long an emailed invitation can be accepted
+export const INVITATION_DAYS = Number(process.env.ORG_INVITATION_DAYS) || 7;
+
+/**
+ * Sign the token sent in an invitation link.
+ *
+ * The token names the invitation and expires with it. Inviting the same
+ * address again replaces the invitation, so links from earlier emails stop
+ * working.
+ *
+ */
+export const signInvitation = (invitation) =>
+  jwt.sign(
+    {
+      type: "org-invite",
+      iid: String(invitation._id),
+      org: String(invitation.organization),
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.max(
+        1,
+        Math.floor((invitation.expiresAt - Date.now()) / 1000)
+      ),
+    }
+  );
+
+/**
+ * Find the pending invitation behind an invitation token, with its
+ * organization. Returns null if the token is invalid or expired, or the
+ * invitation was revoked or replaced.
+ */
+export const findInvitation = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (payload.type !== "org-invite") return null;
+  const invitation = await invitationModel
+    .findOne({ _id: payload.iid, organization: payload.org })
+    .populate("organization", { name: 1 })
+    .populate("invitedBy", { name: 1 });
+  if (!invitation?.organization || invitation.expiresAt < Date.now()) {
+    return null;
+  }
+  return invitation;
+};
+
+/**
+ * Make an organization the active one of a session, or clear it with null.
+ */
+export const setActiveOrganization = async (sessionId, membership) => {
+  await sessionModel.updateOne(
+    { _id: sessionId },
+    {
+      organization: membership?.organization || null,
+      orgRole: membership?.role || null,
+    }
+  );
+};
+
+/**
+ * Copy a member's new role to the sessions working in the organization, or
+ * take the organization out of them when `role` is null because the member
+ * left or was removed. The change takes effect on their next request.
+ */
+export const syncMemberSessions = async (userId, organizationId, role) => {
+  await sessionModel.updateMany(
+    { user: userId, organization: organizationId, revokedAt: null },
+    role ? { orgRole: role } : { organization: null, orgRole: null }
+  );
+};
+
+/**
+ * Delete an organization with its memberships and invitations, and take it
+ * out of every session working in it.
+ */
+export const removeOrganization = async (organizationId) => {
+  await Promise.all([
+    membershipModel.deleteMany({ organization: organizationId }),
+    invitationModel.deleteMany({ organization: organizationId }),
+    sessionModel.updateMany(
+      { organization: organizationId },
+      { organization: null, orgRole: null }
+    ),
+  ]);
+  await organizationModel.deleteOne({ _id: organizationId });
+};
+
+/**
+ * Remove a user from all of their organizations, e.g. when the account is
+ * deleted.
+ *
+ * An organization losing its only owner gets its longest-standing member as
+ * the new owner, and organizations left without members are deleted.
+ *
+ */
+export const removeUserMemberships = async (userId) => {
+  const memberships = await membershipModel.find({ user: userId });
+  for (const membership of memberships) {
+    const others = await membershipModel
+      .find({ organization: membership.organization, user: { $ne: userId } })
+      .sort({ createdAt: 1 });
+    if (!others.length) {
+      await removeOrganization(membership.organization);
+      continue;
+    }
+    if (
+      membership.role === "owner" &&
+      !others.some((other) => other.role === "owner")
+    ) {
+      others[0].role = "owner";
+      await others[0].save();
+      await syncMemberSessions(
+        others[0].user,
+        membership.organization,
+        "owner"
+      );
+    }
+  }
+  await membershipModel.deleteMany({ user: userId });
+};
+
+/**
+ * Shape an organization for API responses, with the role of the member
+ * asking for it.
+ */
+export const toOrganizationResponse = (organization, role) => ({
+  id: organization._id,
+  name: organization.name,
+  role,
+  createdAt: organization.createdAt,
+});
+
+/**
+ * Shape a membership for API responses, with the member's name, email and
+ * avatar. The user must be populated.
+ */
+export const toMemberResponse = (membership) => ({
+  id: membership.user._id,
+  name: membership.user.name,
+  email: membership.user.email,
+  avatarUrl: avatarUrl(membership.user.avatar, 64),
+  role: membership.role,
+  joinedAt: membership.createdAt,
+});
+
+/**
+ * Shape a pending invitation for API responses, without its token.
+ */
+export const toInvitationResponse = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  createdAt: invitation.createdAt,
+  expiresAt: invitation.expiresAt,
+});
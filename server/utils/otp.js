@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import otpModel from "../models/otpModel.js";
+import { BadRequestError, TooManyRequestsError } from "./errors.js";
+
+/**
+ * One-time codes sent to the user, by purpose.
+ *
+ * `length` is the number of digits, `ttl` how long a code stays valid and
+ * `maxAttempts` how many wrong guesses invalidate it. Each value can be
+ * overridden through the environment, e.g. OTP_RESET_PASSWORD_LENGTH,
+ * OTP_RESET_PASSWORD_TTL_MS and OTP_RESET_PASSWORD_MAX_ATTEMPTS.
+ *
+ */
+const PURPOSES = {
+  "verify-email": { length: 6, ttl: 24 * 60 * 60 * 1000, maxAttempts: 5 }, // 24 hours
+  "reset-password": { length: 6, ttl: 15 * 60 * 1000, maxAttempts: 5 }, // 15 minutes
+  "magic-link": { length: 6, ttl: 15 * 60 * 1000, maxAttempts: 5 }, // 15 minutes
+  "change-email": { length: 6, ttl: 15 * 60 * 1000, maxAttempts: 5 }, // 15 minutes
+};
+
+// Read a numeric setting from OTP_<PURPOSE>_<SETTING>, if it is set
+const setting = (purpose, key, fallback) => {
+  const value = Number(
+    process.env[`OTP_${purpose.toUpperCase().replace(/-/g, "_")}_${key}`]
+  );
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Get the settings of an OTP purpose, with environment overrides applied.
+ */
+export const getOtpSettings = (purpose) => {
+  const defaults = PURPOSES[purpose];
+  if (!defaults) throw new Error(`Unknown OTP purpose: ${purpose}`);
+  return {
+    // Keep codes between 4 and 10 digits
+    length: Math.min(
+      10,
+      Math.max(4, setting(purpose, "LENGTH", defaults.length))
+    ),
+    ttl: setting(purpose, "TTL_MS", defaults.ttl),
+    maxAttempts: setting(purpose, "MAX_ATTEMPTS", defaults.maxAttempts),
+  };
+};
+
+// Bind the hash to the user and purpose, and key it with a server secret so
+// a leaked database cannot be brute-forced for the short codes it holds
+const hashOtp = (userId, purpose, code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest("hex");
+
+// Compare two hex hashes without leaking where they differ
+const hashesMatch = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Issue a new one-time code to the given user for the given purpose.
+ *
+ * The code is drawn from a cryptographically secure source and only its hash
+ * is stored. Issuing a code replaces any pending code for the same purpose
+ * and resets its attempt count. Returns the code so it can be sent.
+ *
+ */
+export const issueOtp = async (userId, purpose) => {
+  const { length, ttl } = getOtpSettings(purpose);
+  const code = String(crypto.randomInt(0, 10 ** length)).padStart(length, "0");
+  await otpModel.findOneAndUpdate(
+    { user: userId, purpose },
+    {
+      codeHash: hashOtp(userId, purpose, code),
+      attempts: 0,
+      expiresAt: new Date(Date.now() + ttl),
+    },
+    { upsert: true }
+  );
+  return code;
+};
+
+/**
+ * Check a one-time code submitted by the given user for the given purpose.
+ *
+ * Every check first claims one of the code's attempts atomically, so
+ * concurrent guesses cannot get past the purpose's attempt limit, and the
+ * code is thrown away once the last attempt failed. A matching code is
+ * consumed, so it can only be used once. Returns `{ success }`, with the
+ * `error` to pass on to the error middleware when the check fails.
+ *
+ */
+export const verifyOtp = async (userId, purpose, code) => {
+  const { maxAttempts } = getOtpSettings(purpose);
+  if (!code) {
+    return { success: false, error: new BadRequestError("otp.invalid") };
+  }
+
+  // Claim an attempt before comparing
+  const record = await otpModel.findOneAndUpdate(
+    { user: userId, purpose, attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) {
+    // Either there is no code, or its attempts are used up
+    const exhausted = await otpModel.findOneAndDelete({
+      user: userId,
+      purpose,
+    });
+    if (exhausted) {
+      return {
+        success: false,
+        error: new TooManyRequestsError("otp.too_many_attempts"),
+      };
+    }
+    return { success: false, error: new BadRequestError("otp.invalid") };
+  }
+
+  // Check if the OTP has expired
+  if (record.expiresAt < new Date()) {
+    await otpModel.deleteOne({ _id: record._id });
+    return { success: false, error: new BadRequestError("otp.expired") };
+  }
+
+  // Check if the OTP is valid, and give up on it after the last attempt
+  if (!hashesMatch(hashOtp(userId, purpose, String(code)), record.codeHash)) {
+    if (record.attempts >= maxAttempts) {
+      await otpModel.deleteOne({ _id: record._id });
+      return {
+        success: false,
+        error: new TooManyRequestsError("otp.too_many_attempts"),
+      };
+    }
+    return { success: false, error: new BadRequestError("otp.invalid") };
+  }
+
+  // Consume the code atomically so it cannot be used twice, unless a new
+  // code replaced it in the meantime
+  const consumed = await otpModel.findOneAndDelete({
+    _id: record._id,
+    codeHash: record.codeHash,
+  });
+  if (!consumed) {
+    return { success: false, error: new BadRequestError("otp.invalid") };
+  }
+  return { success: true };
+};
+
+/**
+ * Throw away the pending code of the given user for the given purpose.
+ */
+export const revokeOtp = async (userId, purpose) => {
+  await otpModel.deleteOne({ user: userId, purpose });
+};
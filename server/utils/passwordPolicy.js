@@ -0,0 +1,131 @@
+import fs from "fs";
+import passwordPolicy, {
+  BREACHED_FILTER_PATH,
+  CHARACTER_CLASSES,
+} from "../config/passwordPolicy.js";
+import { BloomFilter } from "./bloomFilter.js";
+import { ValidationError } from "./errors.js";
+
+// Load the breached password filter once, the check is skipped without it
+const loadBreachedFilter = () => {
+  try {
+    return BloomFilter.fromBuffer(fs.readFileSync(BREACHED_FILTER_PATH));
+  } catch (error) {
+    console.error("Breached password filter not loaded:", error.message);
+    return null;
+  }
+};
+const breachedFilter = passwordPolicy.checkBreached
+  ? loadBreachedFilter()
+  : null;
+
+// Parts of the user's name and email that should not appear in the password
+const personalTokens = ({ name = "", email = "" }) => {
+  const [localPart = ""] = String(email).toLowerCase().split("@");
+  return [
+    ...String(name).toLowerCase().split(/\s+/),
+    ...localPart.split(/[._+-]/),
+    localPart,
+  ].filter((token) => token.length >= 3);
+};
+
+// Rough 0 to 4 strength score from the length and variety of characters
+const strengthScore = (password) => {
+  const charsetSize = [
+    [/[a-z]/, 26],
+    [/[A-Z]/, 26],
+    [/[0-9]/, 10],
+    [/[^a-zA-Z0-9]/, 33],
+  ].reduce(
+    (size, [pattern, count]) => size + (pattern.test(password) ? count : 0),
+    0
+  );
+  const bits = password.length * Math.log2(charsetSize || 1);
+  return bits < 28 ? 0 : bits < 36 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+};
+
+/**
+ * Check a password against the password policy.
+ *
+ * `user` holds the `name` and `email` the password must not contain. Returns
+ * `{ valid, violations, strength }` where every violation is
+ * `{ code, message }`, plus the limit that was broken where there is one,
+ * and `strength` is a 0 to 4 score for strength meters. A password that
+ * breaks the policy never scores above 1.
+ *
+ */
+export const checkPassword = (password, user = {}) => {
+  const violations = [];
+  if (typeof password !== "string" || password.length === 0) {
+    violations.push({ code: "required", message: "password.required" });
+    return { valid: false, violations, strength: 0 };
+  }
+
+  const { minLength, maxLength, requiredClasses } = passwordPolicy;
+  if (password.length < minLength) {
+    violations.push({
+      code: "too_short",
+      message: "password.too_short",
+      minLength,
+    });
+  }
+  if (password.length > maxLength) {
+    violations.push({
+      code: "too_long",
+      message: "password.too_long",
+      maxLength,
+    });
+  }
+  for (const name of requiredClasses) {
+    if (!CHARACTER_CLASSES[name].test(password)) {
+      violations.push({
+        code: "missing_character_class",
+        message: `password.missing_${name}`,
+        characterClass: name,
+      });
+    }
+  }
+
+  const lowered = password.toLowerCase();
+  if (
+    passwordPolicy.checkPersonalInfo &&
+    personalTokens(user).some((token) => lowered.includes(token))
+  ) {
+    violations.push({
+      code: "contains_personal_info",
+      message: "password.personal_info",
+    });
+  }
+  if (breachedFilter && breachedFilter.has(lowered)) {
+    violations.push({
+      code: "breached",
+      message: "password.breached",
+    });
+  }
+
+  const strength = strengthScore(password);
+  return {
+    valid: violations.length === 0,
+    violations,
+    strength: violations.length ? Math.min(strength, 1) : strength,
+  };
+};
+
+/**
+ * Create the error for a password that breaks the policy. Its message is the
+ * first violation, and the response lists all of them as `violations`.
+ */
+export const passwordPolicyError = (violations) =>
+  new ValidationError(violations[0].message, {
+    params: violations[0],
+    details: { violations },
+  });
+
+/**
+ * Get the public settings of the password policy, for clients.
+ */
+export const getPasswordPolicy = () => ({
+  minLength: passwordPolicy.minLength,
+  maxLength: passwordPolicy.maxLength,
+  requiredClasses: passwordPolicy.requiredClasses,
+});
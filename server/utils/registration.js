@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import inviteCodeModel from "../models/inviteCodeModel.js";
+import registration from "../config/registration.js";
+import { ForbiddenError } from "./errors.js";
+import { findInvitation } from "./organizations.js";
+
+// Letters and digits that cannot be mistaken for each other when typed
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 12;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Codes are typed by people, so ignore case, spaces and dashes
+const normalizeCode = (code) => code.replace(/[\s-]/g, "").toUpperCase();
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+
+// A registration error, also reported on the form field that caused it
+const registrationError = (field, message, params = {}) =>
+  new ForbiddenError(message, {
+    params,
+    details: { errors: [{ location: "body", field, message, ...params }] },
+  });
+
+/**
+ * Get the public registration settings, for clients.
+ *
+ * The allowed domains are only listed in "domain" mode.
+ *
+ */
+export const getRegistrationConfig = () => ({
+  mode: registration.mode,
+  ...(registration.mode === "domain" ? { domains: registration.domains } : {}),
+});
+
+/**
+ * Whether accounts must prove their email address before they can sign in.
+ *
+ * In "domain" mode the address is what grants access, so an account only
+ * becomes usable once its owner received mail there.
+ *
+ */
+export const requiresVerifiedEmail = () => registration.mode === "domain";
+
+/**
+ * Create an invite code, formatted as `XXXX-XXXX-XXXX`.
+ *
+ * Only the hash of the code is stored, the returned `code` is the only copy
+ * of its value. Codes without `maxUses` or `expiresInDays` have no usage
+ * limit or expiry.
+ *
+ */
+export const issueInviteCode = async (
+  createdBy,
+  { note = "", maxUses, expiresInDays }
+) => {
+  const characters = Array.from(
+    { length: CODE_LENGTH },
+    () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+  ).join("");
+  const code = characters.match(/.{4}/g).join("-");
+  const inviteCode = await inviteCodeModel.create({
+    codeHash: hashCode(code),
+    hint: characters.slice(-4),
+    note,
+    maxUses: maxUses || null,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * DAY)
+      : null,
+    createdBy,
+  });
+  return { code, inviteCode };
+};
+
+/**
+ * Check that a new account with the given email address may be created in
+ * the configured registration mode, see config/registration.js.
+ *
+ * In "invite" mode the invite code is redeemed, using it up atomically so
+ * two sign-ups cannot share its last use. Instead of a code, the token from
+ * an organization invitation link also lets the invited address sign up;
+ * the pending invitation alone is not enough, since anyone can type the
+ * invited address. Throws a 403 error naming the field to fix otherwise.
+ * Returns the redeemed invite code, if any, whose use `releaseInviteCode`
+ * gives back if the account cannot be created.
+ *
+ */
+export const authorizeRegistration = async (
+  email,
+  { inviteCode: code, invitationToken } = {}
+) => {
+  if (registration.mode === "domain") {
+    const domain = email.split("@").pop().toLowerCase();
+    if (!registration.domains.includes(domain)) {
+      throw registrationError("email", "registration.domain_not_allowed", {
+        domains: registration.domains.join(", "),
+      });
+    }
+    return null;
+  }
+
+  if (registration.mode === "invite") {
+    if (!code && invitationToken) {
+      const invitation = await findInvitation(invitationToken);
+      if (invitation?.email.toLowerCase() === email.toLowerCase()) return null;
+      throw registrationError("email", "registration.invalid_invitation");
+    }
+    if (!code) {
+      throw registrationError("inviteCode", "registration.invite_required");
+    }
+    const now = new Date();
+    const inviteCode = await inviteCodeModel.findOneAndUpdate(
+      {
+        codeHash: hashCode(code),
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          {
+            $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+          },
+        ],
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (!inviteCode) {
+      throw registrationError("inviteCode", "registration.invalid_invite_code");
+    }
+    return inviteCode;
+  }
+
+  return null;
+};
+
+/**
+ * Give back the use of an invite code redeemed by `authorizeRegistration`,
+ * when the account could not be created after all.
+ */
+export const releaseInviteCode = async (inviteCode) => {
+  await inviteCodeModel.updateOne(
+    { _id: inviteCode._id, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } }
+  );
+};
+
+/**
+ * Shape an invite code for API responses, without its hash.
+ */
+export const toInviteCodeResponse = (inviteCode) => {
+  let status = "active";
+  if (inviteCode.revokedAt) status = "revoked";
+  else if (inviteCode.expiresAt && inviteCode.expiresAt < Date.now())
+    status = "expired";
+  else if (inviteCode.maxUses && inviteCode.uses >= inviteCode.maxUses)
+    status = "used_up";
+
+  return {
+    id: inviteCode._id,
+    hint: inviteCode.hint,
+    note: inviteCode.note,
+    maxUses: inviteCode.maxUses,
+    uses: inviteCode.uses,
+    expiresAt: inviteCode.expiresAt,
+    revokedAt: inviteCode.revokedAt,
+    createdAt: inviteCode.createdAt,
+    status,
+  };
+};
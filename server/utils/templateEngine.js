@@ -0,0 +1,95 @@
+// Characters that must not reach HTML unescaped
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  "#39": "'",
+  nbsp: " ",
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute.
+ */
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Look up a dotted name such as `user.name` in the template data
+const lookup = (data, name) =>
+  name.split(".").reduce((value, key) => value?.[key], data);
+
+/**
+ * Render a template.
+ *
+ * The syntax is a small subset of Mustache:
+ *
+ * - `{{name}}` inserts a value, HTML-escaped unless `escape` is false
+ * - `{{{name}}}` inserts a value as is
+ * - `{{#name}}...{{/name}}` renders its content if the value is truthy,
+ *   `{{^name}}...{{/name}}` if it is falsy
+ * - `{{> name}}` renders one of `partials` with the same data
+ *
+ * Names can be dotted paths. Missing values render as an empty string, and
+ * an unknown partial throws.
+ *
+ */
+export const renderTemplate = (
+  source,
+  data = {},
+  { partials = {}, escape = true } = {}
+) => {
+  const render = (template) =>
+    template
+      // Sections first, so their content is only rendered when it is used
+      .replace(
+        /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g,
+        (match, type, name, content) =>
+          Boolean(lookup(data, name)) === (type === "#") ? render(content) : ""
+      )
+      .replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (match, name) => {
+        if (partials[name] === undefined) {
+          throw new Error(`Unknown partial "${name}"`);
+        }
+        return render(partials[name]);
+      })
+      .replace(
+        /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g,
+        (match, rawName, name) => {
+          const value = lookup(data, rawName || name) ?? "";
+          return rawName || !escape ? String(value) : escapeHtml(value);
+        }
+      );
+  return render(source);
+};
+
+/**
+ * Turn rendered HTML into a plain-text alternative.
+ *
+ * Links keep their URL next to their label, block elements become
+ * paragraphs and all other markup is dropped.
+ *
+ */
+export const htmlToText = (html) =>
+  html
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(
+      /<a\b[^>]*\bhref="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi,
+      (match, href, label) => `${label.replace(/<[^>]+>/g, "").trim()}: ${href}`
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|td|tr|h[1-6]|li|table)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#39|[a-z]+);/g, (entity, name) => HTML_ENTITIES[name] ?? entity)
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
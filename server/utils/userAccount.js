@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import userModel from "../models/userModel.js";
+import sessionModel from "../models/sessionModel.js";
+import refreshTokenModel from "../models/refreshTokenModel.js";
+import otpModel from "../models/otpModel.js";
+import webauthnChallengeModel from "../models/webauthnChallengeModel.js";
+import oidcClientModel from "../models/oidcClientModel.js";
+import oidcConsentModel from "../models/oidcConsentModel.js";
+import authorizationCodeModel from "../models/authorizationCodeModel.js";
+import auditEventModel from "../models/auditEventModel.js";
+import outboxModel from "../models/outboxModel.js";
+import accessTokenModel from "../models/accessTokenModel.js";
+import membershipModel from "../models/membershipModel.js";
+import { queueEmail } from "./mailer.js";
+import { recordAuditEvent, toAuditEventResponse } from "./audit.js";
+import { avatarUrl, removeAvatar } from "./avatar.js";
+import { toAccessTokenResponse } from "./accessTokens.js";
+import { removeUserMemberships } from "./organizations.js";
+
+// Days between a deletion request and the purge, logging in cancels it
+export const DELETION_GRACE_DAYS =
+  Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// The model refuses changes to audit events, erasing a user is the one
+// exception, so this goes to the collection directly, without casting
+const purgeAuditEvents = (userId, email) => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  return Promise.all([
+    auditEventModel.collection.deleteMany({
+      $or: email ? [{ user }, { email }] : [{ user }],
+    }),
+    auditEventModel.collection.updateMany(
+      { actor: user },
+      { $set: { ip: "", userAgent: "" } }
+    ),
+  ]);
+};
+
+/**
+ * Delete a user together with everything stored about them.
+ *
+ * This removes their avatar, sessions, refresh tokens and personal access
+ * tokens, pending codes and challenges, OIDC consents and authorization codes, the OIDC clients they
+ * registered, their organization memberships, and email to them still held
+ * in the outbox. Organizations they were the only member of are deleted.
+ *
+ * Their audit events go too, including failures logged only under their
+ * email address. Events where they acted on someone else, as an admin, are
+ * kept for that user's history but lose the IP address and user agent.
+ *
+ */
+export const deleteUserAccount = async (userId) => {
+  const user = await userModel.findById(userId, { avatar: 1, email: 1 });
+  await removeAvatar(user?.avatar);
+  const clients = await oidcClientModel.find(
+    { owner: userId },
+    { clientId: 1 }
+  );
+  const clientIds = clients.map((client) => client.clientId);
+
+  await Promise.all([
+    sessionModel.deleteMany({ user: userId }),
+    refreshTokenModel.deleteMany({ user: userId }),
+    accessTokenModel.deleteMany({ user: userId }),
+    otpModel.deleteMany({ user: userId }),
+    webauthnChallengeModel.deleteMany({ user: userId }),
+    oidcConsentModel.deleteMany({
+      $or: [{ user: userId }, { clientId: { $in: clientIds } }],
+    }),
+    authorizationCodeModel.deleteMany({
+      $or: [{ user: userId }, { clientId: { $in: clientIds } }],
+    }),
+    oidcClientModel.deleteMany({ owner: userId }),
+    user ? outboxModel.deleteMany({ to: user.email }) : null,
+    removeUserMemberships(userId),
+    purgeAuditEvents(userId, user?.email),
+  ]);
+  await userModel.deleteOne({ _id: userId });
+};
+
+/**
+ * Collect everything stored about a user into a plain object for export.
+ *
+ * Secrets such as the password hash, two-factor secrets and token hashes are
+ * left out, they are not personal data and would only help an attacker.
+ *
+ */
+export const exportUserAccount = async (userId) => {
+  const user = await userModel.findById(userId);
+  if (!user) return null;
+  const [sessions, events, consents, clients, accessTokens, memberships] =
+    await Promise.all([
+      sessionModel.find({ user: userId }).sort({ createdAt: -1 }),
+      auditEventModel.find({ user: userId }).sort({ createdAt: -1 }),
+      oidcConsentModel.find({ user: userId }),
+      oidcClientModel.find({ owner: userId }),
+      accessTokenModel.find({ user: userId }).sort({ createdAt: -1 }),
+      membershipModel.find({ user: userId }).populate("organization"),
+    ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      avatarUrl: avatarUrl(user.avatar),
+      isAccountVerified: user.isAccountVerified,
+      roles: user.roles,
+      createdAt: user._id.getTimestamp(),
+      hasPassword: Boolean(user.password),
+      twoFactorEnabled: user.twoFactorEnabled,
+      deletionScheduledAt: user.deletionScheduledAt
+        ? new Date(user.deletionScheduledAt)
+        : null,
+    },
+    linkedAccounts: user.linkedAccounts.map((account) => ({
+      provider: account.provider,
+      email: account.email,
+      linkedAt: account.linkedAt,
+    })),
+    passkeys: user.passkeys.map((passkey) => ({
+      name: passkey.name,
+      createdAt: passkey.createdAt,
+      lastUsedAt: passkey.lastUsedAt,
+    })),
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt,
+    })),
+    accessTokens: accessTokens.map(toAccessTokenResponse),
+    organizations: memberships
+      .filter((membership) => membership.organization)
+      .map((membership) => ({
+        id: membership.organization._id,
+        name: membership.organization.name,
+        role: membership.role,
+        joinedAt: membership.createdAt,
+      })),
+    auditEvents: events.map(toAuditEventResponse),
+    oidcConsents: consents.map((consent) => ({
+      clientId: consent.clientId,
+      scopes: consent.scopes,
+      createdAt: consent.createdAt,
+    })),
+    oidcClients: clients.map((client) => ({
+      clientId: client.clientId,
+      name: client.name,
+      redirectUris: client.redirectUris,
+      createdAt: client.createdAt,
+    })),
+  };
+};
+
+/**
+ * Cancel a scheduled account deletion because the user signed in again.
+ *
+ * The user is told by email so a deletion cancelled by someone else does
+ * not go unnoticed.
+ *
+ */
+export const cancelAccountDeletion = async (req, user) => {
+  await userModel.updateOne({ _id: user._id }, { deletionScheduledAt: 0 });
+  await recordAuditEvent(req, "account.delete.cancel", { user: user._id });
+  await queueEmail(
+    user.email,
+    "account-deletion-cancelled",
+    { name: user.name },
+    user.locale
+  );
+};
+
+/**
+ * Delete every account whose deletion grace period is over.
+ *
+ * Returns the number of accounts that were purged.
+ *
+ */
+export const purgeDeletedAccounts = async () => {
+  const users = await userModel.find(
+    { deletionScheduledAt: { $gt: 0, $lte: Date.now() } },
+    { _id: 1 }
+  );
+  for (const user of users) {
+    await deleteUserAccount(user._id);
+    // Only the ID is kept, the email address went with the account
+    await recordAuditEvent(null, "account.purge", { user: user._id });
+  }
+  return users.length;
+};
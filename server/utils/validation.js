@@ -0,0 +1,181 @@
+/**
+ * Schemas for request input.
+ *
+ * A schema is a plain object of field rules, e.g.
+ * `{ email: email(), name: string({ max: 100 }) }`. A rule checks and
+ * normalizes one value and returns either `{ value }` or `{ error, params }`,
+ * where `error` is a message key and `params` fill in its placeholders.
+ * Missing and empty values are rejected unless the rule is `optional` or has
+ * a `default`.
+ *
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const ok = (value) => ({ value });
+const fail = (error, params) => ({ error, params });
+
+const isMissing = (input) =>
+  input === undefined ||
+  input === null ||
+  (typeof input === "string" && input.trim() === "");
+
+// Handle missing values the same way for every rule
+const rule =
+  (check, { optional = false, default: fallback } = {}) =>
+  (input) => {
+    if (isMissing(input)) {
+      if (fallback !== undefined) return ok(fallback);
+      return optional ? ok(undefined) : fail("validation.required");
+    }
+    return check(input);
+  };
+
+/**
+ * A string, trimmed unless `trim` is false, with a length between `min` and
+ * `max` and optionally matching `pattern`.
+ */
+export const string = ({
+  min = 0,
+  max = 1000,
+  trim = true,
+  pattern,
+  ...options
+} = {}) =>
+  rule((input) => {
+    if (typeof input !== "string") return fail("validation.string");
+    const value = trim ? input.trim() : input;
+    if (value.length < min) return fail("validation.too_short", { min });
+    if (value.length > max) return fail("validation.too_long", { max });
+    if (pattern && !pattern.test(value)) return fail("validation.format");
+    return ok(value);
+  }, options);
+
+/**
+ * A password or other secret, taken exactly as typed. Its policy is checked
+ * by utils/passwordPolicy.js, this only bounds the length.
+ */
+export const secret = (options) =>
+  string({ max: 1000, trim: false, ...options });
+
+/**
+ * A one-time code typed by the user, e.g. an emailed OTP, a TOTP or a backup
+ * code. The service that issued it checks the code itself.
+ */
+export const code = (options) => string({ max: 32, ...options });
+
+/**
+ * An email address, trimmed and lowercased so each address has one spelling
+ * to store and compare.
+ */
+export const email = (options) =>
+  rule((input) => {
+    const result = string({ max: 254 })(input);
+    if (result.error) return result;
+    const value = result.value.toLowerCase();
+    return EMAIL_PATTERN.test(value) ? ok(value) : fail("email.invalid");
+  }, options);
+
+/**
+ * A MongoDB ObjectId, e.g. from a URL parameter.
+ */
+export const objectId = (options) =>
+  rule(
+    (input) =>
+      typeof input === "string" && OBJECT_ID_PATTERN.test(input)
+        ? ok(input)
+        : fail("validation.id"),
+    options
+  );
+
+/**
+ * A boolean. Query strings may send it as "true" or "false".
+ */
+export const boolean = (options) =>
+  rule((input) => {
+    if (typeof input === "boolean") return ok(input);
+    if (input === "true" || input === "false") return ok(input === "true");
+    return fail("validation.boolean");
+  }, options);
+
+/**
+ * An integer between `min` and `max`. Numeric strings, as sent in query
+ * strings, are converted.
+ */
+export const integer = ({ min, max, ...options } = {}) =>
+  rule((input) => {
+    const value = typeof input === "string" ? Number(input) : input;
+    if (!Number.isInteger(value)) return fail("validation.integer");
+    if (min !== undefined && value < min)
+      return fail("validation.min", { min });
+    if (max !== undefined && value > max)
+      return fail("validation.max", { max });
+    return ok(value);
+  }, options);
+
+/**
+ * One of the given values.
+ */
+export const oneOf = (values, options) =>
+  rule(
+    (input) =>
+      values.includes(input)
+        ? ok(input)
+        : fail("validation.one_of", { values: values.join(", ") }),
+    options
+  );
+
+/**
+ * A list of between `min` and `max` items that each pass the `item` rule.
+ * Duplicates are dropped.
+ */
+export const array = (item, { min = 0, max = 100, ...options } = {}) =>
+  rule((input) => {
+    if (!Array.isArray(input)) return fail("validation.array");
+    if (input.length > max) return fail("validation.max_items", { max });
+    const value = [];
+    for (const entry of input) {
+      const result = item(entry);
+      if (result.error) return result;
+      value.includes(result.value) || value.push(result.value);
+    }
+    if (value.length < min) return fail("validation.min_items", { min });
+    return ok(value);
+  }, options);
+
+/**
+ * A JSON object passed on as is, e.g. a WebAuthn response that is verified
+ * by its own library.
+ */
+export const object = (options) =>
+  rule(
+    (input) =>
+      typeof input === "object" && !Array.isArray(input)
+        ? ok(input)
+        : fail("validation.object"),
+    options
+  );
+
+/**
+ * Apply a schema to an object.
+ *
+ * Returns the normalized `value`, holding only the fields of the schema, and
+ * a list of `errors`, one `{ field, message, ...params }` per invalid field.
+ *
+ */
+export const parse = (schema, input = {}) => {
+  const value = {};
+  const errors = [];
+  for (const [field, check] of Object.entries(schema)) {
+    const result = check(
+      Object.hasOwn(input, field) ? input[field] : undefined
+    );
+    if (result.error) {
+      errors.push({ field, message: result.error, ...result.params });
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  }
+  return { value, errors };
+};